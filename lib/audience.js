@@ -0,0 +1,131 @@
+// lib/audience.js
+// --------------------------------------------------------------------------------------
+// Reglas de audiencias dinámicas. Gramática (sin distinguir mayúsculas en palabras clave):
+//   expr    := and ('OR' and)*
+//   and     := not ('AND' not)*
+//   not     := 'NOT' not | '(' expr ')' | cond
+//   cond    := campo op valor
+//   campo   := tag | name | id | type          (type = group | contact)
+//   op      := = | != | contains | startswith | endswith
+//   valor   := 'texto' | "texto" | palabra
+// Ej.: tag = ventas AND name contains 'Habana'
+// Para tag, "=" significa "tiene la etiqueta". Las comparaciones de texto ignoran
+// mayúsculas y tildes.
+// --------------------------------------------------------------------------------------
+
+const { foldText: fold } = require('./text');
+
+const FIELDS = ['tag', 'name', 'id', 'type'];
+const OPS = ['=', '!=', 'contains', 'startswith', 'endswith'];
+
+function tokenize(src) {
+  const tokens = [];
+  const re = /\s*(?:(\()|(\))|(!=|=)|'((?:[^'\\]|\\.)*)'|"((?:[^"\\]|\\.)*)"|([^\s()'"=!]+))/y;
+  let pos = 0;
+  const text = String(src || '');
+  while (pos < text.length) {
+    if (/^\s*$/.test(text.slice(pos))) break;
+    re.lastIndex = pos;
+    const m = re.exec(text);
+    if (!m) throw new SyntaxError(`Carácter inesperado en la posición ${pos + 1}.`);
+    const at = pos + (m[0].length - m[0].trimStart().length) + 1;
+    pos = re.lastIndex;
+    if (m[1]) tokens.push({ t: '(', at });
+    else if (m[2]) tokens.push({ t: ')', at });
+    else if (m[3]) tokens.push({ t: 'op', v: m[3], at });
+    else if (m[4] != null || m[5] != null) tokens.push({ t: 'str', v: (m[4] ?? m[5]).replace(/\\(.)/g, '$1'), at });
+    else tokens.push({ t: 'word', v: m[6], at });
+  }
+  return tokens;
+}
+
+/** Convierte el texto de la regla en un AST; lanza SyntaxError con la posición. */
+function parse(src) {
+  const tokens = tokenize(src);
+  let i = 0;
+  const peek = () => tokens[i];
+  const isKw = (tok, kw) => tok && tok.t === 'word' && tok.v.toUpperCase() === kw;
+  const fail = (msg, tok) => {
+    throw new SyntaxError(tok ? `${msg} (posición ${tok.at}).` : `${msg} (fin de la regla).`);
+  };
+
+  function expr() {
+    let node = and();
+    while (isKw(peek(), 'OR')) { i++; node = { op: 'or', a: node, b: and() }; }
+    return node;
+  }
+  function and() {
+    let node = not();
+    while (isKw(peek(), 'AND')) { i++; node = { op: 'and', a: node, b: not() }; }
+    return node;
+  }
+  function not() {
+    const tok = peek();
+    if (isKw(tok, 'NOT')) { i++; return { op: 'not', a: not() }; }
+    if (tok && tok.t === '(') {
+      i++;
+      const node = expr();
+      if (!peek() || peek().t !== ')') fail('Falta ")"', peek());
+      i++;
+      return node;
+    }
+    return cond();
+  }
+  function cond() {
+    const f = tokens[i++];
+    if (!f || f.t !== 'word' || !FIELDS.includes(f.v.toLowerCase())) {
+      fail(`Se esperaba un campo (${FIELDS.join(', ')})`, f);
+    }
+    const o = tokens[i++];
+    const op = o && (o.t === 'op' ? o.v : o.t === 'word' ? o.v.toLowerCase() : null);
+    if (!OPS.includes(op)) fail(`Se esperaba un operador (${OPS.join(', ')})`, o);
+    const v = tokens[i++];
+    if (!v || (v.t !== 'str' && v.t !== 'word')) fail('Se esperaba un valor', v);
+    return { op: 'cond', field: f.v.toLowerCase(), cmp: op, value: v.v };
+  }
+
+  if (!tokens.length) throw new SyntaxError('La regla está vacía.');
+  const ast = expr();
+  if (i < tokens.length) fail('Sobra texto', tokens[i]);
+  return ast;
+}
+
+function testText(cmp, actual, expected) {
+  const a = fold(actual);
+  const e = fold(expected);
+  switch (cmp) {
+    case '=': return a === e;
+    case '!=': return a !== e;
+    case 'contains': return a.includes(e);
+    case 'startswith': return a.startsWith(e);
+    case 'endswith': return a.endsWith(e);
+    default: return false;
+  }
+}
+
+/** Evalúa el AST contra { id, name, type, tags[] }. */
+function evaluate(node, target) {
+  switch (node.op) {
+    case 'or': return evaluate(node.a, target) || evaluate(node.b, target);
+    case 'and': return evaluate(node.a, target) && evaluate(node.b, target);
+    case 'not': return !evaluate(node.a, target);
+    case 'cond': {
+      if (node.field === 'tag') {
+        const tags = (target.tags || []).map(t => fold(t)); // map pasaría el índice como caseSensitive
+        if (node.cmp === '=') return tags.includes(fold(node.value));
+        if (node.cmp === '!=') return !tags.includes(fold(node.value));
+        return tags.some(t => testText(node.cmp, t, node.value));
+      }
+      return testText(node.cmp, target[node.field], node.value);
+    }
+    default: return false;
+  }
+}
+
+/** Predicado listo para filtrar destinos; lanza SyntaxError si la regla no es válida. */
+function compile(src) {
+  const ast = parse(src);
+  return target => evaluate(ast, target);
+}
+
+module.exports = { FIELDS, OPS, parse, compile, evaluate };
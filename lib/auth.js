@@ -0,0 +1,63 @@
+// lib/auth.js
+// --------------------------------------------------------------------------------------
+// Utilidades de autenticación: hash de contraseñas con scrypt (sal por usuario), tokens
+// de sesión aleatorios (se guarda solo su SHA-256), jerarquía de roles y lectura de
+// cookies sin dependencias.
+// --------------------------------------------------------------------------------------
+
+const crypto = require('crypto');
+
+const ROLES = ['viewer', 'operator', 'admin']; // de menor a mayor
+const SCRYPT_KEYLEN = 64;
+
+/** Devuelve "scrypt$<sal hex>$<hash hex>". */
+function hashPassword(password) {
+  return new Promise((resolve, reject) => {
+    const salt = crypto.randomBytes(16);
+    crypto.scrypt(String(password), salt, SCRYPT_KEYLEN, (err, key) => {
+      if (err) return reject(err);
+      resolve(`scrypt$${salt.toString('hex')}$${key.toString('hex')}`);
+    });
+  });
+}
+
+/** Compara en tiempo constante; false si el hash almacenado no tiene el formato esperado. */
+function verifyPassword(password, stored) {
+  return new Promise(resolve => {
+    const [algo, saltHex, hashHex] = String(stored || '').split('$');
+    if (algo !== 'scrypt' || !saltHex || !hashHex) return resolve(false);
+    const expected = Buffer.from(hashHex, 'hex');
+    crypto.scrypt(String(password), Buffer.from(saltHex, 'hex'), expected.length, (err, key) => {
+      resolve(!err && crypto.timingSafeEqual(key, expected));
+    });
+  });
+}
+
+/** Token opaco para el cliente + su hash (lo único que se persiste). */
+function newToken() {
+  const token = crypto.randomBytes(32).toString('base64url');
+  return { token, hash: hashToken(token) };
+}
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/** true si `role` alcanza al menos `min` en la jerarquía viewer < operator < admin. */
+function roleAtLeast(role, min) {
+  const i = ROLES.indexOf(role);
+  return i >= 0 && i >= ROLES.indexOf(min);
+}
+
+function parseCookies(header) {
+  const out = {};
+  String(header || '').split(';').forEach(part => {
+    const i = part.indexOf('=');
+    if (i < 0) return;
+    const k = part.slice(0, i).trim();
+    if (!k) return;
+    try { out[k] = decodeURIComponent(part.slice(i + 1).trim()); } catch { out[k] = part.slice(i + 1).trim(); }
+  });
+  return out;
+}
+
+module.exports = { ROLES, hashPassword, verifyPassword, newToken, hashToken, roleAtLeast, parseCookies };
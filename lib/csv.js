@@ -0,0 +1,80 @@
+// lib/csv.js
+// --------------------------------------------------------------------------------------
+// CSV mínimo (RFC 4180): comillas dobles, "" como comilla escapada, saltos de línea
+// dentro de comillas y CRLF. El separador (, ; o tabulador) se deduce de la cabecera,
+// porque las hojas de cálculo en castellano suelen exportar con punto y coma.
+// --------------------------------------------------------------------------------------
+
+/** Separador más frecuente en la primera línea fuera de comillas. */
+function detectDelimiter(text) {
+  const counts = { ',': 0, ';': 0, '\t': 0 };
+  let quoted = false;
+  for (const ch of text) {
+    if (ch === '"') quoted = !quoted;
+    else if (!quoted && (ch === '\n' || ch === '\r')) break;
+    else if (!quoted && ch in counts) counts[ch]++;
+  }
+  return Object.keys(counts).reduce((a, b) => (counts[b] > counts[a] ? b : a), ',');
+}
+
+/**
+ * Filas del CSV como arrays de celdas, con el número de línea donde empieza cada una.
+ * Devuelve { delimiter, rows: [{ line, cells }] } sin las filas vacías.
+ */
+function parse(text, delimiter = detectDelimiter(String(text || ''))) {
+  const src = String(text || '').replace(/^\uFEFF/, ''); // BOM de Excel
+  const rows = [];
+  let cells = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let start = 1;
+  const endRow = () => {
+    cells.push(cell);
+    if (cells.some(c => c.trim() !== '')) rows.push({ line: start, cells });
+    cells = [];
+    cell = '';
+  };
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else {
+        if (ch === '\n') line++;
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      cells.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      endRow();
+      line++;
+      start = line;
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== '' || cells.length) endRow();
+  return { delimiter, rows };
+}
+
+/**
+ * CSV con cabecera -> objetos { line, record } con las claves de la cabecera en
+ * minúsculas y sin espacios alrededor.
+ */
+function parseRecords(text) {
+  const { delimiter, rows } = parse(text);
+  if (!rows.length) return { delimiter, columns: [], records: [] };
+  const columns = rows[0].cells.map(c => c.trim().toLowerCase());
+  const records = rows.slice(1).map(({ line, cells }) => ({
+    line,
+    record: Object.fromEntries(columns.map((col, i) => [col, (cells[i] ?? '').trim()]))
+  }));
+  return { delimiter, columns, records };
+}
+
+module.exports = { detectDelimiter, parse, parseRecords };
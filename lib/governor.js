@@ -0,0 +1,162 @@
+// lib/governor.js
+// --------------------------------------------------------------------------------------
+// Regulador central de envíos (anti-ban). Todos los envíos de una cuenta piden turno aquí:
+//   - de uno en uno por sesión, por prioridad (manual > reply > schedule > campaign) y
+//     en orden de llegada dentro de la misma prioridad;
+//   - con una pausa mínima entre envíos más un jitter aleatorio;
+//   - con cupos por minuto, hora y día (ventanas deslizantes; 0 = sin límite).
+// Si falta cupo por menos de maxWaitMs el turno espera; si no, se rechaza con retryAt
+// y quien llama decide (la cola lo aplaza, el envío manual responde 429).
+// Una unidad de cupo = un destino (mensaje y sus archivos).
+// --------------------------------------------------------------------------------------
+
+const PRIORITIES = { manual: 0, reply: 1, schedule: 2, campaign: 3 };
+const WINDOWS = [
+  { key: 'minute', ms: 60 * 1000, label: 'minuto' },
+  { key: 'hour', ms: 60 * 60 * 1000, label: 'hora' },
+  { key: 'day', ms: 24 * 60 * 60 * 1000, label: 'día' }
+];
+const DAY_MS = WINDOWS[2].ms;
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+/**
+ * limits = { minute, hour, day }; load(sessionId) -> [timestamps ms] y
+ * save(sessionId, stamps) persisten los envíos de las últimas 24 h.
+ */
+function createGovernor({ limits = {}, minGapMs = 1500, jitterMs = 1500, maxWaitMs = 60000, load, save } = {}) {
+  const sessions = new Map();
+  let seq = 0;
+
+  function state(sessionId) {
+    if (!sessions.has(sessionId)) {
+      const stamps = (load ? load(sessionId) : []) || [];
+      sessions.set(sessionId, { stamps: stamps.filter(t => t > Date.now() - DAY_MS), last: 0, busy: false, waiters: [] });
+    }
+    return sessions.get(sessionId);
+  }
+
+  /** Ms hasta que haya cupo en todas las ventanas (0 = ya) y la ventana que limita. */
+  function budgetWait(s, now = Date.now()) {
+    let wait = 0;
+    let window = null;
+    for (const w of WINDOWS) {
+      const limit = Number(limits[w.key]) || 0;
+      if (!limit) continue;
+      const inWindow = s.stamps.filter(t => t > now - w.ms);
+      if (inWindow.length < limit) continue;
+      // hay cupo cuando caduca el envío que deja exactamente limit - 1 dentro
+      const until = inWindow[inWindow.length - limit] + w.ms - now;
+      if (until > wait) { wait = until; window = w; }
+    }
+    return { wait, window };
+  }
+
+  // Da el turno al primero de la cola si la sesión está libre
+  function pump(s) {
+    if (s.busy || !s.waiters.length) return;
+    s.busy = true;
+    s.waiters.shift().resolve();
+  }
+  // Libera el turno sin haber enviado (espera de cupo o rechazo): no mueve la pausa mínima
+  function yieldTurn(s) {
+    s.busy = false;
+    pump(s);
+  }
+  // Libera el turno tras un envío: la pausa mínima cuenta desde ahora
+  function release(s) {
+    s.last = Date.now();
+    yieldTurn(s);
+  }
+
+  /**
+   * Pide turno para enviar. Resuelve { ok: true, release } (llamar a release() al terminar
+   * el envío) o { ok: false, retryAt, reason } si el cupo no vuelve antes de maxWaitMs.
+   */
+  async function acquire(sessionId, kind = 'manual') {
+    const s = state(sessionId);
+    for (;;) {
+      await new Promise(resolve => {
+        s.waiters.push({ priority: PRIORITIES[kind] ?? PRIORITIES.campaign, seq: seq++, resolve });
+        s.waiters.sort((a, b) => a.priority - b.priority || a.seq - b.seq);
+        pump(s);
+      });
+      const { wait, window } = budgetWait(s);
+      if (wait > maxWaitMs) {
+        yieldTurn(s);
+        const retryAt = new Date(Date.now() + wait).toISOString();
+        return { ok: false, retryAt, reason: `Límite por ${window.label} alcanzado (${limits[window.key]}).` };
+      }
+      if (wait > 0) {
+        // espera el cupo sin bloquear la sesión y vuelve a la cola
+        yieldTurn(s);
+        await sleep(wait);
+        continue;
+      }
+      const gap = s.last + minGapMs + Math.floor(Math.random() * (jitterMs + 1)) - Date.now();
+      if (gap > 0) await sleep(gap);
+      s.stamps = s.stamps.filter(t => t > Date.now() - DAY_MS);
+      s.stamps.push(Date.now());
+      if (save) save(sessionId, s.stamps);
+      let released = false;
+      return {
+        ok: true,
+        release: () => {
+          if (released) return;
+          released = true;
+          release(s);
+        }
+      };
+    }
+  }
+
+  /** Cupo actual de una sesión: usados, restantes y cuándo se libera el siguiente por ventana. */
+  function budget(sessionId) {
+    const s = state(sessionId);
+    const now = Date.now();
+    const out = { sessionId, busy: s.busy, waiting: s.waiters.length, windows: {} };
+    for (const w of WINDOWS) {
+      const limit = Number(limits[w.key]) || 0;
+      const inWindow = s.stamps.filter(t => t > now - w.ms);
+      out.windows[w.key] = {
+        limit: limit || null,
+        used: inWindow.length,
+        remaining: limit ? Math.max(0, limit - inWindow.length) : null,
+        nextFreeAt: limit && inWindow.length >= limit
+          ? new Date(inWindow[inWindow.length - limit] + w.ms).toISOString()
+          : null
+      };
+    }
+    const { wait, window } = budgetWait(s, now);
+    out.blocked = wait > maxWaitMs ? { window: window.key, retryAt: new Date(now + wait).toISOString() } : null;
+    return out;
+  }
+
+  /**
+   * Estima cuándo pediría turno cada uno de `count` envíos seguidos de un lote que empieza en
+   * `from`, con los cupos actuales (sin jitter ni otros envíos que se crucen). durationMs es
+   * lo que tarda cada envío y gapMs la pausa propia del lote tras cada uno. Devuelve ms.
+   */
+  function forecast(sessionId, count, { from = Date.now(), durationMs = 0, gapMs = 0 } = {}) {
+    const s = state(sessionId);
+    const sim = { stamps: s.stamps.filter(t => t > from - DAY_MS) };
+    const out = [];
+    let t = Math.max(from, s.last + minGapMs);
+    for (let i = 0; i < count; i++) {
+      t += budgetWait(sim, t).wait;
+      sim.stamps.push(t);
+      out.push(t);
+      t += durationMs + Math.max(minGapMs, gapMs);
+    }
+    return out;
+  }
+
+  return {
+    acquire,
+    budget,
+    forecast,
+    config: () => ({ limits: { ...limits }, minGapMs, jitterMs, maxWaitMs, priorities: { ...PRIORITIES } })
+  };
+}
+
+module.exports = { createGovernor, PRIORITIES };
@@ -0,0 +1,71 @@
+// lib/image-size.js
+// --------------------------------------------------------------------------------------
+// Dimensiones de imagen leyendo solo la cabecera (PNG, GIF, JPEG, WebP, BMP), sin
+// dependencias nativas. Devuelve { width, height } o null si no se reconoce.
+// --------------------------------------------------------------------------------------
+
+const fs = require('fs');
+
+const HEADER_BYTES = 256 * 1024; // los SOF de JPEG suelen estar en los primeros KB
+
+function fromBuffer(b) {
+  if (!b || b.length < 24) return null;
+
+  // PNG: firma + IHDR
+  if (b.readUInt32BE(0) === 0x89504e47) {
+    return { width: b.readUInt32BE(16), height: b.readUInt32BE(20) };
+  }
+  // GIF87a / GIF89a
+  if (b.toString('ascii', 0, 3) === 'GIF') {
+    return { width: b.readUInt16LE(6), height: b.readUInt16LE(8) };
+  }
+  // BMP
+  if (b.toString('ascii', 0, 2) === 'BM' && b.length >= 26) {
+    return { width: b.readInt32LE(18), height: Math.abs(b.readInt32LE(22)) };
+  }
+  // WebP: RIFF....WEBP + VP8 / VP8L / VP8X
+  if (b.toString('ascii', 0, 4) === 'RIFF' && b.toString('ascii', 8, 12) === 'WEBP' && b.length >= 30) {
+    const chunk = b.toString('ascii', 12, 16);
+    if (chunk === 'VP8 ') return { width: b.readUInt16LE(26) & 0x3fff, height: b.readUInt16LE(28) & 0x3fff };
+    if (chunk === 'VP8L') {
+      const bits = b.readUInt32LE(21);
+      return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    if (chunk === 'VP8X') return { width: b.readUIntLE(24, 3) + 1, height: b.readUIntLE(27, 3) + 1 };
+    return null;
+  }
+  // JPEG: recorre los segmentos hasta un SOFn
+  if (b[0] === 0xff && b[1] === 0xd8) {
+    let i = 2;
+    while (i + 9 < b.length) {
+      if (b[i] !== 0xff) { i++; continue; }
+      const marker = b[i + 1];
+      if (marker === 0xd8 || (marker >= 0xd0 && marker <= 0xd7) || marker === 0x01 || marker === 0xff) {
+        i += marker === 0xff ? 1 : 2;
+        continue;
+      }
+      const len = b.readUInt16BE(i + 2);
+      const isSOF = marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+      if (isSOF) return { width: b.readUInt16BE(i + 7), height: b.readUInt16BE(i + 5) };
+      i += 2 + len;
+    }
+  }
+  return null;
+}
+
+/** Lee la cabecera del archivo y devuelve sus dimensiones (o null). */
+function imageSize(file) {
+  let fd;
+  try {
+    fd = fs.openSync(file, 'r');
+    const buf = Buffer.alloc(HEADER_BYTES);
+    const n = fs.readSync(fd, buf, 0, HEADER_BYTES, 0);
+    return fromBuffer(buf.subarray(0, n));
+  } catch {
+    return null;
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
+  }
+}
+
+module.exports = { imageSize, fromBuffer };
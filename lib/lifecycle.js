@@ -0,0 +1,125 @@
+// lib/lifecycle.js
+// --------------------------------------------------------------------------------------
+// Ciclo de vida de campañas CRON (funciones puras): ventana startAt/endAt, límite maxRuns
+// y bloqueos (horas de silencio, días de la semana y festivos) evaluados en la zona
+// horaria de la campaña. El motor y la persistencia viven en server.js.
+// --------------------------------------------------------------------------------------
+
+const dayjs = require('dayjs');
+dayjs.extend(require('dayjs/plugin/utc'));
+dayjs.extend(require('dayjs/plugin/timezone'));
+const { HHMM_RE } = require('./time-of-day');
+const { cronsOf, nextRuns } = require('./recurrence');
+
+const DATE_RE = /^(\d{4}-)?(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/; // YYYY-MM-DD o MM-DD (cada año)
+const OFFSET_RE = /(Z|[+-]\d{2}:?\d{2})$/i;
+const MAX_SCAN = 5000; // disparos del cron que se revisan como mucho en upcomingRuns
+
+/** Fecha ISO; sin zona explícita ("2026-12-01T09:00") se interpreta en tz. null si no es válida. */
+function parseDateInTz(value, tz) {
+  const s = String(value || '').trim();
+  if (!s) return null;
+  const d = OFFSET_RE.test(s) ? dayjs(s) : dayjs.tz(s, tz || 'UTC');
+  return d.isValid() ? d.toISOString() : null;
+}
+
+/**
+ * Valida y normaliza { startAt, endAt, maxRuns, blackout } de una campaña.
+ * blackout = { quietHours: [{ from, to }], days: [0-6], dates: ['YYYY-MM-DD' | 'MM-DD'] }.
+ * Devuelve { value } o { error }.
+ */
+function parseLifecycle(payload, tz) {
+  const value = { startAt: null, endAt: null, maxRuns: null, blackout: null };
+  for (const key of ['startAt', 'endAt']) {
+    if (payload[key] == null || payload[key] === '') continue;
+    value[key] = parseDateInTz(payload[key], tz);
+    if (!value[key]) return { error: `${key} no es una fecha válida.` };
+  }
+  if (value.startAt && value.endAt && value.endAt <= value.startAt) {
+    return { error: 'endAt debe ser posterior a startAt.' };
+  }
+  if (payload.maxRuns != null && payload.maxRuns !== '') {
+    const n = Number(payload.maxRuns);
+    if (!Number.isInteger(n) || n < 1) return { error: 'maxRuns debe ser un entero mayor que 0.' };
+    value.maxRuns = n;
+  }
+
+  const b = payload.blackout;
+  if (b) {
+    const quietHours = Array.isArray(b.quietHours) ? b.quietHours : (b.quietHours ? [b.quietHours] : []);
+    for (const q of quietHours) {
+      if (!HHMM_RE.test(q?.from || '') || !HHMM_RE.test(q?.to || '')) {
+        return { error: 'Horas de silencio: use HH:mm en from y to.' };
+      }
+    }
+    const days = [...new Set((b.days || []).map(Number))];
+    if (days.some(d => !Number.isInteger(d) || d < 0 || d > 6)) return { error: 'blackout.days admite 0 (domingo) a 6.' };
+    if (days.length === 7) return { error: 'blackout.days no puede excluir todos los días.' };
+    const dates = [...new Set((b.dates || []).map(x => String(x).trim()).filter(Boolean))];
+    const badDates = dates.filter(x => !DATE_RE.test(x));
+    if (badDates.length) return { error: `Fechas inválidas (YYYY-MM-DD o MM-DD): ${badDates.join(', ')}` };
+    if (quietHours.length || days.length || dates.length) {
+      value.blackout = { quietHours: quietHours.map(q => ({ from: q.from, to: q.to })), days, dates };
+    }
+  }
+  return { value };
+}
+
+/** Motivo por el que `date` cae en un bloqueo, o null. El fin de las horas de silencio no bloquea. */
+function blackoutReason(blackout, date, tz) {
+  if (!blackout) return null;
+  const t = dayjs(date).tz(tz || 'UTC');
+  const ymd = t.format('YYYY-MM-DD');
+  if ((blackout.dates || []).some(d => d === ymd || d === ymd.slice(5))) return `festivo ${ymd}`;
+  if ((blackout.days || []).includes(t.day())) return `día excluido (${t.format('dddd')})`;
+  const cur = t.format('HH:mm');
+  for (const { from, to } of blackout.quietHours || []) {
+    const quiet = from <= to ? cur >= from && cur < to : cur >= from || cur < to;
+    if (quiet) return `horas de silencio ${from}-${to}`;
+  }
+  return null;
+}
+
+/**
+ * ¿Qué hacer con el disparo de `date`? { action: 'run' | 'skip' | 'complete', reason }.
+ * complete = la campaña llegó a su fin (endAt o maxRuns) y debe deshabilitarse.
+ */
+function gate(c, date = new Date(), runCount = Number(c.runCount) || 0) {
+  const iso = new Date(date).toISOString();
+  if (c.endAt && iso > c.endAt) return { action: 'complete', reason: 'endAt' };
+  if (c.maxRuns && runCount >= c.maxRuns) return { action: 'complete', reason: 'maxRuns' };
+  if (c.startAt && iso < c.startAt) return { action: 'skip', reason: 'antes de startAt' };
+  const reason = blackoutReason(c.blackout, date, c.tz);
+  if (reason) return { action: 'skip', reason };
+  return { action: 'run', reason: null };
+}
+
+/**
+ * Próximos disparos que de verdad ejecutarían: aplica startAt, endAt, maxRuns (y el
+ * límite extra `remaining`, p. ej. variantes sequential) y los bloqueos.
+ * Devuelve { items: [Date], skipped, ends, truncated } con ends = motivo de fin o null y
+ * truncated = se revisaron MAX_SCAN disparos sin llegar a `count` (p. ej. startAt lejano).
+ */
+function upcomingRuns(c, count, { remaining = Infinity } = {}) {
+  const crons = cronsOf(c);
+  let scan = Math.max(count * 4, 50);
+  for (;;) {
+    const items = [];
+    let skipped = 0;
+    let ends = null;
+    for (const at of nextRuns(crons, c.tz, scan)) {
+      if (items.length >= remaining) { ends = 'variants'; break; }
+      const g = gate(c, at, (Number(c.runCount) || 0) + items.length);
+      if (g.action === 'complete') { ends = g.reason; break; }
+      if (g.action === 'skip') { skipped++; continue; }
+      items.push(at);
+      if (items.length >= count) break;
+    }
+    if (items.length >= count || ends || scan >= MAX_SCAN) {
+      return { items, skipped, ends, truncated: items.length < count && !ends };
+    }
+    scan = Math.min(scan * 4, MAX_SCAN);
+  }
+}
+
+module.exports = { parseDateInTz, parseLifecycle, blackoutReason, gate, upcomingRuns };
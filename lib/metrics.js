@@ -0,0 +1,99 @@
+// lib/metrics.js
+// --------------------------------------------------------------------------------------
+// Registro mínimo de métricas en formato de texto de Prometheus (0.0.4): contadores,
+// gauges (con valor fijo o calculado al hacer scrape) e histogramas, todos con etiquetas.
+// --------------------------------------------------------------------------------------
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+const DEFAULT_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+const escapeLabel = v => String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+const escapeHelp = v => String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+
+function labelText(labels) {
+  const parts = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+const seriesKey = labels => JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+const num = v => (Number.isFinite(v) ? String(v) : v > 0 ? '+Inf' : v < 0 ? '-Inf' : 'NaN');
+
+function createRegistry({ prefix = '' } = {}) {
+  const metrics = [];
+
+  function define(type, name, help, extra = {}) {
+    const m = { type, name: prefix + name, help, series: new Map(), ...extra };
+    metrics.push(m);
+    return m;
+  }
+
+  /** Contador: solo sube. inc(labels?, n?) */
+  function counter(name, help) {
+    const m = define('counter', name, help);
+    return {
+      inc(labels = {}, n = 1) {
+        const k = seriesKey(labels);
+        const s = m.series.get(k) || { labels, value: 0 };
+        s.value += n;
+        m.series.set(k, s);
+      }
+    };
+  }
+
+  /** Gauge: set(labels, v) o collect() -> [{ labels, value }] que se evalúa en cada scrape. */
+  function gauge(name, help, collect = null) {
+    const m = define('gauge', name, help, { collect });
+    return {
+      set(labels = {}, value = 0) {
+        m.series.set(seriesKey(labels), { labels, value });
+      }
+    };
+  }
+
+  /** Histograma con buckets acumulados (segundos por defecto). observe(labels, v) */
+  function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+    const m = define('histogram', name, help, { buckets: [...buckets].sort((a, b) => a - b) });
+    return {
+      observe(labels = {}, value) {
+        const k = seriesKey(labels);
+        const s = m.series.get(k) || { labels, counts: m.buckets.map(() => 0), sum: 0, count: 0 };
+        m.buckets.forEach((b, i) => { if (value <= b) s.counts[i]++; });
+        s.sum += value;
+        s.count++;
+        m.series.set(k, s);
+      }
+    };
+  }
+
+  /** Texto para GET /metrics. Los collect() que fallan no tumban el resto. */
+  async function render() {
+    const out = [];
+    for (const m of metrics) {
+      let series = [...m.series.values()];
+      if (m.collect) {
+        try {
+          series = await m.collect();
+        } catch (e) {
+          out.push(`# ${m.name}: ${escapeHelp(e?.message || e)}`);
+          continue;
+        }
+      }
+      out.push(`# HELP ${m.name} ${escapeHelp(m.help)}`);
+      out.push(`# TYPE ${m.name} ${m.type}`);
+      for (const s of series) {
+        if (m.type !== 'histogram') {
+          out.push(`${m.name}${labelText(s.labels)} ${num(s.value)}`);
+          continue;
+        }
+        m.buckets.forEach((b, i) => out.push(`${m.name}_bucket${labelText({ ...s.labels, le: b })} ${s.counts[i]}`));
+        out.push(`${m.name}_bucket${labelText({ ...s.labels, le: '+Inf' })} ${s.count}`);
+        out.push(`${m.name}_sum${labelText(s.labels)} ${num(s.sum)}`);
+        out.push(`${m.name}_count${labelText(s.labels)} ${s.count}`);
+      }
+    }
+    return `${out.join('\n')}\n`;
+  }
+
+  return { counter, gauge, histogram, render, contentType: CONTENT_TYPE };
+}
+
+module.exports = { createRegistry, CONTENT_TYPE };
@@ -0,0 +1,152 @@
+// lib/recurrence.js
+// --------------------------------------------------------------------------------------
+// Recurrencias sin sintaxis CRON (funciones puras). Modelo guardado tal cual:
+//   { type: 'daily',   times: ['09:00', '14:30'] }
+//   { type: 'weekly',  days: [1, 3, 5], times: ['09:00'] }          (0 = domingo)
+//   { type: 'monthly', day: 15, times: ['10:00'] }
+//   { type: 'hourly',  every: 2, from: '08:00', to: '20:00', days?: [1, 2, 3, 4, 5] }
+// Se convierte a una o varias expresiones CRON (una por minuto distinto) para el motor y
+// se describe en castellano para el panel.
+// --------------------------------------------------------------------------------------
+
+const cron = require('node-cron');
+const { HHMM_RE, toMinutes } = require('./time-of-day');
+
+const TYPES = ['daily', 'weekly', 'monthly', 'hourly'];
+const DAY_NAMES = ['domingo', 'lunes', 'martes', 'miércoles', 'jueves', 'viernes', 'sábado'];
+const MAX_TIMES = 24;
+
+/** Valida y normaliza; devuelve { value } o { error }. */
+function parseRecurrence(r) {
+  if (!r || typeof r !== 'object') return { error: 'recurrence debe ser un objeto.' };
+  const type = r.type;
+  if (!TYPES.includes(type)) return { error: `recurrence.type debe ser ${TYPES.join(' | ')}.` };
+
+  const days = [...new Set((Array.isArray(r.days) ? r.days : []).map(Number))].sort((a, b) => a - b);
+  if (days.some(d => !Number.isInteger(d) || d < 0 || d > 6)) return { error: 'recurrence.days admite 0 (domingo) a 6.' };
+
+  if (type === 'hourly') {
+    const every = Number(r.every);
+    if (!Number.isInteger(every) || every < 1 || every > 12) return { error: 'recurrence.every debe ser de 1 a 12 horas.' };
+    const from = String(r.from || '');
+    const to = String(r.to || '');
+    if (!HHMM_RE.test(from) || !HHMM_RE.test(to)) return { error: 'recurrence.from y recurrence.to deben ser HH:mm.' };
+    if (toMinutes(to) < toMinutes(from)) return { error: 'recurrence.to debe ser posterior a recurrence.from.' };
+    return { value: { type, every, from, to, days } };
+  }
+
+  const times = [...new Set((Array.isArray(r.times) ? r.times : String(r.times || '').split(','))
+    .map(t => String(t).trim())
+    .filter(Boolean))].sort();
+  if (!times.length) return { error: 'recurrence.times necesita al menos una hora (HH:mm).' };
+  if (times.length > MAX_TIMES) return { error: `Como mucho ${MAX_TIMES} horas por día.` };
+  const bad = times.filter(t => !HHMM_RE.test(t));
+  if (bad.length) return { error: `Horas inválidas (HH:mm): ${bad.join(', ')}` };
+
+  if (type === 'daily') return { value: { type, times } };
+  if (type === 'weekly') {
+    if (!days.length) return { error: 'recurrence.days necesita al menos un día.' };
+    return { value: { type, days, times } };
+  }
+  const day = Number(r.day);
+  if (!Number.isInteger(day) || day < 1 || day > 31) return { error: 'recurrence.day debe ser de 1 a 31.' };
+  return { value: { type, day, times } };
+}
+
+/** Expresiones CRON equivalentes (agrupa las horas que comparten minuto). */
+function toCrons(r) {
+  const dow = r.days?.length ? r.days.join(',') : '*';
+  let times = r.times || [];
+  if (r.type === 'hourly') {
+    times = [];
+    for (let m = toMinutes(r.from); m <= toMinutes(r.to); m += r.every * 60) {
+      times.push(`${String(Math.floor(m / 60)).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`);
+    }
+  }
+  const byMinute = new Map();
+  for (const t of times) {
+    const min = Number(t.slice(3));
+    if (!byMinute.has(min)) byMinute.set(min, []);
+    byMinute.get(min).push(Number(t.slice(0, 2)));
+  }
+  const dom = r.type === 'monthly' ? String(r.day) : '*';
+  const weekdays = r.type === 'daily' || r.type === 'monthly' ? '*' : dow;
+  return [...byMinute].map(([min, hours]) => `${min} ${hours.join(',')} ${dom} * ${weekdays}`);
+}
+
+/** Expresiones del motor de una campaña: su recurrencia o su CRON escrito a mano. */
+function cronsOf(c) {
+  return c.recurrence ? toCrons(c.recurrence) : [c.cron];
+}
+
+/** "a, b y c" */
+function joinEs(list) {
+  if (list.length < 2) return list.join('');
+  return `${list.slice(0, -1).join(', ')} y ${list[list.length - 1]}`;
+}
+function atTimes(times) {
+  // "a la 01:00" pero "a las 09:00"
+  return joinEs(times.map((t, i) => `${i === 0 ? (t.startsWith('01:') ? 'a la ' : 'a las ') : ''}${t}`));
+}
+function daysText(days) {
+  const key = days.join(',');
+  if (key === '1,2,3,4,5') return 'de lunes a viernes';
+  if (key === '0,6') return 'los fines de semana';
+  if (days.length === 7) return 'todos los días';
+  // domingo al final, como se lee en castellano
+  const ordered = [...days.filter(d => d !== 0), ...days.filter(d => d === 0)];
+  return `los ${joinEs(ordered.map(d => DAY_NAMES[d]))}`;
+}
+
+/** Descripción legible: "De lunes a viernes a las 09:00 y 14:30". */
+function describe(r) {
+  let text;
+  switch (r.type) {
+    case 'daily':
+      text = `Todos los días ${atTimes(r.times)}`;
+      break;
+    case 'weekly':
+      text = `${daysText(r.days)} ${atTimes(r.times)}`;
+      break;
+    case 'monthly':
+      text = `El día ${r.day} de cada mes ${atTimes(r.times)}${r.day > 28 ? ' (los meses que lo tengan)' : ''}`;
+      break;
+    case 'hourly':
+      text = `${r.every === 1 ? 'Cada hora' : `Cada ${r.every} horas`} de ${r.from} a ${r.to}` +
+        (r.days?.length && r.days.length < 7 ? `, ${daysText(r.days)}` : '');
+      break;
+    default:
+      return '';
+  }
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Próximas ocurrencias de una o varias expresiones CRON en tz, ordenadas y sin repetir.
+ * after: empieza a contar después de esa fecha (p. ej. el inicio elegido); por defecto, ahora.
+ */
+function nextRuns(crons, tz, count, after = null) {
+  const from = new Date(Math.max(Date.now(), after ? new Date(after).getTime() : 0));
+  const seen = new Map();
+  for (const expr of crons) {
+    const task = cron.createTask(expr, () => {}, { timezone: tz || 'UTC' });
+    try {
+      // getNextRuns() siempre parte de ahora; el matcher permite seguir desde `from`
+      let at = from;
+      for (let i = 0; i < count; i++) {
+        at = task.timeMatcher.getNextMatch(at);
+        seen.set(at.getTime(), at);
+      }
+    } finally {
+      task.destroy();
+    }
+  }
+  return [...seen.values()].sort((a, b) => a - b).slice(0, count);
+}
+
+/** Primera ocurrencia posterior a `after` (o a ahora). */
+function nextOccurrence(r, tz, after = null) {
+  return nextRuns(toCrons(r), tz, 1, after)[0] || null;
+}
+
+module.exports = { TYPES, parseRecurrence, toCrons, cronsOf, describe, nextRuns, nextOccurrence };
@@ -0,0 +1,88 @@
+// lib/rules.js
+// --------------------------------------------------------------------------------------
+// Motor de reglas de respuesta automática (funciones puras): coincidencia por palabra
+// clave (exact | contains | regex), ámbito por chat/tipo/sesión y horario activo en una
+// zona horaria. El envío, el cooldown y el log viven en server.js.
+// --------------------------------------------------------------------------------------
+
+const dayjs = require('dayjs');
+dayjs.extend(require('dayjs/plugin/utc'));
+dayjs.extend(require('dayjs/plugin/timezone'));
+const { foldText } = require('./text');
+
+const MATCH_TYPES = ['exact', 'contains', 'regex'];
+
+/** Quita signos al principio y al final ("¿precio?" -> "precio") para exact. */
+function stripPunct(s) {
+  return s.replace(/^[\s¿¡!?.,;:]+|[\s¿¡!?.,;:]+$/g, '');
+}
+
+/** Palabra clave que coincide con el texto, o null. */
+function matchKeyword(rule, text) {
+  const cs = Boolean(rule.caseSensitive);
+  const body = foldText(text, cs);
+  if (!body) return null;
+  for (const kw of rule.keywords || []) {
+    if (rule.match === 'regex') {
+      try {
+        if (new RegExp(kw, cs ? '' : 'i').test(String(text || ''))) return kw;
+      } catch {}
+      continue;
+    }
+    const k = foldText(kw, cs);
+    if (!k) continue;
+    if (rule.match === 'exact' && stripPunct(body) === stripPunct(k)) return kw;
+    if (rule.match === 'contains') {
+      // por palabra completa: "precio" coincide en "¿cuál es el precio?" pero no en "preciosa"
+      const re = new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegex(k)}($|[^\\p{L}\\p{N}])`, 'u');
+      if (re.test(body)) return kw;
+    }
+  }
+  return null;
+}
+
+function escapeRegex(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * ¿Está activo el horario? hours = { tz, from: 'HH:mm', to: 'HH:mm', days: [0-6] } (0 = domingo).
+ * Sin hours, siempre. Un rango con from > to cruza la medianoche.
+ */
+function inActiveHours(hours, now = new Date()) {
+  if (!hours) return true;
+  const t = dayjs(now).tz(hours.tz || 'UTC');
+  const days = Array.isArray(hours.days) && hours.days.length ? hours.days : [0, 1, 2, 3, 4, 5, 6];
+  const cur = t.format('HH:mm');
+  const from = hours.from || '00:00';
+  const to = hours.to || '23:59';
+  if (from <= to) return days.includes(t.day()) && cur >= from && cur <= to;
+  // nocturno: la parte posterior a medianoche pertenece al día anterior
+  if (cur >= from) return days.includes(t.day());
+  return cur <= to && days.includes((t.day() + 6) % 7);
+}
+
+/** ¿La regla aplica a este chat? scope = { type: all|groups|contacts, chats: [ids] }. */
+function inScope(rule, { chatId, isGroup, sessionId }) {
+  if (rule.sessionId && rule.sessionId !== sessionId) return false;
+  const scope = rule.scope || {};
+  if (scope.type === 'groups' && !isGroup) return false;
+  if (scope.type === 'contacts' && isGroup) return false;
+  if (Array.isArray(scope.chats) && scope.chats.length && !scope.chats.includes(chatId)) return false;
+  return true;
+}
+
+/** Primera regla activa (por prioridad) que coincide: { rule, keyword } o null. */
+function findMatch(rules, msg, now = new Date()) {
+  const sorted = rules
+    .filter(r => r.enabled)
+    .sort((a, b) => (Number(a.priority) || 0) - (Number(b.priority) || 0));
+  for (const rule of sorted) {
+    if (!inScope(rule, msg) || !inActiveHours(rule.hours, now)) continue;
+    const keyword = matchKeyword(rule, msg.text);
+    if (keyword != null) return { rule, keyword };
+  }
+  return null;
+}
+
+module.exports = { MATCH_TYPES, matchKeyword, inActiveHours, inScope, findMatch };
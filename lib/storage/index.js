@@ -0,0 +1,35 @@
+// lib/storage/index.js
+// --------------------------------------------------------------------------------------
+// Capa de almacenamiento: colecciones de documentos con id (programaciones, campañas,
+// historial, cola...) sobre un backend seleccionable con STORAGE_BACKEND:
+//   sqlite (por defecto) → archivo SQLite con transacciones y migraciones
+//   json                 → un <coleccion>.json por colección, como antes
+//
+// API de cada colección: all() get(id) find(campo, valor) count() put(doc)
+// update(id, patch|fn) remove(id) removeWhere(pred) replaceAll(docs). find filtra por un
+// campo (ruta con puntos, p. ej. origin.runId) sin cargar la colección entera en SQLite.
+// Los documentos devueltos son copias. store.drop(name)
+// borra una colección entera.
+// --------------------------------------------------------------------------------------
+
+const path = require('path');
+const { createJsonStorage } = require('./json');
+const { createSqliteStorage } = require('./sqlite');
+
+// Colecciones que existían como archivos JSON antes de la capa de almacenamiento
+const LEGACY_JSON = ['schedules', 'campaigns', 'runs', 'queue'];
+
+function createStorage({ backend = 'sqlite', dataDir, sqliteFile } = {}) {
+  if (backend === 'json') return createJsonStorage({ dataDir });
+  if (backend === 'sqlite') {
+    const store = createSqliteStorage({
+      file: sqliteFile || path.join(dataDir, 'wa-panel.db'),
+      dataDir
+    });
+    store.importJsonFiles(LEGACY_JSON);
+    return store;
+  }
+  throw new Error(`STORAGE_BACKEND inválido: ${backend} (use sqlite o json)`);
+}
+
+module.exports = { createStorage };
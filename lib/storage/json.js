@@ -0,0 +1,116 @@
+// lib/storage/json.js
+// --------------------------------------------------------------------------------------
+// Backend JSON: un archivo <coleccion>.json por colección (mismo formato que antes).
+// Mantiene las colecciones en memoria y escribe de forma atómica (tmp + rename), así un
+// fallo a mitad de escritura no deja el archivo corrupto.
+// --------------------------------------------------------------------------------------
+
+const fs = require('fs');
+const path = require('path');
+
+function createJsonStorage({ dataDir }) {
+  const cache = new Map(); // nombre -> Map(id -> doc)
+  const dirty = new Set();
+  let depth = 0; // profundidad de transacción
+
+  const fileOf = name => path.join(dataDir, `${name}.json`);
+
+  function read(name) {
+    try {
+      const arr = JSON.parse(fs.readFileSync(fileOf(name), 'utf8'));
+      return new Map((Array.isArray(arr) ? arr : []).filter(d => d && d.id).map(d => [d.id, d]));
+    } catch {
+      return new Map();
+    }
+  }
+  function docs(name) {
+    if (!cache.has(name)) cache.set(name, read(name));
+    return cache.get(name);
+  }
+  function write(name) {
+    const file = fileOf(name);
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(Array.from(docs(name).values()), null, 2));
+    fs.renameSync(tmp, file);
+  }
+  function touch(name) {
+    dirty.add(name);
+    if (depth === 0) flush();
+  }
+  function flush() {
+    for (const name of dirty) write(name);
+    dirty.clear();
+  }
+
+  const clone = d => (d == null ? null : structuredClone(d));
+  const pick = (doc, field) => field.split('.').reduce((v, k) => (v == null ? undefined : v[k]), doc);
+
+  function collection(name) {
+    return {
+      name,
+      all: () => Array.from(docs(name).values(), clone),
+      get: id => clone(docs(name).get(id)),
+      find: (field, value) => Array.from(docs(name).values()).filter(d => pick(d, field) === value).map(clone),
+      count: () => docs(name).size,
+      put(doc) {
+        docs(name).set(doc.id, clone(doc));
+        touch(name);
+        return clone(doc);
+      },
+      update(id, patch) {
+        const cur = docs(name).get(id);
+        if (!cur) return null;
+        const next = typeof patch === 'function' ? patch(clone(cur)) : { ...cur, ...patch };
+        docs(name).set(id, clone(next));
+        touch(name);
+        return clone(next);
+      },
+      remove(id) {
+        const ok = docs(name).delete(id);
+        if (ok) touch(name);
+        return ok;
+      },
+      removeWhere(pred) {
+        let n = 0;
+        for (const [id, d] of docs(name)) {
+          if (pred(d)) { docs(name).delete(id); n++; }
+        }
+        if (n) touch(name);
+        return n;
+      },
+      replaceAll(list) {
+        cache.set(name, new Map(list.map(d => [d.id, clone(d)])));
+        touch(name);
+      }
+    };
+  }
+
+  return {
+    backend: 'json',
+    collection,
+    /** Borra la colección y su archivo. */
+    drop(name) {
+      cache.delete(name);
+      dirty.delete(name);
+      fs.rmSync(fileOf(name), { force: true });
+    },
+    /** Agrupa escrituras: se persisten al final; si fn lanza, se descartan los cambios. */
+    transaction(fn) {
+      depth++;
+      try {
+        const out = fn();
+        depth--;
+        if (depth === 0) flush();
+        return out;
+      } catch (e) {
+        depth--;
+        for (const name of dirty) cache.delete(name); // vuelve a leer del disco
+        if (depth === 0) dirty.clear();
+        throw e;
+      }
+    },
+    close() {}
+  };
+}
+
+module.exports = { createJsonStorage };
@@ -0,0 +1,37 @@
+// lib/storage/migrations.js
+// --------------------------------------------------------------------------------------
+// Migraciones del esquema SQLite. Se aplican en orden, una vez cada una, y quedan
+// registradas en schema_migrations. Nunca edites una migración ya publicada: añade otra.
+// --------------------------------------------------------------------------------------
+
+module.exports = [
+  {
+    version: 1,
+    name: 'documents',
+    up: db => db.exec(`
+      CREATE TABLE documents (
+        collection TEXT    NOT NULL,
+        id         TEXT    NOT NULL,
+        seq        INTEGER NOT NULL,
+        data       TEXT    NOT NULL,
+        updated_at TEXT    NOT NULL,
+        PRIMARY KEY (collection, id)
+      );
+      CREATE INDEX documents_collection_seq ON documents (collection, seq);
+
+      CREATE TABLE meta (
+        key   TEXT PRIMARY KEY,
+        value TEXT
+      );
+    `)
+  },
+  {
+    version: 2,
+    name: 'documents_field_indexes',
+    // Campos por los que se filtra con find() (estado de la cola y run de origen)
+    up: db => db.exec(`
+      CREATE INDEX documents_status ON documents (collection, json_extract(data, '$.status'), seq);
+      CREATE INDEX documents_origin_run ON documents (collection, json_extract(data, '$.origin.runId'), seq);
+    `)
+  }
+];
@@ -0,0 +1,139 @@
+// lib/storage/sqlite.js
+// --------------------------------------------------------------------------------------
+// Backend SQLite (better-sqlite3): documentos JSON en una tabla con transacciones
+// atómicas, migraciones versionadas e importación única de los antiguos <coleccion>.json.
+// --------------------------------------------------------------------------------------
+
+const fs = require('fs');
+const path = require('path');
+const migrations = require('./migrations');
+
+function migrate(db) {
+  db.exec(`CREATE TABLE IF NOT EXISTS schema_migrations (
+    version    INTEGER PRIMARY KEY,
+    name       TEXT NOT NULL,
+    applied_at TEXT NOT NULL
+  )`);
+  const done = new Set(db.prepare('SELECT version FROM schema_migrations').all().map(r => r.version));
+  const record = db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)');
+  for (const m of [...migrations].sort((a, b) => a.version - b.version)) {
+    if (done.has(m.version)) continue;
+    db.transaction(() => {
+      m.up(db);
+      record.run(m.version, m.name, new Date().toISOString());
+    })();
+    console.log(`🗄️  Migración ${m.version} (${m.name}) aplicada`);
+  }
+}
+
+function createSqliteStorage({ file, dataDir }) {
+  // Carga perezosa: solo se exige la dependencia si se elige este backend
+  const Database = require('better-sqlite3');
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  migrate(db);
+
+  const q = {
+    all: db.prepare('SELECT data FROM documents WHERE collection = ? ORDER BY seq'),
+    get: db.prepare('SELECT data FROM documents WHERE collection = ? AND id = ?'),
+    count: db.prepare('SELECT COUNT(*) AS n FROM documents WHERE collection = ?'),
+    nextSeq: db.prepare('SELECT COALESCE(MAX(seq), 0) + 1 AS seq FROM documents WHERE collection = ?'),
+    insert: db.prepare(`INSERT INTO documents (collection, id, seq, data, updated_at)
+                        VALUES (@collection, @id, @seq, @data, @updatedAt)
+                        ON CONFLICT (collection, id)
+                        DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at`),
+    remove: db.prepare('DELETE FROM documents WHERE collection = ? AND id = ?'),
+    clear: db.prepare('DELETE FROM documents WHERE collection = ?'),
+    getMeta: db.prepare('SELECT value FROM meta WHERE key = ?'),
+    setMeta: db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value')
+  };
+
+  const parse = row => (row ? JSON.parse(row.data) : null);
+
+  // La ruta va literal en el SQL para que SQLite use los índices por expresión (migración 2)
+  const findBy = new Map();
+  function findStatement(field) {
+    if (!/^\w+(\.\w+)*$/.test(field)) throw new Error(`Campo inválido: ${field}`);
+    if (!findBy.has(field)) {
+      findBy.set(field, db.prepare(`SELECT data FROM documents WHERE collection = ?
+        AND json_extract(data, '$.${field}') = ? ORDER BY seq`));
+    }
+    return findBy.get(field);
+  }
+
+  function collection(name) {
+    const put = doc => {
+      q.insert.run({
+        collection: name,
+        id: String(doc.id),
+        seq: q.nextSeq.get(name).seq,
+        data: JSON.stringify(doc),
+        updatedAt: new Date().toISOString()
+      });
+      return doc;
+    };
+    return {
+      name,
+      all: () => q.all.all(name).map(parse),
+      get: id => parse(q.get.get(name, String(id))),
+      find: (field, value) => findStatement(field).all(name, value).map(parse),
+      count: () => q.count.get(name).n,
+      put,
+      // Lectura + escritura en la misma transacción: sin actualizaciones perdidas
+      update: db.transaction((id, patch) => {
+        const cur = parse(q.get.get(name, String(id)));
+        if (!cur) return null;
+        const next = typeof patch === 'function' ? patch(cur) : { ...cur, ...patch };
+        return put(next);
+      }),
+      remove: id => q.remove.run(name, String(id)).changes > 0,
+      removeWhere: db.transaction(pred => {
+        let n = 0;
+        for (const d of q.all.all(name).map(parse)) {
+          if (pred(d)) n += q.remove.run(name, String(d.id)).changes;
+        }
+        return n;
+      }),
+      replaceAll: db.transaction(list => {
+        q.clear.run(name);
+        list.forEach(put);
+      })
+    };
+  }
+
+  /** Importa una vez cada <coleccion>.json existente (no borra los archivos originales). */
+  function importJsonFiles(names) {
+    for (const name of names) {
+      const src = path.join(dataDir, `${name}.json`);
+      const key = `import:${name}.json`;
+      if (q.getMeta.get(key) || !fs.existsSync(src)) continue;
+      let arr;
+      try { arr = JSON.parse(fs.readFileSync(src, 'utf8')); }
+      catch (e) {
+        console.error(`⚠️ No se pudo importar ${src}:`, e?.message || e);
+        continue;
+      }
+      const docs = (Array.isArray(arr) ? arr : []).filter(d => d && d.id);
+      const coll = collection(name);
+      db.transaction(() => {
+        docs.forEach(d => { if (!coll.get(d.id)) coll.put(d); });
+        q.setMeta.run(key, new Date().toISOString());
+      })();
+      console.log(`🗄️  Importados ${docs.length} registros de ${name}.json`);
+    }
+  }
+
+  return {
+    backend: 'sqlite',
+    collection,
+    importJsonFiles,
+    /** Borra todos los documentos de la colección. */
+    drop: name => { q.clear.run(name); },
+    /** Ejecuta fn en una transacción SQLite (se anidan como savepoints). */
+    transaction: fn => db.transaction(fn)(),
+    close: () => db.close()
+  };
+}
+
+module.exports = { createSqliteStorage };
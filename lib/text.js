@@ -0,0 +1,14 @@
+// lib/text.js
+// --------------------------------------------------------------------------------------
+// Normalización de texto para comparar sin mayúsculas ni tildes, compartida por las reglas
+// de respuesta, las audiencias y la búsqueda del inbox.
+// --------------------------------------------------------------------------------------
+
+/** Minúsculas y sin tildes (salvo caseSensitive), espacios colapsados. */
+function foldText(text, caseSensitive = false) {
+  let s = String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  if (!caseSensitive) s = s.toLowerCase();
+  return s.replace(/\s+/g, ' ').trim();
+}
+
+module.exports = { foldText };
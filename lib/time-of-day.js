@@ -0,0 +1,12 @@
+// lib/time-of-day.js
+// --------------------------------------------------------------------------------------
+// Horas del día en formato HH:mm (24 h), compartidas por las reglas de respuesta, el ciclo
+// de vida de campañas y las recurrencias.
+// --------------------------------------------------------------------------------------
+
+const HHMM_RE = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/** "HH:mm" -> minutos desde medianoche (sin validar; ver HHMM_RE). */
+const toMinutes = hhmm => Number(hhmm.slice(0, 2)) * 60 + Number(hhmm.slice(3));
+
+module.exports = { HHMM_RE, toMinutes };
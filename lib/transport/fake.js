@@ -0,0 +1,491 @@
+// lib/transport/fake.js
+// --------------------------------------------------------------------------------------
+// Transporte simulado (WA_DRIVER=fake): sin Chrome ni teléfono. Cada cliente pasa por
+// qr -> ready al inicializarse (autoReady; sin QR si la sesión ya estuvo lista, como con
+// LocalAuth, salvo tras logout o un disconnected LOGOUT), devuelve los grupos/contactos configurados y
+// registra cada mensaje enviado en memoria en lugar de mandarlo. Se pueden inyectar
+// latencia y fallos (al azar con failRate o siempre para ciertos destinos) y provocar
+// eventos a mano (qr, ready, disconnected, auth_failure, mensajes entrantes) o averías
+// que solo detecta el watchdog: hang (getState() deja de responder) y crash (Chrome muere).
+// Los grupos se pueden administrar (asunto, descripción, participantes, invitación...)
+// como un GroupChat; los cambios viven en memoria y solo se aceptan si somos admin.
+// Eventos de grupo simulados (data.groupId; participant = número o id, por defecto nosotros):
+//   group_join { groupId?, name? }          nos añaden (sin groupId: un grupo nuevo)
+//   group_leave { groupId, participant? }   nos sacan (o a otro participante)
+//   group_update { groupId, subject?, description?, announce? }
+//   group_admin_changed { groupId, participant?, admin }
+//
+// Configuración (todas opcionales; strings como en el .env o valores ya tipados):
+//   groups       ["Ventas", { id, name, admin, announce }] o "Ventas,Soporte" o JSON
+//                (admin: false = no somos admin; announce: true = solo escriben los admins)
+//   contacts     ["34600111222", { number, name }] o "34600111222,34600333444" o JSON
+//   latencyMs    200 | "100-800" | [100, 800]   (por mensaje)
+//   failRate     0..1
+//   failIds      chat ids que fallan siempre
+//   unregistered números que getNumberId no encuentra
+//   autoReady    false para quedarse en el QR hasta simulate('ready')
+//   readyDelayMs pausa entre el QR y ready
+//   failInit     cuántos initialize() siguientes fallan (se descuenta en cada fallo)
+//   lid          true = nosotros aparecemos como @lid en los grupos (getContactLidAndPhone
+//                lo resuelve); "unresolved" = aparecemos como @lid y no se puede resolver
+// --------------------------------------------------------------------------------------
+
+const { EventEmitter } = require('events');
+const { MessageMedia } = require('whatsapp-web.js');
+
+const SENT_MAX = 1000;
+const DEFAULT_GROUPS = ['Grupo de prueba 1', 'Grupo de prueba 2', 'Grupo de prueba 3'];
+const DEFAULT_MEMBERS = ['5355500001@c.us', '5355500002@c.us']; // además de nosotros
+const EVENTS = [
+  'qr', 'ready', 'disconnected', 'auth_failure', 'message', 'hang', 'crash',
+  'group_join', 'group_leave', 'group_update', 'group_admin_changed'
+];
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+const digitsOf = x => String(x).replace(/\D/g, '');
+
+/** Lista desde array, JSON o texto separado por comas. */
+function listOf(v) {
+  if (v == null || v === '') return [];
+  if (Array.isArray(v)) return v;
+  const s = String(v).trim();
+  if (s.startsWith('[')) {
+    try { return JSON.parse(s); } catch { throw new Error('Lista JSON inválida.'); }
+  }
+  return s.split(',').map(x => x.trim()).filter(Boolean);
+}
+
+function wid(serialized) {
+  const [user, server] = serialized.split('@');
+  return { _serialized: serialized, user, server };
+}
+
+/** Valida y normaliza la configuración; lanza si algo no es válido. */
+function normalizeConfig(raw) {
+  const c = Object.fromEntries(Object.entries(raw || {}).filter(([, v]) => v != null && v !== '')); // vacío = por defecto
+  const groups = listOf(c.groups ?? DEFAULT_GROUPS).map((g, i) => {
+    const name = String(typeof g === 'object' ? g?.name || '' : g).trim();
+    const id = typeof g === 'object' && g?.id ? String(g.id) : `120363${String(i + 1).padStart(12, '0')}@g.us`;
+    if (!id.endsWith('@g.us')) throw new Error(`Id de grupo inválido: ${id}`);
+    return {
+      id,
+      name: name || id,
+      admin: !(typeof g === 'object' && g?.admin === false),
+      announce: Boolean(typeof g === 'object' && g?.announce)
+    };
+  });
+  const contacts = listOf(c.contacts).map(x => {
+    const number = digitsOf(typeof x === 'object' ? x?.number || x?.id || '' : x);
+    if (!number) throw new Error('Cada contacto necesita un número.');
+    return { id: `${number}@c.us`, number, name: String(typeof x === 'object' && x?.name || `+${number}`) };
+  });
+
+  let latency = c.latencyMs ?? 0;
+  if (typeof latency === 'string') latency = latency.split('-').map(Number);
+  latency = (Array.isArray(latency) ? latency : [latency, latency]).map(Number);
+  if (latency.length === 1) latency.push(latency[0]);
+  if (latency.length !== 2 || latency.some(n => !Number.isFinite(n) || n < 0) || latency[1] < latency[0]) {
+    throw new Error('latencyMs debe ser un número de ms o un rango "min-max".');
+  }
+
+  const failRate = Number(c.failRate ?? 0);
+  if (!(failRate >= 0 && failRate <= 1)) throw new Error('failRate debe estar entre 0 y 1.');
+
+  const readyDelayMs = Number(c.readyDelayMs ?? 1000);
+  if (!(readyDelayMs >= 0)) throw new Error('readyDelayMs debe ser >= 0.');
+
+  const failInit = Number(c.failInit ?? 0);
+  if (!Number.isInteger(failInit) || failInit < 0) throw new Error('failInit debe ser un entero >= 0.');
+
+  const lid = String(c.lid ?? false).toLowerCase();
+  if (!['0', '1', 'false', 'true', 'no', 'yes', 'unresolved'].includes(lid)) throw new Error('lid debe ser true, false o "unresolved".');
+
+  return {
+    groups,
+    contacts,
+    latencyMs: latency,
+    failRate,
+    failIds: listOf(c.failIds).map(String),
+    unregistered: listOf(c.unregistered).map(digitsOf).filter(Boolean),
+    autoReady: !['0', 'false', 'no'].includes(String(c.autoReady ?? true).toLowerCase()),
+    readyDelayMs,
+    failInit,
+    lid: lid === 'unresolved' ? lid : ['1', 'true', 'yes'].includes(lid)
+  };
+}
+
+function createFakeTransport({ fake = {} } = {}) {
+  let config = normalizeConfig(fake);
+  const sent = []; // mensajes "enviados" de todas las sesiones, los más recientes al final
+  let seq = 0;
+  const numbers = new Map(); // sessionId -> "teléfono" (estable entre reinicios)
+  const linked = new Set(); // sesiones "vinculadas": reconectan sin QR
+  const groupStates = new Map(); // groupId -> estado administrable (compartido por las sesiones)
+
+  /** Estado de un grupo configurado (se crea al primer uso a partir de la configuración). */
+  function groupState(group) {
+    if (!groupStates.has(group.id)) {
+      groupStates.set(group.id, {
+        subject: group.name,
+        desc: '',
+        announce: group.announce,
+        meAdmin: group.admin,
+        meMember: true,
+        members: new Map(DEFAULT_MEMBERS.map(id => [id, { isAdmin: false }])),
+        inviteCode: `FAKE${group.id.split('@')[0].slice(-6)}${++seq}`,
+        picture: null,
+        creation: Math.floor(Date.now() / 1000)
+      });
+    }
+    return groupStates.get(group.id);
+  }
+
+  function chatOf(id, client) {
+    const group = config.groups.find(g => g.id === id);
+    if (group) return groupChatOf(group, client);
+    const contact = config.contacts.find(c => c.id === id);
+    return { id: wid(id), name: contact?.name || id, isGroup: id.endsWith('@g.us') };
+  }
+
+  /** Grupo con la forma de un GroupChat de whatsapp-web.js (metadatos y administración). */
+  function groupChatOf(group, client) {
+    const st = groupState(group);
+    const me = client?.info?.wid._serialized;
+    const participants = [
+      ...(me && st.meMember ? [{ id: wid(client.participantId), isAdmin: st.meAdmin, isSuperAdmin: false }] : []),
+      ...[...st.members].map(([pid, m]) => ({ id: wid(pid), isAdmin: m.isAdmin, isSuperAdmin: false }))
+    ];
+    const asAdmin = fn => async (...args) => {
+      client?.ensureReady();
+      if (!st.meAdmin || !st.meMember) return false; // como WhatsApp: sin permiso devuelve false
+      await fn(...args);
+      return true;
+    };
+    const mustAdmin = () => {
+      client?.ensureReady();
+      if (!st.meAdmin || !st.meMember) throw new Error('Fallo simulado: no somos admin del grupo.');
+    };
+    const each = (ids, fn) => {
+      mustAdmin();
+      (Array.isArray(ids) ? ids : [ids]).forEach(fn);
+      return { status: 200 };
+    };
+    return {
+      id: wid(group.id),
+      name: st.subject,
+      isGroup: true,
+      groupMetadata: {
+        desc: st.desc,
+        announce: st.announce,
+        restrict: false,
+        owner: wid(me || DEFAULT_MEMBERS[0]),
+        creation: st.creation,
+        participants
+      },
+      get participants() { return this.groupMetadata.participants; },
+      get description() { return st.desc; },
+      setSubject: asAdmin(v => { st.subject = String(v); }),
+      setDescription: asAdmin(v => { st.desc = String(v); }),
+      setMessagesAdminsOnly: asAdmin((v = true) => { st.announce = Boolean(v); }),
+      setPicture: asAdmin(media => { st.picture = { mimetype: media.mimetype, size: Buffer.byteLength(media.data || '', 'base64') }; }),
+      deletePicture: asAdmin(() => { st.picture = null; }),
+      async addParticipants(ids) {
+        mustAdmin();
+        const out = {};
+        (Array.isArray(ids) ? ids : [ids]).forEach(pid => {
+          if (config.unregistered.includes(digitsOf(pid))) out[pid] = { code: 404, message: 'No está en WhatsApp.', isInviteV4Sent: false };
+          else if (st.members.has(pid)) out[pid] = { code: 409, message: 'Ya es participante.', isInviteV4Sent: false };
+          else {
+            st.members.set(pid, { isAdmin: false });
+            out[pid] = { code: 200, message: 'Añadido.', isInviteV4Sent: false };
+          }
+        });
+        return out;
+      },
+      async removeParticipants(ids) { return each(ids, pid => st.members.delete(pid)); },
+      async promoteParticipants(ids) { return each(ids, pid => { if (st.members.has(pid)) st.members.get(pid).isAdmin = true; }); },
+      async demoteParticipants(ids) { return each(ids, pid => { if (st.members.has(pid)) st.members.get(pid).isAdmin = false; }); },
+      async getInviteCode() {
+        mustAdmin();
+        return st.inviteCode;
+      },
+      async revokeInvite() {
+        mustAdmin();
+        st.inviteCode = `FAKE${group.id.split('@')[0].slice(-6)}${++seq}`;
+        return st.inviteCode;
+      }
+    };
+  }
+
+  class FakeClient extends EventEmitter {
+    constructor(id) {
+      super();
+      this.sessionId = id;
+      this.state = 'new'; // new | qr | ready | disconnected | destroyed
+      this.timers = new Set();
+      this.hung = false;
+      this.crashed = false;
+      this.pupBrowser = { isConnected: () => this.state !== 'destroyed' && !this.crashed };
+      if (!numbers.has(id)) numbers.set(id, `346${String(numbers.size + 1).padStart(8, '0')}`);
+      this.number = numbers.get(id);
+    }
+
+    get info() {
+      if (this.state !== 'ready') return undefined;
+      return { wid: wid(`${this.number}@c.us`), me: wid(`${this.number}@c.us`), pushname: `Prueba ${this.sessionId}`, platform: 'fake' };
+    }
+
+    /** LID de la cuenta (otro número, como en WhatsApp). */
+    get lid() {
+      return `9${this.number}@lid`;
+    }
+
+    /** Cómo aparecemos entre los participantes de un grupo (config.lid). */
+    get participantId() {
+      return config.lid ? this.lid : this.info.wid._serialized;
+    }
+
+    later(ms, fn) {
+      const t = setTimeout(() => { this.timers.delete(t); fn(); }, ms);
+      this.timers.add(t);
+    }
+
+    async initialize() {
+      if (config.failInit > 0) {
+        config.failInit--;
+        throw new Error('Fallo simulado al inicializar.');
+      }
+      this.later(50, () => {
+        if (!linked.has(this.sessionId)) this.simulate('qr');
+        if (config.autoReady || linked.has(this.sessionId)) this.later(config.readyDelayMs, () => this.simulate('ready'));
+      });
+    }
+
+    async logout() {
+      this.state = 'disconnected';
+      linked.delete(this.sessionId);
+    }
+
+    async destroy() {
+      this.timers.forEach(clearTimeout);
+      this.timers.clear();
+      this.state = 'destroyed';
+    }
+
+    /** WAState como whatsapp-web.js; colgado no responde nunca. */
+    getState() {
+      if (this.hung) return new Promise(() => {});
+      return Promise.resolve(this.state === 'ready' ? 'CONNECTED' : this.state === 'qr' ? 'UNPAIRED' : null);
+    }
+
+    /** Provoca un evento como lo haría WhatsApp. data: { reason } | { message } | { from, body, author } */
+    simulate(event, data = {}) {
+      if (!EVENTS.includes(event)) throw new Error(`Evento inválido (${EVENTS.join(', ')}).`);
+      if (this.state === 'destroyed') throw new Error('El cliente está cerrado.');
+      if (event === 'qr') {
+        this.state = 'qr';
+        this.emit('qr', `fake-qr:${this.sessionId}:${Date.now()}`);
+      } else if (event === 'ready') {
+        this.state = 'ready';
+        this.hung = false;
+        linked.add(this.sessionId);
+        this.emit('ready');
+      } else if (event === 'hang') {
+        this.hung = true; // sin evento: la página deja de responder
+      } else if (event === 'crash') {
+        this.crashed = true; // Chrome muere sin emitir disconnected
+      } else if (event === 'disconnected') {
+        this.state = 'disconnected';
+        if (data.reason === 'LOGOUT') linked.delete(this.sessionId);
+        this.emit('disconnected', data.reason || 'SIMULATED');
+      } else if (event === 'auth_failure') {
+        this.state = 'disconnected';
+        this.emit('auth_failure', data.message || 'Fallo simulado');
+      } else if (event.startsWith('group_')) {
+        return this.groupEvent(event, data);
+      } else {
+        const from = String(data.from || config.groups[0]?.id || '');
+        if (!from) throw new Error('message necesita from.');
+        const msg = this.message({
+          from,
+          to: this.info?.wid._serialized || '',
+          fromMe: false,
+          author: from.endsWith('@g.us') ? String(data.author || '34600000001@c.us') : undefined,
+          body: String(data.body || ''),
+          notifyName: data.notifyName
+        });
+        this.emit('message_create', msg);
+        this.emit('message', msg);
+        return msg;
+      }
+      return null;
+    }
+
+    /** Aplica un evento de grupo al estado y emite la GroupNotification correspondiente. */
+    groupEvent(event, data) {
+      this.ensureReady();
+      const me = this.participantId;
+      let group = config.groups.find(g => g.id === data.groupId);
+      if (!group && event === 'group_join' && !data.groupId) {
+        const id = `120363${String(config.groups.length + 1).padStart(12, '0')}@g.us`;
+        group = { id, name: String(data.name || id), admin: false, announce: false };
+        config.groups.push(group);
+      }
+      if (!group) throw new Error('groupId no es un grupo configurado.');
+      const st = groupState(group);
+      const pid = data.participant ? (String(data.participant).includes('@') ? String(data.participant) : `${digitsOf(data.participant)}@c.us`) : me;
+      const isMe = pid === me || pid === this.info.wid._serialized;
+      let type = event;
+      if (event === 'group_join') {
+        if (isMe) st.meMember = true; else st.members.set(pid, { isAdmin: false });
+        type = 'add';
+      } else if (event === 'group_leave') {
+        if (isMe) st.meMember = false; else st.members.delete(pid);
+        type = 'remove';
+      } else if (event === 'group_update') {
+        if (data.subject != null) { st.subject = String(data.subject); type = 'subject'; }
+        if (data.description != null) { st.desc = String(data.description); type = 'description'; }
+        if (data.announce != null) { st.announce = Boolean(data.announce); type = 'announce'; }
+      } else {
+        const admin = data.admin !== false;
+        if (isMe) st.meAdmin = admin; else if (st.members.has(pid)) st.members.get(pid).isAdmin = admin;
+        type = admin ? 'promote' : 'demote';
+      }
+      const notification = {
+        id: { remote: group.id, _serialized: `false_${group.id}_FAKE${++seq}` },
+        chatId: group.id,
+        author: DEFAULT_MEMBERS[0],
+        recipientIds: ['group_update'].includes(event) ? [] : [isMe ? me : pid],
+        type,
+        timestamp: Math.floor(Date.now() / 1000),
+        getChat: async () => chatOf(group.id, this)
+      };
+      this.emit(event, notification);
+      return notification;
+    }
+
+    /** Objeto con la forma de un Message de whatsapp-web.js (lo que lee server.js). */
+    message({ from, to, fromMe, author, body, type = 'chat', media = null, notifyName }) {
+      const chatId = fromMe ? to : from;
+      return {
+        id: { _serialized: `${fromMe}_${chatId}_FAKE${++seq}`, fromMe },
+        from,
+        to,
+        fromMe,
+        author,
+        isStatus: false,
+        type,
+        body,
+        timestamp: Math.floor(Date.now() / 1000),
+        hasMedia: Boolean(media),
+        hasQuotedMsg: false,
+        _data: { notifyName },
+        downloadMedia: async () => media,
+        getChat: async () => chatOf(chatId, this)
+      };
+    }
+
+    ensureReady() {
+      if (this.state !== 'ready') throw new Error('Cliente de prueba no conectado.');
+    }
+
+    async sendMessage(to, content, options = {}) {
+      this.ensureReady();
+      const [min, max] = config.latencyMs;
+      if (max > 0) await sleep(min + Math.floor(Math.random() * (max - min + 1)));
+      this.ensureReady(); // pudo desconectarse durante la latencia
+      if (config.failIds.includes(to)) throw new Error(`Fallo simulado: ${to} está en failIds.`);
+      if (Math.random() < config.failRate) throw new Error('Fallo simulado (failRate).');
+
+      const isMedia = content instanceof MessageMedia;
+      const { quotedMessageId, caption, ...flags } = options || {};
+      const entry = {
+        id: `FAKE${++seq}`,
+        sessionId: this.sessionId,
+        to,
+        type: isMedia ? 'media' : 'text',
+        body: isMedia ? caption || '' : String(content),
+        media: isMedia
+          ? { mimetype: content.mimetype, filename: content.filename || null, size: Buffer.byteLength(content.data || '', 'base64') }
+          : null,
+        options: { ...flags, ...(quotedMessageId ? { quotedMessageId } : {}) },
+        at: new Date().toISOString()
+      };
+      sent.push(entry);
+      if (sent.length > SENT_MAX) sent.splice(0, sent.length - SENT_MAX);
+
+      const msg = this.message({
+        from: this.info.wid._serialized,
+        to,
+        fromMe: true,
+        body: entry.body,
+        type: isMedia ? String(content.mimetype).split('/')[0] : 'chat',
+        media: isMedia ? content : null
+      });
+      msg.id._serialized = `true_${to}_${entry.id}`;
+      this.emit('message_create', msg);
+      return msg;
+    }
+
+    async getChats() {
+      this.ensureReady();
+      return [...config.groups, ...config.contacts].map(x => chatOf(x.id, this));
+    }
+
+    async getContacts() {
+      this.ensureReady();
+      return config.contacts.map(c => ({
+        id: wid(c.id), name: c.name, number: c.number, isGroup: false, isMyContact: true
+      }));
+    }
+
+    async getNumberId(digits) {
+      this.ensureReady();
+      const d = digitsOf(digits);
+      return config.unregistered.includes(d) ? null : wid(`${d}@c.us`);
+    }
+
+    async getChatById(id) {
+      this.ensureReady();
+      return chatOf(id, this);
+    }
+
+    /** Solo conoce nuestra propia pareja LID/teléfono (con lid: "unresolved", ni esa). */
+    async getContactLidAndPhone(userIds) {
+      this.ensureReady();
+      const mine = [this.info.wid._serialized, this.lid];
+      return (Array.isArray(userIds) ? userIds : [userIds]).map(id => (mine.includes(id) && config.lid !== 'unresolved'
+        ? { lid: this.lid, pn: this.info.wid._serialized }
+        : { lid: undefined, pn: String(id).endsWith('@c.us') ? id : undefined }));
+    }
+  }
+
+  return {
+    driver: 'fake',
+    createClient: id => new FakeClient(id),
+    MessageMedia,
+    /** Configuración vigente (afecta a todas las sesiones). */
+    config: () => JSON.parse(JSON.stringify(config)),
+    /** Cambia solo los campos recibidos; lanza si no son válidos. */
+    configure(patch = {}) {
+      config = normalizeConfig({ ...config, ...patch });
+      if (patch.groups != null) groupStates.clear(); // grupos nuevos: estado desde la configuración
+      return JSON.parse(JSON.stringify(config));
+    },
+    /** Mensajes registrados, más recientes primero. filter: { sessionId, to, limit } */
+    sent({ sessionId, to, limit = 200 } = {}) {
+      return sent
+        .filter(m => (!sessionId || m.sessionId === sessionId) && (!to || m.to === to))
+        .slice(-Math.max(1, Number(limit) || 200))
+        .reverse();
+    },
+    clearSent() {
+      const n = sent.length;
+      sent.length = 0;
+      return n;
+    },
+    EVENTS
+  };
+}
+
+module.exports = { createFakeTransport, normalizeConfig };
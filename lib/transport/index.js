@@ -0,0 +1,25 @@
+// lib/transport/index.js
+// --------------------------------------------------------------------------------------
+// Transporte de WhatsApp seleccionable con WA_DRIVER:
+//   wwebjs (por defecto) → whatsapp-web.js + puppeteer (Chrome real, LocalAuth)
+//   fake                 → cliente simulado en memoria para ensayos y pruebas automáticas
+//
+// Cada transporte devuelve { driver, createClient(id), MessageMedia } y el cliente expone
+// lo que usa server.js: eventos qr/ready/message_create/message/auth_failure/disconnected,
+// initialize() logout() destroy() info pupBrowser sendMessage() getChats() getContacts()
+// getNumberId() getChatById(), y en los grupos los métodos de administración de GroupChat
+// (setSubject, addParticipants, getInviteCode...). El fake además trae controles (ver lib/transport/fake).
+// --------------------------------------------------------------------------------------
+
+const { createWwebjsTransport } = require('./wwebjs');
+const { createFakeTransport } = require('./fake');
+
+const DRIVERS = ['wwebjs', 'fake'];
+
+function createTransport({ driver = 'wwebjs', ...opts } = {}) {
+  if (driver === 'wwebjs') return createWwebjsTransport(opts);
+  if (driver === 'fake') return createFakeTransport(opts);
+  throw new Error(`WA_DRIVER inválido: ${driver} (use ${DRIVERS.join(' o ')})`);
+}
+
+module.exports = { createTransport, DRIVERS };
@@ -0,0 +1,46 @@
+// lib/transport/wwebjs.js
+// --------------------------------------------------------------------------------------
+// Transporte real: whatsapp-web.js con Chrome del sistema y LocalAuth por sesión. La sesión
+// por defecto usa la ruta de siempre (sin clientId) para conservar la vinculación.
+// --------------------------------------------------------------------------------------
+
+const { Client, LocalAuth, MessageMedia } = require('whatsapp-web.js');
+
+function createWwebjsTransport({ dataPath, defaultSession = 'default' } = {}) {
+  function createClient(id) {
+    return new Client({
+      authStrategy: new LocalAuth(id === defaultSession
+        ? { dataPath }
+        : { dataPath, clientId: id }),
+      puppeteer: {
+        // (FIX) Forzar Chrome del sistema (variables de entorno o fallback)
+        executablePath:
+          process.env.CHROME_BIN ||
+          process.env.PUPPETEER_EXECUTABLE_PATH ||
+          '/usr/bin/google-chrome',
+
+        headless: true,
+
+        // (FIX) Flags necesarios en VPS/containers
+        args: [
+          '--no-sandbox',
+          '--disable-setuid-sandbox',
+          '--disable-dev-shm-usage',
+          '--no-zygote',
+          '--disable-gpu',
+          '--disable-features=NetworkService,NetworkServiceInProcess',
+          '--disable-features=site-per-process',
+          '--ignore-certificate-errors',
+          '--window-size=1920,1080'
+        ]
+      },
+
+      // Mantengo tu configuración (remote cache)
+      webVersionCache: { type: 'remote' }
+    });
+  }
+
+  return { driver: 'wwebjs', createClient, MessageMedia };
+}
+
+module.exports = { createWwebjsTransport };
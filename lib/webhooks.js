@@ -0,0 +1,53 @@
+// lib/webhooks.js
+// --------------------------------------------------------------------------------------
+// Entrega de webhooks salientes: firma HMAC-SHA256 de "<timestamp>.<body>" y POST JSON con
+// timeout. No guarda estado: la cola de entregas y los reintentos viven en server.js.
+// --------------------------------------------------------------------------------------
+
+const crypto = require('crypto');
+
+const TIMEOUT_MS = 10000;
+const RESPONSE_SNIPPET = 500; // bytes de respuesta que se guardan en el log
+
+/** Firma que el receptor debe recalcular: hex(HMAC-SHA256(secret, `${ts}.${body}`)). */
+function sign(secret, timestamp, body) {
+  return crypto.createHmac('sha256', String(secret)).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function newSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+/**
+ * Envía una entrega. Devuelve { ok, status, error, permanent, response }.
+ * permanent = no tiene sentido reintentar (4xx salvo 408/429).
+ */
+async function deliver({ url, secret, id, event, payload, timeoutMs = TIMEOUT_MS }) {
+  const body = JSON.stringify(payload);
+  const ts = Math.floor(Date.now() / 1000);
+  try {
+    const r = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'wa-panel-webhooks/1',
+        'X-Webhook-Id': id,
+        'X-Webhook-Event': event,
+        'X-Webhook-Timestamp': String(ts),
+        'X-Webhook-Signature': `sha256=${sign(secret, ts, body)}`
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+    const response = (await r.text().catch(() => '')).slice(0, RESPONSE_SNIPPET);
+    if (r.ok) return { ok: true, status: r.status, error: null, permanent: false, response };
+    const permanent = r.status >= 400 && r.status < 500 && r.status !== 408 && r.status !== 429;
+    return { ok: false, status: r.status, error: `HTTP ${r.status}`, permanent, response };
+  } catch (e) {
+    const error = e?.name === 'TimeoutError' ? `Timeout (${timeoutMs} ms)` : (e?.cause?.message || e?.message || String(e));
+    return { ok: false, status: null, error, permanent: false, response: null };
+  }
+}
+
+module.exports = { sign, newSecret, deliver };
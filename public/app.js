@@ -1,16 +1,90 @@
 // public/app.js
 // --------------------------------------------------------------------------------------
-// Lado cliente: tabs, estado/QR, grupos, envío ahora, one-shot y campañas CRON.
-// Incluye pegado de IDs, subida de imágenes, validaciones y acciones de campañas.
+// Lado cliente: acceso (login/roles), tabs, cuentas, estado/QR, grupos, envío ahora, one-shot, campañas CRON y biblioteca de medios.
+// Incluye pegado de IDs, subida de medios (con opciones por archivo), validaciones y acciones de campañas.
 // --------------------------------------------------------------------------------------
 
-const API_KEY = ''; // Si configuraste ADMIN_API_KEY en el server, colócala aquí (o usa fetch con cabecera en proxy/backend).
-
 const $  = sel => document.querySelector(sel);
 const $$ = sel => Array.from(document.querySelectorAll(sel));
 
+// Cabeceras comunes de la API (la autenticación viaja en la cookie HttpOnly de sesión)
 function headers() {
-  return API_KEY ? { 'x-api-key': API_KEY } : {};
+  return {};
+}
+
+// ------------------------------- Acceso ------------------------------------------------
+const ROLES = ['viewer', 'operator', 'admin'];
+let ME = null;
+
+// Cualquier 401 de la API (token vencido o revocado) vuelve a la pantalla de login
+const rawFetch = window.fetch.bind(window);
+window.fetch = async (...args) => {
+  const r = await rawFetch(...args);
+  if (r.status === 401 && !String(args[0]).startsWith('/api/auth/')) {
+    r.clone().json().then(j => showLogin(Boolean(j.setupRequired))).catch(() => showLogin(false));
+  }
+  return r;
+};
+
+function roleAtLeast(role, min) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(min);
+}
+/** Oculta lo que el rol actual no puede usar (atributo data-role = rol mínimo). */
+function applyRole() {
+  $$('[data-role]').forEach(el => { el.hidden = !ME || !roleAtLeast(ME.role, el.dataset.role); });
+  $('#user-box').hidden = !ME;
+  $('#user-name').textContent = ME ? `${ME.username} (${ME.role})` : '';
+}
+let SETUP_MODE = false;
+function showLogin(setup) {
+  SETUP_MODE = setup;
+  ME = null;
+  applyRole();
+  $('#login-title').textContent = setup ? 'Crear administrador' : 'Iniciar sesión';
+  $('#login-help').textContent = setup
+    ? 'No hay usuarios todavía: el primero que cree será admin. Fuera del propio servidor hace falta la API key.'
+    : '';
+  $('#login-key-box').hidden = !setup;
+  $('#btn-login').textContent = setup ? 'Crear y entrar' : 'Entrar';
+  $('#login-pass').autocomplete = setup ? 'new-password' : 'current-password';
+  $('#login').hidden = false;
+  $('#login-user').focus();
+}
+$('#btn-login').addEventListener('click', async () => {
+  try {
+    $('#login-error').textContent = '';
+    const r = await fetch(SETUP_MODE ? '/api/auth/setup' : '/api/auth/login', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(SETUP_MODE && $('#login-key').value ? { 'x-api-key': $('#login-key').value } : {})
+      },
+      body: JSON.stringify({ username: $('#login-user').value.trim(), password: $('#login-pass').value })
+    });
+    const j = await r.json();
+    if (!j.ok) { $('#login-error').textContent = j.error || 'No se pudo iniciar sesión.'; return; }
+    $('#login-pass').value = '';
+    $('#login-key').value = '';
+    $('#login').hidden = true;
+    ME = j.user;
+    applyRole();
+    loadAll();
+  } catch (e) {
+    $('#login-error').textContent = e?.message || String(e);
+  }
+});
+$('#login-pass').addEventListener('keydown', e => { if (e.key === 'Enter') $('#btn-login').click(); });
+$('#btn-logout').addEventListener('click', async () => {
+  await fetch('/api/auth/logout', { method: 'POST' });
+  if (EVENTS) { EVENTS.close(); EVENTS = null; }
+  showLogin(false);
+});
+
+// Cuenta de WhatsApp activa (se recuerda entre recargas)
+let SESSION = localStorage.getItem('wa-session') || 'default';
+/** Ruta de la API para la cuenta activa: waPath('/groups') -> /api/sessions/<id>/groups */
+function waPath(p) {
+  return `/api/sessions/${encodeURIComponent(SESSION)}${p}`;
 }
 
 // -------------------------------- Tabs -------------------------------------------------
@@ -25,19 +99,54 @@ $$('nav.tabs button').forEach(btn => {
 });
 
 // ------------------------------- Estado + QR -------------------------------------------
+const CONN_STATES = {
+  starting: 'arrancando',
+  qr: 'esperando QR',
+  ready: 'conectada',
+  disconnected: 'desconectada',
+  auth_failure: 'fallo de autenticación',
+  init_failed: 'no pudo arrancar',
+  hung: 'sin respuesta',
+  restarting: 'reiniciando'
+};
+const connStateLabel = state => CONN_STATES[state] || state || '—';
+
+/** Estado del supervisor: aviso de QR, reintentos pendientes e historial. */
+function renderConnection(c) {
+  const alertBox = $('#conn-alert');
+  alertBox.hidden = !c?.needsQr;
+  if (!c) return;
+  if (c.needsQr) {
+    alertBox.textContent = `Hay que volver a escanear el QR: ${c.needsQr.reason} (desde ${new Date(c.needsQr.since).toLocaleString()})`;
+  }
+  let text = `Conexión: ${connStateLabel(c.state)}${c.since ? ` desde ${new Date(c.since).toLocaleString()}` : ''}`;
+  if (c.nextRetryAt) text += ` · reintento ${c.failures} a las ${new Date(c.nextRetryAt).toLocaleTimeString()}`;
+  $('#conn-state').textContent = text;
+  $('#conn-history').textContent = c.history
+    .map(h => `${new Date(h.at).toLocaleString()}  ${connStateLabel(h.state)}${h.detail ? ` — ${h.detail}` : ''}`)
+    .join('\n');
+}
+
 async function refreshStatus() {
   try {
-    const r = await fetch('/api/status', { headers: headers() });
+    const r = await fetch(waPath('/status'), { headers: headers() });
     const j = await r.json();
     const pill = $('#pill');
     if (j.ready) { pill.textContent = 'listo'; pill.className = 'pill ok'; }
+    else if (j.connection?.needsQr) { pill.textContent = 'requiere QR'; pill.className = 'pill danger'; }
     else { pill.textContent = 'no listo'; pill.className = 'pill warn'; }
+    pill.title = j.readySince ? `Listo desde ${new Date(j.readySince).toLocaleString()}` : '';
+    renderConnection(j.connection);
+    if (j.driver === 'fake') { // WA_DRIVER=fake: nada sale de verdad
+      pill.textContent += ' (simulado)';
+      pill.title = `${pill.title} · Cliente simulado: los envíos se registran en /api/fake/sent`.replace(/^ · /, '');
+    }
   } catch (e) { console.error(e); }
 }
 async function refreshQR() {
   try {
     const img = $('#qr');
-    const r = await fetch('/api/qr.png', { headers: headers() });
+    const r = await fetch(waPath('/qr.png'), { headers: headers() });
     if (r.status === 204) {
       img.src = '';
       img.alt = 'No hay QR disponible';
@@ -51,8 +160,100 @@ async function refreshQR() {
 $('#btn-refresh-qr').addEventListener('click', refreshQR);
 $('#btn-refresh-status').addEventListener('click', refreshStatus);
 
+// ------------------------------- Cuentas -----------------------------------------------
+function renderSessions(items) {
+  const sel = $('#session');
+  sel.innerHTML = '';
+  items.forEach(s => {
+    const opt = document.createElement('option');
+    opt.value = s.id;
+    opt.textContent = `${s.ready ? '🟢' : '🟡'} ${s.name}`;
+    sel.appendChild(opt);
+  });
+  if (!items.some(s => s.id === SESSION)) SESSION = 'default';
+  sel.value = SESSION;
+
+  const root = $('#sessions');
+  root.innerHTML = '';
+  items.forEach(s => {
+    const div = document.createElement('div');
+    div.className = 'group-item session-item';
+    const info = document.createElement('span');
+    const who = s.me?.wid?.user ? ` · +${s.me.wid.user}` : '';
+    const state = s.needsQr ? 'requiere QR' : s.ready ? 'lista' : s.hasQR ? 'esperando QR' : s.state ? connStateLabel(s.state) : 'no lista';
+    info.textContent = `${s.name} [${s.id}] — ${state}${who}`;
+    const actions = document.createElement('div');
+    actions.className = 'actions';
+    const restart = document.createElement('button');
+    restart.className = 'secondary';
+    restart.textContent = 'Reiniciar';
+    restart.addEventListener('click', () => sessionAction(s.id, 'restart'));
+    actions.appendChild(restart);
+    if (s.id !== 'default') {
+      const del = document.createElement('button');
+      del.className = 'secondary';
+      del.textContent = 'Borrar';
+      del.addEventListener('click', () => {
+        if (confirm(`¿Cerrar sesión y borrar la cuenta ${s.name}?`)) sessionAction(s.id, 'delete');
+      });
+      actions.appendChild(del);
+    }
+    div.appendChild(info);
+    div.appendChild(actions);
+    root.appendChild(div);
+  });
+}
+async function loadSessions() {
+  try {
+    const r = await fetch('/api/sessions', { headers: headers() });
+    const j = await r.json();
+    renderSessions(j.items || []);
+  } catch (e) { console.error(e); }
+}
+async function sessionAction(id, action) {
+  const url = `/api/sessions/${encodeURIComponent(id)}${action === 'delete' ? '' : `/${action}`}`;
+  const r = await fetch(url, { method: action === 'delete' ? 'DELETE' : 'POST', headers: headers() });
+  const j = await r.json();
+  if (j.error) alert(j.error);
+  loadSessions();
+}
+$('#btn-session-add').addEventListener('click', async () => {
+  try {
+    const body = { id: $('#s-new-id').value.trim(), name: $('#s-new-name').value.trim() };
+    const r = await fetch('/api/sessions', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers() },
+      body: JSON.stringify(body)
+    });
+    const j = await r.json();
+    if (j.error) return alert(j.error);
+    $('#s-new-id').value = '';
+    $('#s-new-name').value = '';
+    SESSION = j.item.id;
+    localStorage.setItem('wa-session', SESSION);
+    await loadSessions();
+    refreshStatus();
+    setTimeout(refreshQR, 3000); // el Client tarda unos segundos en generar el QR
+  } catch (e) { alert(e?.message || String(e)); }
+});
+$('#session').addEventListener('change', () => {
+  SESSION = $('#session').value;
+  localStorage.setItem('wa-session', SESSION);
+  refreshStatus();
+  refreshQR();
+  loadGroups();
+  loadLimits();
+  // la bandeja es por cuenta
+  Object.assign(INBOX, { chatId: null, items: [], nextBefore: null, q: '' });
+  $('#inbox-title').textContent = 'Elija un chat';
+  $('#inbox-title').className = 'muted';
+  renderMessages();
+  loadInboxChats();
+});
+
 // ------------------------------- Grupos ------------------------------------------------
 let ALL_GROUPS = [];
+const SELECTED_GROUPS = new Set(); // marcados para etiquetar o crear una audiencia estática
 function renderGroups(list) {
   const root = $('#groups');
   root.innerHTML = '';
@@ -61,44 +262,389 @@ function renderGroups(list) {
     return;
   }
   list.forEach(g => {
-    const div = document.createElement('div');
-    div.className = 'group-item';
-    div.textContent = `${g.name} [${g.id}]`;
-    root.appendChild(div);
+    const label = document.createElement('label');
+    label.className = 'chk';
+    const cb = document.createElement('input');
+    cb.type = 'checkbox';
+    cb.checked = SELECTED_GROUPS.has(g.id);
+    cb.addEventListener('change', () => {
+      if (cb.checked) SELECTED_GROUPS.add(g.id); else SELECTED_GROUPS.delete(g.id);
+    });
+    label.appendChild(cb);
+    label.appendChild(document.createTextNode(`${g.name} [${g.id}]`));
+    const info = document.createElement('span');
+    info.className = 'group-info';
+    info.textContent = groupInfoText(g);
+    label.appendChild(info);
+    (g.tags || []).forEach(t => {
+      const chip = document.createElement('span');
+      chip.className = 'chip tag';
+      chip.textContent = `#${t}`;
+      label.appendChild(chip);
+    });
+    if (roleAtLeast(ME?.role, 'admin')) {
+      const b = document.createElement('button');
+      b.className = 'secondary group-admin';
+      b.textContent = 'Administrar';
+      b.addEventListener('click', e => { e.preventDefault(); openGroupAdmin(g.id); });
+      label.appendChild(b);
+    }
+    root.appendChild(label);
   });
 }
-async function loadGroups() {
+/** 👤 participantes · ★ si somos admin · 📢 si solo escriben los admins. */
+function groupInfoText(g) {
+  if (g.participantCount == null) return '';
+  return [
+    `👤 ${g.participantCount}`,
+    g.isAdmin ? '★ admin' : '',
+    g.announce ? '📢 solo admins' : '',
+    g.canSend === false ? '🚫 no podemos escribir' : ''
+  ].filter(Boolean).join(' · ');
+}
+function filterGroups() {
+  const q = $('#search').value.trim().toLowerCase();
+  renderGroups(ALL_GROUPS.filter(g => (q.startsWith('#')
+    ? (g.tags || []).includes(q.slice(1))
+    : g.name.toLowerCase().includes(q) || g.id.toLowerCase().includes(q))));
+}
+let ALL_CONTACTS = [];
+async function loadGroups(refresh = false) {
   try {
-    const r = await fetch('/api/groups', { headers: headers() });
-    const j = await r.json();
+    const [rg, rc] = await Promise.all([
+      fetch(waPath(`/groups${refresh ? '?refresh=1' : ''}`), { headers: headers() }),
+      fetch(waPath('/contacts'), { headers: headers() })
+    ]);
+    const j = await rg.json();
+    const jc = await rc.json();
     ALL_GROUPS = j.groups || [];
-    renderGroups(ALL_GROUPS);
+    ALL_CONTACTS = jc.contacts || [];
+    $('#groups-sync').textContent = (j.syncedAt ? `Sincronizado ${new Date(j.syncedAt).toLocaleString()}` : '') +
+      (j.stale && ALL_GROUPS.length ? ' — WhatsApp no está listo: lista guardada, puede no estar al día' : '');
+    filterGroups();
     renderSelectors(false);
     renderSelectors(true);
     renderSelectors('c');
+    renderInboxChats();
+  } catch (e) { console.error(e); }
+}
+$('#btn-reload-groups').addEventListener('click', () => loadGroups(true));
+$('#search').addEventListener('input', filterGroups);
+
+// ------------------------------- Etiquetas ---------------------------------------------
+async function loadTags() {
+  try {
+    const j = await (await fetch('/api/tags', { headers: headers() })).json();
+    const root = $('#tag-list');
+    root.innerHTML = '';
+    (j.tags || []).forEach(({ tag, count }) => {
+      const chip = document.createElement('span');
+      chip.className = 'chip';
+      chip.textContent = `#${tag} (${count})`;
+      chip.title = 'Filtrar por esta etiqueta';
+      chip.addEventListener('click', () => { $('#search').value = `#${tag}`; filterGroups(); });
+      root.appendChild(chip);
+    });
+  } catch (e) { console.error(e); }
+}
+async function tagSelected(mode) {
+  const ids = Array.from(SELECTED_GROUPS);
+  if (!ids.length) return alert('Marque al menos un grupo.');
+  const tags = $('#tag-input').value;
+  if (!tags.trim()) return alert('Escriba al menos una etiqueta.');
+  const names = Object.fromEntries(ids.map(id => [id, ALL_GROUPS.find(g => g.id === id)?.name || id]));
+  const r = await fetch('/api/tags/bulk', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers() },
+    body: JSON.stringify({ ids, names, [mode]: tags })
+  });
+  const j = await r.json();
+  if (j.error) return alert(j.error);
+  $('#tag-input').value = '';
+  await loadGroups();
+  loadTags();
+}
+$('#btn-tag-add').addEventListener('click', () => tagSelected('add'));
+$('#btn-tag-remove').addEventListener('click', () => tagSelected('remove'));
+
+// ------------------------------- Administrar grupos -----------------------------------
+let GROUP_ADMIN = null; // ficha del grupo abierto (GET /groups/:id)
+
+async function groupApi(pathname, method = 'GET', body) {
+  const r = await fetch(waPath(pathname), {
+    method,
+    headers: body ? { 'Content-Type': 'application/json', ...headers() } : headers(),
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const j = await r.json();
+  if (j.error) throw new Error(j.error);
+  return j;
+}
+const groupPath = (id, rest = '') => `/groups/${encodeURIComponent(id)}${rest}`;
+
+async function openGroupAdmin(id) {
+  try {
+    const j = await groupApi(groupPath(id));
+    GROUP_ADMIN = j.item;
+    renderGroupAdmin();
+  } catch (e) {
+    $('#g-result').textContent = e?.message || String(e);
+  }
+}
+
+function renderGroupAdmin() {
+  const g = GROUP_ADMIN;
+  $('#g-admin-form').hidden = !g;
+  if (!g) return;
+  $('#g-admin').textContent = `${g.name} [${g.id}] — ${groupInfoText(g)}` +
+    (g.isAdmin ? '' : ' — la cuenta no es admin: WhatsApp rechazará los cambios');
+  $('#g-subject').value = g.name;
+  $('#g-description').value = g.description;
+  $('#g-announce').checked = g.announce;
+  const root = $('#g-participants');
+  root.innerHTML = '';
+  g.participants.forEach(p => {
+    const div = document.createElement('div');
+    div.className = 'group-item user-item';
+    const info = document.createElement('span');
+    info.textContent = `${p.isAdmin ? '★ ' : ''}${groupLabel(p.id)}${p.isMe ? ' (esta cuenta)' : ''}`;
+    div.appendChild(info);
+    const actions = document.createElement('div');
+    actions.className = 'actions';
+    const btn = (text, action) => {
+      const b = document.createElement('button');
+      b.className = 'secondary';
+      b.textContent = text;
+      b.addEventListener('click', () => groupParticipants(action, [p.id]));
+      actions.appendChild(b);
+    };
+    if (!p.isMe) {
+      if (p.isAdmin) btn('Quitar admin', 'demote'); else btn('Hacer admin', 'promote');
+      btn('Quitar', 'remove');
+    }
+    div.appendChild(actions);
+    root.appendChild(div);
+  });
+}
+
+/** Ejecuta un cambio en el grupo abierto, muestra el resultado y recarga la ficha. */
+async function groupChange(fn) {
+  if (!GROUP_ADMIN) return;
+  try {
+    const j = await fn(GROUP_ADMIN.id);
+    $('#g-result').textContent = JSON.stringify(j, null, 2);
+  } catch (e) {
+    $('#g-result').textContent = e?.message || String(e);
+  }
+  await openGroupAdmin(GROUP_ADMIN.id); // la lista se recarga con el evento group
+}
+
+function groupParticipants(action, participants) {
+  if (action === 'remove' && !confirm(`¿Quitar ${participants.length} participante(s) del grupo?`)) return;
+  return groupChange(id => groupApi(groupPath(id, '/participants'), 'POST', { action, participants }));
+}
+
+$('#btn-g-save').addEventListener('click', () => groupChange(id => {
+  const g = GROUP_ADMIN;
+  const body = {};
+  if ($('#g-subject').value.trim() !== g.name) body.subject = $('#g-subject').value.trim();
+  if ($('#g-description').value !== g.description) body.description = $('#g-description').value;
+  if ($('#g-announce').checked !== g.announce) body.announce = $('#g-announce').checked;
+  if (!Object.keys(body).length) return { ok: true, message: 'Sin cambios.' };
+  return groupApi(groupPath(id), 'PATCH', body);
+}));
+$('#btn-g-add').addEventListener('click', () => {
+  const participants = extractIds($('#g-add').value).filter(x => !x.endsWith('@g.us'));
+  if (!participants.length) return alert('Escriba al menos un número (+5355512345) o id @c.us.');
+  groupParticipants('add', participants).then(() => { $('#g-add').value = ''; });
+});
+$('#btn-g-picture').addEventListener('click', () => groupChange(async id => {
+  if (!$('#g-picture').files.length) throw new Error('Elija una imagen.');
+  const [media] = await uploadFiles($('#g-picture'));
+  return groupApi(groupPath(id, '/picture'), 'PUT', { media });
+}));
+$('#btn-g-picture-del').addEventListener('click', () => groupChange(id => groupApi(groupPath(id, '/picture'), 'DELETE')));
+$('#btn-g-invite').addEventListener('click', () => groupChange(id => groupApi(groupPath(id, '/invite'))));
+$('#btn-g-revoke').addEventListener('click', () => {
+  if (!confirm('¿Revocar el enlace? El actual dejará de funcionar.')) return;
+  groupChange(id => groupApi(groupPath(id, '/invite/revoke'), 'POST'));
+});
+
+// Misma acción en los grupos marcados en la lista
+$('#g-bulk-op').addEventListener('change', () => {
+  const op = $('#g-bulk-op').value;
+  $('#g-bulk-picture').hidden = op !== 'picture';
+  $('#g-bulk-value').hidden = ['picture', 'invite', 'revokeInvite', 'announce-on', 'announce-off'].includes(op);
+});
+$('#btn-g-bulk').addEventListener('click', async () => {
+  const ids = Array.from(SELECTED_GROUPS);
+  if (!ids.length) return alert('Marque al menos un grupo en la lista.');
+  const choice = $('#g-bulk-op').value;
+  const raw = $('#g-bulk-value').value;
+  let op = choice;
+  let value;
+  try {
+    if (choice.startsWith('announce')) { op = 'announce'; value = choice === 'announce-on'; }
+    else if (['add', 'remove', 'promote', 'demote'].includes(op)) value = extractIds(raw).filter(x => !x.endsWith('@g.us'));
+    else if (op === 'picture') {
+      if (!$('#g-bulk-picture').files.length) throw new Error('Elija una imagen.');
+      [value] = await uploadFiles($('#g-bulk-picture'));
+    } else if (op === 'subject' || op === 'description') value = raw;
+    const label = $('#g-bulk-op').selectedOptions[0].textContent;
+    if (!confirm(`${label} en ${ids.length} grupo(s)?`)) return;
+    $('#g-bulk-result').textContent = `Aplicando a ${ids.length} grupo(s)…`;
+    const j = await groupApi('/groups/bulk', 'POST', { ids, op, value });
+    $('#g-bulk-result').textContent = [
+      `${j.okCount}/${j.total} grupos ok`,
+      ...j.items.map(x => `${x.ok ? '✅' : '❌'} ${x.name || x.id}` +
+        (x.link ? ` — ${x.link}` : '') +
+        (x.participants ? ` — ${x.okCount}/${x.participants.length} participantes` : '') +
+        (x.error ? ` — ${x.error}` : ''))
+    ].join('\n');
+  } catch (e) {
+    $('#g-bulk-result').textContent = e?.message || String(e);
+  }
+});
+
+// ------------------------------- Audiencias --------------------------------------------
+let AUDIENCES = [];
+function renderAudiences() {
+  const root = $('#audiences');
+  root.innerHTML = '';
+  if (!AUDIENCES.length) root.innerHTML = '<div class="muted">No hay audiencias.</div>';
+  const canEdit = roleAtLeast(ME.role, 'operator');
+  AUDIENCES.forEach(a => {
+    const div = document.createElement('div');
+    div.className = 'group-item user-item';
+    const info = document.createElement('span');
+    info.textContent = a.type === 'dynamic'
+      ? `🔎 ${a.name} — ${a.rule}`
+      : `📋 ${a.name} — ${a.ids.length} destinos`;
+    div.appendChild(info);
+    const actions = document.createElement('div');
+    actions.className = 'actions';
+    const btn = (text, fn) => {
+      const b = document.createElement('button');
+      b.className = 'secondary';
+      b.textContent = text;
+      b.addEventListener('click', fn);
+      actions.appendChild(b);
+    };
+    btn('Ver', () => previewAudience(waPath(`/audiences/${encodeURIComponent(a.id)}/resolve`)));
+    if (canEdit) {
+      btn('Editar', () => editAudience(a));
+      btn('Borrar', () => { if (confirm(`¿Borrar la audiencia ${a.name}?`)) deleteAudience(a.id); });
+    }
+    div.appendChild(actions);
+    root.appendChild(div);
+  });
+  // selectores de los formularios de envío
+  $$('.aud-select').forEach(sel => {
+    const prev = sel.value;
+    sel.innerHTML = '<option value="">— ninguna —</option>';
+    AUDIENCES.forEach(a => {
+      const opt = document.createElement('option');
+      opt.value = a.id;
+      opt.textContent = a.name;
+      sel.appendChild(opt);
+    });
+    if (AUDIENCES.some(a => a.id === prev)) sel.value = prev;
+  });
+}
+async function loadAudiences() {
+  try {
+    const j = await (await fetch('/api/audiences', { headers: headers() })).json();
+    AUDIENCES = j.items || [];
+    renderAudiences();
   } catch (e) { console.error(e); }
 }
-$('#btn-reload-groups').addEventListener('click', loadGroups);
-$('#search').addEventListener('input', (e) => {
-  const q = e.target.value.toLowerCase();
-  renderGroups(ALL_GROUPS.filter(g =>
-    g.name.toLowerCase().includes(q) || g.id.toLowerCase().includes(q)
-  ));
+function audienceForm() {
+  const type = $('#a-type').value;
+  return {
+    id: $('#a-id').value || undefined,
+    name: $('#a-name').value.trim(),
+    type,
+    ids: type === 'static' ? Array.from(SELECTED_GROUPS) : undefined,
+    rule: type === 'dynamic' ? $('#a-rule').value.trim() : undefined
+  };
+}
+function editAudience(a) {
+  $('#a-id').value = a.id;
+  $('#a-name').value = a.name;
+  $('#a-type').value = a.type;
+  $('#a-rule').value = a.rule || '';
+  if (a.type === 'static') {
+    SELECTED_GROUPS.clear();
+    a.ids.forEach(id => SELECTED_GROUPS.add(id));
+    filterGroups();
+  }
+}
+$('#btn-a-reset').addEventListener('click', () => {
+  ['#a-id', '#a-name', '#a-rule'].forEach(sel => { $(sel).value = ''; });
+  $('#a-type').value = 'static';
+  $('#a-result').textContent = '';
+});
+async function previewAudience(url, body) {
+  try {
+    const r = await fetch(url, body
+      ? { method: 'POST', headers: { 'Content-Type': 'application/json', ...headers() }, body: JSON.stringify(body) }
+      : { headers: headers() });
+    const j = await r.json();
+    if (j.error) { $('#a-result').textContent = j.error; return; }
+    const head = `${j.total} destinos${j.ready ? '' : ' (WhatsApp no está listo: solo se evalúan los etiquetados)'}`;
+    $('#a-result').textContent = [head, ...j.items.map(t => `${t.name} [${t.id}]${t.tags?.length ? ` #${t.tags.join(' #')}` : ''}`)].join('\n');
+  } catch (e) {
+    $('#a-result').textContent = e?.message || String(e);
+  }
+}
+$('#btn-a-preview').addEventListener('click', () => previewAudience(waPath('/audiences/preview'), audienceForm()));
+$('#btn-a-save').addEventListener('click', async () => {
+  try {
+    const r = await fetch('/api/audiences', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers() },
+      body: JSON.stringify(audienceForm())
+    });
+    const j = await r.json();
+    $('#a-result').textContent = JSON.stringify(j, null, 2);
+    if (j.ok) $('#a-id').value = j.item.id;
+    loadAudiences();
+  } catch (e) {
+    $('#a-result').textContent = e?.message || String(e);
+  }
 });
+async function deleteAudience(id) {
+  const r = await fetch(`/api/audiences/${encodeURIComponent(id)}`, { method: 'DELETE', headers: headers() });
+  $('#a-result').textContent = JSON.stringify(await r.json(), null, 2);
+  loadAudiences();
+}
 
 // --------------------------- Checklists de grupos --------------------------------------
 const SELECTED_SEND = new Set();
 const SELECTED_SCHD = new Set();
 const SELECTED_CAMP = new Set();
 
+// Destinos seleccionables: grupos, contactos y los números/ids pegados a mano
+function allTargets(selectedSet) {
+  const known = [
+    ...ALL_GROUPS.map(g => ({ ...g, icon: '👥' })),
+    ...ALL_CONTACTS.map(c => ({ ...c, icon: '👤' }))
+  ];
+  const extra = Array.from(selectedSet)
+    .filter(id => !known.some(t => t.id === id))
+    .map(id => ({ id, name: id.endsWith('.us') ? 'ID pegado' : 'Número', icon: '📱' }));
+  return [...known, ...extra];
+}
+
 function makeChecklist(containerId, selectedSet) {
   const root = $(containerId);
   root.innerHTML = '';
-  if (!ALL_GROUPS.length) {
+  const targets = allTargets(selectedSet);
+  if (!targets.length) {
     root.innerHTML = '<div class="muted">— sin datos —</div>';
     return;
   }
-  ALL_GROUPS.forEach(g => {
+  targets.forEach(g => {
     const label = document.createElement('label');
     label.className = 'chk';
     const cb = document.createElement('input');
@@ -109,7 +655,7 @@ function makeChecklist(containerId, selectedSet) {
       if (cb.checked) selectedSet.add(cb.value); else selectedSet.delete(cb.value);
     });
     const span = document.createElement('span');
-    span.textContent = `${g.name} [${g.id}]`;
+    span.textContent = `${g.icon} ${g.name} [${g.id}]${g.canSend === false ? ' — 🚫 no podemos escribir' : ''}`;
     label.appendChild(cb);
     label.appendChild(span);
     root.appendChild(label);
@@ -122,18 +668,20 @@ function renderSelectors(mode) {
 }
 
 // ------------------------------ Pegar IDs util -----------------------------------------
+// Acepta ids de grupo (@g.us), de contacto (@c.us) y números E.164 (+5355512345).
 function extractIds(raw) {
   if (!raw) return [];
   return raw
+    .replace(/(\+?\d)[\s\-().]+(?=\d)/g, '$1') // "+53 555-12345" -> "+5355512345"
     .split(/[\s,;\n]+/)
     .map(s => s.trim())
     .filter(Boolean)
     .map(s => {
-      const m = s.match(/\[([0-9\-]+@g\.us)\]/); // permite "Nombre [id@g.us]"
+      const m = s.match(/\[([0-9\-]+@[gc]\.us)\]/); // permite "Nombre [id@g.us]" / "[id@c.us]"
       if (m) return m[1];
       return s;
     })
-    .filter(s => /@g\.us$/.test(s));
+    .filter(s => /@[gc]\.us$/.test(s) || /^\+?[1-9]\d{6,14}$/.test(s));
 }
 $('#btn-apply-ids').addEventListener('click', () => {
   extractIds($('#ids-paste').value).forEach(id => SELECTED_SEND.add(id));
@@ -148,44 +696,420 @@ $('#btn-apply-ids-c').addEventListener('click', () => {
   renderSelectors('c');
 });
 
-// ------------------------------- Upload de imágenes ------------------------------------
+// ------------------------------- Vista previa de plantillas ----------------------------
+function parseVars(raw) {
+  if (!raw || !raw.trim()) return {};
+  return JSON.parse(raw); // lanza si el JSON es inválido
+}
+
+async function renderPreview(previewEl, body) {
+  if (!/\{\{[^}]+\}\}/.test(body.text || '')) { previewEl.innerHTML = ''; return; }
+  try {
+    const r = await fetch(waPath('/templates/preview'), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers() },
+      body: JSON.stringify(body)
+    });
+    const j = await r.json();
+    if (j.error) throw new Error(j.error);
+    previewEl.textContent = j.text;
+    if (j.missing?.length) {
+      const warn = document.createElement('div');
+      warn.className = 'missing';
+      warn.textContent = `Sin valor: ${j.missing.join(', ')}`;
+      previewEl.appendChild(warn);
+    }
+  } catch (e) {
+    previewEl.textContent = e?.message || String(e);
+  }
+}
+
+/** Vista previa en vivo (con debounce) usando el primer destino seleccionado. */
+function bindPreview(textSel, previewSel, selectedSet, extra = () => ({})) {
+  let timer = null;
+  const update = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      let more;
+      try { more = extra(); }
+      catch { $(previewSel).textContent = 'Variables: JSON inválido.'; return; }
+      renderPreview($(previewSel), {
+        text: $(textSel).value,
+        target: Array.from(selectedSet)[0],
+        ...more
+      });
+    }, 300);
+  };
+  $(textSel).addEventListener('input', update);
+  return update;
+}
+
+const previewSend = bindPreview('#msg', '#msg-preview', SELECTED_SEND);
+const previewSchd = bindPreview('#msg-s', '#msg-s-preview', SELECTED_SCHD);
+const previewCamp = bindPreview('#c-message', '#c-message-preview', SELECTED_CAMP, () => ({
+  vars: parseVars($('#c-vars').value),
+  campaignName: $('#c-name').value.trim(),
+  tz: $('#c-tz').value
+}));
+$('#c-vars').addEventListener('input', previewCamp);
+$('#c-tz').addEventListener('change', previewCamp);
+['#select-groups', '#select-groups-s', '#select-groups-c'].forEach((sel, i) => {
+  $(sel).addEventListener('change', [previewSend, previewSchd, previewCamp][i]);
+});
+
+// ------------------------------- Upload de medios --------------------------------------
 async function uploadFiles(inputEl) {
   const fd = new FormData();
   for (const f of inputEl.files) fd.append('images', f);
   const r = await fetch('/api/upload', { method: 'POST', body: fd, headers: headers() });
   const j = await r.json();
-  if (!j.ok) throw new Error('Error subiendo imágenes');
+  if (!j.ok) throw new Error(j.error || 'Error subiendo archivos');
   return j.files; // rutas /uploads/...
 }
 
+function fileKind(f) {
+  const t = f.type || '';
+  if (t.startsWith('image/')) return 'image';
+  if (t.startsWith('video/')) return 'video';
+  if (t.startsWith('audio/')) return 'audio';
+  return 'document';
+}
+const KIND_ICONS = { image: '🖼️', video: '🎬', audio: '🎵', document: '📄' };
+
+/** Por cada archivo elegido: modo de envío (normal/documento/voz/sticker) y caption propio. */
+function renderMediaOptions(inputSel, optsSel) {
+  const root = $(optsSel);
+  root.innerHTML = '';
+  Array.from($(inputSel).files).forEach(f => {
+    const kind = fileKind(f);
+    const row = document.createElement('div');
+    row.className = 'media-opt';
+
+    const name = document.createElement('span');
+    name.className = 'name';
+    name.textContent = `${KIND_ICONS[kind]} ${f.name}`;
+
+    const mode = document.createElement('select');
+    mode.className = 'mode';
+    const modes = [['', 'Normal'], ['sendMediaAsDocument', 'Como documento']];
+    if (kind === 'audio') modes.push(['sendAudioAsVoice', 'Nota de voz']);
+    if (kind === 'image' || kind === 'video') modes.push(['sendMediaAsSticker', 'Sticker']);
+    modes.forEach(([value, label]) => {
+      const opt = document.createElement('option');
+      opt.value = value;
+      opt.textContent = label;
+      mode.appendChild(opt);
+    });
+
+    const caption = document.createElement('input');
+    caption.type = 'text';
+    caption.className = 'caption';
+    caption.placeholder = 'Caption propio (opcional)';
+    const syncCaption = () => {
+      caption.disabled = kind === 'audio' || mode.value === 'sendMediaAsSticker';
+    };
+    mode.addEventListener('change', syncCaption);
+    syncCaption();
+
+    row.appendChild(name);
+    row.appendChild(mode);
+    row.appendChild(caption);
+    root.appendChild(row);
+  });
+}
+
+/** Combina las rutas subidas con las opciones elegidas (mismo orden que los archivos). */
+function collectMedia(optsSel, paths) {
+  const rows = $$(`${optsSel} .media-opt`);
+  return paths.map((p, i) => {
+    const row = rows[i];
+    if (!row) return p;
+    const item = { path: p };
+    const mode = row.querySelector('.mode').value;
+    const caption = row.querySelector('.caption');
+    if (mode) item[mode] = true;
+    if (!caption.disabled && caption.value.trim()) item.caption = caption.value.trim();
+    return Object.keys(item).length > 1 ? item : p;
+  });
+}
+
+[['#images', '#images-opts'], ['#images-s', '#images-s-opts'], ['#c-images', '#c-images-opts'], ['#r-images', '#r-images-opts']]
+  .forEach(([inputSel, optsSel]) => {
+    $(inputSel).addEventListener('change', () => renderMediaOptions(inputSel, optsSel));
+  });
+
+// ------------------------------- Biblioteca de medios ----------------------------------
+// Archivos de la biblioteca elegidos para cada formulario (se envían antes que los subidos)
+const PICKED = { send: [], schd: [], camp: [], rule: [] };
+const PICKED_SEL = { send: '#images-picked', schd: '#images-s-picked', camp: '#c-images-picked', rule: '#r-images-picked' };
+const PICK_LABELS = { send: 'Enviar', schd: 'Programar', camp: 'Campaña', rule: 'Respuesta' };
+
+function formatBytes(n) {
+  if (n < 1024) return `${n} B`;
+  if (n < 1024 * 1024) return `${(n / 1024).toFixed(1)} KB`;
+  return `${(n / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function renderPicked(key) {
+  const root = $(PICKED_SEL[key]);
+  root.innerHTML = '';
+  PICKED[key].forEach((m, i) => {
+    const chip = document.createElement('span');
+    chip.className = 'chip';
+    chip.textContent = `${KIND_ICONS[m.kind] || '📄'} ${m.name}`;
+    const x = document.createElement('button');
+    x.textContent = '✕';
+    x.title = 'Quitar';
+    x.addEventListener('click', () => { PICKED[key].splice(i, 1); renderPicked(key); });
+    chip.appendChild(x);
+    root.appendChild(chip);
+  });
+}
+
+function pickMedia(key, m) {
+  if (!PICKED[key].some(x => x.path === m.path)) PICKED[key].push({ path: m.path, name: m.name, kind: m.kind });
+  renderPicked(key);
+}
+
+function renderMediaGrid(items) {
+  const root = $('#media-grid');
+  root.innerHTML = '';
+  if (!items.length) {
+    root.innerHTML = '<div class="muted">La biblioteca está vacía.</div>';
+    return;
+  }
+  items.forEach(m => {
+    const card = document.createElement('div');
+    card.className = 'media-card';
+
+    const thumb = document.createElement('div');
+    thumb.className = 'thumb';
+    if (m.kind === 'image') {
+      const img = document.createElement('img');
+      img.src = m.url;
+      img.alt = m.name;
+      img.loading = 'lazy';
+      thumb.appendChild(img);
+    } else {
+      thumb.textContent = KIND_ICONS[m.kind] || '📄';
+    }
+
+    const name = document.createElement('div');
+    name.className = 'name';
+    name.textContent = m.name;
+    name.title = m.path;
+
+    const meta = document.createElement('div');
+    meta.className = 'muted';
+    const dims = m.width && m.height ? ` · ${m.width}×${m.height}` : '';
+    meta.textContent = `${formatBytes(m.size)}${dims} · ${new Date(m.uploadedAt).toLocaleDateString()}`;
+
+    const use = document.createElement('div');
+    if (m.inUse) {
+      use.className = 'in-use';
+      use.textContent = `En uso: ${m.refs.map(r => r.name || r.id).join(', ')}`;
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'actions';
+    Object.keys(PICKED).forEach(key => {
+      const b = document.createElement('button');
+      b.textContent = `+ ${PICK_LABELS[key]}`;
+      b.addEventListener('click', () => pickMedia(key, m));
+      actions.appendChild(b);
+    });
+    const del = document.createElement('button');
+    del.className = 'secondary';
+    del.textContent = 'Eliminar';
+    del.disabled = m.inUse;
+    del.addEventListener('click', () => deleteMedia(m));
+    actions.appendChild(del);
+
+    [thumb, name, meta, use, actions].forEach(el => card.appendChild(el));
+    root.appendChild(card);
+  });
+}
+
+async function loadMedia() {
+  try {
+    const params = new URLSearchParams();
+    if ($('#media-kind').value) params.set('kind', $('#media-kind').value);
+    if ($('#media-source').value) params.set('source', $('#media-source').value);
+    const r = await fetch(`/api/media?${params}`, { headers: headers() });
+    const j = await r.json();
+    if (j.error) throw new Error(j.error);
+    renderMediaGrid(j.items || []);
+  } catch (e) {
+    $('#media-result').textContent = e?.message || String(e);
+  }
+}
+
+async function deleteMedia(m) {
+  if (!confirm(`¿Eliminar ${m.name}?`)) return;
+  try {
+    const r = await fetch(`/api/media/${encodeURIComponent(m.id)}`, { method: 'DELETE', headers: headers() });
+    const j = await r.json();
+    $('#media-result').textContent = JSON.stringify(j, null, 2);
+    loadMedia();
+  } catch (e) {
+    $('#media-result').textContent = e?.message || String(e);
+  }
+}
+
+async function mediaGc(dryRun) {
+  const r = await fetch('/api/media/gc', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers() },
+    body: JSON.stringify({ dryRun })
+  });
+  return r.json();
+}
+$('#btn-media-gc').addEventListener('click', async () => {
+  try {
+    const preview = await mediaGc(true);
+    if (preview.error) throw new Error(preview.error);
+    if (!preview.removed.length) {
+      $('#media-result').textContent = 'No hay archivos huérfanos.';
+      return;
+    }
+    const msg = `Se borrarán ${preview.removed.length} archivos (${formatBytes(preview.freedBytes)}). ¿Continuar?`;
+    if (!confirm(msg)) return;
+    $('#media-result').textContent = JSON.stringify(await mediaGc(false), null, 2);
+    loadMedia();
+  } catch (e) {
+    $('#media-result').textContent = e?.message || String(e);
+  }
+});
+$('#btn-media-reload').addEventListener('click', loadMedia);
+$('#media-kind').addEventListener('change', loadMedia);
+$('#media-source').addEventListener('change', loadMedia);
+
 // ------------------------------- Enviar ahora ------------------------------------------
-$('#btn-send').addEventListener('click', async () => {
+// dryRun: el servidor devuelve el plan (mensajes ya renderizados y horas) sin enviar
+async function sendNow(dryRun) {
   try {
     const ids = Array.from(SELECTED_SEND);
-    if (!ids.length) return alert('Seleccione al menos un grupo.');
+    const audienceId = $('#aud').value || undefined;
+    if (!ids.length && !audienceId) return alert('Seleccione al menos un destino o una audiencia.');
 
-    let media = [];
-    if ($('#images').files.length) media = await uploadFiles($('#images'));
+    let media = PICKED.send.map(m => m.path);
+    if ($('#images').files.length) {
+      media = media.concat(collectMedia('#images-opts', await uploadFiles($('#images'))));
+    }
 
     const body = {
       ids,
+      audienceId,
       text: $('#msg').value,
       media,
       mediaDelayMs: Number($('#mediaDelayMs').value || 2000),
-      groupDelayMs: Math.max(1500, Number($('#groupDelayMs').value || 2000))
+      groupDelayMs: Math.max(1500, Number($('#groupDelayMs').value || 2000)),
+      dryRun
     };
 
-    const r = await fetch('/api/send', {
+    const r = await fetch(waPath('/send'), {
       method: 'POST',
       headers: { 'Content-Type': 'application/json', ...headers() },
       body: JSON.stringify(body)
     });
     const j = await r.json();
-    $('#send-result').textContent = JSON.stringify(j, null, 2);
+    if (!j.ok) { $('#send-result').textContent = JSON.stringify(j, null, 2); return; }
+    if (dryRun) { $('#send-result').textContent = planText(j); return; }
+    // El avance llega por el canal de eventos (send.progress / run)
+    SEND_BATCH = { id: j.batchId, total: j.total, lines: [], state: 'running' };
+    if (j.skipped?.length) alert(`Se omitirán ${j.skipped.length} destino(s):\n${j.skipped.map(x => x.error).join('\n')}`);
+    renderSendProgress();
+    setTimeout(() => showSendResult(j.batchId), 1000); // por si terminó antes de escuchar
   } catch (e) {
     $('#send-result').textContent = e?.message || String(e);
   }
-});
+}
+$('#btn-send').addEventListener('click', () => sendNow(false));
+$('#btn-send-dry').addEventListener('click', () => sendNow(true));
+
+/** Plan de un ensayo (dryRun) en texto: destino, hora estimada y cada mensaje. */
+function planText(plan) {
+  const time = iso => new Date(iso).toLocaleTimeString();
+  const lines = [
+    `Ensayo: ${plan.total} destino(s)` +
+      (plan.startAt ? ` de ${new Date(plan.startAt).toLocaleString()} a ${time(plan.finishAt)}` : '') +
+      ' (horas estimadas, sin contar el jitter). No se envió nada.'
+  ];
+  if (!plan.sessionReady) lines.push('WhatsApp no está listo: los números no se comprobaron.');
+  if (plan.blockedCount) lines.push(`${plan.blockedCount} destino(s) se omitirán: ya no podemos escribir en ellos.`);
+  for (const it of plan.items) {
+    lines.push('', `· ${time(it.at)}  ${it.name || it.target} (${it.to || it.target})${it.verified ? '' : ' — sin comprobar'}`);
+    if (it.error) { lines.push(`    ✖ ${it.error}`); continue; }
+    if (it.blocked) { lines.push(`    ⏭ se omitirá: ${it.blocked}`); continue; }
+    for (const m of it.messages) {
+      if (m.type === 'text') lines.push(`    texto: ${m.body}`);
+      else lines.push(`    ${m.kind}: ${m.path.split('/').pop()}${m.options.caption ? ` — ${m.options.caption}` : ''}`);
+    }
+    if (it.missing.length) lines.push(`    sin valor: ${it.missing.join(', ')}`);
+  }
+  return lines.join('\n');
+}
+
+// Cupo del regulador de envíos para la cuenta activa
+const LIMIT_LABELS = { minute: 'minuto', hour: 'hora', day: 'día' };
+async function loadLimits() {
+  try {
+    const j = await (await fetch(`/api/limits?session=${encodeURIComponent(SESSION)}`, { headers: headers() })).json();
+    const b = j.items?.[0];
+    if (!b) return;
+    const parts = Object.entries(b.windows)
+      .filter(([, w]) => w.limit)
+      .map(([k, w]) => `${LIMIT_LABELS[k]} ${w.used}/${w.limit}`);
+    let text = parts.length ? `Cupo de envío: ${parts.join(' · ')}` : 'Cupo de envío: sin límites';
+    if (b.blocked) text += ` — sin cupo hasta ${new Date(b.blocked.retryAt).toLocaleString()}`;
+    $('#limits').textContent = text;
+  } catch (e) { console.error(e); }
+}
+const loadLimitsSoon = (() => {
+  let t = null;
+  return () => { clearTimeout(t); t = setTimeout(loadLimits, 1000); };
+})();
+
+let SEND_BATCH = null; // { id, total, lines, state } del último envío lanzado desde este panel
+function renderSendProgress(final) {
+  if (!SEND_BATCH) return;
+  const head = final
+    ? `Envío ${SEND_BATCH.id} terminado: ${final.okCount}/${final.total} ok` +
+      (final.queuedCount ? `, ${final.queuedCount} en cola` : '') +
+      (final.notSentCount ? `, ${final.notSentCount} sin enviar (cancelado)` : '') +
+      (final.skippedCount ? `, ${final.skippedCount} omitidos` : '') + (final.error ? ` — ${final.error}` : '')
+    : `${SEND_BATCH.state === 'paused' ? 'En pausa' : 'Enviando'} ${SEND_BATCH.lines.length}/${SEND_BATCH.total}…`;
+  $('#send-result').textContent = [head, ...SEND_BATCH.lines].join('\n');
+  $('#send-controls').hidden = Boolean(final) || SEND_BATCH.state === 'canceled';
+  $('#btn-send-pause').hidden = SEND_BATCH.state !== 'running';
+  $('#btn-send-resume').hidden = SEND_BATCH.state !== 'paused';
+}
+// Al terminar se piden los resultados completos (por si se perdió algún evento)
+async function showSendResult(batchId) {
+  try {
+    const j = await (await fetch(`/api/send/${encodeURIComponent(batchId)}`, { headers: headers() })).json();
+    if (!j.item?.finishedAt || !SEND_BATCH || SEND_BATCH.id !== batchId) return;
+    SEND_BATCH.lines = j.item.results.map(sendProgressLine);
+    renderSendProgress(j.item);
+  } catch (e) { console.error(e); }
+}
+function sendProgressLine(r) {
+  const mark = r.ok ? '✅' : r.queued ? '⏳' : r.notSent ? '⏹️' : r.skipped ? '⏭️' : '❌';
+  return `${mark} ${groupLabel(r.id)}${r.error ? ` — ${r.error}` : ''}`;
+}
+
+// Pausar / reanudar / cancelar una ejecución (lote en curso o, si se canceló, reanudarla)
+async function controlRun(id, action) {
+  const r = await fetch(`/api/runs/${encodeURIComponent(id)}/${action}`, { method: 'POST', headers: headers() });
+  const j = await r.json();
+  if (j.error) alert(j.error);
+  return j;
+}
+['pause', 'resume', 'cancel'].forEach(action => $(`#btn-send-${action}`).addEventListener('click', async () => {
+  if (!SEND_BATCH) return;
+  if (action === 'cancel' && !confirm('¿Cancelar el envío? Los destinos que faltan quedarán sin enviar.')) return;
+  await controlRun(SEND_BATCH.id, action);
+}));
 
 // ------------------------------- One-shot ----------------------------------------------
 async function reloadSchedules() {
@@ -202,21 +1126,29 @@ $('#btn-reload-schedules').addEventListener('click', reloadSchedules);
 $('#btn-schedule').addEventListener('click', async () => {
   try {
     const ids = Array.from(SELECTED_SCHD);
-    if (!ids.length) return alert('Seleccione al menos un grupo.');
+    const audienceId = $('#aud-s').value || undefined;
+    if (!ids.length && !audienceId) return alert('Seleccione al menos un destino o una audiencia.');
 
-    let media = [];
-    if ($('#images-s').files.length) media = await uploadFiles($('#images-s'));
+    let media = PICKED.schd.map(m => m.path);
+    if ($('#images-s').files.length) {
+      media = media.concat(collectMedia('#images-s-opts', await uploadFiles($('#images-s'))));
+    }
 
     const when = $('#when').value; // datetime-local
-    if (!when) return alert('Seleccione fecha/hora.');
+    const recurrence = recurrenceOf('rs-');
+    if (!when && !recurrence) return alert('Seleccione fecha/hora.');
 
     const body = {
       ids,
+      audienceId,
       message: $('#msg-s').value,
       media,
       mediaDelayMs: Number($('#mediaDelayMs-s').value || 2000),
       groupDelayMs: Math.max(1500, Number($('#groupDelayMs-s').value || 2000)),
-      when
+      when: when || undefined,
+      recurrence: recurrence || undefined,
+      tz: BROWSER_TZ,
+      sessionId: SESSION
     };
 
     const r = await fetch('/api/schedules', {
@@ -237,41 +1169,375 @@ async function reloadCampaigns() {
     const r = await fetch('/api/campaigns', { headers: headers() });
     const j = await r.json();
     $('#campaigns').textContent = JSON.stringify(j, null, 2);
+    fillHistorySelect(j.items || []);
   } catch (e) {
     $('#campaigns').textContent = e?.message || String(e);
   }
 }
 $('#btn-c-reload').addEventListener('click', reloadCampaigns);
 
-$('#btn-c-save').addEventListener('click', async () => {
-  try {
-    const ids = Array.from(SELECTED_CAMP);
-    if (!ids.length) return alert('Seleccione al menos un grupo.');
+// ------------------------------- Historial de ejecuciones -------------------------------
+const TRIGGER_LABELS = { cron: 'CRON', 'run-now': 'Manual', 'one-shot': 'One-shot', recurrence: 'Repetición', manual: 'Envío', resume: 'Reanudación' };
+
+function fillHistorySelect(items) {
+  const sel = $('#c-history-id');
+  const prev = sel.value;
+  sel.innerHTML = '';
+  items.forEach(c => {
+    const opt = document.createElement('option');
+    opt.value = c.id;
+    opt.textContent = `${c.name} [${c.id}]`;
+    sel.appendChild(opt);
+  });
+  if (items.some(c => c.id === prev)) sel.value = prev;
+}
 
-    let media = [];
-    if ($('#c-images').files.length) media = await uploadFiles($('#c-images'));
+function groupLabel(id) {
+  const g = ALL_GROUPS.find(x => x.id === id) || ALL_CONTACTS.find(x => x.id === id);
+  return g ? `${g.name} [${id}]` : id;
+}
 
-    const name = $('#c-name').value.trim() || undefined;
-    const message = $('#c-message').value;
-    const cronExpr = $('#c-cron').value.trim();
-    const tz = $('#c-tz').value;
+function renderRuns(root, runs) {
+  root.innerHTML = '';
+  if (!runs.length) {
+    root.innerHTML = '<div class="muted">Sin ejecuciones registradas.</div>';
+    return;
+  }
+  runs.forEach(run => {
+    const det = document.createElement('details');
+    det.className = 'run';
+    const sum = document.createElement('summary');
+    const badge = document.createElement('span');
+    const status = run.control?.state === 'paused' ? 'paused' : run.status;
+    badge.className = `badge ${status}`;
+    badge.textContent = status;
+    sum.appendChild(badge);
+    const when = new Date(run.startedAt).toLocaleString();
+    const trig = TRIGGER_LABELS[run.trigger] || run.trigger;
+    sum.appendChild(document.createTextNode(
+      `${when} · ${trig} · ${run.okCount}/${run.total} destinos` +
+      (run.audience ? ` · audiencia ${run.audience.name}` : '') +
+      (run.variant ? ` · ${run.variant.name}` : '') +
+      (run.notSentCount ? ` · ${run.notSentCount} sin enviar` : '') +
+      (run.resumedBy ? ` · reanudada en ${run.resumedBy}` : '')
+    ));
+    runControls(run).forEach(b => sum.appendChild(b));
+    det.appendChild(sum);
 
-    if (!cronExpr) return alert('Introduzca una expresión CRON.');
-    // Validación básica cliente (no bloquea al servidor)
-    const cronLike = /^(@(yearly|monthly|weekly|daily|hourly)|(@reboot)|(\S+\s+\S+\s+\S+\s+\S+\s+\S+(\s+\S+)?))$/i;
-    if (!cronLike.test(cronExpr)) {
-      if (!confirm('La expresión no parece estándar. ¿Enviar de todos modos y que el servidor valide?')) return;
+    if (run.error) {
+      const err = document.createElement('div');
+      err.className = 'fail';
+      err.textContent = run.error;
+      det.appendChild(err);
     }
+    const ul = document.createElement('ul');
+    (run.results || []).forEach(r => {
+      const li = document.createElement('li');
+      li.className = r.ok ? 'ok' : r.notSent || r.skipped ? 'not-sent' : 'fail';
+      li.textContent = r.ok ? `✔ ${groupLabel(r.id)}` : `${r.notSent ? '⏹' : r.skipped ? '⏭' : '✖'} ${groupLabel(r.id)} — ${r.error}`;
+      ul.appendChild(li);
+    });
+    det.appendChild(ul);
+    root.appendChild(det);
+  });
+}
 
-    const body = {
-      name,
-      ids,
-      message,
+/** Botones de control de una ejecución: en curso (pausar/reanudar/cancelar) o cancelada con pendientes. */
+function runControls(run) {
+  if (!ME || !roleAtLeast(ME.role, 'operator')) return [];
+  const live = run.control && run.control.state !== 'canceled';
+  const actions = live
+    ? [run.control.state === 'paused' ? 'resume' : 'pause', 'cancel']
+    : !run.control && run.status === 'canceled' && run.resumable && !run.resumedBy ? ['resume'] : [];
+  const labels = { pause: 'Pausar', resume: live ? 'Reanudar' : 'Reanudar pendientes', cancel: 'Cancelar' };
+  return actions.map(action => {
+    const b = document.createElement('button');
+    b.className = 'secondary';
+    b.textContent = labels[action];
+    b.addEventListener('click', async e => {
+      e.preventDefault(); // no abrir/cerrar el details
+      await controlRun(run.id, action);
+      loadCampaignHistory();
+    });
+    return b;
+  });
+}
+
+async function loadCampaignHistory() {
+  const id = $('#c-history-id').value;
+  if (!id) return;
+  try {
+    const r = await fetch(`/api/campaigns/${encodeURIComponent(id)}/runs`, { headers: headers() });
+    const j = await r.json();
+    if (j.error) throw new Error(j.error);
+    renderRuns($('#c-history'), j.items || []);
+  } catch (e) {
+    $('#c-history').textContent = e?.message || String(e);
+  }
+}
+$('#btn-c-history').addEventListener('click', loadCampaignHistory);
+$('#c-history-id').addEventListener('change', loadCampaignHistory);
+
+// Días de la semana como casillas (campañas: días excluidos; respuestas: días activos)
+const DAY_LABELS = ['Dom', 'Lun', 'Mar', 'Mié', 'Jue', 'Vie', 'Sáb'];
+function renderDays(sel, days = []) {
+  const root = $(sel);
+  root.innerHTML = '';
+  DAY_LABELS.forEach((d, i) => {
+    const label = document.createElement('label');
+    label.className = 'chk';
+    const cb = document.createElement('input');
+    cb.type = 'checkbox';
+    cb.value = i;
+    cb.checked = days.includes(i);
+    label.appendChild(cb);
+    label.appendChild(document.createTextNode(d));
+    root.appendChild(label);
+  });
+}
+const checkedDays = sel => $$(`${sel} input:checked`).map(cb => Number(cb.value));
+renderDays('#c-skip-days');
+
+// Constructor de recurrencias (programar y campañas): se guarda el modelo, no un CRON
+const BROWSER_TZ = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+const REC_TZ = { 'rs-': () => BROWSER_TZ, 'rc-': () => $('#c-tz').value };
+const REC_START = { 'rs-': () => $('#when').value, 'rc-': () => $('#c-start').value };
+const REC_TIMERS = {};
+
+/** Recurrencia del formulario, o null si es «Una vez» o un CRON escrito a mano. */
+function recurrenceOf(p) {
+  const type = $(`#${p}type`).value;
+  if (!type || type === 'cron') return null;
+  const days = checkedDays(`#${p}days`);
+  if (type === 'hourly') {
+    return { type, every: Number($(`#${p}every`).value), from: $(`#${p}from`).value.trim(), to: $(`#${p}to`).value.trim(), days };
+  }
+  const rec = { type, times: $(`#${p}times`).value.split(',').map(t => t.trim()).filter(Boolean) };
+  if (type === 'weekly') rec.days = days;
+  if (type === 'monthly') rec.day = Number($(`#${p}day`).value);
+  return rec;
+}
+
+async function previewRecurrence(p) {
+  const root = $(`#${p}preview`);
+  const recurrence = recurrenceOf(p);
+  if (!recurrence) { root.innerHTML = ''; return; }
+  try {
+    const r = await fetch('/api/recurrence/preview', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers() },
+      body: JSON.stringify({ recurrence, tz: REC_TZ[p](), startAt: REC_START[p]() || undefined, count: 5 })
+    });
+    const j = await r.json();
+    if (j.error) throw new Error(j.error);
+    root.textContent = j.text;
+    const next = document.createElement('div');
+    next.className = 'next';
+    next.textContent = j.items.length
+      ? `Próximas: ${j.items.map(x => x.local).join(' · ')} (${j.tz})`
+      : 'Sin próximas ocurrencias.';
+    root.appendChild(next);
+  } catch (e) {
+    root.textContent = e?.message || String(e);
+  }
+}
+
+/** Muestra solo los campos del tipo elegido y refresca la vista previa. */
+function syncRecurrence(p) {
+  const type = $(`#${p}type`).value;
+  $(`#${p}box`).hidden = !type || type === 'cron';
+  $(`#${p}type`).parentElement.querySelectorAll('[data-rec]').forEach(el => {
+    el.hidden = !el.dataset.rec.split(' ').includes(type);
+  });
+  clearTimeout(REC_TIMERS[p]);
+  REC_TIMERS[p] = setTimeout(() => previewRecurrence(p), 400);
+}
+
+['rs-', 'rc-'].forEach(p => {
+  renderDays(`#${p}days`, [1, 2, 3, 4, 5]);
+  const form = $(`#${p}type`).parentElement;
+  const watched = [`#${p}type`, '#when', '#c-tz', '#c-start'];
+  ['input', 'change'].forEach(ev => form.addEventListener(ev, e => {
+    if (e.target.closest(`#${p}box`) || watched.some(sel => e.target.matches(sel))) syncRecurrence(p);
+  }));
+  syncRecurrence(p);
+});
+
+/** Ventana, límite y bloqueos del formulario de campaña. */
+function campaignLifecycle() {
+  const from = $('#c-quiet-from').value.trim();
+  const to = $('#c-quiet-to').value.trim();
+  return {
+    startAt: $('#c-start').value || null,
+    endAt: $('#c-end').value || null,
+    maxRuns: $('#c-max-runs').value || null,
+    blackout: {
+      quietHours: from || to ? [{ from, to }] : [],
+      days: checkedDays('#c-skip-days'),
+      dates: $('#c-holidays').value.split(/[\s,]+/).filter(Boolean)
+    }
+  };
+}
+
+async function loadNextRuns() {
+  const id = $('#c-history-id').value;
+  if (!id) return;
+  const root = $('#c-next-runs');
+  try {
+    const j = await (await fetch(`/api/campaigns/${encodeURIComponent(id)}/next-runs?count=10`, { headers: headers() })).json();
+    if (j.error) throw new Error(j.error);
+    const ENDS = { endAt: 'después termina (fecha de fin)', maxRuns: 'después termina (máximo de ejecuciones)', variants: 'después termina (sin más variantes)' };
+    const out = j.items.map(x => `${x.local} (${j.tz})`);
+    if (!j.enabled) out.unshift('La campaña está deshabilitada; así sería si se activa:');
+    if (!j.items.length) out.push('No hay próximas ejecuciones.');
+    if (j.ends) out.push(ENDS[j.ends] || j.ends);
+    if (j.skipped) out.push(`${j.skipped} disparos omitidos por la ventana o los bloqueos.`);
+    if (j.truncated) out.push('(búsqueda limitada: puede haber más ejecuciones más adelante)');
+    root.textContent = out.join('\n');
+  } catch (e) {
+    root.textContent = e?.message || String(e);
+  }
+}
+$('#btn-c-next').addEventListener('click', loadNextRuns);
+
+// Variantes de contenido del formulario (se guardan con la campaña)
+let CAMP_VARIANTS = [];
+function renderCampVariants() {
+  const root = $('#c-variants');
+  root.innerHTML = '';
+  CAMP_VARIANTS.forEach((v, i) => {
+    const div = document.createElement('div');
+    div.className = 'group-item user-item';
+    const info = document.createElement('span');
+    const text = v.message.length > 60 ? `${v.message.slice(0, 60)}…` : v.message;
+    info.textContent = `${v.name} (peso ${v.weight}) — ${text || '(sin texto)'}` +
+      (v.media.length ? ` · ${v.media.length} archivo(s)` : '');
+    div.appendChild(info);
+    const actions = document.createElement('div');
+    actions.className = 'actions';
+    const btn = (label, fn) => {
+      const b = document.createElement('button');
+      b.className = 'secondary';
+      b.textContent = label;
+      b.addEventListener('click', fn);
+      actions.appendChild(b);
+    };
+    // Editar: vuelve al formulario y sale de la lista hasta que se añada otra vez
+    btn('Editar', () => {
+      $('#c-v-name').value = v.name;
+      $('#c-v-weight').value = v.weight;
+      $('#c-message').value = v.message;
+      PICKED.camp = v.media.map(m => {
+        const p = typeof m === 'string' ? m : m.path;
+        return { path: p, name: p.split('/').pop() };
+      });
+      renderPicked('camp');
+      CAMP_VARIANTS.splice(i, 1);
+      renderCampVariants();
+      previewCamp();
+    });
+    btn('Quitar', () => { CAMP_VARIANTS.splice(i, 1); renderCampVariants(); });
+    div.appendChild(actions);
+    root.appendChild(div);
+  });
+}
+$('#btn-c-variant-add').addEventListener('click', async () => {
+  try {
+    let media = PICKED.camp.map(m => m.path);
+    if ($('#c-images').files.length) {
+      media = media.concat(collectMedia('#c-images-opts', await uploadFiles($('#c-images'))));
+    }
+    const message = $('#c-message').value;
+    if (!message.trim() && !media.length) return alert('La variante necesita mensaje o archivos.');
+    CAMP_VARIANTS.push({
+      name: $('#c-v-name').value.trim() || `Variante ${String.fromCharCode(65 + CAMP_VARIANTS.length)}`,
+      weight: Math.max(1, Number($('#c-v-weight').value || 1)),
+      message,
+      media
+    });
+    $('#c-v-name').value = '';
+    $('#c-v-weight').value = 1;
+    $('#c-message').value = '';
+    $('#c-message-preview').innerHTML = '';
+    $('#c-images').value = null;
+    $('#c-images-opts').innerHTML = '';
+    PICKED.camp = [];
+    renderPicked('camp');
+    renderCampVariants();
+  } catch (e) {
+    $('#c-save-result').textContent = e?.message || String(e);
+  }
+});
+
+async function loadVariantStats() {
+  const id = $('#c-history-id').value;
+  if (!id) return;
+  const root = $('#c-variants-stats');
+  try {
+    const j = await (await fetch(`/api/campaigns/${encodeURIComponent(id)}/variants`, { headers: headers() })).json();
+    if (j.error) throw new Error(j.error);
+    root.innerHTML = '';
+    j.items.forEach(v => {
+      const div = document.createElement('div');
+      div.className = 'group-item';
+      div.textContent = `${v.current ? '' : '(retirada) '}${v.name}: ${v.runs} ejecuciones · ` +
+        `${v.okCount}/${v.targets} entregas ok${v.okRate == null ? '' : ` (${v.okRate}%)`}` +
+        (v.lastRunAt ? ` · última ${new Date(v.lastRunAt).toLocaleString()}` : '');
+      root.appendChild(div);
+    });
+  } catch (e) {
+    root.textContent = e?.message || String(e);
+  }
+}
+$('#btn-c-variants').addEventListener('click', loadVariantStats);
+
+$('#btn-c-save').addEventListener('click', async () => {
+  try {
+    const ids = Array.from(SELECTED_CAMP);
+    const audienceId = $('#aud-c').value || undefined;
+    if (!ids.length && !audienceId) return alert('Seleccione al menos un destino o una audiencia.');
+
+    let media = PICKED.camp.map(m => m.path);
+    if (CAMP_VARIANTS.length && ($('#c-message').value.trim() || media.length || $('#c-images').files.length)) {
+      return alert('Con variantes, añada también el mensaje actual como variante o vacíe el campo.');
+    }
+    if ($('#c-images').files.length) {
+      media = media.concat(collectMedia('#c-images-opts', await uploadFiles($('#c-images'))));
+    }
+
+    const name = $('#c-name').value.trim() || undefined;
+    const message = $('#c-message').value;
+    let vars;
+    try { vars = parseVars($('#c-vars').value); }
+    catch { return alert('Variables: el JSON no es válido.'); }
+    const recurrence = recurrenceOf('rc-');
+    const cronExpr = $('#c-cron').value.trim();
+    const tz = $('#c-tz').value;
+
+    if (!recurrence) {
+      if (!cronExpr) return alert('Introduzca una expresión CRON.');
+      // Validación básica cliente (no bloquea al servidor)
+      const cronLike = /^(@(yearly|monthly|weekly|daily|hourly)|(@reboot)|(\S+\s+\S+\s+\S+\s+\S+\s+\S+(\s+\S+)?))$/i;
+      if (!cronLike.test(cronExpr)) {
+        if (!confirm('La expresión no parece estándar. ¿Enviar de todos modos y que el servidor valide?')) return;
+      }
+    }
+
+    const body = {
+      name,
+      ids,
+      audienceId,
+      message,
       media,
+      variants: CAMP_VARIANTS,
+      rotation: $('#c-rotation').value,
+      vars,
       mediaDelayMs: Number($('#c-mediaDelayMs').value || 2000),
       groupDelayMs: Math.max(1500, Number($('#c-groupDelayMs').value || 2000)),
-      cron: cronExpr,
+      ...(recurrence ? { recurrence } : { cron: cronExpr }),
       tz,
+      ...campaignLifecycle(),
+      sessionId: SESSION,
       enabled: true
     };
 
@@ -291,16 +1557,817 @@ $('#btn-c-save').addEventListener('click', async () => {
 $('#btn-c-reset').addEventListener('click', () => {
   $('#c-name').value = '';
   $('#c-message').value = '';
+  $('#c-message-preview').innerHTML = '';
+  $('#c-vars').value = '';
   $('#c-cron').value = '';
+  $('#rc-type').value = 'daily';
+  $('#rc-times').value = '';
+  renderDays('#rc-days', [1, 2, 3, 4, 5]);
+  syncRecurrence('rc-');
   $('#c-tz').selectedIndex = 0;
   $('#c-images').value = null;
+  $('#c-images-opts').innerHTML = '';
+  PICKED.camp = [];
+  renderPicked('camp');
+  CAMP_VARIANTS = [];
+  renderCampVariants();
+  ['#c-start', '#c-end', '#c-max-runs', '#c-quiet-from', '#c-quiet-to', '#c-holidays'].forEach(sel => { $(sel).value = ''; });
+  renderDays('#c-skip-days');
+  $('#c-rotation').value = 'round-robin';
   SELECTED_CAMP.clear();
+  $('#aud-c').value = '';
   renderSelectors('c');
 });
 
+// ------------------------------- Importar / exportar -----------------------------------
+const IMPORT_KINDS = { media: 'Archivo', audience: 'Audiencia', campaign: 'Campaña', schedule: 'Programación' };
+const IMPORT_ACTIONS = {
+  create: 'nuevo', overwrite: 'se sobrescribe', rename: 'con otro id', skip: 'se omite',
+  invalid: 'inválido', reuse: 'ya está en el servidor', missing: 'falta el archivo'
+};
+
+/** Resultado de una importación (paquete o CSV) como lista ok/fallo bajo un resumen. */
+function renderImportResult(root, title, lines, error) {
+  root.innerHTML = '';
+  const box = document.createElement('div');
+  box.className = 'run';
+  const head = document.createElement('div');
+  head.textContent = title;
+  box.appendChild(head);
+  if (error) {
+    const err = document.createElement('div');
+    err.className = 'fail';
+    err.textContent = error;
+    box.appendChild(err);
+  }
+  const ul = document.createElement('ul');
+  lines.forEach(({ ok, text }) => {
+    const li = document.createElement('li');
+    li.className = ok ? 'ok' : 'fail';
+    li.textContent = text;
+    ul.appendChild(li);
+  });
+  box.appendChild(ul);
+  root.appendChild(box);
+}
+
+$('#btn-export').addEventListener('click', async () => {
+  try {
+    const r = await fetch(`/api/export${$('#export-media').checked ? '' : '?media=0'}`, { headers: headers() });
+    if (!r.ok) throw new Error((await r.json()).error || r.statusText);
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(await r.blob());
+    a.download = /filename="([^"]+)"/.exec(r.headers.get('Content-Disposition') || '')?.[1] || 'wa-panel.json';
+    a.click();
+    URL.revokeObjectURL(a.href);
+  } catch (e) {
+    $('#import-result').textContent = e?.message || String(e);
+  }
+});
+
+async function importBundle(dryRun) {
+  const root = $('#import-result');
+  try {
+    const file = $('#import-file').files[0];
+    if (!file) return alert('Elija el archivo del paquete (.json).');
+    let bundle;
+    try { bundle = JSON.parse(await file.text()); }
+    catch { return alert('El archivo no es JSON válido.'); }
+    const mode = $('#import-mode').value;
+    if (!dryRun && !confirm('¿Importar el paquete en este servidor?')) return;
+    const r = await fetch('/api/import', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers() },
+      body: JSON.stringify({ bundle, mode, dryRun })
+    });
+    const j = await r.json();
+    if (!j.items) throw new Error(j.error || r.statusText);
+    const lines = j.items.map(x => ({
+      ok: !['invalid', 'missing'].includes(x.action),
+      text: `${IMPORT_KINDS[x.kind] || x.kind} ${x.name || x.id}: ${IMPORT_ACTIONS[x.action] || x.action}` +
+        (x.newId ? ` → ${x.newId}` : '') +
+        (x.changes ? (x.changes.length ? ` (cambia: ${x.changes.join(', ')})` : ' (sin cambios)') : '') +
+        (x.reason ? ` (${x.reason})` : '') +
+        (x.error ? ` — ${x.error}` : '')
+    }));
+    renderImportResult(root, dryRun ? 'Simulación: no se guardó nada.' : 'Importación aplicada.', lines, j.error);
+    if (!dryRun && j.ok) { reloadCampaigns(); reloadSchedules(); loadAudiences(); loadMedia(); }
+  } catch (e) {
+    root.textContent = e?.message || String(e);
+  }
+}
+$('#btn-import-check').addEventListener('click', () => importBundle(true));
+$('#btn-import').addEventListener('click', () => importBundle(false));
+
+async function importCsv(dryRun) {
+  const root = $('#csv-result');
+  try {
+    const file = $('#csv-file').files[0];
+    if (!file) return alert('Elija el archivo CSV.');
+    const q = new URLSearchParams({ tz: BROWSER_TZ, sessionId: SESSION, dryRun: dryRun ? '1' : '0' });
+    const r = await fetch(`/api/import/schedules-csv?${q}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/csv', ...headers() },
+      body: await file.text()
+    });
+    const j = await r.json();
+    if (!j.rows) throw new Error(j.error || r.statusText);
+    const lines = j.rows.map(x => ({
+      ok: x.ok,
+      text: x.ok
+        ? `Fila ${x.line}: ${new Date(x.item.when).toLocaleString()} · ${x.item.ids.length} destinos` +
+          (x.item.media.length ? ` · ${x.item.media.length} archivos` : '')
+        : `Fila ${x.line}: ${x.error}`
+    }));
+    const title = dryRun
+      ? `Revisión: ${j.rows.filter(x => x.ok).length}/${j.rows.length} filas válidas (no se guardó nada).`
+      : `${j.created} programaciones creadas.`;
+    renderImportResult(root, title, lines, j.error);
+    if (!dryRun && j.ok) reloadSchedules();
+  } catch (e) {
+    root.textContent = e?.message || String(e);
+  }
+}
+$('#btn-csv-check').addEventListener('click', () => importCsv(true));
+$('#btn-csv-import').addEventListener('click', () => importCsv(false));
+
+// ------------------------------- Eventos en tiempo real --------------------------------
+// Un EventSource por pestaña; el navegador reconecta solo (retry del servidor).
+let EVENTS = null;
+const debounced = (fn, ms = 400) => {
+  let t = null;
+  return () => { clearTimeout(t); t = setTimeout(fn, ms); };
+};
+const reloadSchedulesSoon = debounced(reloadSchedules);
+const reloadCampaignsSoon = debounced(reloadCampaigns);
+const loadGroupsSoon = debounced(loadGroups);
+const loadSessionsSoon = debounced(loadSessions);
+
+function onEvent(type, fn) {
+  EVENTS.addEventListener(type, ev => {
+    try { fn(JSON.parse(ev.data)); } catch (e) { console.error(e); }
+  });
+}
+function connectEvents() {
+  if (EVENTS) EVENTS.close();
+  EVENTS = new EventSource('/api/events');
+
+  // Estado de las cuentas de WhatsApp
+  ['qr', 'ready', 'auth_failure', 'disconnected', 'session.state', 'session.needs_qr'].forEach(type => onEvent(type, d => {
+    loadSessionsSoon();
+    if (d.sessionId !== SESSION) return;
+    refreshStatus();
+    if (roleAtLeast(ME.role, 'admin')) refreshQR();
+    if (type === 'ready') loadGroups();
+  }));
+
+  onEvent('send.progress', d => {
+    if (d.sessionId === SESSION) loadLimitsSoon();
+    if (!SEND_BATCH || d.batchId !== SEND_BATCH.id) return;
+    SEND_BATCH.lines.push(sendProgressLine(d.result));
+    renderSendProgress();
+  });
+
+  onEvent('run.control', b => {
+    if (SEND_BATCH && b.runId === SEND_BATCH.id) {
+      SEND_BATCH.state = b.state;
+      renderSendProgress();
+    }
+    if (b.kind === 'campaign' && b.refId === $('#c-history-id').value && $('#c-history').children.length) {
+      loadCampaignHistory();
+    }
+  });
+
+  onEvent('run', run => {
+    if (SEND_BATCH && run.id === SEND_BATCH.id && run.finishedAt) showSendResult(run.id);
+    if (run.kind === 'campaign' && run.refId === $('#c-history-id').value && $('#c-history').children.length) {
+      loadCampaignHistory();
+    }
+  });
+  onEvent('schedule', reloadSchedulesSoon);
+  ['group', 'group.membership'].forEach(type => onEvent(type, d => { if (d.sessionId === SESSION) loadGroupsSoon(); }));
+  onEvent('message', onInboxMessage);
+  onEvent('rule.match', debounced(() => { loadRuleLog(); loadRules(); }));
+  onEvent('campaign', reloadCampaignsSoon);
+}
+
+// ------------------------------- Bandeja de entrada ------------------------------------
+// Lista = grupos de /api/groups + chats con mensajes guardados (índice con no leídos).
+let INBOX_CHATS = [];
+const INBOX = { chatId: null, items: [], nextBefore: null, q: '', quoted: null };
+
+function inboxList() {
+  const byId = new Map(INBOX_CHATS.map(c => [c.chatId, c]));
+  const list = INBOX_CHATS.map(c => ({ id: c.chatId, name: c.name, info: c }));
+  ALL_GROUPS.forEach(g => { if (!byId.has(g.id)) list.push({ id: g.id, name: g.name, info: null }); });
+  const filter = $('#inbox-filter').value.trim().toLowerCase();
+  return list.filter(x => !filter || `${x.name} ${x.id}`.toLowerCase().includes(filter));
+}
+function renderInboxChats() {
+  const root = $('#inbox-chats');
+  root.innerHTML = '';
+  const list = inboxList();
+  if (!list.length) {
+    root.innerHTML = '<div class="muted">Sin chats todavía.</div>';
+    return;
+  }
+  list.forEach(x => {
+    const div = document.createElement('div');
+    div.className = `group-item inbox-chat${x.id === INBOX.chatId ? ' active' : ''}`;
+    const text = document.createElement('span');
+    text.textContent = `${x.id.endsWith('@g.us') ? '👥' : '👤'} ${x.name}`;
+    if (x.info?.lastBody) {
+      const last = document.createElement('span');
+      last.className = 'last';
+      last.textContent = `${x.info.lastFromMe ? 'Tú: ' : ''}${x.info.lastBody}`;
+      text.appendChild(last);
+    }
+    div.appendChild(text);
+    if (x.info?.unread) {
+      const badge = document.createElement('span');
+      badge.className = 'badge';
+      badge.textContent = x.info.unread;
+      div.appendChild(badge);
+    }
+    div.addEventListener('click', () => openChat(x.id, x.name));
+    root.appendChild(div);
+  });
+}
+async function loadInboxChats() {
+  try {
+    const j = await (await fetch(waPath('/inbox/chats'), { headers: headers() })).json();
+    INBOX_CHATS = j.items || [];
+    renderInboxChats();
+  } catch (e) { console.error(e); }
+}
+$('#inbox-filter').addEventListener('input', renderInboxChats);
+
+function renderMessages() {
+  const root = $('#inbox-msgs');
+  root.innerHTML = '';
+  if (!INBOX.items.length) {
+    root.innerHTML = `<div class="muted">${INBOX.q ? 'Sin resultados.' : 'No hay mensajes guardados.'}</div>`;
+  }
+  INBOX.items.forEach(m => {
+    const div = document.createElement('div');
+    div.className = `msg${m.fromMe ? ' me' : ''}`;
+    const meta = document.createElement('div');
+    meta.className = 'meta';
+    const who = m.fromMe ? 'Tú' : (m.authorName || m.author || '');
+    meta.textContent = `${who} · ${new Date(m.timestamp).toLocaleString()}${m.type !== 'chat' ? ` · ${m.type}` : ''}`;
+    div.appendChild(meta);
+    if (m.body) div.appendChild(document.createTextNode(m.body));
+    if (m.media?.path && m.media.kind === 'image') {
+      const img = document.createElement('img');
+      img.src = m.media.path;
+      img.loading = 'lazy';
+      div.appendChild(img);
+    } else if (m.media?.path) {
+      const a = document.createElement('a');
+      a.href = m.media.path;
+      a.target = '_blank';
+      a.textContent = `${KIND_ICONS[m.media.kind] || '📄'} ${m.media.name || 'archivo'}`;
+      div.appendChild(document.createElement('br'));
+      div.appendChild(a);
+    }
+    div.addEventListener('click', () => quoteMessage(m));
+    root.appendChild(div);
+  });
+  $('#btn-inbox-older').hidden = !INBOX.nextBefore;
+}
+async function loadMessages(older = false) {
+  if (!INBOX.chatId) return;
+  const params = new URLSearchParams({ limit: 50 });
+  if (INBOX.q) params.set('q', INBOX.q);
+  if (older && INBOX.nextBefore) params.set('before', INBOX.nextBefore);
+  try {
+    const url = waPath(`/chats/${encodeURIComponent(INBOX.chatId)}/messages?${params}`);
+    const j = await (await fetch(url, { headers: headers() })).json();
+    if (j.error) throw new Error(j.error);
+    INBOX.items = older ? j.items.concat(INBOX.items) : j.items;
+    INBOX.nextBefore = j.nextBefore;
+    renderMessages();
+    if (!older) $('#inbox-msgs').scrollTop = $('#inbox-msgs').scrollHeight;
+  } catch (e) {
+    $('#inbox-msgs').textContent = e?.message || String(e);
+  }
+}
+async function openChat(chatId, name) {
+  Object.assign(INBOX, { chatId, items: [], nextBefore: null, q: '' });
+  $('#inbox-q').value = '';
+  $('#inbox-title').textContent = `${name} [${chatId}]`;
+  $('#inbox-title').className = '';
+  quoteMessage(null);
+  await loadMessages();
+  await fetch(waPath(`/chats/${encodeURIComponent(chatId)}/read`), { method: 'POST', headers: headers() });
+  const c = INBOX_CHATS.find(x => x.chatId === chatId);
+  if (c) c.unread = 0;
+  renderInboxChats();
+}
+function quoteMessage(m) {
+  INBOX.quoted = m;
+  const box = $('#inbox-quote');
+  box.hidden = !m;
+  box.innerHTML = '';
+  if (!m) return;
+  box.appendChild(document.createTextNode(`↩︎ ${(m.body || `[${m.type}]`).slice(0, 120)}`));
+  const x = document.createElement('button');
+  x.textContent = '✕';
+  x.title = 'Quitar cita';
+  x.addEventListener('click', () => quoteMessage(null));
+  box.appendChild(x);
+}
+$('#btn-inbox-older').addEventListener('click', () => loadMessages(true));
+$('#btn-inbox-search').addEventListener('click', () => {
+  INBOX.q = $('#inbox-q').value.trim();
+  loadMessages();
+});
+$('#inbox-q').addEventListener('keydown', e => { if (e.key === 'Enter') $('#btn-inbox-search').click(); });
+$('#btn-inbox-send').addEventListener('click', async () => {
+  if (!INBOX.chatId) return alert('Elija un chat.');
+  const text = $('#inbox-text').value;
+  if (!text.trim()) return;
+  const r = await fetch(waPath(`/chats/${encodeURIComponent(INBOX.chatId)}/reply`), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers() },
+    body: JSON.stringify({ text, quotedMessageId: INBOX.quoted?.id })
+  });
+  const j = await r.json();
+  if (!j.ok) return alert(j.error || 'No se pudo enviar.');
+  $('#inbox-text').value = '';
+  quoteMessage(null);
+});
+
+// Mensaje nuevo (evento): añadir a la conversación abierta o contar como no leído
+function onInboxMessage(m) {
+  if (m.sessionId !== SESSION) return;
+  if (m.chatId === INBOX.chatId && !INBOX.q) {
+    if (!INBOX.items.some(x => x.id === m.id)) INBOX.items.push(m);
+    renderMessages();
+    $('#inbox-msgs').scrollTop = $('#inbox-msgs').scrollHeight;
+    if (!m.fromMe) fetch(waPath(`/chats/${encodeURIComponent(m.chatId)}/read`), { method: 'POST', headers: headers() });
+  }
+  loadInboxChatsSoon();
+}
+const loadInboxChatsSoon = debounced(loadInboxChats, 800);
+
+// ------------------------------- Respuestas automáticas --------------------------------
+const MATCH_LABELS = { contains: 'contiene', exact: 'exacto', regex: 'regex' };
+let RULES = [];
+
+function renderRuleDays(days = [1, 2, 3, 4, 5]) {
+  renderDays('#r-days', days);
+}
+const lines = sel => $(sel).value.split('\n').map(x => x.trim()).filter(Boolean);
+
+function renderRules() {
+  const root = $('#rules');
+  root.innerHTML = '';
+  if (!RULES.length) {
+    root.innerHTML = '<div class="muted">No hay reglas.</div>';
+    return;
+  }
+  const admin = roleAtLeast(ME.role, 'admin');
+  RULES.forEach(r => {
+    const div = document.createElement('div');
+    div.className = 'group-item user-item';
+    const info = document.createElement('span');
+    const hours = r.hours ? ` · ${r.hours.from}-${r.hours.to}` : '';
+    info.textContent = `${r.enabled ? '🟢' : '⚪'} [${r.priority}] ${r.name} — ${MATCH_LABELS[r.match]}: ` +
+      `${r.keywords.join(' | ')}${hours} · ${r.matchCount || 0} coincidencias`;
+    div.appendChild(info);
+    if (admin) {
+      const actions = document.createElement('div');
+      actions.className = 'actions';
+      const btn = (text, fn) => {
+        const b = document.createElement('button');
+        b.className = 'secondary';
+        b.textContent = text;
+        b.addEventListener('click', fn);
+        actions.appendChild(b);
+      };
+      btn('Editar', () => editRule(r));
+      btn(r.enabled ? 'Desactivar' : 'Activar', () => ruleAction(r.id, r.enabled ? 'disable' : 'enable'));
+      btn('Borrar', () => { if (confirm(`¿Borrar la regla ${r.name}?`)) ruleAction(r.id, 'delete'); });
+      div.appendChild(actions);
+    }
+    root.appendChild(div);
+  });
+}
+async function loadRules() {
+  try {
+    const j = await (await fetch('/api/rules', { headers: headers() })).json();
+    RULES = j.items || [];
+    renderRules();
+  } catch (e) { console.error(e); }
+}
+async function ruleAction(id, action) {
+  const url = `/api/rules/${encodeURIComponent(id)}${action === 'delete' ? '' : `/${action}`}`;
+  const r = await fetch(url, { method: action === 'delete' ? 'DELETE' : 'POST', headers: headers() });
+  $('#r-result').textContent = JSON.stringify(await r.json(), null, 2);
+  loadRules();
+}
+function editRule(r) {
+  $('#r-id').value = r.id;
+  $('#r-name').value = r.name;
+  $('#r-match').value = r.match;
+  $('#r-keywords').value = r.keywords.join('\n');
+  $('#r-scope').value = r.scope?.type || 'all';
+  $('#r-chats').value = (r.scope?.chats || []).join('\n');
+  $('#r-text').value = r.reply?.text || '';
+  $('#r-quote').checked = Boolean(r.reply?.quote);
+  $('#r-cooldown').value = r.cooldownSec;
+  $('#r-priority').value = r.priority;
+  $('#r-hours-on').checked = Boolean(r.hours);
+  if (r.hours) {
+    $('#r-from').value = r.hours.from;
+    $('#r-to').value = r.hours.to;
+    $('#r-tz').value = r.hours.tz;
+  }
+  renderRuleDays(r.hours?.days?.length ? r.hours.days : undefined);
+  // Los medios (con sus opciones) se conservan tal cual al guardar
+  PICKED.rule = (r.reply?.media || []).map(m => ({ ...m, name: m.path.split('/').pop() }));
+  renderPicked('rule');
+}
+function resetRuleForm() {
+  ['#r-id', '#r-name', '#r-keywords', '#r-chats', '#r-text'].forEach(sel => { $(sel).value = ''; });
+  $('#r-match').value = 'contains';
+  $('#r-scope').value = 'all';
+  $('#r-quote').checked = true;
+  $('#r-cooldown').value = 300;
+  $('#r-priority').value = 0;
+  $('#r-hours-on').checked = false;
+  $('#r-images').value = null;
+  $('#r-images-opts').innerHTML = '';
+  PICKED.rule = [];
+  renderPicked('rule');
+  renderRuleDays();
+}
+$('#btn-r-reset').addEventListener('click', resetRuleForm);
+$('#btn-r-save').addEventListener('click', async () => {
+  try {
+    // Los elegidos de la biblioteca pueden traer opciones (al editar): se envían como items
+    let media = PICKED.rule.map(({ name, kind, ...m }) => (Object.keys(m).length > 1 ? m : m.path));
+    if ($('#r-images').files.length) {
+      media = media.concat(collectMedia('#r-images-opts', await uploadFiles($('#r-images'))));
+    }
+    const body = {
+      id: $('#r-id').value || undefined,
+      name: $('#r-name').value.trim(),
+      match: $('#r-match').value,
+      keywords: lines('#r-keywords'),
+      scope: { type: $('#r-scope').value, chats: lines('#r-chats') },
+      reply: { text: $('#r-text').value, media, quote: $('#r-quote').checked },
+      cooldownSec: Number($('#r-cooldown').value || 0),
+      priority: Number($('#r-priority').value || 0),
+      hours: $('#r-hours-on').checked
+        ? {
+          from: $('#r-from').value.trim(),
+          to: $('#r-to').value.trim(),
+          tz: $('#r-tz').value.trim(),
+          days: checkedDays('#r-days')
+        }
+        : null
+    };
+    const prev = RULES.find(r => r.id === body.id);
+    if (prev) body.enabled = prev.enabled;
+    const r = await fetch('/api/rules', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers() },
+      body: JSON.stringify(body)
+    });
+    const j = await r.json();
+    $('#r-result').textContent = JSON.stringify(j, null, 2);
+    if (j.ok) {
+      $('#r-id').value = j.item.id;
+      $('#r-images').value = null;
+      $('#r-images-opts').innerHTML = '';
+      PICKED.rule = j.item.reply.media.map(m => ({ ...m, name: m.path.split('/').pop() }));
+      renderPicked('rule');
+    }
+    loadRules();
+  } catch (e) {
+    $('#r-result').textContent = e?.message || String(e);
+  }
+});
+$('#btn-r-test').addEventListener('click', async () => {
+  const r = await fetch('/api/rules/test', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers() },
+    body: JSON.stringify({ text: $('#r-test-text').value, sessionId: SESSION })
+  });
+  const j = await r.json();
+  $('#r-test-result').textContent = j.match
+    ? `Responde "${j.match.name}" (clave: ${j.match.keyword})\n\n${j.match.reply.text}`
+    : 'Ninguna regla coincide.';
+});
+
+async function loadRuleLog() {
+  const root = $('#r-log');
+  try {
+    const j = await (await fetch('/api/rules/matches?limit=50', { headers: headers() })).json();
+    root.innerHTML = '';
+    if (!(j.items || []).length) {
+      root.innerHTML = '<div class="muted">Sin coincidencias todavía.</div>';
+      return;
+    }
+    j.items.forEach(m => {
+      const div = document.createElement('div');
+      div.className = 'run';
+      const badge = document.createElement('span');
+      badge.className = `badge ${m.replied ? 'ok' : m.error ? 'failed' : 'partial'}`;
+      badge.textContent = m.replied ? 'respondida' : m.error ? 'error' : m.skipped || 'omitida';
+      div.appendChild(badge);
+      const when = new Date(m.at).toLocaleString();
+      div.appendChild(document.createTextNode(
+        `${when} · ${m.ruleName} · ${groupLabel(m.chatId)} · “${m.body}”${m.error ? ` — ${m.error}` : ''}`
+      ));
+      root.appendChild(div);
+    });
+  } catch (e) {
+    root.textContent = e?.message || String(e);
+  }
+}
+$('#btn-r-log').addEventListener('click', loadRuleLog);
+renderRuleDays();
+
+// ------------------------------- Webhooks ----------------------------------------------
+let WEBHOOKS = [];
+let WEBHOOK_EVENTS = [];
+let WEBHOOK_LOG = null; // id del webhook cuyo log se muestra
+
+function renderWebhookEvents(selected = ['*']) {
+  const root = $('#w-events');
+  root.innerHTML = '';
+  ['*', ...WEBHOOK_EVENTS].forEach(ev => {
+    const label = document.createElement('label');
+    label.className = 'chk';
+    const cb = document.createElement('input');
+    cb.type = 'checkbox';
+    cb.value = ev;
+    cb.checked = selected.includes(ev);
+    label.appendChild(cb);
+    label.appendChild(document.createTextNode(ev === '*' ? 'Todos los eventos' : ev));
+    root.appendChild(label);
+  });
+}
+function renderWebhooks() {
+  const root = $('#webhooks');
+  root.innerHTML = '';
+  if (!WEBHOOKS.length) {
+    root.innerHTML = '<div class="muted">No hay webhooks.</div>';
+    return;
+  }
+  WEBHOOKS.forEach(h => {
+    const div = document.createElement('div');
+    div.className = 'group-item user-item';
+    const info = document.createElement('span');
+    info.textContent = `${h.enabled ? '🟢' : '⚪'} ${h.name} — ${h.url} · ${h.events.join(', ')} · secreto ${h.secretHint || '—'}`;
+    const actions = document.createElement('div');
+    actions.className = 'actions';
+    const btn = (text, fn) => {
+      const b = document.createElement('button');
+      b.className = 'secondary';
+      b.textContent = text;
+      b.addEventListener('click', fn);
+      actions.appendChild(b);
+    };
+    btn('Probar', () => testWebhook(h));
+    btn('Entregas', () => { WEBHOOK_LOG = h.id; loadDeliveries(); });
+    btn('Editar', () => editWebhook(h));
+    btn(h.enabled ? 'Desactivar' : 'Activar', () => saveWebhook({ ...h, enabled: !h.enabled }));
+    btn('Rotar secreto', () => {
+      if (confirm('El secreto actual dejará de valer. ¿Continuar?')) saveWebhook({ ...h, rotateSecret: true });
+    });
+    btn('Borrar', async () => {
+      if (!confirm(`¿Borrar el webhook ${h.name} y su log?`)) return;
+      const r = await fetch(`/api/webhooks/${encodeURIComponent(h.id)}`, { method: 'DELETE', headers: headers() });
+      $('#w-result').textContent = JSON.stringify(await r.json(), null, 2);
+      loadWebhooks();
+    });
+    div.appendChild(info);
+    div.appendChild(actions);
+    root.appendChild(div);
+  });
+}
+async function loadWebhooks() {
+  if (!ME || !roleAtLeast(ME.role, 'admin')) return;
+  try {
+    const j = await (await fetch('/api/webhooks', { headers: headers() })).json();
+    WEBHOOKS = j.items || [];
+    if (!WEBHOOK_EVENTS.length) {
+      WEBHOOK_EVENTS = j.events || [];
+      renderWebhookEvents();
+    }
+    renderWebhooks();
+  } catch (e) { console.error(e); }
+}
+function editWebhook(h) {
+  $('#w-id').value = h.id;
+  $('#w-name').value = h.name;
+  $('#w-url').value = h.url;
+  renderWebhookEvents(h.events);
+}
+async function saveWebhook(body) {
+  const r = await fetch('/api/webhooks', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers() },
+    body: JSON.stringify(body)
+  });
+  const j = await r.json();
+  // El secreto solo llega al crear/rotar: se muestra para copiarlo
+  $('#w-result').textContent = j.item?.secret
+    ? `Secreto (cópielo, no se volverá a mostrar): ${j.item.secret}`
+    : JSON.stringify(j, null, 2);
+  loadWebhooks();
+  return j;
+}
+async function testWebhook(h) {
+  $('#w-result').textContent = `Probando ${h.url}…`;
+  const r = await fetch(`/api/webhooks/${encodeURIComponent(h.id)}/test`, { method: 'POST', headers: headers() });
+  const j = await r.json();
+  const d = j.item || {};
+  $('#w-result').textContent = j.ok
+    ? `✅ Entregado (HTTP ${d.responseStatus})`
+    : `❌ ${d.lastError || j.error}${d.response ? `\n${d.response}` : ''}`;
+  if (WEBHOOK_LOG === h.id) loadDeliveries();
+}
+async function loadDeliveries() {
+  const h = WEBHOOKS.find(x => x.id === WEBHOOK_LOG);
+  if (!h) return;
+  $('#w-log-name').textContent = `— ${h.name}`;
+  const root = $('#w-deliveries');
+  try {
+    const j = await (await fetch(`/api/webhooks/${encodeURIComponent(h.id)}/deliveries`, { headers: headers() })).json();
+    root.innerHTML = '';
+    if (!(j.items || []).length) {
+      root.innerHTML = '<div class="muted">Sin entregas.</div>';
+      return;
+    }
+    j.items.forEach(d => {
+      const div = document.createElement('div');
+      div.className = 'run';
+      const badge = document.createElement('span');
+      badge.className = `badge ${d.status === 'delivered' ? 'ok' : d.status === 'failed' ? 'failed' : 'partial'}`;
+      badge.textContent = d.status;
+      div.appendChild(badge);
+      const when = new Date(d.createdAt).toLocaleString();
+      const detail = d.lastError ? ` · ${d.lastError}` : d.responseStatus ? ` · HTTP ${d.responseStatus}` : '';
+      div.appendChild(document.createTextNode(`${when} · ${d.event} · ${d.attempts} intento(s)${detail} `));
+      if (d.status !== 'pending') {
+        const again = document.createElement('button');
+        again.className = 'secondary';
+        again.textContent = 'Reenviar';
+        again.addEventListener('click', async () => {
+          await fetch(`/api/webhooks/deliveries/${encodeURIComponent(d.id)}/redeliver`, { method: 'POST', headers: headers() });
+          setTimeout(loadDeliveries, 1500);
+        });
+        div.appendChild(again);
+      }
+      root.appendChild(div);
+    });
+  } catch (e) {
+    root.textContent = e?.message || String(e);
+  }
+}
+$('#btn-w-save').addEventListener('click', async () => {
+  const events = $$('#w-events input:checked').map(cb => cb.value);
+  const body = {
+    id: $('#w-id').value || undefined,
+    name: $('#w-name').value.trim(),
+    url: $('#w-url').value.trim(),
+    events: events.includes('*') ? ['*'] : events
+  };
+  const prev = WEBHOOKS.find(h => h.id === body.id);
+  if (prev) body.enabled = prev.enabled;
+  const j = await saveWebhook(body);
+  if (j.ok) { $('#w-id').value = j.item.id; }
+});
+$('#btn-w-reset').addEventListener('click', () => {
+  $('#w-id').value = '';
+  $('#w-name').value = '';
+  $('#w-url').value = '';
+  renderWebhookEvents();
+});
+
+// ------------------------------- Usuarios ----------------------------------------------
+function renderUsers(items) {
+  const root = $('#users');
+  root.innerHTML = '';
+  items.forEach(u => {
+    const div = document.createElement('div');
+    div.className = 'group-item user-item';
+    const info = document.createElement('span');
+    const last = u.lastLoginAt ? ` · último acceso ${new Date(u.lastLoginAt).toLocaleString()}` : '';
+    info.textContent = `${u.username}${u.disabled ? ' (desactivado)' : ''}${last}`;
+
+    const actions = document.createElement('div');
+    actions.className = 'actions';
+    const role = document.createElement('select');
+    ROLES.forEach(r => {
+      const opt = document.createElement('option');
+      opt.value = r;
+      opt.textContent = r;
+      role.appendChild(opt);
+    });
+    role.value = u.role;
+    role.addEventListener('change', () => patchUser(u.id, { role: role.value }));
+    const toggle = document.createElement('button');
+    toggle.className = 'secondary';
+    toggle.textContent = u.disabled ? 'Activar' : 'Desactivar';
+    toggle.addEventListener('click', () => patchUser(u.id, { disabled: !u.disabled }));
+    const reset = document.createElement('button');
+    reset.className = 'secondary';
+    reset.textContent = 'Contraseña';
+    reset.addEventListener('click', () => {
+      const password = prompt(`Nueva contraseña para ${u.username} (mín. 8):`);
+      if (password) patchUser(u.id, { password });
+    });
+    const del = document.createElement('button');
+    del.className = 'secondary';
+    del.textContent = 'Borrar';
+    del.addEventListener('click', async () => {
+      if (!confirm(`¿Borrar el usuario ${u.username}?`)) return;
+      const r = await fetch(`/api/users/${encodeURIComponent(u.id)}`, { method: 'DELETE', headers: headers() });
+      $('#users-result').textContent = JSON.stringify(await r.json(), null, 2);
+      loadUsers();
+    });
+    [role, toggle, reset, del].forEach(b => actions.appendChild(b));
+    div.appendChild(info);
+    div.appendChild(actions);
+    root.appendChild(div);
+  });
+}
+async function loadUsers() {
+  if (!ME || !roleAtLeast(ME.role, 'admin')) return;
+  try {
+    const r = await fetch('/api/users', { headers: headers() });
+    const j = await r.json();
+    renderUsers(j.items || []);
+  } catch (e) { console.error(e); }
+}
+async function patchUser(id, patch) {
+  const r = await fetch(`/api/users/${encodeURIComponent(id)}`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json', ...headers() },
+    body: JSON.stringify(patch)
+  });
+  $('#users-result').textContent = JSON.stringify(await r.json(), null, 2);
+  loadUsers();
+}
+$('#btn-users-reload').addEventListener('click', loadUsers);
+$('#btn-user-add').addEventListener('click', async () => {
+  try {
+    const body = { username: $('#u-name').value.trim(), password: $('#u-pass').value, role: $('#u-role').value };
+    const r = await fetch('/api/users', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers() },
+      body: JSON.stringify(body)
+    });
+    const j = await r.json();
+    $('#users-result').textContent = JSON.stringify(j, null, 2);
+    if (j.ok) { $('#u-name').value = ''; $('#u-pass').value = ''; }
+    loadUsers();
+  } catch (e) {
+    $('#users-result').textContent = e?.message || String(e);
+  }
+});
+$('#btn-pw-change').addEventListener('click', async () => {
+  const r = await fetch('/api/auth/password', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers() },
+    body: JSON.stringify({ current: $('#pw-current').value, password: $('#pw-new').value })
+  });
+  const j = await r.json();
+  alert(j.ok ? 'Contraseña actualizada.' : j.error);
+  if (j.ok) { $('#pw-current').value = ''; $('#pw-new').value = ''; }
+});
+
 // -------------------------------- Inicial ----------------------------------------------
-refreshStatus();
-refreshQR();
-loadGroups();
-reloadSchedules();
-reloadCampaigns();
+function loadAll() {
+  connectEvents();
+  loadSessions();
+  refreshStatus();
+  if (roleAtLeast(ME.role, 'admin')) refreshQR();
+  loadGroups();
+  loadTags();
+  loadAudiences();
+  loadLimits();
+  reloadSchedules();
+  reloadCampaigns();
+  loadMedia();
+  loadUsers();
+  loadWebhooks();
+  loadRules();
+  loadRuleLog();
+  loadInboxChats();
+}
+(async () => {
+  try {
+    const j = await (await fetch('/api/auth/me')).json();
+    if (!j.user) return showLogin(Boolean(j.setupRequired));
+    ME = j.user;
+    applyRole();
+    loadAll();
+  } catch (e) { console.error(e); }
+})();
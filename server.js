@@ -1,13 +1,16 @@
 // server.js
 // --------------------------------------------------------------------------------------
-// Servidor Express con API para: estado/QR, grupos, subida de imágenes, envío inmediato,
-// programaciones one-shot y campañas CRON (recurrentes). Usa whatsapp-web.js + puppeteer
-// con LocalAuth para mantener la sesión en .wa-session.
+// Servidor Express con API para: acceso con usuarios/roles, varias cuentas de WhatsApp,
+// estado/QR, grupos, contactos, subida de medios, envío inmediato, programaciones one-shot y
+// campañas CRON (recurrentes). Usa whatsapp-web.js + puppeteer con LocalAuth para mantener
+// las sesiones en .wa-session (o el cliente simulado con WA_DRIVER=fake). Los datos se guardan en SQLite o
+// JSON a través de lib/storage (STORAGE_BACKEND).
 // --------------------------------------------------------------------------------------
 
 require('dotenv').config();
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
 const multer = require('multer');
@@ -16,25 +19,85 @@ const cron = require('node-cron');
 const { nanoid } = require('nanoid');
 
 const dayjs = require('dayjs');
+dayjs.extend(require('dayjs/plugin/utc'));
+dayjs.extend(require('dayjs/plugin/timezone'));
+require('dayjs/locale/es');
 
-const { Client, LocalAuth, MessageMedia } = require('whatsapp-web.js');
-const puppeteer = require('puppeteer');
+const { createTransport } = require('./lib/transport');
+const { createStorage } = require('./lib/storage');
+const { imageSize } = require('./lib/image-size');
+const auth = require('./lib/auth');
+const audienceRules = require('./lib/audience');
+const webhooks = require('./lib/webhooks');
+const rulesEngine = require('./lib/rules');
+const { foldText } = require('./lib/text');
+const { HHMM_RE } = require('./lib/time-of-day');
+const lifecycle = require('./lib/lifecycle');
+const csv = require('./lib/csv');
+const recurrence = require('./lib/recurrence');
+const { createGovernor } = require('./lib/governor');
+const { createRegistry } = require('./lib/metrics');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// -------------------------------- Seguridad (API Key) ---------------------------------
+// ------------------------------ Seguridad (usuarios/roles) -----------------------------
+// Login con usuario/contraseña -> token (cookie HttpOnly o cabecera Authorization: Bearer).
+// Roles: viewer (estado e historial) < operator (enviar y programar) < admin (sesiones,
+// campañas y usuarios). ADMIN_API_KEY sigue valiendo (x-api-key) y equivale a admin,
+// pensado para scripts e integraciones.
 const API_KEY = process.env.ADMIN_API_KEY || '';
-function requireApiKey(req, res, next) {
-  if (!API_KEY) return next(); // si no hay key, libre (dev)
-  const key = req.header('x-api-key') || '';
-  if (key !== API_KEY) return res.status(401).json({ error: 'Unauthorized' });
-  next();
+const AUTH_COOKIE = 'wa_token';
+const AUTH_TOKEN_TTL_MS = Math.max(1, Number(process.env.AUTH_TOKEN_TTL_HOURS || 168)) * 3600 * 1000;
+const API_KEY_USER = { id: 'api-key', username: 'api-key', role: 'admin' };
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+/** Usuario de la petición ({ id, username, role }) o null. */
+function authenticate(req) {
+  const key = req.header('x-api-key');
+  if (API_KEY && key && safeEqual(key, API_KEY)) return API_KEY_USER;
+
+  const bearer = /^Bearer\s+(.+)$/i.exec(req.header('authorization') || '');
+  const token = bearer ? bearer[1].trim() : auth.parseCookies(req.header('cookie'))[AUTH_COOKIE];
+  if (!token) return null;
+  const t = db.authTokens.get(auth.hashToken(token));
+  if (!t || new Date(t.expiresAt).getTime() <= Date.now()) return null;
+  const u = db.users.get(t.userId);
+  if (!u || u.disabled) return null;
+  return { id: u.id, username: u.username, role: u.role };
+}
+
+/** Middleware: exige sesión iniciada con al menos el rol indicado; deja req.user. */
+function requireRole(min) {
+  return (req, res, next) => {
+    const user = authenticate(req);
+    if (!user) {
+      const setupRequired = db.users.count() === 0;
+      return res.status(401).json({ error: 'Unauthorized', setupRequired });
+    }
+    if (!auth.roleAtLeast(user.role, min)) {
+      return res.status(403).json({ error: `Requiere rol ${min}.` });
+    }
+    req.user = user;
+    next();
+  };
+}
+
+/** Quién hace el cambio (para createdBy/updatedBy). */
+function actor(req) {
+  return req.user?.username || null;
 }
 
 // -------------------------------- Middlewares base ------------------------------------
 app.use(cors());
-app.use(express.json({ limit: '15mb' }));
+// /api/import lleva su propio límite (los paquetes incluyen medios en base64)
+const jsonBody = express.json({ limit: '15mb' });
+app.use((req, res, next) => (req.path === '/api/import' ? next() : jsonBody(req, res, next)));
 app.use('/', express.static(path.join(__dirname, 'public')));
 
 // Carpeta de subidas (sirve archivos estáticos)
@@ -45,6 +108,44 @@ const UPLOAD_DIR = process.env.UPLOAD_DIR
 if (!fs.existsSync(UPLOAD_DIR)) fs.mkdirSync(UPLOAD_DIR, { recursive: true });
 app.use('/uploads', express.static(UPLOAD_DIR));
 
+// ------------------------------- Almacenamiento ---------------------------------------
+// STORAGE_BACKEND=sqlite (por defecto) | json. Ver lib/storage. Sin DATA_DIR los datos van a
+// ./data; las instalaciones que ya los tienen en la raíz del proyecto la siguen usando.
+function defaultDataDir() {
+  const legacy = ['wa-panel.db', 'schedules.json', 'campaigns.json'].some(f => fs.existsSync(path.join(__dirname, f)));
+  if (!legacy) return path.join(__dirname, 'data');
+  console.warn('⚠️ Datos en la raíz del proyecto: muévalos a ./data o fije DATA_DIR');
+  return __dirname;
+}
+const DATA_DIR = process.env.DATA_DIR ? path.resolve(process.env.DATA_DIR) : defaultDataDir();
+if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
+const store = createStorage({
+  backend: String(process.env.STORAGE_BACKEND || 'sqlite').toLowerCase(),
+  dataDir: DATA_DIR,
+  sqliteFile: process.env.SQLITE_PATH ? path.resolve(process.env.SQLITE_PATH) : undefined
+});
+const db = {
+  schedules: store.collection('schedules'),
+  campaigns: store.collection('campaigns'),
+  runs: store.collection('runs'),
+  queue: store.collection('queue'),
+  media: store.collection('media'),
+  sessions: store.collection('sessions'),
+  users: store.collection('users'),
+  authTokens: store.collection('auth_tokens'),
+  webhooks: store.collection('webhooks'),
+  webhookDeliveries: store.collection('webhook_deliveries'),
+  rules: store.collection('rules'),
+  ruleMatches: store.collection('rule_matches'),
+  inbox: store.collection('inbox'), // mensajes guardados, un documento por <sesión>|<chat>
+  inboxChats: store.collection('inbox_chats'), // índice con último mensaje y no leídos
+  messageMedia: store.collection('message_media'), // medios de los mensajes guardados (referencias)
+  targetTags: store.collection('target_tags'),
+  sendStamps: store.collection('send_stamps'), // envíos de las últimas 24 h por sesión (regulador)
+  audiences: store.collection('audiences'),
+  groups: store.collection('groups') // caché de grupos por sesión (ver Caché de grupos)
+};
+
 // -------------------------------- Multer (subidas) ------------------------------------
 const storage = multer.diskStorage({
   destination: (_, __, cb) => cb(null, UPLOAD_DIR),
@@ -54,531 +155,4536 @@ const storage = multer.diskStorage({
     cb(null, `${ts}_${safe}`);
   }
 });
+// Tipos admitidos y tamaño máximo por tipo (MB)
+const MEDIA_LIMITS_MB = { image: 16, video: 64, audio: 16, document: 100 };
+const DOCUMENT_MIMES = [
+  'application/pdf',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.ms-powerpoint',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'application/zip',
+  'text/plain',
+  'text/csv'
+];
+
+/** image | video | audio | document, o null si el tipo no está permitido. */
+function mediaKind(mime) {
+  const m = String(mime || '').toLowerCase();
+  if (m.startsWith('image/')) return 'image';
+  if (m.startsWith('video/')) return 'video';
+  if (m.startsWith('audio/')) return 'audio';
+  if (DOCUMENT_MIMES.includes(m)) return 'document';
+  return null;
+}
+
 const upload = multer({
   storage,
-  limits: { fileSize: 16 * 1024 * 1024 }, // 16MB
+  // límite global = el mayor; el límite por tipo se comprueba tras subir
+  limits: { fileSize: Math.max(...Object.values(MEDIA_LIMITS_MB)) * 1024 * 1024 },
   fileFilter: (_, file, cb) => {
-    if ((file.mimetype || '').startsWith('image/')) cb(null, true);
-    else cb(new Error('Solo se permiten imágenes.'));
-  }
-});
-
-// ------------------------------- WhatsApp Client --------------------------------------
-let lastQR = null;
-let waReady = false;
-
-const client = new Client({
-  authStrategy: new LocalAuth({
-    dataPath: process.env.WA_SESSION_PATH || path.join(__dirname, '.wa-session')
-  }),
-  puppeteer: {
-    // (FIX) Forzar Chrome del sistema (variables de entorno o fallback)
-    executablePath:
-      process.env.CHROME_BIN ||
-      process.env.PUPPETEER_EXECUTABLE_PATH ||
-      '/usr/bin/google-chrome',
-
-    headless: true,
-
-    // (FIX) Flags necesarios en VPS/containers
-    args: [
-      '--no-sandbox',
-      '--disable-setuid-sandbox',
-      '--disable-dev-shm-usage',
-      '--no-zygote',
-      '--disable-gpu',
-      '--disable-features=NetworkService,NetworkServiceInProcess',
-      '--disable-features=site-per-process',
-      '--ignore-certificate-errors',
-      '--window-size=1920,1080'
-    ]
-  },
-
-  // Mantengo tu configuración (remote cache)
-  webVersionCache: { type: 'remote' }
+    if (mediaKind(file.mimetype)) cb(null, true);
+    else cb(new Error(`Tipo de archivo no permitido: ${file.mimetype || 'desconocido'}`));
+  }
 });
 
-client.on('qr', qr => {
-  lastQR = qr;
-  waReady = false;
-  console.log('🔑 Escanea el QR (primera vez o sesión expirada)');
-});
+// ------------------------------ Eventos en tiempo real --------------------------------
+// Canal push (Server-Sent Events) en GET /api/events. Tipos de evento:
+//   qr | ready | auth_failure | disconnected   { sessionId, ... }  (el QR se pide a /qr.png)
+//   send.progress  { batchId, kind, refId, sessionId, done, total, result }
+//   run            resumen de una ejecución (sin results) al empezar, terminar o actualizarse
+//   schedule | campaign  { id, deleted?, item? } cuando cambia su estado
+//   rule.match     coincidencia de una respuesta automática (ver rule_matches)
+//   message        mensaje guardado en la bandeja de entrada
+const SSE_CLIENTS = new Set(); // res abiertos
+const SSE_PING_MS = 25000;
 
-client.on('ready', () => {
-  waReady = true;
-  lastQR = null;
-  console.log('✅ WhatsApp listo');
-});
+function broadcast(type, data) {
+  const frame = `event: ${type}\ndata: ${JSON.stringify(data ?? {})}\n\n`;
+  for (const res of SSE_CLIENTS) {
+    try { res.write(frame); } catch { SSE_CLIENTS.delete(res); }
+  }
+}
+// Comentario periódico para que proxies y navegador no corten la conexión
+setInterval(() => {
+  for (const res of SSE_CLIENTS) {
+    try { res.write(': ping\n\n'); } catch { SSE_CLIENTS.delete(res); }
+  }
+}, SSE_PING_MS).unref();
 
-client.on('auth_failure', msg => {
-  waReady = false;
-  console.error('❌ Fallo de autenticación:', msg);
-});
+// ------------------------------------ Webhooks ----------------------------------------
+// Suscripciones salientes: cada evento que coincide con el filtro de un webhook genera una
+// entrega persistida (webhook_deliveries) que un worker envía firmada (lib/webhooks) y
+// reintenta con backoff exponencial. Estados: pending -> delivered | pending | failed.
+const WEBHOOK_EVENTS = [
+  'session.ready', 'session.disconnected', 'session.auth_failure', 'session.needs_qr',
+  'send.completed', 'send.failed',
+  'campaign.run.finished', 'schedule.fired',
+  'group.membership'
+];
+const WEBHOOK_MAX_ATTEMPTS = Math.max(1, Number(process.env.WEBHOOK_MAX_ATTEMPTS || 6));
+const WEBHOOK_BACKOFF_MS = 10000; // se duplica por intento
+const WEBHOOK_BACKOFF_MAX_MS = 60 * 60 * 1000;
+const WEBHOOK_TICK_MS = 5000;
+const WEBHOOK_LOG_MAX = 2000;
 
-client.on('disconnected', reason => {
-  waReady = false;
-  console.error('⚠️ Cliente desconectado:', reason);
-});
+function webhookMatches(hook, event) {
+  return hook.enabled && (hook.events.includes('*') || hook.events.includes(event));
+}
 
-(async () => {
+/** Encola una entrega por cada webhook suscrito al evento. */
+function emitWebhook(event, data) {
+  const hooks = db.webhooks.all().filter(h => webhookMatches(h, event));
+  if (!hooks.length) return;
+  const now = new Date().toISOString();
+  store.transaction(() => {
+    hooks.forEach(h => db.webhookDeliveries.put(newDelivery(h, event, data, now)));
+  });
+  trimWebhookLog();
+  setImmediate(processWebhooks);
+}
+function newDelivery(hook, event, data, now = new Date().toISOString()) {
+  const id = nanoid(14);
+  return {
+    id,
+    webhookId: hook.id,
+    event,
+    payload: { id, event, createdAt: now, data },
+    status: 'pending',
+    attempts: 0,
+    nextAttemptAt: now,
+    lastError: null,
+    responseStatus: null,
+    response: null,
+    createdAt: now,
+    deliveredAt: null
+  };
+}
+
+/** Un intento de entrega; actualiza el registro y devuelve la entrega resultante. */
+async function attemptDelivery(d, { retry = true } = {}) {
+  const hook = db.webhooks.get(d.webhookId);
+  if (!hook) {
+    return db.webhookDeliveries.update(d.id, { status: 'failed', lastError: 'Webhook eliminado.', nextAttemptAt: null });
+  }
+  const r = await webhooks.deliver({ url: hook.url, secret: hook.secret, id: d.id, event: d.event, payload: d.payload });
+  const attempts = d.attempts + 1;
+  const final = r.ok || r.permanent || !retry || attempts >= WEBHOOK_MAX_ATTEMPTS;
+  const backoff = Math.min(WEBHOOK_BACKOFF_MAX_MS, WEBHOOK_BACKOFF_MS * 2 ** (attempts - 1));
+  return db.webhookDeliveries.update(d.id, {
+    status: r.ok ? 'delivered' : final ? 'failed' : 'pending',
+    attempts,
+    lastError: r.error,
+    responseStatus: r.status,
+    response: r.response,
+    lastAttemptAt: new Date().toISOString(),
+    deliveredAt: r.ok ? new Date().toISOString() : null,
+    nextAttemptAt: final ? null : new Date(Date.now() + backoff).toISOString()
+  });
+}
+
+let webhooksBusy = false;
+async function processWebhooks() {
+  if (webhooksBusy) return;
+  webhooksBusy = true;
   try {
-    await client.initialize();
+    const now = Date.now();
+    const due = db.webhookDeliveries.all()
+      .filter(d => d.status === 'pending' && new Date(d.nextAttemptAt).getTime() <= now)
+      .sort((a, b) => new Date(a.nextAttemptAt) - new Date(b.nextAttemptAt));
+    for (const d of due) await attemptDelivery(d);
   } catch (e) {
-    console.error('Error inicializando WhatsApp:', e?.message || e);
+    console.error('Error procesando webhooks:', e?.message || e);
+  } finally {
+    webhooksBusy = false;
   }
-})();
+}
+setInterval(processWebhooks, WEBHOOK_TICK_MS).unref();
 
-// --------------------------------- Helpers envío --------------------------------------
-const sleep = ms => new Promise(r => setTimeout(r, ms));
+// Una prueba interrumpida por un reinicio queda como fallida
+db.webhookDeliveries.all()
+  .filter(d => d.status === 'sending')
+  .forEach(d => db.webhookDeliveries.update(d.id, { status: 'failed', lastError: 'Interrumpida por reinicio.' }));
 
-/** Enviar a 1 grupo: texto + múltiples imágenes (caption solo en la primera). */
-async function sendToOneGroup(id, text, mediaPaths = [], mediaDelayMs = 2000) {
-  if (!mediaPaths?.length) {
-    if (text) await client.sendMessage(id, text);
-    return;
-  }
-  let first = true;
-  for (const p of mediaPaths) {
-    const abs = path.isAbsolute(p) ? p : path.join(__dirname, p.replace(/^\//, ''));
-    const mm = MessageMedia.fromFilePath(abs);
-    await client.sendMessage(id, mm, { caption: first ? (text || '') : undefined });
-    first = false;
-    await sleep(Math.max(0, Number(mediaDelayMs) || 0));
-  }
+/** Conserva las WEBHOOK_LOG_MAX entregas más recientes (las pendientes nunca se borran). */
+function trimWebhookLog() {
+  const all = db.webhookDeliveries.all();
+  const extra = all.length - WEBHOOK_LOG_MAX;
+  if (extra <= 0) return;
+  const drop = new Set(all.filter(d => d.status !== 'pending').slice(0, extra).map(d => d.id));
+  db.webhookDeliveries.removeWhere(d => drop.has(d.id));
 }
 
-/** Enviar a N grupos: respeta delay mínimo entre grupos. */
-async function sendToMany(ids, text, mediaPaths, mediaDelayMs, groupDelayMs) {
-  const results = [];
-  for (const gid of ids) {
-    try {
-      await sendToOneGroup(gid, text, mediaPaths, mediaDelayMs);
-      results.push({ id: gid, ok: true });
-    } catch (e) {
-      results.push({ id: gid, ok: false, error: e?.message || String(e) });
-    }
-    await sleep(Math.max(1500, Number(groupDelayMs) || 0)); // anti-abuso
-  }
-  return results;
-}
+// ------------------------------------ Métricas ----------------------------------------
+// Contadores en memoria (se reinician con el proceso) expuestos en /metrics; los gauges se
+// calculan en cada scrape (ver Endpoints: Salud/Métricas).
+const metrics = createRegistry({ prefix: 'wa_' });
+const METRICS = {
+  sent: metrics.counter('messages_sent_total', 'Destinos enviados con éxito por sesión.'),
+  failed: metrics.counter('messages_failed_total', 'Intentos de envío fallidos por sesión.'),
+  sendSeconds: metrics.histogram('send_duration_seconds',
+    'Duración del envío a un destino (texto, archivos y sus pausas), sin la espera del regulador.',
+    [0.5, 1, 2, 5, 10, 30, 60, 120]),
+  runs: metrics.counter('runs_total', 'Ejecuciones terminadas por tipo (campaign, schedule, send) y estado.'),
+  campaignSkips: metrics.counter('campaign_runs_skipped_total',
+    'Disparos de campaña omitidos: overlap (la anterior seguía en curso) o blackout (vigencia/bloqueos).'),
+  reconnects: metrics.counter('session_reconnects_total', 'Veces que una sesión vuelve a estar lista tras su primera conexión.'),
+  disconnects: metrics.counter('session_disconnects_total', 'Desconexiones del cliente de WhatsApp por sesión.'),
+  restarts: metrics.counter('session_restarts_total', 'Clientes de WhatsApp recreados por el supervisor o a mano.')
+};
+const SESSIONS_SEEN_READY = new Set(); // sesiones que ya estuvieron listas en este proceso
 
-// ------------------------------- Endpoints: Estado/QR ---------------------------------
-app.get('/api/status', requireApiKey, (req, res) => {
-  let me = null;
-  try { me = client.info || null; } catch {}
-  res.json({ ready: waReady, me });
-});
+// ------------------------------ Sesiones de WhatsApp ----------------------------------
+// Varias cuentas en un mismo panel: cada sesión tiene su propio Client, LocalAuth (clientId),
+// QR y estado. La sesión "default" usa la ruta de LocalAuth de siempre (sin clientId) para
+// conservar la sesión ya vinculada.
+const DEFAULT_SESSION = 'default';
+const SESSION_ID_RE = /^[\w-]{1,32}$/; // restricción de LocalAuth clientId
+const SESSION_DATA_PATH = process.env.WA_SESSION_PATH || path.join(__dirname, '.wa-session');
+const SESSIONS = new Map(); // id -> { id, name, client, lastQR, ready, readyAt }
 
-app.get('/api/qr.png', requireApiKey, async (req, res) => {
-  if (!lastQR) return res.status(204).end();
-  try {
-    const buf = await QRCode.toBuffer(lastQR, { width: 360, margin: 1 });
-    res.setHeader('Content-Type', 'image/png');
-    res.send(buf);
-  } catch (e) {
-    res.status(500).json({ error: e?.message || String(e) });
+// WA_DRIVER=fake cambia whatsapp-web.js por un cliente simulado (ver lib/transport)
+const WA_DRIVER = process.env.WA_DRIVER || 'wwebjs';
+const transport = createTransport({
+  driver: WA_DRIVER,
+  dataPath: SESSION_DATA_PATH,
+  defaultSession: DEFAULT_SESSION,
+  fake: {
+    groups: process.env.WA_FAKE_GROUPS,
+    contacts: process.env.WA_FAKE_CONTACTS,
+    latencyMs: process.env.WA_FAKE_LATENCY_MS,
+    failRate: process.env.WA_FAKE_FAIL_RATE,
+    failIds: process.env.WA_FAKE_FAIL_IDS,
+    unregistered: process.env.WA_FAKE_UNREGISTERED,
+    autoReady: process.env.WA_FAKE_AUTO_READY,
+    readyDelayMs: process.env.WA_FAKE_READY_MS,
+    failInit: process.env.WA_FAKE_FAIL_INIT,
+    lid: process.env.WA_FAKE_LID
   }
 });
+const { MessageMedia } = transport;
+if (WA_DRIVER === 'fake') console.log('🧪 WA_DRIVER=fake: cliente de WhatsApp simulado, no se envía nada de verdad.');
 
-// -------------------------------- Endpoints: Grupos -----------------------------------
-app.get('/api/groups', requireApiKey, async (req, res) => {
-  try {
-    if (!waReady) return res.json({ groups: [] });
-    const chats = await client.getChats();
-    const groups = chats
-      .filter(c => c.isGroup)
-      .map(c => ({ id: c.id._serialized, name: c.name || c.id._serialized }))
-      .sort((a, b) => a.name.localeCompare(b.name));
-    res.json({ groups });
-  } catch (e) {
-    res.status(500).json({ error: e?.message || String(e) });
+function createWaClient(id) {
+  return transport.createClient(id);
+}
+
+// Supervisor: cada sesión lleva un estado de conexión con historial. Tras disconnected,
+// auth_failure, un initialize() fallido o un watchdog que no obtiene respuesta (página
+// colgada, Chrome muerto) se recrea el Client con backoff exponencial. Con demasiados
+// fallos seguidos, un auth_failure o un QR en una sesión ya vinculada se avisa de que hay
+// que volver a escanear (evento y webhook session.needs_qr).
+const RECONNECT_BACKOFF_MS = Math.max(1000, Number(process.env.RECONNECT_BACKOFF_MS || 5000));
+const RECONNECT_BACKOFF_MAX_MS = Math.max(RECONNECT_BACKOFF_MS, Number(process.env.RECONNECT_BACKOFF_MAX_MS || 5 * 60 * 1000));
+const RECONNECT_MAX_FAILURES = Math.max(1, Number(process.env.RECONNECT_MAX_FAILURES || 5));
+const WATCHDOG_INTERVAL_MS = Math.max(5000, Number(process.env.WATCHDOG_INTERVAL_MS || 60000));
+const WATCHDOG_PROBE_TIMEOUT_MS = Math.max(1000, Number(process.env.WATCHDOG_PROBE_TIMEOUT_MS || 20000));
+const WATCHDOG_START_TIMEOUT_MS = Math.max(10000, Number(process.env.WATCHDOG_START_TIMEOUT_MS || 3 * 60 * 1000));
+const CLIENT_CLOSE_TIMEOUT_MS = 15000;
+const CONNECTION_HISTORY_MAX = 50;
+// eventos del Client que refrescan la caché de grupos (ver Caché de grupos)
+const GROUP_EVENTS = ['group_join', 'group_leave', 'group_update', 'group_admin_changed'];
+// getState() que no cuentan como fallo (transitorios); el resto (null, CONFLICT, UNPAIRED...) sí
+const WA_STATES_OK = ['CONNECTED', 'OPENING', 'PAIRING'];
+
+/** Rechaza si la promesa no se resuelve en ms (la promesa original sigue su curso). */
+function withTimeout(promise, ms, what) {
+  let t;
+  const timeout = new Promise((_, reject) => {
+    t = setTimeout(() => reject(new Error(`${what}: sin respuesta en ${Math.round(ms / 1000)} s`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(t));
+}
+
+/** Cambia el estado de conexión y lo apunta en el historial de la sesión. */
+function setConnState(wa, state, detail = null) {
+  const at = new Date().toISOString();
+  wa.state = state;
+  wa.stateSince = at;
+  wa.history.push({ at, state, detail: detail == null ? null : String(detail) });
+  if (wa.history.length > CONNECTION_HISTORY_MAX) wa.history.shift();
+  broadcast('session.state', { sessionId: wa.id, state, detail, at });
+}
+
+/** Alerta (una vez hasta el próximo ready): la sesión necesita volver a escanear el QR. */
+function raiseNeedsQr(wa, reason) {
+  if (wa.needsQr) return;
+  wa.needsQr = { since: new Date().toISOString(), reason };
+  console.error(`🚨 [${wa.id}] Hay que volver a escanear el QR: ${reason}`);
+  broadcast('session.needs_qr', { sessionId: wa.id, reason });
+  emitWebhook('session.needs_qr', { sessionId: wa.id, reason });
+}
+
+/** Programa la recreación del Client con backoff (si no hay ya una pendiente). */
+function scheduleReconnect(wa, reason) {
+  if (wa.stopped || wa.retryTimer) return;
+  wa.ready = false;
+  wa.failures += 1;
+  const delay = Math.min(RECONNECT_BACKOFF_MAX_MS, RECONNECT_BACKOFF_MS * 2 ** (wa.failures - 1));
+  wa.nextRetryAt = new Date(Date.now() + delay).toISOString();
+  console.log(`🔁 [${wa.id}] Reintento ${wa.failures} en ${Math.round(delay / 1000)} s (${reason})`);
+  if (wa.failures >= RECONNECT_MAX_FAILURES) {
+    raiseNeedsQr(wa, `${wa.failures} intentos de reconexión fallidos (último: ${reason})`);
   }
-});
+  wa.retryTimer = setTimeout(() => {
+    wa.retryTimer = null;
+    wa.nextRetryAt = null;
+    restartClient(wa, reason).catch(e => console.error(`[${wa.id}] Error reiniciando:`, e?.message || e));
+  }, delay);
+}
 
-// ------------------------------- Endpoints: Upload ------------------------------------
-app.post('/api/upload', requireApiKey, upload.array('images', 10), (req, res) => {
+/** Cierra un Client; si destroy() no responde (Chrome colgado) mata el navegador. */
+async function closeClient(client, { logout = false } = {}) {
   try {
-    const files = (req.files || []).map(f => `/uploads/${path.basename(f.path)}`);
-    res.json({ ok: true, files });
+    if (logout) await withTimeout(client.logout(), CLIENT_CLOSE_TIMEOUT_MS, 'logout()');
+    await withTimeout(client.destroy(), CLIENT_CLOSE_TIMEOUT_MS, 'destroy()');
   } catch (e) {
-    res.status(500).json({ error: e?.message || String(e) });
+    console.error('Error cerrando el cliente de WhatsApp:', e?.message || e);
+    try { client.pupBrowser?.process?.()?.kill('SIGKILL'); } catch {}
   }
-});
+}
 
-// ------------------------------- Endpoints: Envío Now ---------------------------------
-app.post('/api/send', requireApiKey, async (req, res) => {
+/** Sustituye el Client de la sesión por uno nuevo (cierra el anterior y su navegador). */
+async function restartClient(wa, reason) {
+  if (wa.stopped || wa.restarting) return;
+  wa.restarting = true;
+  clearTimeout(wa.retryTimer);
+  wa.retryTimer = null;
+  wa.nextRetryAt = null;
+  METRICS.restarts.inc({ session: wa.id });
+  setConnState(wa, 'restarting', reason);
+  const old = wa.client;
+  wa.client = null;
+  wa.ready = false;
   try {
-    if (!waReady) return res.status(409).json({ error: 'WhatsApp no está listo.' });
+    if (old) await closeClient(old);
+  } finally {
+    wa.restarting = false;
+  }
+  if (!wa.stopped) connectClient(wa);
+}
 
-    const { ids, text, media = [], mediaDelayMs = 2000, groupDelayMs = 2000 } = req.body || {};
-    if (!Array.isArray(ids) || !ids.length) {
-      return res.status(400).json({ error: 'El campo ids[] es obligatorio.' });
-    }
-    const bad = ids.filter(x => !/@g\.us$/.test(String(x)));
-    if (bad.length) return res.status(400).json({ error: `IDs inválidos: ${bad.join(', ')}` });
+/** Crea el Client de la sesión, engancha sus eventos y lo inicializa. */
+function connectClient(wa) {
+  const tag = `[${wa.id}]`;
+  const client = createWaClient(wa.id);
+  wa.client = client;
+  wa.ready = false;
+  wa.lastQR = null;
+  setConnState(wa, 'starting');
+  // los eventos tardíos de un Client ya sustituido se ignoran
+  const on = (event, fn) => client.on(event, (...args) => { if (wa.client === client) fn(...args); });
 
-    const filesExist = (media || []).every(p => {
-      const abs = path.isAbsolute(p) ? p : path.join(__dirname, p.replace(/^\//, ''));
-      return fs.existsSync(abs);
-    });
-    if (!filesExist) return res.status(400).json({ error: 'Una o más imágenes no existen en el servidor.' });
+  on('qr', qr => {
+    wa.lastQR = qr;
+    wa.ready = false;
+    if (wa.state !== 'qr') setConnState(wa, 'qr');
+    console.log(`🔑 ${tag} Escanea el QR (primera vez o sesión expirada)`);
+    broadcast('qr', { sessionId: wa.id });
+    // una sesión que ya estuvo vinculada y vuelve a pedir QR ha perdido la vinculación
+    if (db.sessions.get(wa.id)?.lastReadyAt) raiseNeedsQr(wa, 'La sesión vinculada pide un QR nuevo.');
+  });
 
-    const results = await sendToMany(
-      ids, text, media, Number(mediaDelayMs), Number(groupDelayMs)
-    );
-    res.json({ ok: true, results });
-  } catch (e) {
-    res.status(500).json({ error: e?.message || String(e) });
-  }
-});
+  on('ready', () => {
+    wa.ready = true;
+    wa.readyAt = Date.now();
+    wa.lastQR = null;
+    wa.failures = 0;
+    wa.needsQr = null;
+    wa.meIds = null; // se resuelve de nuevo (puede ser otra cuenta)
+    setConnState(wa, 'ready');
+    db.sessions.update(wa.id, { lastReadyAt: new Date(wa.readyAt).toISOString() });
+    if (SESSIONS_SEEN_READY.has(wa.id)) METRICS.reconnects.inc({ session: wa.id });
+    SESSIONS_SEEN_READY.add(wa.id);
+    console.log(`✅ ${tag} WhatsApp listo`);
+    broadcast('ready', { sessionId: wa.id });
+    emitWebhook('session.ready', { sessionId: wa.id, me: sessionSummary(wa).me });
+    processQueue(); // jobs que esperaban conexión
+    syncGroups(wa).catch(e => console.error(`${tag} Error sincronizando grupos:`, e?.message || e));
+  });
 
-// ------------------------------- Programaciones one-shot -------------------------------
-// Persistimos en JSON para simplicidad operativa
-const SCHEDULES = new Map(); // id -> timeout
-const SCHEDULE_STORE = path.join(__dirname, 'schedules.json');
+  // Altas, bajas y cambios en grupos: se refresca la entrada de la caché
+  GROUP_EVENTS.forEach(event => on(event, n => {
+    onGroupNotification(wa, event, n).catch(e => console.error(`${tag} Error en ${event}:`, e?.message || e));
+  }));
 
-function loadSchedules() {
-  try { return JSON.parse(fs.readFileSync(SCHEDULE_STORE, 'utf8')); }
-  catch { return []; }
-}
-function saveSchedules(arr) {
-  fs.writeFileSync(SCHEDULE_STORE, JSON.stringify(arr, null, 2));
-}
-function rearmSchedules() {
-  for (const [, t] of SCHEDULES) clearTimeout(t);
-  SCHEDULES.clear();
+  // message_create llega para entrantes y salientes (los nuestros también desde el teléfono)
+  on('message_create', msg => {
+    storeMessage(wa, msg).catch(e => console.error(`${tag} Error guardando mensaje:`, e?.message || e));
+  });
 
-  const arr = loadSchedules();
-  const now = Date.now();
+  on('message', msg => {
+    handleIncoming(wa, msg).catch(e => console.error(`${tag} Error procesando mensaje:`, e?.message || e));
+  });
 
-  arr.forEach(s => {
-    if (s.status !== 'pending') return;
-    const whenMs = new Date(s.when).getTime();
-    const delay = Math.max(0, whenMs - now);
+  on('auth_failure', msg => {
+    wa.ready = false;
+    setConnState(wa, 'auth_failure', msg);
+    console.error(`❌ ${tag} Fallo de autenticación:`, msg);
+    broadcast('auth_failure', { sessionId: wa.id, message: String(msg || '') });
+    emitWebhook('session.auth_failure', { sessionId: wa.id, message: String(msg || '') });
+    raiseNeedsQr(wa, `Fallo de autenticación: ${msg || 'sin detalle'}`);
+    scheduleReconnect(wa, 'auth_failure');
+  });
 
-    const t = setTimeout(async () => {
-      try {
-        if (!waReady) throw new Error('WhatsApp no está listo en el momento de envío.');
-        await sendToMany(s.ids, s.message, s.media, s.mediaDelayMs, s.groupDelayMs);
-        s.status = 'sent';
-        s.sentAt = new Date().toISOString();
-        saveSchedules(arr);
-      } catch (e) {
-        s.status = 'failed';
-        s.error = e?.message || String(e);
-        saveSchedules(arr);
-      }
-    }, delay);
+  on('disconnected', reason => {
+    wa.ready = false;
+    setConnState(wa, 'disconnected', reason);
+    METRICS.disconnects.inc({ session: wa.id });
+    console.error(`⚠️ ${tag} Cliente desconectado:`, reason);
+    broadcast('disconnected', { sessionId: wa.id, reason: String(reason || '') });
+    emitWebhook('session.disconnected', { sessionId: wa.id, reason: String(reason || '') });
+    if (reason === 'LOGOUT') raiseNeedsQr(wa, 'Se cerró la sesión desde el teléfono.');
+    scheduleReconnect(wa, `desconectado: ${reason || 'sin motivo'}`);
+  });
 
-    SCHEDULES.set(s.id, t);
+  client.initialize().catch(e => {
+    if (wa.client !== client) return;
+    const error = e?.message || String(e);
+    console.error(`${tag} Error inicializando WhatsApp:`, error);
+    setConnState(wa, 'init_failed', error);
+    scheduleReconnect(wa, `initialize: ${error}`);
   });
 }
-rearmSchedules();
 
-// Listar programaciones
-app.get('/api/schedules', requireApiKey, (req, res) => {
-  res.json({ items: loadSchedules() });
-});
+/** Da de alta una sesión en memoria y arranca su Client. */
+function startSession(doc) {
+  const wa = {
+    id: doc.id,
+    name: doc.name || doc.id,
+    client: null,
+    lastQR: null,
+    ready: false,
+    state: null,
+    stateSince: null,
+    history: [],
+    failures: 0, // intentos fallidos seguidos desde el último ready
+    retryTimer: null,
+    nextRetryAt: null,
+    needsQr: null,
+    restarting: false,
+    stopped: false
+  };
+  SESSIONS.set(wa.id, wa);
+  connectClient(wa);
+  return wa;
+}
 
-// Crear/actualizar programación one-shot
-app.post('/api/schedules', requireApiKey, (req, res) => {
-  try {
-    if (!waReady) return res.status(409).json({ error: 'WhatsApp no está listo.' });
+/** Detiene el Client; con logout además borra la vinculación (habrá que escanear QR). */
+async function stopSession(id, { logout = false } = {}) {
+  const wa = SESSIONS.get(id);
+  if (!wa) return;
+  SESSIONS.delete(id);
+  wa.stopped = true;
+  wa.ready = false;
+  clearTimeout(wa.retryTimer);
+  if (wa.client) await closeClient(wa.client, { logout });
+}
 
-    const payload = req.body || {};
-    if (!Array.isArray(payload.ids) || !payload.ids.length) {
-      return res.status(400).json({ error: 'ids[] es obligatorio.' });
+/**
+ * Watchdog: comprueba las sesiones listas con getState() (una página colgada no responde)
+ * y que Chrome siga vivo; también las que siguen arrancando sin QR ni ready pasado
+ * WATCHDOG_START_TIMEOUT_MS. Si algo falla, reconexión con backoff.
+ */
+async function watchdogCheck(wa) {
+  if (wa.stopped || wa.retryTimer || wa.probing) return;
+  if (wa.state === 'starting' && Date.now() - Date.parse(wa.stateSince) > WATCHDOG_START_TIMEOUT_MS) {
+    setConnState(wa, 'hung', 'El cliente no llegó a mostrar QR ni a conectarse.');
+    scheduleReconnect(wa, 'arranque colgado');
+    return;
+  }
+  if (!wa.ready) return;
+  const client = wa.client;
+  wa.probing = true;
+  try {
+    if (!browserConnected(wa)) throw new Error('El navegador se cerró.');
+    const state = await withTimeout(client.getState(), WATCHDOG_PROBE_TIMEOUT_MS, 'getState()');
+    if (!WA_STATES_OK.includes(state)) {
+      if (state === 'UNPAIRED' || state === 'UNPAIRED_IDLE') raiseNeedsQr(wa, `WhatsApp informa ${state}.`);
+      throw new Error(`Estado de WhatsApp: ${state || 'desconocido'}`);
     }
-    const bad = payload.ids.filter(x => !/@g\.us$/.test(String(x)));
-    if (bad.length) return res.status(400).json({ error: `IDs inválidos: ${bad.join(', ')}` });
+  } catch (e) {
+    if (wa.client !== client || wa.stopped) return; // se reinició mientras tanto
+    const error = e?.message || String(e);
+    console.error(`🩺 [${wa.id}] Watchdog:`, error);
+    wa.ready = false;
+    setConnState(wa, 'hung', error);
+    scheduleReconnect(wa, `watchdog: ${error}`);
+  } finally {
+    wa.probing = false;
+  }
+}
+setInterval(() => SESSIONS.forEach(wa => { watchdogCheck(wa); }), WATCHDOG_INTERVAL_MS).unref();
 
-    if (!payload.when) return res.status(400).json({ error: 'El campo when (ISO) es obligatorio.' });
-    const whenTs = Date.parse(payload.when);
-    if (Number.isNaN(whenTs)) return res.status(400).json({ error: 'Fecha/hora inválida.' });
+function getSession(id) {
+  return SESSIONS.get(id || DEFAULT_SESSION) || null;
+}
+function isSessionReady(id) {
+  return Boolean(getSession(id)?.ready);
+}
 
-    const arr = loadSchedules();
-    const id = payload.id || nanoid(10);
-    const item = {
-      id,
-      name: payload.name || `pub-${id}`,
-      ids: payload.ids,
-      message: payload.message || '',
-      media: Array.isArray(payload.media) ? payload.media : [],
-      when: new Date(whenTs).toISOString(),
-      mediaDelayMs: Math.max(0, Number(payload.mediaDelayMs || 2000)),
-      groupDelayMs: Math.max(1500, Number(payload.groupDelayMs || 2000)),
-      status: 'pending',
-      createdAt: new Date().toISOString()
-    };
+/** Cliente listo de una sesión; lanza si no existe o no está conectado. */
+function readyClient(id) {
+  const wa = getSession(id);
+  if (!wa) throw new Error(`La sesión ${id} no existe.`);
+  if (!wa.ready) throw new Error(`WhatsApp (${wa.id}) no está listo.`);
+  return wa.client;
+}
 
-    const idx = arr.findIndex(x => x.id === id);
-    if (idx >= 0) arr[idx] = item; else arr.push(item);
-    saveSchedules(arr);
-    rearmSchedules();
+function sessionSummary(wa) {
+  let me = null;
+  try { me = wa.client?.info || null; } catch {}
+  return { id: wa.id, name: wa.name, ready: wa.ready, hasQR: Boolean(wa.lastQR), me, state: wa.state, needsQr: wa.needsQr };
+}
 
-    res.json({ ok: true, item });
-  } catch (e) {
-    res.status(500).json({ error: e?.message || String(e) });
-  }
-});
+/** Estado de conexión del supervisor para /status (historial, más reciente primero). */
+function connectionInfo(wa) {
+  return {
+    state: wa.state,
+    since: wa.stateSince,
+    failures: wa.failures,
+    nextRetryAt: wa.nextRetryAt,
+    needsQr: wa.needsQr,
+    history: [...wa.history].reverse()
+  };
+}
 
-// Cancelar programación
-app.post('/api/schedules/:id/cancel', requireApiKey, (req, res) => {
-  const id = req.params.id;
-  const arr = loadSchedules();
-  const idx = arr.findIndex(x => x.id === id);
-  if (idx < 0) return res.status(404).json({ error: 'Programación no encontrada.' });
-  arr[idx].status = 'canceled';
-  saveSchedules(arr);
-  const t = SCHEDULES.get(id);
-  if (t) clearTimeout(t);
-  SCHEDULES.delete(id);
-  res.json({ ok: true });
-});
+// Arranque: la sesión por defecto siempre existe
+if (!db.sessions.get(DEFAULT_SESSION)) {
+  db.sessions.put({ id: DEFAULT_SESSION, name: 'Principal', createdAt: new Date().toISOString() });
+}
+db.sessions.all().forEach(startSession);
 
-// Borrar programación
-app.delete('/api/schedules/:id', requireApiKey, (req, res) => {
-  const id = req.params.id;
-  const arr = loadSchedules();
-  const nx = arr.filter(x => x.id !== id);
-  if (nx.length === arr.length) return res.status(404).json({ error: 'No existe.' });
-  saveSchedules(nx);
-  SCHEDULES.delete(id);
-  res.json({ ok: true });
-});
+// --------------------------------- Helpers envío --------------------------------------
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+const MAX_TIMER_MS = 2 ** 31 - 1; // límite de setTimeout (~24,8 días); por encima dispara al instante
 
-// --------------------------------- Campañas CRON --------------------------------------
-// Persistencia de campañas y motor de cron
-const CAMPAIGNS = new Map(); // id -> { job, running }
-const CAMPAIGN_STORE = path.join(__dirname, 'campaigns.json');
+// Destinos admitidos: grupos (@g.us), contactos (@c.us) o números en formato E.164
+const CHAT_ID_RE = /^[\w.-]+@(g|c)\.us$/;
+const PHONE_RE = /^\+?[1-9]\d{6,14}$/;
 
-function loadCampaigns() {
-  try { return JSON.parse(fs.readFileSync(CAMPAIGN_STORE, 'utf8')); }
-  catch { return []; }
+function cleanPhone(x) {
+  return String(x).replace(/[\s\-().]/g, '');
 }
-function saveCampaigns(arr) {
-  fs.writeFileSync(CAMPAIGN_STORE, JSON.stringify(arr, null, 2));
+function isValidTarget(x) {
+  const s = String(x || '').trim();
+  return CHAT_ID_RE.test(s) || PHONE_RE.test(cleanPhone(s));
 }
-function validateTimeZone(tz) {
-  try {
-    // Validación ligera: Intl lanzará si el tz es inválido
-    new Intl.DateTimeFormat('en-US', { timeZone: tz });
-    return true;
-  } catch {
-    return false;
-  }
+function invalidTargets(ids) {
+  return (ids || []).filter(x => !isValidTarget(x));
 }
-function scheduleCampaignEngine() {
-  // Limpia jobs actuales
-  for (const [id, j] of CAMPAIGNS) { try { j.job?.stop?.(); } catch {} }
-  CAMPAIGNS.clear();
 
-  const items = loadCampaigns();
-  for (const c of items) {
-    if (!c.enabled) continue;
-    if (!cron.validate(c.cron)) {
-      console.warn(`⚠️ Campaña ${c.id} tiene CRON inválido; queda deshabilitada.`);
-      c.enabled = false;
-      continue;
-    }
-    const tz = c.tz && validateTimeZone(c.tz) ? c.tz : undefined;
-    const state = { running: false };
-    const job = cron.schedule(c.cron, async () => {
-      if (state.running) {
-        console.log(`⏭️  Campaña ${c.id} omitida: ya hay una ejecución en curso.`);
-        return;
-      }
-      state.running = true;
-      try {
-        if (!waReady) throw new Error('WhatsApp no está listo.');
-        const filesExist = (c.media || []).every(p => {
-          const abs = path.isAbsolute(p) ? p : path.join(__dirname, p.replace(/^\//, ''));
-          return fs.existsSync(abs);
-        });
-        if (!filesExist) throw new Error('Una o más imágenes no existen en el servidor.');
-        const idsBad = (c.ids || []).filter(x => !/@g\.us$/.test(String(x)));
-        if (idsBad.length) throw new Error(`IDs inválidos: ${idsBad.join(', ')}`);
-
-        console.log(`🚀 Ejecutando campaña ${c.id} @ ${new Date().toISOString()}`);
-        await sendToMany(
-          c.ids,
-          c.message || '',
-          Array.isArray(c.media) ? c.media : [],
-          Math.max(0, Number(c.mediaDelayMs || 2000)),
-          Math.max(1500, Number(c.groupDelayMs || 2000))
-        );
-        // actualizar metadata
-        const arr = loadCampaigns();
-        const idx = arr.findIndex(x => x.id === c.id);
-        if (idx >= 0) {
-          arr[idx].lastRunAt = new Date().toISOString();
-          saveCampaigns(arr);
-        }
-      } catch (e) {
-        console.error(`❌ Campaña ${c.id} falló:`, e?.message || e);
-        const arr = loadCampaigns();
-        const idx = arr.findIndex(x => x.id === c.id);
-        if (idx >= 0) {
-          arr[idx].lastError = e?.message || String(e);
-          arr[idx].lastRunAt = new Date().toISOString();
-          saveCampaigns(arr);
-        }
-      } finally {
-        state.running = false;
-      }
-    }, { timezone: tz });
-    CAMPAIGNS.set(c.id, { job, running: state });
-  }
+// Cache número -> id de WhatsApp (getNumberId consulta al servidor de WA)
+const NUMBER_IDS = new Map();
 
-  // Guardar posibles deshabilitadas por cron inválido
-  saveCampaigns(items);
+/** Resuelve un destino a chat id. Los números se consultan en WhatsApp; lanza si no existe. */
+async function resolveTarget(x, sessionId = DEFAULT_SESSION) {
+  const s = String(x).trim();
+  if (CHAT_ID_RE.test(s)) return s;
+  const digits = cleanPhone(s).replace(/^\+/, '');
+  if (NUMBER_IDS.has(digits)) return NUMBER_IDS.get(digits);
+  const wid = await readyClient(sessionId).getNumberId(digits);
+  if (!wid) throw new Error(`El número ${s} no está en WhatsApp.`);
+  NUMBER_IDS.set(digits, wid._serialized);
+  return wid._serialized;
 }
-scheduleCampaignEngine();
 
-// Listar campañas
-app.get('/api/campaigns', requireApiKey, (req, res) => {
-  res.json({ items: loadCampaigns() });
-});
+// --------------------------------- Medios (items) -------------------------------------
+// Un item de media es una ruta ("/uploads/x.pdf") o un objeto con opciones de envío:
+//   { path, caption?, sendMediaAsDocument?, sendAudioAsVoice?, sendMediaAsSticker? }
+const MEDIA_FLAGS = ['sendMediaAsDocument', 'sendAudioAsVoice', 'sendMediaAsSticker'];
 
-// Crear/actualizar campaña
-app.post('/api/campaigns', requireApiKey, (req, res) => {
-  try {
-    const payload = req.body || {};
-    const id = payload.id || nanoid(10);
-    const name = payload.name || `camp-${id}`;
-    const ids = Array.isArray(payload.ids) ? payload.ids : [];
-    if (!ids.length) return res.status(400).json({ error: 'ids[] es obligatorio.' });
+/** Ruta absoluta de un medio: /uploads/... apunta a UPLOAD_DIR. */
+function mediaAbsPath(p) {
+  const s = String(p || '');
+  if (s.startsWith('/uploads/')) return path.join(UPLOAD_DIR, path.basename(s));
+  return path.isAbsolute(s) ? s : path.join(__dirname, s);
+}
 
-    // Validación cron
-    if (!payload.cron || !cron.validate(payload.cron)) {
-      return res.status(400).json({ error: 'CRON inválido. Ej.: */20 * * * * (cada 20 min)' });
-    }
-    // Validación zona horaria (opcional pero recomendado)
-    const tz = payload.tz || 'America/New_York';
-    if (!validateTimeZone(tz)) {
-      return res.status(400).json({ error: 'Zona horaria inválida.' });
-    }
+// Tipo por extensión (sin leer el archivo entero como hace MessageMedia)
+const MEDIA_EXT = {
+  image: ['jpg', 'jpeg', 'png', 'gif', 'webp', 'bmp'],
+  video: ['mp4', '3gp', 'mov', 'webm', 'mkv', 'avi'],
+  audio: ['mp3', 'ogg', 'opus', 'm4a', 'aac', 'wav', 'amr']
+};
+function mediaKindFromPath(p) {
+  const ext = path.extname(p).slice(1).toLowerCase();
+  return Object.keys(MEDIA_EXT).find(k => MEDIA_EXT[k].includes(ext)) || 'document';
+}
 
-    // Validación IDs de grupo
-    const bad = ids.filter(x => !/@g\.us$/.test(String(x)));
-    if (bad.length) return res.status(400).json({ error: `IDs inválidos: ${bad.join(', ')}` });
+function normalizeMediaItem(x) {
+  if (typeof x === 'string') return { path: x };
+  if (!x || typeof x !== 'object' || !x.path) return null;
+  const item = { path: String(x.path) };
+  if (x.caption != null && x.caption !== '') item.caption = String(x.caption);
+  MEDIA_FLAGS.forEach(f => { if (x[f]) item[f] = true; });
+  return item;
+}
+function normalizeMedia(list) {
+  return (Array.isArray(list) ? list : []).map(normalizeMediaItem).filter(Boolean);
+}
 
-    // Validación imágenes
-    const media = Array.isArray(payload.media) ? payload.media : [];
-    const filesExist = media.every(p => {
-      const abs = path.isAbsolute(p) ? p : path.join(__dirname, p.replace(/^\//, ''));
-      return fs.existsSync(abs);
-    });
-    if (!filesExist) return res.status(400).json({ error: 'Una o más imágenes no existen en el servidor.' });
+/**
+ * Valida existencia y opciones de cada item. Devuelve el mensaje de error o null.
+ * exists(path) permite validar archivos que aún no están en disco (importación en seco).
+ */
+function mediaError(list, exists = p => fs.existsSync(mediaAbsPath(p))) {
+  for (const item of normalizeMedia(list)) {
+    const abs = mediaAbsPath(item.path);
+    if (!exists(item.path)) return `El archivo ${item.path} no existe en el servidor.`;
+    const flags = MEDIA_FLAGS.filter(f => item[f]);
+    if (flags.length > 1) return `${item.path}: elija solo una opción de envío (${flags.join(', ')}).`;
+    const kind = mediaKindFromPath(abs);
+    if (item.sendAudioAsVoice && kind !== 'audio') return `${item.path}: solo el audio puede enviarse como nota de voz.`;
+    if (item.sendMediaAsSticker && !['image', 'video'].includes(kind)) {
+      return `${item.path}: solo imágenes o videos pueden enviarse como sticker.`;
+    }
+  }
+  return null;
+}
 
-    const item = {
-      id,
-      name,
-      ids,
-      message: payload.message || '',
-      media,
-      mediaDelayMs: Math.max(0, Number(payload.mediaDelayMs || 2000)),
-      groupDelayMs: Math.max(1500, Number(payload.groupDelayMs || 2000)),
-      cron: String(payload.cron),
-      tz,
-      enabled: Boolean(payload.enabled ?? true),
-      lastRunAt: null,
-      lastError: null,
-      createdAt: new Date().toISOString()
-    };
+/** ¿Admite caption? Stickers y notas de voz/audio no lo muestran. kind: image|video|audio|document */
+function acceptsCaption(item, kind) {
+  return !item.sendMediaAsSticker && !item.sendAudioAsVoice && kind !== 'audio';
+}
 
-    const arr = loadCampaigns();
-    const idx = arr.findIndex(x => x.id === id);
-    if (idx >= 0) {
-      // conserva lastRunAt/lastError si existen
-      item.lastRunAt = arr[idx].lastRunAt || null;
-      item.lastError = arr[idx].lastError || null;
-      arr[idx] = item;
-    } else {
-      arr.push(item);
+/**
+ * Mensajes de un envío a un destino, en orden: el texto va como caption del primer medio
+ * si lo admite y no trae caption propio; si no, sale antes como mensaje aparte.
+ * kinds[i] es el tipo del medio i. Lo usan el envío real y el ensayo (dryRun).
+ */
+function deliverySteps(text, items, kinds) {
+  const textAsCaption = Boolean(text && items.length && items[0].caption == null && acceptsCaption(items[0], kinds[0]));
+  const steps = text && !textAsCaption ? [{ type: 'text', body: text, options: {} }] : [];
+  items.forEach((item, index) => {
+    const options = {};
+    MEDIA_FLAGS.forEach(f => { if (item[f]) options[f] = true; });
+    if (acceptsCaption(item, kinds[index])) {
+      const caption = item.caption ?? (index === 0 && textAsCaption ? text : undefined);
+      if (caption) options.caption = caption;
     }
-    saveCampaigns(arr);
-    scheduleCampaignEngine();
+    steps.push({ type: 'media', index, path: item.path, kind: kinds[index], options });
+  });
+  return steps;
+}
 
-    res.json({ ok: true, item });
+/**
+ * Enviar a 1 destino: texto + múltiples medios (orden y captions según deliverySteps).
+ * sendOpts se aplica solo al primer mensaje (p. ej. { quotedMessageId } para responder citando).
+ * Cuenta enviados/fallidos y la duración por sesión para /metrics.
+ */
+async function sendToOneGroup(id, text, mediaList = [], mediaDelayMs = 2000, sessionId = DEFAULT_SESSION, sendOpts = {}) {
+  const labels = { session: sessionId || DEFAULT_SESSION };
+  const started = Date.now();
+  try {
+    await deliver(id, text, mediaList, mediaDelayMs, sessionId, sendOpts);
   } catch (e) {
-    res.status(500).json({ error: e?.message || String(e) });
+    METRICS.failed.inc(labels);
+    throw e;
   }
-});
+  METRICS.sent.inc(labels);
+  METRICS.sendSeconds.observe(labels, (Date.now() - started) / 1000);
+}
+async function deliver(id, text, mediaList, mediaDelayMs, sessionId, sendOpts) {
+  const client = readyClient(sessionId);
+  const items = normalizeMedia(mediaList);
+  const loaded = items.map(item => MessageMedia.fromFilePath(mediaAbsPath(item.path)));
+  const steps = deliverySteps(text, items, loaded.map(mm => mediaKind(mm.mimetype)));
+  let extra = sendOpts; // solo en el primer mensaje
+  for (const step of steps) {
+    await client.sendMessage(id, step.type === 'text' ? step.body : loaded[step.index], { ...extra, ...step.options });
+    extra = {};
+    if (items.length) await sleep(Math.max(0, Number(mediaDelayMs) || 0));
+  }
+}
 
-// Habilitar / Deshabilitar campaña
-app.post('/api/campaigns/:id/enable', requireApiKey, (req, res) => {
-  const id = req.params.id;
-  const arr = loadCampaigns();
-  const idx = arr.findIndex(x => x.id === id);
-  if (idx < 0) return res.status(404).json({ error: 'No existe' });
-  arr[idx].enabled = true;
-  saveCampaigns(arr);
-  scheduleCampaignEngine();
-  res.json({ ok: true, item: arr[idx] });
-});
+// ------------------------------- Envíos en curso --------------------------------------
+// Cada sendToMany con run es un lote controlable (BATCHES): pause, resume y cancel surten
+// efecto entre destinos. Al cancelar, los destinos que faltan (y los que esperaban en la
+// cola) quedan en el historial como notSent y el run guarda en `resumable` lo necesario
+// para enviarlos más tarde en una ejecución nueva (POST /api/runs/:id/resume).
+const BATCHES = new Map(); // runId -> { runId, kind, refId, sessionId, state, total, done, ... }
+const NOT_SENT_ERROR = 'No enviado: envío cancelado.';
 
-app.post('/api/campaigns/:id/disable', requireApiKey, (req, res) => {
-  const id = req.params.id;
-  const arr = loadCampaigns();
-  const idx = arr.findIndex(x => x.id === id);
-  if (idx < 0) return res.status(404).json({ error: 'No existe' });
-  arr[idx].enabled = false;
-  saveCampaigns(arr);
-  scheduleCampaignEngine();
-  res.json({ ok: true, item: arr[idx] });
-});
+function openBatch(runId, info) {
+  if (!runId) return null;
+  const batch = { runId, ...info, state: 'running', done: 0, startedAt: new Date().toISOString(), wake: null };
+  BATCHES.set(runId, batch);
+  return batch;
+}
 
-// Ejecutar ahora (manual)
-app.post('/api/campaigns/:id/run-now', requireApiKey, async (req, res) => {
-  try {
-    const id = req.params.id;
-    const arr = loadCampaigns();
-    const idx = arr.findIndex(x => x.id === id);
-    if (idx < 0) return res.status(404).json({ error: 'No existe' });
-    const c = arr[idx];
+/** Datos públicos de un lote (para la API y los eventos). */
+function batchInfo(batch) {
+  const { wake, ...rest } = batch;
+  return rest;
+}
 
-    if (!waReady) return res.status(409).json({ error: 'WhatsApp no está listo.' });
+/** Espera mientras el lote esté en pausa; devuelve su estado (running | canceled). */
+async function batchGate(batch) {
+  if (!batch) return 'running';
+  while (batch.state === 'paused') await new Promise(resolve => { batch.wake = resolve; });
+  return batch.state;
+}
 
-    const idsBad = (c.ids || []).filter(x => !/@g\.us$/.test(String(x)));
-    if (idsBad.length) return res.status(400).json({ error: `IDs inválidos: ${idsBad.join(', ')}` });
+/** pause | resume | cancel sobre un lote vivo; lanza con status 409 si no procede. */
+function controlBatch(batch, action, by) {
+  const allowed = { pause: ['running'], resume: ['paused'], cancel: ['running', 'paused'] }[action];
+  if (!allowed.includes(batch.state)) {
+    throw Object.assign(new Error(`No se puede ${ACTION_LABELS[action]} un envío ${BATCH_STATE_LABELS[batch.state]}.`), { status: 409 });
+  }
+  batch.state = { pause: 'paused', resume: 'running', cancel: 'canceled' }[action];
+  batch.controlledBy = by;
+  batch.controlledAt = new Date().toISOString();
+  if (batch.wake) batch.wake();
+  batch.wake = null;
+  console.log(`⏯️  Envío ${batch.runId}: ${action} por ${by || 'sistema'}`);
+  broadcast('run.control', batchInfo(batch));
+  return batchInfo(batch);
+}
+const ACTION_LABELS = { pause: 'pausar', resume: 'reanudar', cancel: 'cancelar' };
+const BATCH_STATE_LABELS = { running: 'en curso', paused: 'en pausa', canceled: 'ya cancelado' };
 
-    const filesExist = (c.media || []).every(p => {
-      const abs = path.isAbsolute(p) ? p : path.join(__dirname, p.replace(/^\//, ''));
-      return fs.existsSync(abs);
-    });
-    if (!filesExist) return res.status(400).json({ error: 'Una o más imágenes no existen en el servidor.' });
+/** Cancela los lotes vivos de una programación o campaña (al cancelarla, borrarla o deshabilitarla). */
+function cancelBatchesFor(kind, refId, by) {
+  const hits = [...BATCHES.values()].filter(b => b.kind === kind && b.refId === refId && b.state !== 'canceled');
+  hits.forEach(b => controlBatch(b, 'cancel', by));
+  return hits.length;
+}
 
-    const results = await sendToMany(
-      c.ids,
-      c.message || '',
-      Array.isArray(c.media) ? c.media : [],
-      Math.max(0, Number(c.mediaDelayMs || 2000)),
-      Math.max(1500, Number(c.groupDelayMs || 2000))
-    );
+/** Cancela los jobs pendientes de un run; devuelve todos sus jobs cancelados (también los de antes). */
+function cancelRunJobs(runId) {
+  const jobs = db.queue.find('origin.runId', runId);
+  const pending = jobs.filter(j => j.status === 'pending');
+  store.transaction(() => {
+    pending.forEach(j => updateJob(j.id, { status: 'canceled', nextAttemptAt: null, lastError: NOT_SENT_ERROR }));
+  });
+  return jobs.filter(j => j.status === 'pending' || j.status === 'canceled');
+}
 
-    // actualizar metadata
-    arr[idx].lastRunAt = new Date().toISOString();
-    arr[idx].lastError = null;
-    saveCampaigns(arr);
+/** Resultados con los destinos en cola cancelados pasados a notSent. */
+function markNotSent(results, jobs) {
+  const canceled = new Set(jobs.map(j => j.id));
+  return results.map(r => (r.queued && canceled.has(r.jobId)
+    ? { id: r.id, ok: false, notSent: true, jobId: r.jobId, error: NOT_SENT_ERROR }
+    : r));
+}
 
-    res.json({ ok: true, results });
-  } catch (e) {
-    res.status(500).json({ error: e?.message || String(e) });
+/**
+ * Enviar a N destinos (grupos, contactos o números): respeta delay mínimo entre envíos.
+ * Cada destino se convierte en un job de la cola persistente: si el primer intento falla
+ * (o WhatsApp no está listo) el job queda pendiente y el worker lo reintenta con backoff.
+ * opts: { run, campaign, vars, tz } para plantillas, origin { kind, refId } para la cola y
+ * sessionId (cuenta de WhatsApp que envía; por defecto "default").
+ * Con run.id el envío es un lote controlable (ver Envíos en curso).
+ */
+async function sendToMany(ids, text, mediaPaths, mediaDelayMs, groupDelayMs, opts = {}) {
+  const { origin, sessionId = DEFAULT_SESSION, ...tpl } = opts || {};
+  let results = [];
+  const batch = openBatch(tpl.run?.id, {
+    kind: origin?.kind || 'send', refId: origin?.refId || null, sessionId, total: ids.length
+  });
+  // las pausas originales, por si se cancela con el lote ya terminado (ver /api/runs/:id/cancel)
+  if (batch) db.runs.update(batch.runId, { delays: { mediaDelayMs, groupDelayMs } });
+  const progress = result => broadcast('send.progress', {
+    batchId: tpl.run?.id || null,
+    kind: origin?.kind || 'send',
+    refId: origin?.refId || null,
+    sessionId,
+    done: results.length,
+    total: ids.length,
+    result
+  });
+  try {
+    for (const [i, gid] of ids.entries()) {
+      if (await batchGate(batch) === 'canceled') {
+        results.push(...ids.slice(i).map(id => ({ id, ok: false, notSent: true, error: NOT_SENT_ERROR })));
+        break;
+      }
+      const blocked = targetBlock(sessionId, gid);
+      if (blocked) { // ya no podemos escribir ahí (caché de grupos): ni se encola
+        results.push({ id: gid, ok: false, skipped: true, error: blocked });
+        if (batch) batch.done = results.length;
+        progress(results[results.length - 1]);
+        continue;
+      }
+      const job = enqueueJob({
+        to: gid,
+        text: text || '',
+        media: mediaPaths || [],
+        mediaDelayMs,
+        tpl,
+        sessionId,
+        origin: { ...(origin || { kind: 'send' }), runId: tpl.run?.id || null }
+      });
+      if (!isSessionReady(sessionId)) {
+        results.push({ id: gid, ok: false, queued: true, jobId: job.id, error: 'En cola: WhatsApp no está listo.' });
+      } else {
+        const r = await attemptJob(job.id);
+        results.push(jobResult(gid, r));
+      }
+      if (batch) batch.done = results.length;
+      progress(results[results.length - 1]);
+      if (results[results.length - 1].queued) continue;
+      await sleep(Math.max(1500, Number(groupDelayMs) || 0)); // pausa del lote; el regulador limita el total
+    }
+    if (batch?.state === 'canceled') {
+      // lo que esperaba en la cola tampoco sale; el run queda reanudable
+      results = markNotSent(results, cancelRunJobs(batch.runId));
+      if (results.some(r => r.notSent)) {
+        db.runs.update(batch.runId, {
+          resumable: { text: text || '', media: mediaPaths || [], mediaDelayMs, groupDelayMs, tpl, origin: origin || null, sessionId }
+        });
+      }
+    }
+  } finally {
+    if (batch) BATCHES.delete(batch.runId);
   }
-});
+  return results;
+}
 
-// Eliminar campaña
-app.delete('/api/campaigns/:id', requireApiKey, (req, res) => {
-  const id = req.params.id;
-  const arr = loadCampaigns();
-  const nx = arr.filter(x => x.id !== id);
-  if (nx.length === arr.length) return res.status(404).json({ error: 'No existe' });
-  saveCampaigns(nx);
-  scheduleCampaignEngine();
+/**
+ * Ensayo de sendToMany (dryRun): qué se enviaría a cada destino (chat resuelto, mensajes
+ * ya renderizados y en orden) y a qué hora, sin encolar ni enviar nada. Las horas salen de
+ * las pausas del lote y del cupo actual del regulador (sin jitter). Sin sesión lista los
+ * números no se comprueban (verified: false) y los nombres quedan como el id.
+ * opts como sendToMany más startAt (ms o ISO; por defecto ahora).
+ */
+async function planSend(ids, text, mediaList, mediaDelayMs, groupDelayMs, opts = {}) {
+  const { origin, sessionId = DEFAULT_SESSION, startAt, ...tpl } = opts || {};
+  const items = normalizeMedia(mediaList);
+  const mediaDelay = Math.max(0, Number(mediaDelayMs) || 0);
+  const steps = deliverySteps(text, items, items.map(m => mediaKindFromPath(mediaAbsPath(m.path))));
+  const durationMs = items.length ? steps.length * mediaDelay : 0;
+  const times = governor.forecast(sessionId, ids.length, {
+    from: startAt ? new Date(startAt).getTime() : Date.now(),
+    durationMs,
+    gapMs: Math.max(1500, Number(groupDelayMs) || 0)
+  });
+  const ready = isSessionReady(sessionId);
+
+  const out = [];
+  for (const [i, target] of ids.entries()) {
+    const at = new Date(times[i]);
+    const entry = { target, to: null, name: null, verified: true, at: at.toISOString(), messages: [], missing: [] };
+    try {
+      const s = String(target).trim();
+      if (ready || CHAT_ID_RE.test(s)) entry.to = await resolveTarget(s, sessionId);
+      else {
+        entry.to = `${cleanPhone(s).replace(/^\+/, '')}@c.us`;
+        entry.verified = false;
+      }
+      const blocked = targetBlock(sessionId, entry.to);
+      if (blocked) entry.blocked = blocked; // sendToMany lo omitirá
+      const ctx = { ...(await templateContext(entry.to, tpl, sessionId)), now: at };
+      entry.name = ctx.group.name;
+      const missing = new Set();
+      const render = str => {
+        const r = renderTemplate(str, ctx);
+        r.missing.forEach(k => missing.add(k));
+        return r.text;
+      };
+      const rendered = items.map(m => (m.caption ? { ...m, caption: render(m.caption) } : m));
+      entry.messages = deliverySteps(render(text || ''), rendered, steps.filter(x => x.type === 'media').map(x => x.kind))
+        .map(({ index, ...m }) => m);
+      entry.missing = [...missing];
+    } catch (e) {
+      entry.error = e?.message || String(e);
+    }
+    out.push(entry);
+  }
+  const last = times[times.length - 1];
+  return {
+    dryRun: true,
+    sessionId,
+    sessionReady: ready,
+    kind: origin?.kind || 'send',
+    refId: origin?.refId || null,
+    total: ids.length,
+    blockedCount: out.filter(x => x.blocked).length,
+    startAt: times.length ? new Date(times[0]).toISOString() : null,
+    finishAt: times.length ? new Date(last + durationMs).toISOString() : null,
+    budget: governor.budget(sessionId),
+    items: out
+  };
+}
+
+// ------------------------------- Regulador de envíos ----------------------------------
+// Un único regulador (lib/governor) para todos los envíos: cola, envío manual, programaciones,
+// campañas, respuestas automáticas y de la bandeja. Límites por sesión (0 = sin límite).
+const governor = createGovernor({
+  limits: {
+    minute: Math.max(0, Number(process.env.SEND_LIMIT_PER_MINUTE ?? 20)),
+    hour: Math.max(0, Number(process.env.SEND_LIMIT_PER_HOUR ?? 300)),
+    day: Math.max(0, Number(process.env.SEND_LIMIT_PER_DAY ?? 1500))
+  },
+  minGapMs: Math.max(0, Number(process.env.SEND_MIN_GAP_MS ?? 1500)),
+  jitterMs: Math.max(0, Number(process.env.SEND_JITTER_MS ?? 2000)),
+  maxWaitMs: Math.max(0, Number(process.env.SEND_MAX_WAIT_MS ?? 60000)),
+  load: sessionId => db.sendStamps.get(sessionId)?.stamps || [],
+  save: (sessionId, stamps) => db.sendStamps.put({ id: sessionId, stamps })
+});
+
+/** Prioridad del regulador según el origen del envío (manual > schedule > campaign). */
+function sendKind(origin) {
+  const kind = origin?.kind || 'send';
+  return kind === 'send' ? 'manual' : kind;
+}
+
+/** Ejecuta fn con turno del regulador; sin cupo lanza un error con status 429 y retryAt. */
+async function withSendTurn(sessionId, kind, fn) {
+  const turn = await governor.acquire(sessionId, kind);
+  if (!turn.ok) {
+    throw Object.assign(new Error(`${turn.reason} Reintente después de ${turn.retryAt}.`), { status: 429, retryAt: turn.retryAt });
+  }
+  try {
+    return await fn();
+  } finally {
+    turn.release();
+  }
+}
+
+// ---------------------------------- Cola de envíos ------------------------------------
+// Cola persistente: cada envío a un destino es un job con reintentos y backoff
+// exponencial. Estados: pending -> sending -> sent | pending (reintento) | dead;
+// canceled si se cancela la programación de origen.
+const QUEUE_MAX_ATTEMPTS = Math.max(1, Number(process.env.QUEUE_MAX_ATTEMPTS || 5));
+const QUEUE_BACKOFF_MS = Math.max(1000, Number(process.env.QUEUE_BACKOFF_MS || 30000));
+const QUEUE_BACKOFF_MAX_MS = 60 * 60 * 1000; // 1h
+const QUEUE_TICK_MS = 5000;
+const QUEUE_KEEP_SENT = 1000;
+let sentSinceTrim = 0; // envíos desde el último recorte (se recorta en el tick, no por envío)
+
+/** Mantiene solo los QUEUE_KEEP_SENT jobs enviados más recientes. */
+function trimSentJobs() {
+  if (!sentSinceTrim) return;
+  sentSinceTrim = 0;
+  const sent = db.queue.find('status', 'sent');
+  const drop = sent.slice(0, Math.max(0, sent.length - QUEUE_KEEP_SENT));
+  if (drop.length) store.transaction(() => drop.forEach(j => db.queue.remove(j.id)));
+}
+function updateJob(id, patch) {
+  return db.queue.update(id, { ...patch, updatedAt: new Date().toISOString() });
+}
+
+function enqueueJob({ to, text, media, mediaDelayMs, tpl, sessionId, origin, maxAttempts }) {
+  const now = new Date().toISOString();
+  const job = {
+    id: nanoid(12),
+    sessionId: sessionId || DEFAULT_SESSION,
+    to,
+    text,
+    media,
+    mediaDelayMs: Math.max(0, Number(mediaDelayMs) || 0),
+    tpl: tpl || {},
+    origin: origin || { kind: 'send' },
+    status: 'pending',
+    attempts: 0,
+    maxAttempts: Math.max(1, Number(maxAttempts) || QUEUE_MAX_ATTEMPTS),
+    nextAttemptAt: now,
+    lastError: null,
+    createdAt: now,
+    updatedAt: now,
+    sentAt: null
+  };
+  return db.queue.put(job);
+}
+
+function backoffMs(attempts) {
+  return Math.min(QUEUE_BACKOFF_MAX_MS, QUEUE_BACKOFF_MS * 2 ** Math.max(0, attempts - 1));
+}
+
+// Errores que no se arreglan reintentando (el job pasa directo a dead)
+function isPermanentError(e) {
+  return /no está en WhatsApp/.test(e?.message || '');
+}
+
+/** Un intento de envío del job. Devuelve { ok, to, error, job }. */
+async function attemptJob(id) {
+  // Reclamo atómico: solo un intento puede pasar el job de pending a sending
+  let claimed = false;
+  const job = db.queue.update(id, j => {
+    if (j.status !== 'pending') return j;
+    claimed = true;
+    return { ...j, status: 'sending', updatedAt: new Date().toISOString() };
+  });
+  if (!claimed) return { ok: false, error: 'Job no disponible.', job };
+  const sid = job.sessionId || DEFAULT_SESSION;
+  const blocked = targetBlock(sid, job.to);
+  if (blocked) {
+    // nos sacaron del grupo (o ya no podemos escribir) mientras esperaba: sin cupo ni reintentos
+    const dead = updateJob(id, { status: 'dead', attempts: job.attempts + 1, lastError: blocked, nextAttemptAt: null });
+    emitWebhook('send.failed', jobEvent(dead, { error: blocked }));
+    return { ok: false, error: blocked, job: dead, skipped: true };
+  }
+  const turn = await governor.acquire(sid, sendKind(job.origin));
+  if (!turn.ok) {
+    // sin cupo: vuelve a pending para cuando se libere, sin gastar un intento
+    const next = updateJob(id, { status: 'pending', lastError: turn.reason, nextAttemptAt: turn.retryAt });
+    return { ok: false, error: `${turn.reason} Aplazado hasta ${turn.retryAt}.`, job: next, deferred: true };
+  }
+  try {
+    const to = await resolveTarget(job.to, sid);
+    let body = job.text;
+    let media = normalizeMedia(job.media);
+    if (hasPlaceholders(job.text) || media.some(m => hasPlaceholders(m.caption))) {
+      const ctx = await templateContext(to, job.tpl, sid);
+      body = renderTemplate(job.text, ctx).text;
+      media = media.map(m => (m.caption ? { ...m, caption: renderTemplate(m.caption, ctx).text } : m));
+    }
+    await sendToOneGroup(to, body, media, job.mediaDelayMs, sid);
+    const done = updateJob(id, {
+      status: 'sent', attempts: job.attempts + 1, sentAt: new Date().toISOString(), lastError: null
+    });
+    sentSinceTrim++;
+    emitWebhook('send.completed', jobEvent(done, { to }));
+    return { ok: true, to, job: done };
+  } catch (e) {
+    const attempts = job.attempts + 1;
+    const error = e?.message || String(e);
+    const dead = attempts >= job.maxAttempts || isPermanentError(e);
+    const next = updateJob(id, {
+      status: dead ? 'dead' : 'pending',
+      attempts,
+      lastError: error,
+      nextAttemptAt: dead ? null : new Date(Date.now() + backoffMs(attempts)).toISOString()
+    });
+    if (dead) emitWebhook('send.failed', jobEvent(next, { error }));
+    return { ok: false, error, job: next };
+  } finally {
+    turn.release();
+  }
+}
+
+/** Datos de un job para los webhooks send.* (sin el texto ni los medios). */
+function jobEvent(job, extra = {}) {
+  return {
+    jobId: job.id,
+    sessionId: job.sessionId,
+    target: job.to,
+    attempts: job.attempts,
+    origin: job.origin,
+    ...extra
+  };
+}
+
+/** Resultado por destino (formato del historial) a partir de un intento. */
+function jobResult(id, r) {
+  const out = { id, ok: r.ok, jobId: r.job?.id };
+  if (r.to && r.to !== id) out.to = r.to;
+  if (!r.ok) {
+    out.error = r.error;
+    if (r.job?.status === 'pending') out.queued = true;
+    if (r.skipped) out.skipped = true;
+  }
+  return out;
+}
+
+function hasOpenJobs(runId) {
+  return db.queue.find('origin.runId', runId).some(j => ['pending', 'sending'].includes(j.status));
+}
+
+/** Refleja en el historial (y en la programación de origen) el resultado de un reintento. */
+function settleJobOrigin(job, r) {
+  const runId = job.origin?.runId;
+  if (!runId) return;
+  updateRunResult(runId, job.to, jobResult(job.to, r));
+  if (job.origin.kind !== 'schedule' || hasOpenJobs(runId)) return;
+  const s = db.schedules.get(job.origin.refId);
+  if (s && s.status === 'queued') patchSchedule(s.id, { status: 'sent', sentAt: new Date().toISOString() });
+}
+
+// Worker: procesa en serie los jobs vencidos cuya sesión esté lista (el ritmo lo pone el regulador)
+let queueBusy = false;
+async function processQueue() {
+  if (queueBusy) return;
+  queueBusy = true;
+  try {
+    const now = Date.now();
+    const due = db.queue.find('status', 'pending')
+      .filter(j => new Date(j.nextAttemptAt).getTime() <= now)
+      .sort((a, b) => new Date(a.nextAttemptAt) - new Date(b.nextAttemptAt));
+    for (const j of due) {
+      if (!isSessionReady(j.sessionId)) continue;
+      const batch = BATCHES.get(j.origin?.runId);
+      if (batch && batch.state !== 'running') continue; // lote en pausa o cancelándose
+      const r = await attemptJob(j.id);
+      if (r.job) settleJobOrigin(r.job, r);
+    }
+    trimSentJobs();
+  } catch (e) {
+    console.error('❌ Error procesando la cola:', e?.message || e);
+  } finally {
+    queueBusy = false;
+  }
+}
+
+// Jobs que quedaron en "sending" por una caída vuelven a pending
+(function recoverQueue() {
+  const now = new Date().toISOString();
+  store.transaction(() => {
+    db.queue.find('status', 'sending')
+      .forEach(j => updateJob(j.id, { status: 'pending', nextAttemptAt: now }));
+  });
+})();
+setInterval(processQueue, QUEUE_TICK_MS).unref();
+
+// ------------------------------- Plantillas de mensajes -------------------------------
+// Marcadores soportados en mensajes y captions:
+//   {{group.name}} {{group.id}}          destino (grupo o contacto)
+//   {{date}} {{date:DD/MM/YYYY HH:mm}}   fecha actual en la zona de la campaña (dayjs)
+//   {{run.number}} {{run.id}}            número de ejecución de la campaña / id del run
+//   {{campaign.name}}                    nombre de la campaña o programación
+//   {{clave}}                            variable propia: vars['*'] y vars[<id destino>]
+const TEMPLATE_RE = /\{\{\s*([\w.\-]+)(?::([^}]*))?\s*\}\}/g;
+const DEFAULT_TZ = 'America/New_York';
+
+function hasPlaceholders(text) {
+  return /\{\{[^}]+\}\}/.test(text || '');
+}
+
+/** Variables propias para un destino: las globales ('*') y luego las del destino. */
+function varsForTarget(vars, id) {
+  if (!vars || typeof vars !== 'object') return {};
+  return { ...(vars['*'] || {}), ...(vars[id] || {}) };
+}
+
+/** Construye el contexto de render para un destino (consulta su nombre en WhatsApp). */
+async function templateContext(id, tpl = {}, sessionId = DEFAULT_SESSION) {
+  let name = id;
+  try {
+    const chat = await readyClient(sessionId).getChatById(id);
+    name = chat?.name || chat?.formattedTitle || id;
+  } catch {}
+  return {
+    group: { id, name },
+    run: tpl.run || { number: 1, id: null },
+    campaign: tpl.campaign || { name: '' },
+    vars: varsForTarget(tpl.vars, id),
+    tz: tpl.tz
+  };
+}
+
+/**
+ * Sustituye los marcadores; los desconocidos se dejan tal cual y se devuelven en missing.
+ * ctx.now fija el momento de {{date}}/{{time}} (en un ensayo, la hora prevista del envío).
+ */
+function renderTemplate(text, ctx = {}) {
+  const missing = [];
+  const tz = ctx.tz && validateTimeZone(ctx.tz) ? ctx.tz : DEFAULT_TZ;
+  const out = String(text || '').replace(TEMPLATE_RE, (whole, key, arg) => {
+    if (key === 'date' || key === 'time') {
+      const fmt = (arg || '').trim() || (key === 'date' ? 'DD/MM/YYYY' : 'HH:mm');
+      return (ctx.now ? dayjs(ctx.now) : dayjs()).tz(tz).locale('es').format(fmt);
+    }
+    const [head, ...rest] = key.split('.');
+    let val;
+    if (rest.length && ['group', 'run', 'campaign'].includes(head)) {
+      val = rest.reduce((o, k) => (o == null ? undefined : o[k]), ctx[head]);
+    } else if (ctx.vars && Object.prototype.hasOwnProperty.call(ctx.vars, key)) {
+      val = ctx.vars[key];
+    }
+    if (val == null) {
+      missing.push(key);
+      return whole;
+    }
+    return String(val);
+  });
+  return { text: out, missing: Array.from(new Set(missing)) };
+}
+
+// ----------------------------- Historial de ejecuciones -------------------------------
+// Cada ejecución (cron, run-now o one-shot) deja un registro con el resultado por grupo.
+const RUN_LOG_MAX = Math.max(100, Number(process.env.RUN_LOG_MAX || 2000));
+
+/** Conserva solo las últimas RUN_LOG_MAX ejecuciones. */
+function trimRuns() {
+  const extra = db.runs.count() - RUN_LOG_MAX;
+  if (extra <= 0) return;
+  const drop = new Set(db.runs.all().slice(0, extra).map(r => r.id));
+  db.runs.removeWhere(r => drop.has(r.id));
+}
+
+/** Abre un registro de ejecución. kind: campaign|schedule|send; trigger: cron|run-now|one-shot|resume... */
+function startRun(kind, refId, trigger, by = null) {
+  const run = {
+    id: nanoid(12),
+    kind,
+    refId,
+    trigger,
+    triggeredBy: by,
+    status: 'running',
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    total: 0,
+    okCount: 0,
+    failCount: 0,
+    error: null,
+    results: []
+  };
+  db.runs.put(run);
+  trimRuns();
+  broadcast('run', runSummary(run));
+  return run;
+}
+
+/** Cierra el registro con el resultado por grupo (o el error que impidió enviar). */
+function finishRun(run, results = [], error = null) {
+  run.finishedAt = new Date().toISOString();
+  run.results = results;
+  run.total = results.length;
+  run.okCount = results.filter(r => r.ok).length;
+  run.failCount = run.total - run.okCount;
+  run.error = error ? (error?.message || String(error)) : null;
+  runStatus(run);
+
+  db.runs.put({ ...db.runs.get(run.id), ...run }); // conserva lo guardado aparte (p. ej. resumable)
+  METRICS.runs.inc({ kind: run.kind, status: run.status });
+  broadcast('run', runSummary(run));
+  if (run.kind === 'campaign') emitWebhook('campaign.run.finished', { campaignId: run.refId, run: runSummary(run) });
+  return run;
+}
+
+/** Ejecución sin la lista de resultados (para eventos). */
+function runSummary(run) {
+  const { results, ...rest } = run;
+  return rest;
+}
+
+// pending = quedan destinos en cola esperando reintento; canceled = se canceló con destinos sin enviar
+function runStatus(run) {
+  run.queuedCount = run.results.filter(r => r.queued).length;
+  run.notSentCount = run.results.filter(r => r.notSent).length;
+  run.skippedCount = run.results.filter(r => r.skipped).length;
+  if (run.error) run.status = 'failed';
+  else if (run.notSentCount) run.status = 'canceled';
+  else if (run.queuedCount) run.status = 'pending';
+  else if (run.total && !run.okCount) run.status = 'failed';
+  else if (run.failCount) run.status = 'partial';
+  else run.status = 'ok';
+}
+
+/** Actualiza el resultado de un destino cuando la cola lo reintenta más tarde. */
+function updateRunResult(runId, target, result) {
+  if (!runId) return;
+  const updated = db.runs.update(runId, run => {
+    const idx = run.results.findIndex(r => r.id === target);
+    if (idx >= 0) run.results[idx] = { ...result, attempts: (run.results[idx].attempts || 1) + 1 };
+    else run.results.push(result);
+    run.okCount = run.results.filter(r => r.ok).length;
+    run.failCount = run.total - run.okCount;
+    runStatus(run);
+    return run;
+  });
+  if (updated) broadcast('run', { ...runSummary(updated), result });
+}
+
+function listRuns(kind, refId, limit = 50) {
+  return db.runs.all()
+    .filter(r => r.kind === kind && r.refId === refId)
+    .reverse()
+    .slice(0, Math.max(1, Number(limit) || 50))
+    .map(withControl);
+}
+
+/** Añade el estado del lote (running | paused | canceled) si el run sigue enviando. */
+function withControl(run) {
+  const batch = BATCHES.get(run.id);
+  return batch ? { ...run, control: { state: batch.state, done: batch.done, total: batch.total } } : run;
+}
+
+/** Resultado por destino (formato del historial) a partir del estado guardado de su job. */
+function storedJobResult(job) {
+  const out = { id: job.to, ok: job.status === 'sent', jobId: job.id };
+  if (job.status === 'pending' || job.status === 'sending') Object.assign(out, { queued: true, error: job.lastError || 'En cola.' });
+  else if (job.status === 'canceled') Object.assign(out, { notSent: true, error: NOT_SENT_ERROR });
+  else if (job.status === 'dead') out.error = job.lastError;
+  return out;
+}
+
+// Un run que quedó en "running" por una caída se cierra con lo que llegó a la cola: sus
+// jobs pendientes siguen su curso (updateRunResult). Si no llegó a encolar nada, falla.
+(function recoverRuns() {
+  db.runs.find('status', 'running')
+    .forEach(run => {
+      const results = db.queue.find('origin.runId', run.id).map(storedJobResult);
+      finishRun({ ...run, interrupted: true }, results, results.length ? null : 'Interrumpida por reinicio.');
+    });
+})();
+
+// ----------------------------- Endpoints: Acceso/Usuarios -----------------------------
+const USERNAME_RE = /^[a-z0-9._-]{3,32}$/;
+const PASSWORD_MIN = 8;
+const LOGIN_MAX_FAILS = 5;
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+const LOGIN_FAILS = new Map(); // ip|usuario -> { count, since }
+
+function publicUser(u) {
+  const { passwordHash, ...rest } = u;
+  return rest;
+}
+function findUser(username) {
+  const name = String(username || '').trim().toLowerCase();
+  return db.users.all().find(u => u.username === name) || null;
+}
+function activeAdmins(exceptId) {
+  return db.users.all().filter(u => u.role === 'admin' && !u.disabled && u.id !== exceptId).length;
+}
+/** Valida alta/edición; devuelve mensaje de error o null. */
+function userError({ username, password, role }, { partial = false } = {}) {
+  if (!partial || username !== undefined) {
+    if (!USERNAME_RE.test(String(username || '').trim().toLowerCase())) {
+      return 'Usuario inválido (3-32: letras minúsculas, números, ., _ o -).';
+    }
+  }
+  if (!partial || password !== undefined) {
+    if (String(password || '').length < PASSWORD_MIN) return `La contraseña debe tener al menos ${PASSWORD_MIN} caracteres.`;
+  }
+  if (!partial || role !== undefined) {
+    if (!auth.ROLES.includes(role)) return `Rol inválido (${auth.ROLES.join(', ')}).`;
+  }
+  return null;
+}
+async function createUser({ username, password, role }, by) {
+  const now = new Date().toISOString();
+  const item = {
+    id: nanoid(10),
+    username: String(username).trim().toLowerCase(),
+    passwordHash: await auth.hashPassword(password),
+    role,
+    disabled: false,
+    createdAt: now,
+    createdBy: by || null,
+    updatedAt: now,
+    updatedBy: by || null
+  };
+  db.users.put(item);
+  return item;
+}
+/** Revoca todos los tokens de un usuario (cambio de contraseña, baja, desactivación). */
+function revokeTokens(userId) {
+  return db.authTokens.removeWhere(t => t.userId === userId);
+}
+function loginThrottled(key) {
+  const f = LOGIN_FAILS.get(key);
+  if (!f) return false;
+  if (Date.now() - f.since > LOGIN_WINDOW_MS) { LOGIN_FAILS.delete(key); return false; }
+  return f.count >= LOGIN_MAX_FAILS;
+}
+function loginFailed(key) {
+  const f = LOGIN_FAILS.get(key);
+  if (!f || Date.now() - f.since > LOGIN_WINDOW_MS) LOGIN_FAILS.set(key, { count: 1, since: Date.now() });
+  else f.count += 1;
+}
+/** Emite token, lo persiste (solo su hash) y lo deja en la cookie. */
+function issueToken(req, res, user) {
+  const now = Date.now();
+  db.authTokens.removeWhere(t => new Date(t.expiresAt).getTime() <= now); // limpieza de vencidos
+  const { token, hash } = auth.newToken();
+  db.authTokens.put({
+    id: hash,
+    userId: user.id,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + AUTH_TOKEN_TTL_MS).toISOString()
+  });
+  const cookie = [
+    `${AUTH_COOKIE}=${token}`, 'Path=/', 'HttpOnly', 'SameSite=Lax',
+    `Max-Age=${Math.floor(AUTH_TOKEN_TTL_MS / 1000)}`
+  ];
+  if (req.secure) cookie.push('Secure');
+  res.setHeader('Set-Cookie', cookie.join('; '));
+  return token;
+}
+
+// Primer admin desde el entorno (si aún no hay usuarios)
+(async () => {
+  const { ADMIN_USER, ADMIN_PASSWORD } = process.env;
+  if (db.users.count() || !ADMIN_USER || !ADMIN_PASSWORD) return;
+  const bad = userError({ username: ADMIN_USER, password: ADMIN_PASSWORD, role: 'admin' });
+  if (bad) return console.error(`⚠️ ADMIN_USER/ADMIN_PASSWORD ignorados: ${bad}`);
+  await createUser({ username: ADMIN_USER, password: ADMIN_PASSWORD, role: 'admin' }, 'env');
+  console.log(`👤 Usuario admin "${ADMIN_USER}" creado desde el entorno`);
+})().catch(e => console.error('Error creando el admin inicial:', e?.message || e));
+
+/**
+ * El primer admin solo se crea con la API key o desde el propio servidor (conexión local
+ * sin proxy delante): en un despliegue nuevo, cualquiera que llegue antes sería admin.
+ */
+function setupAllowed(req) {
+  if (authenticate(req) === API_KEY_USER) return true;
+  const ip = req.socket.remoteAddress || '';
+  const local = ['127.0.0.1', '::1', '::ffff:127.0.0.1'].includes(ip);
+  return local && !req.header('x-forwarded-for');
+}
+
+// Quién soy (sin exigir rol): el panel lo usa para decidir si muestra el login
+app.get('/api/auth/me', (req, res) => {
+  const user = authenticate(req);
+  res.json({ user, setupRequired: db.users.count() === 0 });
+});
+
+// Alta del primer admin desde el panel (solo si no existe ningún usuario). Exige x-api-key
+// (ADMIN_API_KEY) o hacerlo desde el propio servidor; si no, ADMIN_USER/ADMIN_PASSWORD.
+app.post('/api/auth/setup', async (req, res) => {
+  try {
+    if (db.users.count()) return res.status(409).json({ error: 'Ya existen usuarios.' });
+    if (!setupAllowed(req)) {
+      return res.status(403).json({
+        error: 'El primer admin solo se crea con la API key (ADMIN_API_KEY), desde el propio servidor o con ADMIN_USER/ADMIN_PASSWORD en el entorno.'
+      });
+    }
+    const { username, password } = req.body || {};
+    const bad = userError({ username, password, role: 'admin' });
+    if (bad) return res.status(400).json({ error: bad });
+    const user = await createUser({ username, password, role: 'admin' }, 'setup');
+    const token = issueToken(req, res, user);
+    res.json({ ok: true, token, user: publicUser(user) });
+  } catch (e) {
+    res.status(500).json({ error: e?.message || String(e) });
+  }
+});
+
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    const key = `${req.ip}|${String(username || '').toLowerCase()}`;
+    if (loginThrottled(key)) {
+      return res.status(429).json({ error: 'Demasiados intentos. Pruebe en unos minutos.' });
+    }
+    const user = findUser(username);
+    const ok = user && !user.disabled && await auth.verifyPassword(password, user.passwordHash);
+    if (!ok) {
+      loginFailed(key);
+      return res.status(401).json({ error: 'Usuario o contraseña incorrectos.' });
+    }
+    LOGIN_FAILS.delete(key);
+    db.users.update(user.id, { lastLoginAt: new Date().toISOString() });
+    const token = issueToken(req, res, user);
+    res.json({ ok: true, token, user: publicUser(user) });
+  } catch (e) {
+    res.status(500).json({ error: e?.message || String(e) });
+  }
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  const bearer = /^Bearer\s+(.+)$/i.exec(req.header('authorization') || '');
+  const token = bearer ? bearer[1].trim() : auth.parseCookies(req.header('cookie'))[AUTH_COOKIE];
+  if (token) db.authTokens.remove(auth.hashToken(token));
+  res.setHeader('Set-Cookie', `${AUTH_COOKIE}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0`);
+  res.json({ ok: true });
+});
+
+// Cambiar la contraseña propia: { current, password }
+app.post('/api/auth/password', requireRole('viewer'), async (req, res) => {
+  try {
+    const u = db.users.get(req.user.id);
+    if (!u) return res.status(400).json({ error: 'La API key no tiene contraseña.' });
+    const { current, password } = req.body || {};
+    if (!await auth.verifyPassword(current, u.passwordHash)) {
+      return res.status(400).json({ error: 'La contraseña actual no es correcta.' });
+    }
+    const bad = userError({ password }, { partial: true });
+    if (bad) return res.status(400).json({ error: bad });
+    db.users.update(u.id, {
+      passwordHash: await auth.hashPassword(password),
+      updatedAt: new Date().toISOString(),
+      updatedBy: actor(req)
+    });
+    revokeTokens(u.id);
+    const token = issueToken(req, res, u); // sigue conectado en este navegador
+    res.json({ ok: true, token });
+  } catch (e) {
+    res.status(500).json({ error: e?.message || String(e) });
+  }
+});
+
+app.get('/api/users', requireRole('admin'), (req, res) => {
+  res.json({ items: db.users.all().map(publicUser), roles: auth.ROLES });
+});
+
+// Crear usuario: { username, password, role }
+app.post('/api/users', requireRole('admin'), async (req, res) => {
+  try {
+    const { username, password, role = 'viewer' } = req.body || {};
+    const bad = userError({ username, password, role });
+    if (bad) return res.status(400).json({ error: bad });
+    if (findUser(username)) return res.status(409).json({ error: 'El usuario ya existe.' });
+    const item = await createUser({ username, password, role }, actor(req));
+    res.json({ ok: true, item: publicUser(item) });
+  } catch (e) {
+    res.status(500).json({ error: e?.message || String(e) });
+  }
+});
+
+// Editar: { role?, password?, disabled? }
+app.patch('/api/users/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const u = db.users.get(req.params.id);
+    if (!u) return res.status(404).json({ error: 'Usuario no encontrado.' });
+    const { role, password, disabled } = req.body || {};
+    const bad = userError({ role, password }, { partial: true });
+    if (bad) return res.status(400).json({ error: bad });
+
+    const losesAdmin = u.role === 'admin' && ((role && role !== 'admin') || disabled === true);
+    if (losesAdmin && !activeAdmins(u.id)) {
+      return res.status(409).json({ error: 'Debe quedar al menos un admin activo.' });
+    }
+    const patch = { updatedAt: new Date().toISOString(), updatedBy: actor(req) };
+    if (role) patch.role = role;
+    if (disabled !== undefined) patch.disabled = Boolean(disabled);
+    if (password !== undefined) patch.passwordHash = await auth.hashPassword(password);
+    const item = db.users.update(u.id, patch);
+    if (password !== undefined || patch.disabled) revokeTokens(u.id);
+    res.json({ ok: true, item: publicUser(item) });
+  } catch (e) {
+    res.status(500).json({ error: e?.message || String(e) });
+  }
+});
+
+app.delete('/api/users/:id', requireRole('admin'), (req, res) => {
+  const u = db.users.get(req.params.id);
+  if (!u) return res.status(404).json({ error: 'Usuario no encontrado.' });
+  if (u.role === 'admin' && !u.disabled && !activeAdmins(u.id)) {
+    return res.status(409).json({ error: 'Debe quedar al menos un admin activo.' });
+  }
+  revokeTokens(u.id);
+  db.users.remove(u.id);
+  res.json({ ok: true });
+});
+
+// -------------------------------- Endpoints: Eventos ----------------------------------
+app.get('/api/events', requireRole('viewer'), (req, res) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // nginx: no acumular
+  });
+  res.write('retry: 3000\n\n');
+  // Estado inicial de las cuentas para que el panel no tenga que pedirlo aparte
+  for (const wa of SESSIONS.values()) {
+    res.write(`event: ${wa.ready ? 'ready' : wa.lastQR ? 'qr' : 'disconnected'}\ndata: ${JSON.stringify({ sessionId: wa.id })}\n\n`);
+  }
+  SSE_CLIENTS.add(res);
+  req.on('close', () => SSE_CLIENTS.delete(res));
+});
+
+// ------------------------------- Endpoints: Webhooks ----------------------------------
+/** Vista pública: el secreto solo se devuelve al crear o rotar. */
+function publicWebhook(h) {
+  const { secret, ...rest } = h;
+  return { ...rest, secretHint: secret ? `…${secret.slice(-4)}` : null };
+}
+/** Valida { url, events }; devuelve mensaje de error o null. */
+function webhookError({ url, events }) {
+  let u;
+  try { u = new URL(String(url || '')); } catch { return 'URL inválida.'; }
+  if (!['http:', 'https:'].includes(u.protocol)) return 'La URL debe ser http(s).';
+  if (!Array.isArray(events) || !events.length) return 'events[] es obligatorio (o ["*"]).';
+  const bad = events.filter(e => e !== '*' && !WEBHOOK_EVENTS.includes(e));
+  if (bad.length) return `Eventos desconocidos: ${bad.join(', ')}`;
+  return null;
+}
+
+app.get('/api/webhooks', requireRole('admin'), (req, res) => {
+  res.json({ items: db.webhooks.all().map(publicWebhook), events: WEBHOOK_EVENTS });
+});
+
+// Crear/actualizar: { id?, name, url, events[], enabled?, rotateSecret? }
+app.post('/api/webhooks', requireRole('admin'), (req, res) => {
+  try {
+    const payload = req.body || {};
+    const bad = webhookError(payload);
+    if (bad) return res.status(400).json({ error: bad });
+
+    const prev = payload.id ? db.webhooks.get(payload.id) : null;
+    if (payload.id && !prev) return res.status(404).json({ error: 'Webhook no encontrado.' });
+    const now = new Date().toISOString();
+    const item = {
+      id: prev?.id || nanoid(10),
+      name: payload.name || prev?.name || new URL(payload.url).host,
+      url: String(payload.url),
+      events: [...new Set(payload.events)],
+      enabled: Boolean(payload.enabled ?? prev?.enabled ?? true),
+      secret: !prev || payload.rotateSecret ? webhooks.newSecret() : prev.secret,
+      createdAt: prev?.createdAt || now,
+      createdBy: prev ? prev.createdBy : actor(req),
+      updatedAt: now,
+      updatedBy: actor(req)
+    };
+    db.webhooks.put(item);
+    const out = publicWebhook(item);
+    if (item.secret !== prev?.secret) out.secret = item.secret; // mostrar una sola vez
+    res.json({ ok: true, item: out });
+  } catch (e) {
+    res.status(500).json({ error: e?.message || String(e) });
+  }
+});
+
+app.delete('/api/webhooks/:id', requireRole('admin'), (req, res) => {
+  const id = req.params.id;
+  if (!db.webhooks.remove(id)) return res.status(404).json({ error: 'Webhook no encontrado.' });
+  const dropped = db.webhookDeliveries.removeWhere(d => d.webhookId === id);
+  res.json({ ok: true, deliveriesRemoved: dropped });
+});
+
+// Entrega de prueba (evento webhook.test), síncrona: devuelve el resultado del intento
+app.post('/api/webhooks/:id/test', requireRole('admin'), async (req, res) => {
+  try {
+    const hook = db.webhooks.get(req.params.id);
+    if (!hook) return res.status(404).json({ error: 'Webhook no encontrado.' });
+    const d = newDelivery(hook, 'webhook.test', { message: 'Entrega de prueba', by: actor(req) });
+    db.webhookDeliveries.put({ ...d, status: 'sending' }); // fuera del alcance del worker
+    const item = await attemptDelivery(d, { retry: false }); // una prueba no se reintenta
+    res.json({ ok: item.status === 'delivered', item });
+  } catch (e) {
+    res.status(500).json({ error: e?.message || String(e) });
+  }
+});
+
+// Log de entregas (?status=pending|delivered|failed, ?limit=)
+app.get('/api/webhooks/:id/deliveries', requireRole('admin'), (req, res) => {
+  if (!db.webhooks.get(req.params.id)) return res.status(404).json({ error: 'Webhook no encontrado.' });
+  const status = req.query.status ? String(req.query.status) : null;
+  const items = db.webhookDeliveries.all()
+    .filter(d => d.webhookId === req.params.id && (!status || d.status === status))
+    .reverse()
+    .slice(0, Math.max(1, Number(req.query.limit) || 100));
+  res.json({ items });
+});
+
+// Reenviar una entrega (vuelve a pending con los intentos a cero)
+app.post('/api/webhooks/deliveries/:id/redeliver', requireRole('admin'), (req, res) => {
+  const item = db.webhookDeliveries.update(req.params.id, {
+    status: 'pending', attempts: 0, nextAttemptAt: new Date().toISOString(), lastError: null
+  });
+  if (!item) return res.status(404).json({ error: 'Entrega no encontrada.' });
+  setImmediate(processWebhooks);
+  res.json({ ok: true, item });
+});
+
+// ------------------------------- Endpoints: Sesiones ----------------------------------
+/** Id de sesión pedido: /api/sessions/:sessionId/..., ?session= o body.sessionId. */
+function requestedSession(req) {
+  return String(req.params.sessionId || req.query.session || req.body?.sessionId || DEFAULT_SESSION);
+}
+/** Valida un sessionId de programación/campaña; devuelve mensaje de error o null. */
+function sessionError(id) {
+  return db.sessions.get(id || DEFAULT_SESSION) ? null : `La sesión ${id} no existe.`;
+}
+
+app.get('/api/sessions', requireRole('viewer'), (req, res) => {
+  const items = db.sessions.all().map(doc => {
+    const wa = getSession(doc.id);
+    return { ...doc, ...(wa ? sessionSummary(wa) : { ready: false, hasQR: false, me: null }) };
+  });
+  res.json({ items });
+});
+
+// Crear sesión: { id, name } -> arranca un Client nuevo (habrá que escanear su QR)
+app.post('/api/sessions', requireRole('admin'), (req, res) => {
+  try {
+    const { id, name } = req.body || {};
+    if (!SESSION_ID_RE.test(String(id || ''))) {
+      return res.status(400).json({ error: 'id inválido (letras, números, _ o -; máx. 32).' });
+    }
+    if (db.sessions.get(id)) return res.status(409).json({ error: 'La sesión ya existe.' });
+    const item = { id, name: name || id, createdAt: new Date().toISOString() };
+    db.sessions.put(item);
+    startSession(item);
+    res.json({ ok: true, item });
+  } catch (e) {
+    res.status(500).json({ error: e?.message || String(e) });
+  }
+});
+
+// Renombrar
+app.patch('/api/sessions/:id', requireRole('admin'), (req, res) => {
+  const name = String(req.body?.name || '').trim();
+  if (!name) return res.status(400).json({ error: 'name es obligatorio.' });
+  const item = db.sessions.update(req.params.id, { name });
+  if (!item) return res.status(404).json({ error: 'Sesión no encontrada.' });
+  const wa = getSession(item.id);
+  if (wa) wa.name = name;
+  res.json({ ok: true, item });
+});
+
+// Reiniciar el Client (p. ej. tras una desconexión); conserva el historial y pone a cero
+// los reintentos del supervisor
+app.post('/api/sessions/:id/restart', requireRole('admin'), async (req, res) => {
+  try {
+    const doc = db.sessions.get(req.params.id);
+    if (!doc) return res.status(404).json({ error: 'Sesión no encontrada.' });
+    const wa = getSession(doc.id);
+    if (!wa) startSession(doc);
+    else {
+      wa.failures = 0;
+      await restartClient(wa, `Reinicio manual (${actor(req)})`);
+    }
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(500).json({ error: e?.message || String(e) });
+  }
+});
+
+// Borrar: cierra sesión en WhatsApp. Falla si programaciones/campañas la usan.
+app.delete('/api/sessions/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const id = req.params.id;
+    if (id === DEFAULT_SESSION) return res.status(400).json({ error: 'La sesión principal no se puede borrar.' });
+    if (!db.sessions.get(id)) return res.status(404).json({ error: 'Sesión no encontrada.' });
+    const usedBy = [
+      ...db.schedules.all().filter(s => s.sessionId === id && ['pending', 'sending', 'queued'].includes(s.status)),
+      ...db.campaigns.all().filter(c => c.sessionId === id)
+    ].map(x => x.name || x.id);
+    if (usedBy.length) {
+      return res.status(409).json({ error: `La sesión está en uso por: ${usedBy.join(', ')}` });
+    }
+    await stopSession(id, { logout: true });
+    db.sessions.remove(id);
+    db.groups.removeWhere(g => g.sessionId === id);
+    // Los envíos en cola de esa cuenta ya no podrán salir
+    const open = db.queue.find('status', 'pending').filter(j => j.sessionId === id);
+    store.transaction(() => {
+      open.forEach(j => updateJob(j.id, { status: 'canceled', nextAttemptAt: null, lastError: 'Sesión eliminada.' }));
+    });
+    res.json({ ok: true, canceledJobs: open.length });
+  } catch (e) {
+    res.status(500).json({ error: e?.message || String(e) });
+  }
+});
+
+// Rutas por cuenta: montadas en /api (sesión por defecto o ?session=) y en
+// /api/sessions/:sessionId. withSession deja en req.wa la sesión resuelta.
+const waRouter = express.Router({ mergeParams: true });
+function withSession(req, res, next) {
+  req.wa = getSession(requestedSession(req));
+  if (!req.wa) return res.status(404).json({ error: 'Sesión no encontrada.' });
+  next();
+}
+
+// ------------------------------- Endpoints: Estado/QR ---------------------------------
+waRouter.get('/status', requireRole('viewer'), withSession, (req, res) => {
+  const { ready, me } = sessionSummary(req.wa);
+  res.json({
+    ready,
+    me,
+    sessionId: req.wa.id,
+    readySince: ready && req.wa.readyAt ? new Date(req.wa.readyAt).toISOString() : null,
+    browser: browserConnected(req.wa),
+    driver: transport.driver,
+    connection: connectionInfo(req.wa)
+  });
+});
+
+waRouter.get('/qr.png', requireRole('admin'), withSession, async (req, res) => {
+  if (!req.wa.lastQR) return res.status(204).end();
+  try {
+    const buf = await QRCode.toBuffer(req.wa.lastQR, { width: 360, margin: 1 });
+    res.setHeader('Content-Type', 'image/png');
+    res.send(buf);
+  } catch (e) {
+    res.status(500).json({ error: e?.message || String(e) });
+  }
+});
+
+// ---------------------------- Endpoints: Salud/Métricas -------------------------------
+// /healthz (el proceso responde) y /readyz (almacenamiento y WhatsApp listos) no piden
+// sesión para que los use el balanceador o el monitor; /metrics pide METRICS_TOKEN
+// (Authorization: Bearer) si está definido y si no un usuario con rol viewer.
+const METRICS_TOKEN = process.env.METRICS_TOKEN || '';
+const UPLOADS_USAGE_TTL_MS = 60 * 1000;
+let uploadsUsage = { at: 0, bytes: 0, files: 0 };
+
+/** ¿Sigue vivo el Chrome de puppeteer? (puede morir sin que llegue 'disconnected') */
+function browserConnected(wa) {
+  try {
+    return Boolean(wa.client.pupBrowser?.isConnected());
+  } catch {
+    return false;
+  }
+}
+
+function storageOk() {
+  try {
+    db.sessions.count();
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/** Bytes y archivos en UPLOAD_DIR (se recalcula como mucho una vez por minuto). */
+function uploadsDiskUsage() {
+  if (Date.now() - uploadsUsage.at < UPLOADS_USAGE_TTL_MS) return uploadsUsage;
+  let bytes = 0;
+  let files = 0;
+  for (const f of fs.readdirSync(UPLOAD_DIR)) {
+    try {
+      const st = fs.statSync(path.join(UPLOAD_DIR, f));
+      if (!st.isFile()) continue;
+      bytes += st.size;
+      files++;
+    } catch {} // borrado mientras se recorría
+  }
+  uploadsUsage = { at: Date.now(), bytes, files };
+  return uploadsUsage;
+}
+
+const perSession = fn => () => [...SESSIONS.values()].map(wa => ({ labels: { session: wa.id }, value: fn(wa) }));
+metrics.gauge('session_ready', 'La sesión está lista para enviar (1) o no (0).', perSession(wa => (wa.ready ? 1 : 0)));
+metrics.gauge('session_browser_connected', 'El navegador de puppeteer de la sesión está conectado.',
+  perSession(wa => (browserConnected(wa) ? 1 : 0)));
+metrics.gauge('session_needs_qr', 'El supervisor avisa de que hay que volver a escanear el QR.',
+  perSession(wa => (wa.needsQr ? 1 : 0)));
+metrics.gauge('session_ready_seconds', 'Segundos desde que la sesión quedó lista (0 si no lo está).',
+  perSession(wa => (wa.ready && wa.readyAt ? Math.round((Date.now() - wa.readyAt) / 1000) : 0)));
+metrics.gauge('queue_jobs', 'Jobs de la cola de envíos por estado.', () => {
+  const counts = { pending: 0, sending: 0, sent: 0, dead: 0, canceled: 0 }; // estados de la cola
+  db.queue.all().forEach(j => { counts[j.status] = (counts[j.status] || 0) + 1; });
+  return Object.entries(counts).map(([status, value]) => ({ labels: { status }, value }));
+});
+metrics.gauge('send_budget_remaining', 'Cupo restante del regulador por sesión y ventana (-1 = sin límite).', () =>
+  [...SESSIONS.keys()].flatMap(id => Object.entries(governor.budget(id).windows)
+    .map(([window, w]) => ({ labels: { session: id, window }, value: w.remaining ?? -1 }))));
+metrics.gauge('campaigns_enabled', 'Campañas habilitadas.', () => [{ labels: {}, value: db.campaigns.all().filter(c => c.enabled).length }]);
+metrics.gauge('uploads_bytes', 'Espacio ocupado por UPLOAD_DIR.', () => [{ labels: {}, value: uploadsDiskUsage().bytes }]);
+metrics.gauge('uploads_files', 'Archivos en UPLOAD_DIR.', () => [{ labels: {}, value: uploadsDiskUsage().files }]);
+metrics.gauge('process_uptime_seconds', 'Segundos desde que arrancó el proceso.', () => [{ labels: {}, value: Math.round(process.uptime()) }]);
+metrics.gauge('process_resident_memory_bytes', 'Memoria residente del proceso.', () => [{ labels: {}, value: process.memoryUsage().rss }]);
+
+// Liveness: el proceso y su bucle de eventos responden
+app.get('/healthz', (req, res) => {
+  res.json({ ok: true, uptime: Math.round(process.uptime()) });
+});
+
+// Readiness: almacenamiento accesible y la sesión (?session=id|all, por defecto la principal)
+// lista con su navegador vivo. 503 si algo falla.
+app.get('/readyz', (req, res) => {
+  const which = String(req.query.session || DEFAULT_SESSION);
+  const ids = which === 'all' ? [...SESSIONS.keys()] : [which];
+  const sessions = ids.map(id => {
+    const wa = getSession(id);
+    return { id, ready: Boolean(wa?.ready), browser: wa ? browserConnected(wa) : false, hasQR: Boolean(wa?.lastQR) };
+  });
+  const storage = storageOk();
+  const ready = storage && sessions.length > 0 && sessions.every(x => x.ready && x.browser);
+  res.status(ready ? 200 : 503).json({ ready, storage, sessions });
+});
+
+function metricsAuth(req, res, next) {
+  if (!METRICS_TOKEN) return requireRole('viewer')(req, res, next);
+  const bearer = /^Bearer\s+(.+)$/i.exec(req.header('authorization') || '');
+  if (bearer && safeEqual(bearer[1].trim(), METRICS_TOKEN)) return next();
+  res.status(401).json({ error: 'Unauthorized' });
+}
+
+// Métricas en formato Prometheus
+app.get('/metrics', metricsAuth, async (req, res) => {
+  try {
+    res.type(metrics.contentType).send(await metrics.render());
+  } catch (e) {
+    res.status(500).json({ error: e?.message || String(e) });
+  }
+});
+
+// ---------------------------- Endpoints: Modo de prueba -------------------------------
+// Solo con WA_DRIVER=fake (404 con el cliente real): configuración del cliente simulado,
+// mensajes registrados en vez de enviados y eventos provocados a mano.
+function requireFakeDriver(req, res, next) {
+  if (transport.driver !== 'fake') return res.status(404).json({ error: 'Solo disponible con WA_DRIVER=fake.' });
+  next();
+}
+
+app.get('/api/fake/config', requireRole('admin'), requireFakeDriver, (req, res) => {
+  res.json({ config: transport.config() });
+});
+
+// Cambia solo los campos enviados: { groups, contacts, latencyMs, failRate, failIds, unregistered, ... }
+app.put('/api/fake/config', requireRole('admin'), requireFakeDriver, (req, res) => {
+  try {
+    res.json({ ok: true, config: transport.configure(req.body || {}) });
+  } catch (e) {
+    res.status(400).json({ error: e?.message || String(e) });
+  }
+});
+
+// Mensajes "enviados" (más recientes primero); ?session=&to=&limit=
+app.get('/api/fake/sent', requireRole('admin'), requireFakeDriver, (req, res) => {
+  const { session, to, limit } = req.query;
+  res.json({ items: transport.sent({ sessionId: session, to, limit }) });
+});
+
+app.delete('/api/fake/sent', requireRole('admin'), requireFakeDriver, (req, res) => {
+  res.json({ ok: true, removed: transport.clearSent() });
+});
+
+// Provoca un evento en la sesión: { event: qr|ready|disconnected|auth_failure|message|hang|crash|
+// group_join|group_leave|group_update|group_admin_changed, ... } (message: { from, body, author? }
+// entra como un mensaje recibido; hang y crash solo los detecta el watchdog; los de grupo,
+// ver lib/transport/fake)
+waRouter.post('/fake/simulate', requireRole('admin'), requireFakeDriver, withSession, (req, res) => {
+  try {
+    const { event, ...data } = req.body || {};
+    if (!transport.EVENTS.includes(event)) {
+      return res.status(400).json({ error: `event debe ser ${transport.EVENTS.join(' | ')}.` });
+    }
+    const msg = req.wa.client.simulate(event, data);
+    res.json({ ok: true, sessionId: req.wa.id, event, messageId: msg?.id._serialized || null });
+  } catch (e) {
+    res.status(500).json({ error: e?.message || String(e) });
+  }
+});
+
+// ------------------------------- Administración de grupos -----------------------------
+// Cambios sobre GroupChat de whatsapp-web.js. Cada operación (op) sirve igual para un grupo
+// que para varios (POST /groups/bulk):
+//   subject | description  value: texto         announce  value: true = solo admins escriben
+//   picture  value: ruta de imagen o null (quita la foto)
+//   add | remove | promote | demote  value: números E.164 o ids @c.us
+//   invite (lee el enlace) | revokeInvite (genera uno nuevo)
+// WhatsApp solo acepta cambios si somos admin: sin permiso responde false y se informa.
+const GROUP_OPS = ['subject', 'description', 'announce', 'picture', 'add', 'remove', 'promote', 'demote', 'invite', 'revokeInvite'];
+const PARTICIPANT_OPS = ['add', 'remove', 'promote', 'demote'];
+const GROUP_SUBJECT_MAX = 100;
+const GROUP_DESCRIPTION_MAX = 2048;
+const GROUP_BULK_MAX = 200;
+const GROUP_BULK_DELAY_MS = Math.max(500, Number(process.env.GROUP_BULK_DELAY_MS || 1500));
+const INVITE_URL = 'https://chat.whatsapp.com/';
+
+const isGroupId = id => /@g\.us$/.test(String(id || ''));
+
+/**
+ * Nuestros ids en los participantes de los grupos: WhatsApp nos lista por el número (@c.us)
+ * o por el LID (@lid, un número distinto). El LID se resuelve una vez por conexión; si no se
+ * puede, lidKnown queda en false.
+ */
+async function meIdsOf(wa) {
+  if (wa.meIds) return wa.meIds;
+  const wid = wa.client.info?.wid?._serialized;
+  const me = { ids: new Set(wid ? [wid] : []), lidKnown: false };
+  if (!wid) return me; // sin sesión lista: no se guarda
+  try {
+    const [pair] = await wa.client.getContactLidAndPhone([wid]);
+    if (pair?.lid) me.ids.add(pair.lid);
+    if (pair?.pn) me.ids.add(pair.pn);
+    me.lidKnown = Boolean(pair?.lid);
+  } catch (e) {
+    console.warn(`⚠️ [${wa.id}] No se pudo resolver nuestro LID:`, e?.message || e);
+  }
+  wa.meIds = me;
+  return me;
+}
+
+/**
+ * Resumen de un grupo: participantes, si somos admin y si solo escriben los admins.
+ * Si no nos encontramos entre participantes @lid sin conocer nuestro LID, la pertenencia
+ * queda como desconocida (meUnknown): se nos trata como miembros y se permite enviar.
+ */
+function groupSummary(chat, me) {
+  const id = chat.id._serialized;
+  const meta = chat.groupMetadata || {};
+  const participants = meta.participants || [];
+  const mine = participants.find(p => me.ids.has(p.id._serialized));
+  const meUnknown = !mine && !me.lidKnown && participants.some(p => /@lid$/.test(p.id._serialized));
+  return {
+    id,
+    name: chat.name || id,
+    tags: tagsOf(id),
+    participantCount: participants.length,
+    isMember: Boolean(mine) || meUnknown,
+    isAdmin: Boolean(mine?.isAdmin || mine?.isSuperAdmin),
+    announce: Boolean(meta.announce),
+    meUnknown
+  };
+}
+
+/** Ficha completa de un grupo (GET /groups/:groupId). */
+function groupDetail(chat, me) {
+  const meta = chat.groupMetadata || {};
+  return {
+    ...groupSummary(chat, me),
+    description: meta.desc || '',
+    restrict: Boolean(meta.restrict),
+    owner: meta.owner?._serialized || null,
+    createdAt: meta.creation ? new Date(meta.creation * 1000).toISOString() : null,
+    participants: (meta.participants || []).map(p => ({
+      id: p.id._serialized,
+      isAdmin: Boolean(p.isAdmin || p.isSuperAdmin),
+      isSuperAdmin: Boolean(p.isSuperAdmin),
+      isMe: me.ids.has(p.id._serialized)
+    }))
+  };
+}
+
+/** GroupChat de la sesión; lanza con status 404 si no existe o no es un grupo. */
+async function groupChat(wa, groupId) {
+  if (!isGroupId(groupId)) throw Object.assign(new Error('Id de grupo inválido (debe terminar en @g.us).'), { status: 400 });
+  const chat = await wa.client.getChatById(groupId).catch(() => null);
+  if (!chat?.isGroup || !chat.groupMetadata) throw Object.assign(new Error('Grupo no encontrado.'), { status: 404 });
+  return chat;
+}
+
+/** Valida op/value antes de tocar WhatsApp. Devuelve el mensaje de error o null. */
+function groupOpError(op, value) {
+  if (!GROUP_OPS.includes(op)) return `op debe ser ${GROUP_OPS.join(' | ')}.`;
+  if (op === 'subject') {
+    const v = String(value ?? '').trim();
+    if (!v) return 'El asunto no puede estar vacío.';
+    if (v.length > GROUP_SUBJECT_MAX) return `El asunto admite hasta ${GROUP_SUBJECT_MAX} caracteres.`;
+  }
+  if (op === 'description' && String(value ?? '').length > GROUP_DESCRIPTION_MAX) {
+    return `La descripción admite hasta ${GROUP_DESCRIPTION_MAX} caracteres.`;
+  }
+  if (op === 'announce' && typeof value !== 'boolean') return 'announce necesita value true o false.';
+  if (op === 'picture' && value != null) {
+    if (typeof value !== 'string' || !value.trim()) return 'Indique la imagen (media: ruta subida con /api/upload).';
+    const bad = mediaError([value]);
+    if (bad) return bad;
+    if (mediaKindFromPath(mediaAbsPath(value)) !== 'image') return 'La foto del grupo debe ser una imagen.';
+  }
+  if (PARTICIPANT_OPS.includes(op)) {
+    const list = Array.isArray(value) ? value : [];
+    if (!list.length) return 'Indique los participantes (números E.164 o ids @c.us).';
+    const bad = list.filter(x => isGroupId(x) || !isValidTarget(x));
+    if (bad.length) return `Participantes inválidos: ${bad.join(', ')}`;
+  }
+  return null;
+}
+
+/** Participantes a ids de WhatsApp; los números que no existen vuelven como error. */
+async function resolveParticipants(list, sessionId) {
+  const ids = [];
+  const errors = [];
+  for (const x of list) {
+    try { ids.push({ input: x, id: await resolveTarget(x, sessionId) }); }
+    catch (e) { errors.push({ input: x, id: null, ok: false, error: e?.message || String(e) }); }
+  }
+  return { ids, errors };
+}
+
+/**
+ * Aplica una operación sobre un grupo (ya validada con groupOpError). Devuelve lo que
+ * corresponda a la op (participants por participante, code/link de la invitación...);
+ * lanza si WhatsApp la rechaza.
+ */
+async function applyGroupOp(wa, chat, op, value, by) {
+  const denied = () => Object.assign(new Error('WhatsApp rechazó el cambio (¿somos admin del grupo?).'), { status: 403 });
+  let result = {};
+  if (['subject', 'description', 'announce', 'picture'].includes(op)) {
+    let done;
+    if (op === 'subject') done = await chat.setSubject(String(value).trim());
+    else if (op === 'description') done = await chat.setDescription(String(value ?? ''));
+    else if (op === 'announce') done = await chat.setMessagesAdminsOnly(value);
+    else if (value == null) done = await chat.deletePicture();
+    else done = await chat.setPicture(MessageMedia.fromFilePath(mediaAbsPath(value)));
+    if (!done) throw denied();
+  } else if (PARTICIPANT_OPS.includes(op)) {
+    const { ids, errors } = await resolveParticipants(value, wa.id);
+    const participants = [...errors];
+    if (ids.length) {
+      const method = { add: 'addParticipants', remove: 'removeParticipants', promote: 'promoteParticipants', demote: 'demoteParticipants' }[op];
+      const r = await chat[method](ids.map(x => x.id));
+      if (typeof r === 'string') throw new Error(r); // addParticipants: error del grupo como texto
+      ids.forEach(({ input, id }) => {
+        const one = op === 'add' ? r?.[id] : null; // add informa por participante; el resto, en bloque
+        const ok = op === 'add' ? one?.code === 200 : r?.status === 200;
+        participants.push({ input, id, ok, error: ok ? null : one?.message || 'WhatsApp rechazó el cambio.', inviteSent: Boolean(one?.isInviteV4Sent) });
+      });
+    }
+    result = { participants, okCount: participants.filter(p => p.ok).length };
+  } else {
+    const code = op === 'invite' ? await chat.getInviteCode() : await chat.revokeInvite();
+    if (!code) throw denied();
+    result = { code, link: INVITE_URL + code };
+  }
+  if (op !== 'invite') {
+    console.log(`👥 [${wa.id}] Grupo ${chat.id._serialized}: ${op} por ${by || 'sistema'}`);
+    await refreshGroup(wa, chat.id._serialized);
+    broadcast('group', { sessionId: wa.id, id: chat.id._serialized, op, by });
+  }
+  return result;
+}
+
+// ---------------------------------- Caché de grupos -----------------------------------
+// Colección groups (id = sessionId|groupId) con el último resumen de cada grupo: se
+// sincroniza entera en cada ready y por grupo con los eventos group_join / group_leave /
+// group_update / group_admin_changed y tras cada cambio desde el panel. Así GET /groups
+// responde al instante y sigue mostrando los grupos mientras la sesión reconecta.
+// También registra cuándo dejamos de ser miembros (removedAt) o de poder escribir
+// (sendBlockedAt: grupo de solo admins sin ser admin); los envíos omiten esos destinos.
+const GROUP_CHANGES_MAX = 20; // cambios de pertenencia que se guardan por grupo
+const GROUP_SYNCS = new Map(); // sessionId -> sincronización en curso
+const GROUP_CHANGE_LABELS = {
+  joined: 'entramos al grupo',
+  removed: 'ya no somos miembros',
+  rejoined: 'volvimos a ser miembros',
+  send_lost: 'solo los admins pueden escribir y no somos admin',
+  send_restored: 'podemos volver a escribir',
+  admin_gained: 'ahora somos admin',
+  admin_lost: 'dejamos de ser admin'
+};
+
+function groupKey(sessionId, groupId) {
+  return `${sessionId}|${groupId}`;
+}
+
+/** Cambios de pertenencia entre dos resúmenes (sin anterior: solo joined si lo indica el evento). */
+function membershipChanges(prev, next, joined) {
+  if (!prev) return joined ? ['joined'] : [];
+  const changes = [];
+  if (prev.isMember && !next.isMember) changes.push('removed');
+  if (!prev.isMember && next.isMember) changes.push(joined ? 'joined' : 'rejoined');
+  if (next.isMember && prev.isAdmin !== next.isAdmin) changes.push(next.isAdmin ? 'admin_gained' : 'admin_lost');
+  if (next.isMember && prev.isMember && prev.canSend !== next.canSend) changes.push(next.canSend ? 'send_restored' : 'send_lost');
+  return changes;
+}
+
+/**
+ * Guarda el resumen de un grupo (groupSummary) y registra los cambios de pertenencia:
+ * evento group.membership (SSE y webhook) por cada uno. Devuelve la entrada guardada.
+ */
+function cacheGroup(sessionId, summary, { joined = false } = {}) {
+  const { tags, ...info } = summary;
+  const id = groupKey(sessionId, info.id);
+  const prev = db.groups.get(id);
+  const now = new Date().toISOString();
+  const next = {
+    ...prev,
+    ...info,
+    id,
+    sessionId,
+    groupId: info.id,
+    canSend: info.isMember && (!info.announce || info.isAdmin || Boolean(info.meUnknown)),
+    syncedAt: now
+  };
+  if (next.meUnknown && !prev?.meUnknown) {
+    console.warn(`⚠️ [${sessionId}] ${info.name}: no nos encontramos entre los participantes (@lid); se permite enviar.`);
+  }
+  const changes = membershipChanges(prev, next, joined);
+  if (changes.includes('removed')) next.removedAt = now;
+  if (next.isMember) next.removedAt = null;
+  if (changes.includes('send_lost') || (!prev && next.isMember && !next.canSend)) next.sendBlockedAt = now;
+  if (next.canSend) next.sendBlockedAt = null;
+  next.changes = [...(prev?.changes || []), ...changes.map(type => ({ type, at: now }))].slice(-GROUP_CHANGES_MAX);
+  db.groups.put(next);
+  for (const type of changes) {
+    const data = { sessionId, groupId: info.id, name: info.name, change: type, at: now };
+    console.log(`👥 [${sessionId}] ${info.name}: ${GROUP_CHANGE_LABELS[type]}`);
+    broadcast('group.membership', data);
+    emitWebhook('group.membership', data);
+  }
+  return next;
+}
+
+/** Resincroniza todos los grupos de la sesión (una sola vez a la vez por sesión). */
+function syncGroups(wa) {
+  if (GROUP_SYNCS.has(wa.id)) return GROUP_SYNCS.get(wa.id);
+  const run = (async () => {
+    const chats = await readyClient(wa.id).getChats();
+    const me = await meIdsOf(wa);
+    const seen = new Set();
+    for (const c of chats.filter(x => x.isGroup)) {
+      seen.add(c.id._serialized);
+      cacheGroup(wa.id, groupSummary(c, me));
+    }
+    // los que ya no aparecen: salimos del grupo y se borró el chat
+    db.groups.all()
+      .filter(g => g.sessionId === wa.id && g.isMember && !seen.has(g.groupId))
+      .forEach(g => cacheGroup(wa.id, { ...g, id: g.groupId, isMember: false, isAdmin: false, meUnknown: false }));
+    wa.groupsSyncedAt = new Date().toISOString();
+    broadcast('group', { sessionId: wa.id, synced: seen.size });
+    return seen.size;
+  })().finally(() => GROUP_SYNCS.delete(wa.id));
+  GROUP_SYNCS.set(wa.id, run);
+  return run;
+}
+
+/** Refresca un grupo desde WhatsApp; si ya no es accesible lo marca como no miembro. */
+async function refreshGroup(wa, groupId, opts) {
+  const chat = await wa.client.getChatById(groupId).catch(() => null);
+  const me = await meIdsOf(wa);
+  if (chat?.isGroup && chat.groupMetadata) return cacheGroup(wa.id, groupSummary(chat, me), opts);
+  const prev = db.groups.get(groupKey(wa.id, groupId));
+  return prev ? cacheGroup(wa.id, { ...prev, id: groupId, isMember: false, isAdmin: false, meUnknown: false }, opts) : null;
+}
+
+/** group_join / group_leave / group_update / group_admin_changed de whatsapp-web.js. */
+async function onGroupNotification(wa, event, n) {
+  const groupId = n?.chatId || n?.id?.remote;
+  if (!isGroupId(groupId)) return;
+  const me = await meIdsOf(wa);
+  const aboutMe = (n.recipientIds || []).some(id => me.ids.has(id?._serialized || id));
+  const prev = db.groups.get(groupKey(wa.id, groupId));
+  let item;
+  if (event === 'group_leave' && aboutMe && prev) {
+    // los metadatos pueden tardar en reflejarlo: la notificación basta
+    item = cacheGroup(wa.id, { ...prev, id: groupId, isMember: false, isAdmin: false, meUnknown: false });
+  } else {
+    item = await refreshGroup(wa, groupId, { joined: event === 'group_join' && aboutMe });
+  }
+  if (item) broadcast('group', { sessionId: wa.id, id: groupId, op: event });
+}
+
+/** Grupos de la sesión en caché (con las etiquetas actuales); con all también los que dejamos. */
+function cachedGroups(sessionId, { all = false } = {}) {
+  return db.groups.all()
+    .filter(g => g.sessionId === sessionId && (all || g.isMember))
+    .map(({ id, groupId, sessionId: _, changes, ...g }) => ({ ...g, id: groupId, tags: tagsOf(groupId) })) // changes: ver /groups/:id/changes
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/** Motivo por el que no podemos escribir en el destino según la caché (o null). */
+function targetBlock(sessionId, target) {
+  if (!isGroupId(target)) return null;
+  const g = db.groups.get(groupKey(sessionId, target));
+  if (!g) return null; // desconocido: se intenta
+  if (!g.isMember) return `Ya no somos miembros del grupo ${g.name}${g.removedAt ? ` (desde ${g.removedAt})` : ''}.`;
+  if (!g.canSend) return `En ${g.name} solo escriben los admins y la cuenta no es admin.`;
+  return null;
+}
+
+/** Ejecuta una op y responde; los errores con status (400/403/404) se devuelven tal cual. */
+async function groupOpHandler(req, res, op, value) {
+  try {
+    if (!req.wa.ready) return res.status(409).json({ error: 'WhatsApp no está listo.' });
+    const bad = groupOpError(op, value);
+    if (bad) return res.status(400).json({ error: bad });
+    const chat = await groupChat(req.wa, req.params.groupId);
+    const result = await applyGroupOp(req.wa, chat, op, value, actor(req));
+    res.json({ ok: true, op, id: chat.id._serialized, ...result });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e?.message || String(e) });
+  }
+}
+
+// -------------------------------- Endpoints: Grupos -----------------------------------
+// Lista desde la caché: participantes, si somos admin, si el grupo es solo de admins
+// (announce) y si podemos escribir (canSend). ?refresh=1 resincroniza antes de responder
+// (con la sesión lista); ?all=1 incluye los grupos de los que ya no somos miembros.
+waRouter.get('/groups', requireRole('viewer'), withSession, async (req, res) => {
+  try {
+    const refresh = /^(1|true)$/i.test(String(req.query.refresh || ''));
+    const all = /^(1|true)$/i.test(String(req.query.all || ''));
+    const empty = !db.groups.all().some(g => g.sessionId === req.wa.id);
+    if (req.wa.ready && (refresh || empty)) await syncGroups(req.wa);
+    res.json({
+      groups: cachedGroups(req.wa.id, { all }),
+      ready: req.wa.ready,
+      syncedAt: req.wa.groupsSyncedAt || null,
+      stale: !req.wa.ready // la sesión no está lista: puede haber cambios sin reflejar
+    });
+  } catch (e) {
+    res.status(500).json({ error: e?.message || String(e) });
+  }
+});
+
+// Cambios de pertenencia registrados de un grupo (altas, bajas, permiso para escribir)
+waRouter.get('/groups/:groupId/changes', requireRole('viewer'), withSession, (req, res) => {
+  const g = db.groups.get(groupKey(req.wa.id, req.params.groupId));
+  if (!g) return res.status(404).json({ error: 'Grupo no encontrado en la caché.' });
+  res.json({ id: g.groupId, name: g.name, isMember: g.isMember, canSend: g.canSend, removedAt: g.removedAt || null, sendBlockedAt: g.sendBlockedAt || null, items: [...g.changes].reverse() });
+});
+
+// Misma op en varios grupos: { ids[], op, value }. Uno tras otro con GROUP_BULK_DELAY_MS de pausa;
+// el resultado va por grupo (un fallo no detiene el resto).
+waRouter.post('/groups/bulk', requireRole('admin'), withSession, async (req, res) => {
+  try {
+    if (!req.wa.ready) return res.status(409).json({ error: 'WhatsApp no está listo.' });
+    const { ids, op, value } = req.body || {};
+    if (!Array.isArray(ids) || !ids.length) return res.status(400).json({ error: 'El campo ids[] es obligatorio.' });
+    if (ids.length > GROUP_BULK_MAX) return res.status(400).json({ error: `Máximo ${GROUP_BULK_MAX} grupos por operación.` });
+    const badIds = ids.filter(id => !isGroupId(id));
+    if (badIds.length) return res.status(400).json({ error: `Ids de grupo inválidos: ${badIds.join(', ')}` });
+    const bad = groupOpError(op, value);
+    if (bad) return res.status(400).json({ error: bad });
+
+    const items = [];
+    for (const [i, id] of [...new Set(ids)].entries()) {
+      if (i) await sleep(GROUP_BULK_DELAY_MS);
+      try {
+        const chat = await groupChat(req.wa, id);
+        items.push({ id, name: chat.name || id, ok: true, error: null, ...await applyGroupOp(req.wa, chat, op, value, actor(req)) });
+      } catch (e) {
+        items.push({ id, ok: false, error: e?.message || String(e) });
+      }
+      // en participantes cuenta como fallo si ninguno se aplicó
+      const last = items[items.length - 1];
+      if (last.participants && !last.okCount) Object.assign(last, { ok: false, error: last.error || 'Ningún participante se aplicó.' });
+    }
+    res.json({ ok: true, op, total: items.length, okCount: items.filter(x => x.ok).length, items });
+  } catch (e) {
+    res.status(500).json({ error: e?.message || String(e) });
+  }
+});
+
+// Ficha del grupo con participantes
+waRouter.get('/groups/:groupId', requireRole('viewer'), withSession, async (req, res) => {
+  try {
+    if (!req.wa.ready) return res.status(409).json({ error: 'WhatsApp no está listo.' });
+    const chat = await groupChat(req.wa, req.params.groupId);
+    res.json({ item: groupDetail(chat, await meIdsOf(req.wa)) });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e?.message || String(e) });
+  }
+});
+
+// Asunto, descripción y/o "solo admins escriben": { subject?, description?, announce? }
+waRouter.patch('/groups/:groupId', requireRole('admin'), withSession, async (req, res) => {
+  try {
+    if (!req.wa.ready) return res.status(409).json({ error: 'WhatsApp no está listo.' });
+    const body = req.body || {};
+    const ops = ['subject', 'description', 'announce'].filter(op => body[op] !== undefined);
+    if (!ops.length) return res.status(400).json({ error: 'Indique subject, description o announce.' });
+    for (const op of ops) {
+      const bad = groupOpError(op, body[op]);
+      if (bad) return res.status(400).json({ error: bad });
+    }
+    const chat = await groupChat(req.wa, req.params.groupId);
+    for (const op of ops) await applyGroupOp(req.wa, chat, op, body[op], actor(req));
+    const fresh = await groupChat(req.wa, chat.id._serialized);
+    res.json({ ok: true, item: groupDetail(fresh, await meIdsOf(req.wa)) });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e?.message || String(e) });
+  }
+});
+
+// Foto del grupo: { media: "/uploads/x.jpg" } (subida antes con /api/upload)
+waRouter.put('/groups/:groupId/picture', requireRole('admin'), withSession, (req, res) => {
+  groupOpHandler(req, res, 'picture', req.body?.media ?? '');
+});
+waRouter.delete('/groups/:groupId/picture', requireRole('admin'), withSession, (req, res) => {
+  groupOpHandler(req, res, 'picture', null);
+});
+
+// Participantes: { action: add|remove|promote|demote, participants: [...] }
+waRouter.post('/groups/:groupId/participants', requireRole('admin'), withSession, (req, res) => {
+  const { action, participants } = req.body || {};
+  if (!PARTICIPANT_OPS.includes(action)) {
+    return res.status(400).json({ error: `action debe ser ${PARTICIPANT_OPS.join(' | ')}.` });
+  }
+  groupOpHandler(req, res, action, participants);
+});
+
+// Enlace de invitación (y revocarlo para generar uno nuevo)
+waRouter.get('/groups/:groupId/invite', requireRole('admin'), withSession, (req, res) => {
+  groupOpHandler(req, res, 'invite');
+});
+waRouter.post('/groups/:groupId/invite/revoke', requireRole('admin'), withSession, (req, res) => {
+  groupOpHandler(req, res, 'revokeInvite');
+});
+
+// ------------------------------- Endpoints: Contactos ---------------------------------
+waRouter.get('/contacts', requireRole('viewer'), withSession, async (req, res) => {
+  try {
+    if (!req.wa.ready) return res.json({ contacts: [] });
+    const contacts = (await req.wa.client.getContacts())
+      .filter(c => !c.isGroup && c.isMyContact && c.id?.server === 'c.us')
+      .map(c => ({
+        id: c.id._serialized,
+        name: c.name || c.pushname || c.number || c.id.user,
+        number: c.number || c.id.user
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+    res.json({ contacts });
+  } catch (e) {
+    res.status(500).json({ error: e?.message || String(e) });
+  }
+});
+
+// Resolver números E.164 a ids de WhatsApp (null + error si no tienen cuenta)
+waRouter.post('/contacts/resolve', requireRole('operator'), withSession, async (req, res) => {
+  try {
+    if (!req.wa.ready) return res.status(409).json({ error: 'WhatsApp no está listo.' });
+    const numbers = Array.isArray(req.body?.numbers) ? req.body.numbers : [];
+    if (!numbers.length) return res.status(400).json({ error: 'El campo numbers[] es obligatorio.' });
+
+    const items = [];
+    for (const n of numbers) {
+      if (!isValidTarget(n)) {
+        items.push({ input: n, id: null, error: 'Formato inválido (use E.164, ej. +5355512345).' });
+        continue;
+      }
+      try {
+        items.push({ input: n, id: await resolveTarget(n, req.wa.id), error: null });
+      } catch (e) {
+        items.push({ input: n, id: null, error: e?.message || String(e) });
+      }
+    }
+    res.json({ items });
+  } catch (e) {
+    res.status(500).json({ error: e?.message || String(e) });
+  }
+});
+
+// ---------------------------- Etiquetas y audiencias ----------------------------------
+// Etiquetas por destino (colección target_tags: { id, name, tags[] }) y audiencias con
+// nombre: static (lista de ids) o dynamic (regla de lib/audience, p. ej.
+// "tag = ventas AND name contains 'Habana'"). Programaciones y campañas guardan un
+// audienceId que se resuelve en cada ejecución contra los grupos de su sesión.
+const TAG_RE = /^[\p{L}\p{N}_-]{1,32}$/u;
+const AUDIENCE_TYPES = ['static', 'dynamic'];
+
+/** Etiquetas en minúsculas y sin repetir; { tags, bad } con las que no cumplen TAG_RE. */
+function normalizeTags(list) {
+  const raw = Array.isArray(list) ? list : String(list || '').split(',');
+  const tags = [];
+  const bad = [];
+  for (const t of raw) {
+    const tag = String(t || '').trim().toLowerCase();
+    if (!tag) continue;
+    if (!TAG_RE.test(tag)) bad.push(tag);
+    else if (!tags.includes(tag)) tags.push(tag);
+  }
+  return { tags, bad };
+}
+
+function tagsOf(id) {
+  return db.targetTags.get(id)?.tags || [];
+}
+
+/** Guarda las etiquetas de un destino (sin etiquetas se borra el registro). */
+function setTags(id, tags, name, by) {
+  if (!tags.length) {
+    db.targetTags.remove(id);
+    return null;
+  }
+  const prev = db.targetTags.get(id);
+  const item = {
+    id,
+    name: name || prev?.name || id,
+    tags,
+    updatedAt: new Date().toISOString(),
+    updatedBy: by
+  };
+  db.targetTags.put(item);
+  return item;
+}
+
+/**
+ * Destinos sobre los que se evalúan las reglas: los grupos de la sesión (caché de grupos,
+ * sin los que dejamos) más todo lo etiquetado. Los grupos etiquetados de los que ya no
+ * somos miembros no cuentan.
+ */
+async function audienceCandidates(sessionId) {
+  const byId = new Map();
+  for (const t of db.targetTags.all()) {
+    byId.set(t.id, { id: t.id, name: t.name || t.id, type: t.id.endsWith('@g.us') ? 'group' : 'contact', tags: t.tags || [] });
+  }
+  for (const g of cachedGroups(sessionId, { all: true })) {
+    if (g.isMember) byId.set(g.id, { id: g.id, name: g.name, type: 'group', tags: g.tags });
+    else byId.delete(g.id);
+  }
+  return [...byId.values()];
+}
+
+/** Ids de una audiencia resueltos ahora. */
+async function resolveAudience(aud, sessionId) {
+  if (aud.type === 'static') return [...(aud.ids || [])];
+  const match = audienceRules.compile(aud.rule);
+  return (await audienceCandidates(sessionId)).filter(match).map(t => t.id);
+}
+
+/** Valida { ids, audienceId } de un envío, programación o campaña; mensaje de error o null. */
+function targetsError({ ids, audienceId }, audienceExists = id => Boolean(db.audiences.get(id))) {
+  const list = Array.isArray(ids) ? ids : [];
+  if (audienceId && !audienceExists(audienceId)) return 'Audiencia no encontrada.';
+  if (!list.length && !audienceId) return 'ids[] o audienceId es obligatorio.';
+  const bad = invalidTargets(list);
+  if (bad.length) return `IDs inválidos: ${bad.join(', ')}`;
+  return null;
+}
+
+/**
+ * Destinos de una ejecución: ids fijos + audiencia resuelta en este momento (sin repetir).
+ * Devuelve { ids, audience } con audience = { id, name, count } para anotarlo en el run.
+ */
+async function runTargets({ ids, audienceId, sessionId }) {
+  const out = Array.isArray(ids) ? [...ids] : [];
+  let audience = null;
+  if (audienceId) {
+    const aud = db.audiences.get(audienceId);
+    if (!aud) throw new Error(`La audiencia ${audienceId} ya no existe.`);
+    const resolved = await resolveAudience(aud, sessionId);
+    audience = { id: aud.id, name: aud.name, count: resolved.length };
+    out.push(...resolved);
+  }
+  const unique = [...new Set(out)];
+  const bad = invalidTargets(unique);
+  if (bad.length) throw new Error(`IDs inválidos: ${bad.join(', ')}`);
+  if (!unique.length) throw new Error(audience ? `La audiencia ${audience.name} no tiene destinos.` : 'No hay destinos.');
+  return { ids: unique, audience };
+}
+
+/** Valida y normaliza una audiencia; lanza con status 400 si no es válida. */
+function parseAudience(payload, prev) {
+  const fail = msg => Object.assign(new Error(msg), { status: 400 });
+  const name = String(payload.name || '').trim();
+  if (!name) throw fail('El nombre es obligatorio.');
+  const type = payload.type || 'static';
+  if (!AUDIENCE_TYPES.includes(type)) throw fail(`type debe ser ${AUDIENCE_TYPES.join(' | ')}.`);
+
+  const item = { name, type, description: String(payload.description || '').trim(), ids: [], rule: null };
+  if (type === 'static') {
+    item.ids = [...new Set((Array.isArray(payload.ids) ? payload.ids : []).map(x => String(x).trim()).filter(Boolean))];
+    if (!item.ids.length) throw fail('Una audiencia estática necesita ids[].');
+    const bad = invalidTargets(item.ids);
+    if (bad.length) throw fail(`IDs inválidos: ${bad.join(', ')}`);
+  } else {
+    item.rule = String(payload.rule || '').trim();
+    try {
+      audienceRules.parse(item.rule);
+    } catch (e) {
+      throw fail(`Regla inválida: ${e.message}`);
+    }
+  }
+  return { ...prev, ...item };
+}
+
+/** Programaciones pendientes y campañas que usan la audiencia. */
+function audienceUsers(id) {
+  const schedules = db.schedules.all()
+    .filter(s => s.audienceId === id && ['pending', 'sending', 'queued'].includes(s.status))
+    .map(s => ({ id: s.id, name: s.name }));
+  const campaigns = db.campaigns.all()
+    .filter(c => c.audienceId === id)
+    .map(c => ({ id: c.id, name: c.name }));
+  return { schedules, campaigns };
+}
+
+// Etiquetas: todas las etiquetadas y el recuento por etiqueta
+app.get('/api/tags', requireRole('viewer'), (req, res) => {
+  const items = db.targetTags.all();
+  const counts = {};
+  items.forEach(t => (t.tags || []).forEach(tag => { counts[tag] = (counts[tag] || 0) + 1; }));
+  const tags = Object.entries(counts)
+    .map(([tag, count]) => ({ tag, count }))
+    .sort((a, b) => a.tag.localeCompare(b.tag));
+  res.json({ items, tags });
+});
+
+// Reemplazar las etiquetas de un destino: { tags: [] | "a, b", name? }
+app.put('/api/tags/:targetId', requireRole('operator'), (req, res) => {
+  try {
+    const id = req.params.targetId;
+    if (!isValidTarget(id)) return res.status(400).json({ error: `ID inválido: ${id}` });
+    const { tags, bad } = normalizeTags(req.body?.tags);
+    if (bad.length) return res.status(400).json({ error: `Etiquetas inválidas (letras, números, - o _): ${bad.join(', ')}` });
+    const item = setTags(id, tags, req.body?.name, actor(req));
+    res.json({ ok: true, item: item || { id, tags: [] } });
+  } catch (e) {
+    res.status(500).json({ error: e?.message || String(e) });
+  }
+});
+
+// Añadir/quitar etiquetas a varios destinos: { ids: [], add: [], remove: [], names?: { id: nombre } }
+app.post('/api/tags/bulk', requireRole('operator'), (req, res) => {
+  try {
+    const { ids, names = {} } = req.body || {};
+    if (!Array.isArray(ids) || !ids.length) return res.status(400).json({ error: 'El campo ids[] es obligatorio.' });
+    const badIds = invalidTargets(ids);
+    if (badIds.length) return res.status(400).json({ error: `IDs inválidos: ${badIds.join(', ')}` });
+    const add = normalizeTags(req.body?.add);
+    const remove = normalizeTags(req.body?.remove);
+    const bad = [...add.bad, ...remove.bad];
+    if (bad.length) return res.status(400).json({ error: `Etiquetas inválidas (letras, números, - o _): ${bad.join(', ')}` });
+    if (!add.tags.length && !remove.tags.length) return res.status(400).json({ error: 'Indica add[] o remove[].' });
+
+    const by = actor(req);
+    const items = store.transaction(() => ids.map(id => {
+      const tags = [...new Set([...tagsOf(id), ...add.tags])].filter(t => !remove.tags.includes(t));
+      return setTags(id, tags, names[id], by) || { id, tags: [] };
+    }));
+    res.json({ ok: true, items });
+  } catch (e) {
+    res.status(500).json({ error: e?.message || String(e) });
+  }
+});
+
+// Audiencias guardadas
+app.get('/api/audiences', requireRole('viewer'), (req, res) => {
+  res.json({ items: db.audiences.all() });
+});
+
+// Crear/actualizar audiencia: { id?, name, type: static|dynamic, ids? | rule?, description? }
+app.post('/api/audiences', requireRole('operator'), (req, res) => {
+  try {
+    const payload = req.body || {};
+    const id = payload.id || nanoid(10);
+    const prev = db.audiences.get(id);
+    const now = new Date().toISOString();
+    const item = parseAudience(payload, {
+      id,
+      createdAt: prev?.createdAt || now,
+      createdBy: prev ? prev.createdBy || null : actor(req)
+    });
+    item.updatedAt = now;
+    item.updatedBy = actor(req);
+    db.audiences.put(item);
+    res.json({ ok: true, item });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e?.message || String(e) });
+  }
+});
+
+// Borrar audiencia (409 si alguna campaña o programación pendiente la usa)
+app.delete('/api/audiences/:id', requireRole('operator'), (req, res) => {
+  const id = req.params.id;
+  if (!db.audiences.get(id)) return res.status(404).json({ error: 'Audiencia no encontrada.' });
+  const usedBy = audienceUsers(id);
+  if (usedBy.schedules.length || usedBy.campaigns.length) {
+    return res.status(409).json({ error: 'La audiencia está en uso.', usedBy });
+  }
+  db.audiences.remove(id);
+  res.json({ ok: true });
+});
+
+/** Destinos resueltos con nombre y etiquetas, para previsualizar. */
+async function audiencePreview(aud, sessionId) {
+  const ids = await resolveAudience(aud, sessionId);
+  const known = new Map((await audienceCandidates(sessionId)).map(t => [t.id, t]));
+  return ids.map(id => known.get(id) || { id, name: id, type: id.endsWith('@g.us') ? 'group' : 'contact', tags: tagsOf(id) });
+}
+
+// Previsualizar a quién llega una audiencia guardada en esta sesión
+waRouter.get('/audiences/:id/resolve', requireRole('viewer'), withSession, async (req, res) => {
+  try {
+    const aud = db.audiences.get(req.params.id);
+    if (!aud) return res.status(404).json({ error: 'Audiencia no encontrada.' });
+    const items = await audiencePreview(aud, req.wa.id);
+    res.json({ items, total: items.length, ready: req.wa.ready });
+  } catch (e) {
+    res.status(500).json({ error: e?.message || String(e) });
+  }
+});
+
+// Previsualizar una audiencia sin guardarla: { type, ids?, rule? }
+waRouter.post('/audiences/preview', requireRole('viewer'), withSession, async (req, res) => {
+  try {
+    const aud = parseAudience({ name: 'preview', ...req.body }, {});
+    const items = await audiencePreview(aud, req.wa.id);
+    res.json({ items, total: items.length, ready: req.wa.ready });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e?.message || String(e) });
+  }
+});
+
+// ------------------------------- Endpoints: Plantillas ---------------------------------
+/** Acepta { clave: valor } (globales) o { '*': {...}, '<id destino>': {...} }. */
+function normalizeVars(vars) {
+  if (!vars || typeof vars !== 'object' || Array.isArray(vars)) return {};
+  const values = Object.values(vars);
+  if (!values.length) return {};
+  const nested = values.length && values.every(v => v && typeof v === 'object' && !Array.isArray(v));
+  const src = nested ? vars : { '*': vars };
+  const out = {};
+  for (const [target, obj] of Object.entries(src)) {
+    out[target] = {};
+    for (const [k, v] of Object.entries(obj || {})) out[target][k] = v == null ? '' : String(v);
+  }
+  return out;
+}
+
+// Vista previa: { text, target?, vars?, runNumber?, campaignName?, tz? } -> { text, missing }
+waRouter.post('/templates/preview', requireRole('viewer'), withSession, async (req, res) => {
+  try {
+    const { text = '', target, vars, runNumber = 1, campaignName = '', tz } = req.body || {};
+    const tpl = {
+      run: { number: Number(runNumber) || 1, id: 'preview' },
+      campaign: { name: campaignName },
+      vars: normalizeVars(vars),
+      tz
+    };
+    const id = target ? String(target) : 'ejemplo@g.us';
+    const ctx = target && req.wa.ready
+      ? await templateContext(id, tpl, req.wa.id)
+      : {
+        group: { id, name: target ? id : 'Grupo de ejemplo' },
+        run: tpl.run,
+        campaign: tpl.campaign,
+        vars: varsForTarget(tpl.vars, id),
+        tz
+      };
+    res.json(renderTemplate(text, ctx));
+  } catch (e) {
+    res.status(500).json({ error: e?.message || String(e) });
+  }
+});
+
+// ------------------------------- Biblioteca de medios ---------------------------------
+// Cada archivo subido queda registrado (hash, tamaño, tipo, dimensiones). Un archivo con
+// el mismo contenido no se vuelve a guardar: se devuelve el existente. El GC borra los
+// archivos de UPLOAD_DIR que ninguna programación, campaña o job pendiente referencia.
+const MEDIA_GC_GRACE_HOURS = Math.max(0, Number(process.env.MEDIA_GC_GRACE_HOURS || 24));
+const MEDIA_GC_CRON = process.env.MEDIA_GC_CRON || '30 3 * * *';
+
+function hashFile(file) {
+  return new Promise((resolve, reject) => {
+    const h = crypto.createHash('sha256');
+    fs.createReadStream(file)
+      .on('error', reject)
+      .on('data', d => h.update(d))
+      .on('end', () => resolve(h.digest('hex')));
+  });
+}
+
+function findMediaByHash(hash) {
+  return db.media.all().find(m => m.hash === hash && fs.existsSync(mediaAbsPath(m.path))) || null;
+}
+
+/** Registra un archivo ya escrito en UPLOAD_DIR; si el contenido existe lo descarta. */
+async function registerMedia(file, { name, mime, uploadedAt, source = 'upload' } = {}) {
+  const hash = await hashFile(file);
+  const existing = findMediaByHash(hash);
+  if (existing && mediaAbsPath(existing.path) !== file) {
+    fs.rmSync(file, { force: true });
+    return { ...existing, deduplicated: true };
+  }
+  if (existing) return existing;
+  const kind = mime ? mediaKind(mime) : mediaKindFromPath(file);
+  const dims = kind === 'image' ? imageSize(file) : null;
+  return db.media.put({
+    id: hash.slice(0, 16),
+    hash,
+    path: `/uploads/${path.basename(file)}`,
+    name: name || path.basename(file).replace(/^\d+_/, ''),
+    mime: mime || null,
+    kind,
+    size: fs.statSync(file).size,
+    width: dims?.width ?? null,
+    height: dims?.height ?? null,
+    source, // upload | inbox (descargado de un mensaje entrante) | import (de un paquete)
+    uploadedAt: uploadedAt || new Date().toISOString()
+  });
+}
+
+/** Referencias vivas por ruta absoluta: campañas, programaciones no enviadas y jobs abiertos. */
+function mediaRefs() {
+  const refs = new Map();
+  const add = (p, ref) => {
+    const abs = mediaAbsPath(p);
+    if (!refs.has(abs)) refs.set(abs, []);
+    refs.get(abs).push(ref);
+  };
+  db.campaigns.all().forEach(c => {
+    normalizeMedia(c.media).forEach(m => add(m.path, { type: 'campaign', id: c.id, name: c.name }));
+    (c.variants || []).forEach(v => normalizeMedia(v.media).forEach(m => add(m.path, { type: 'campaign', id: c.id, name: `${c.name} · ${v.name}` })));
+  });
+  db.schedules.all()
+    .filter(x => ['pending', 'sending', 'queued'].includes(x.status))
+    .forEach(x => normalizeMedia(x.media).forEach(m => add(m.path, { type: 'schedule', id: x.id, name: x.name })));
+  db.queue.all()
+    .filter(j => ['pending', 'sending'].includes(j.status))
+    .forEach(j => normalizeMedia(j.media).forEach(m => add(m.path, { type: 'job', id: j.id })));
+  db.runs.all()
+    .filter(r => r.resumable && !r.resumedBy) // envíos cancelados que aún se pueden reanudar
+    .forEach(r => normalizeMedia(r.resumable.media).forEach(m => add(m.path, { type: 'run', id: r.id })));
+  db.rules.all().forEach(r => {
+    normalizeMedia(r.reply?.media).forEach(m => add(m.path, { type: 'rule', id: r.id, name: r.name }));
+  });
+  const chats = new Map(db.inboxChats.all().map(c => [c.id, c.name]));
+  db.messageMedia.all().forEach(r => add(r.path, { type: 'message', id: r.messageId, name: chats.get(inboxKey(r.sessionId, r.chatId)) }));
+  return refs;
+}
+
+/** Borra archivos huérfanos (más viejos que la gracia) y registros sin archivo. */
+function collectMediaGarbage({ dryRun = false } = {}) {
+  const refs = mediaRefs();
+  const cutoff = Date.now() - MEDIA_GC_GRACE_HOURS * 3600 * 1000;
+  const removed = [];
+  for (const f of fs.readdirSync(UPLOAD_DIR)) {
+    const abs = path.join(UPLOAD_DIR, f);
+    const st = fs.statSync(abs);
+    if (!st.isFile() || refs.has(abs) || st.mtimeMs > cutoff) continue;
+    removed.push({ path: `/uploads/${f}`, size: st.size });
+    if (!dryRun) fs.rmSync(abs, { force: true });
+  }
+  const stale = db.media.all().filter(m => !fs.existsSync(mediaAbsPath(m.path)) ||
+    removed.some(r => r.path === m.path));
+  if (!dryRun) store.transaction(() => stale.forEach(m => db.media.remove(m.id)));
+  const freedBytes = removed.reduce((a, r) => a + r.size, 0);
+  if (!dryRun && removed.length) console.log(`🧹 GC de medios: ${removed.length} archivos, ${freedBytes} bytes`);
+  return { dryRun, removed, freedBytes, staleRecords: stale.length };
+}
+
+/** Registra en la biblioteca los archivos que ya estaban en UPLOAD_DIR. */
+async function indexUploadDir() {
+  const known = new Set(db.media.all().map(m => mediaAbsPath(m.path)));
+  for (const f of fs.readdirSync(UPLOAD_DIR)) {
+    const abs = path.join(UPLOAD_DIR, f);
+    const st = fs.statSync(abs);
+    if (known.has(abs) || !st.isFile()) continue;
+    try { await registerMedia(abs, { uploadedAt: st.mtime.toISOString() }); }
+    catch (e) { console.error(`⚠️ No se pudo indexar ${f}:`, e?.message || e); }
+  }
+}
+indexUploadDir();
+
+if (cron.validate(MEDIA_GC_CRON)) {
+  cron.schedule(MEDIA_GC_CRON, () => {
+    try { collectMediaGarbage(); }
+    catch (e) { console.error('❌ GC de medios falló:', e?.message || e); }
+  });
+}
+
+function withRefs(m, refs) {
+  const r = refs.get(mediaAbsPath(m.path)) || [];
+  return { ...m, url: m.path, inUse: r.length > 0, refs: r };
+}
+
+// Listar biblioteca (?kind=image|video|audio|document)
+app.get('/api/media', requireRole('viewer'), (req, res) => {
+  const refs = mediaRefs();
+  const kind = req.query.kind ? String(req.query.kind) : null;
+  const source = req.query.source ? String(req.query.source) : null;
+  const items = db.media.all()
+    .filter(m => !kind || m.kind === kind)
+    .filter(m => !source || (m.source || 'upload') === source)
+    .reverse()
+    .map(m => withRefs(m, refs));
+  res.json({ items });
+});
+
+app.get('/api/media/:id', requireRole('viewer'), (req, res) => {
+  const m = db.media.get(req.params.id);
+  if (!m) return res.status(404).json({ error: 'Medio no encontrado.' });
+  res.json({ item: withRefs(m, mediaRefs()) });
+});
+
+// Eliminar: se niega si alguna campaña, programación o job lo usa
+app.delete('/api/media/:id', requireRole('operator'), (req, res) => {
+  const m = db.media.get(req.params.id);
+  if (!m) return res.status(404).json({ error: 'Medio no encontrado.' });
+  const refs = mediaRefs().get(mediaAbsPath(m.path)) || [];
+  if (refs.length) return res.status(409).json({ error: 'El archivo está en uso.', refs });
+  fs.rmSync(mediaAbsPath(m.path), { force: true });
+  db.media.remove(m.id);
+  res.json({ ok: true });
+});
+
+// Recolección de basura manual ({ dryRun: true } solo informa)
+app.post('/api/media/gc', requireRole('admin'), (req, res) => {
+  try {
+    res.json({ ok: true, ...collectMediaGarbage({ dryRun: Boolean(req.body?.dryRun) }) });
+  } catch (e) {
+    res.status(500).json({ error: e?.message || String(e) });
+  }
+});
+
+// Campo "images" por compatibilidad: admite imágenes, video, audio y documentos
+function uploadMedia(req, res, next) {
+  upload.array('images', 10)(req, res, err => {
+    if (!err) return next();
+    const tooBig = err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE';
+    res.status(tooBig ? 413 : 400).json({ error: tooBig ? 'Archivo demasiado grande.' : err.message });
+  });
+}
+
+app.post('/api/upload', requireRole('operator'), uploadMedia, async (req, res) => {
+  try {
+    const files = req.files || [];
+    const tooBig = files.filter(f => f.size > MEDIA_LIMITS_MB[mediaKind(f.mimetype)] * 1024 * 1024);
+    if (tooBig.length) {
+      files.forEach(f => fs.rmSync(f.path, { force: true })); // todo o nada
+      const detail = tooBig
+        .map(f => `${f.originalname} (máx. ${MEDIA_LIMITS_MB[mediaKind(f.mimetype)]} MB para ${mediaKind(f.mimetype)})`)
+        .join(', ');
+      return res.status(413).json({ error: `Archivos demasiado grandes: ${detail}` });
+    }
+    const items = [];
+    for (const f of files) {
+      items.push(await registerMedia(f.path, { name: f.originalname, mime: f.mimetype }));
+    }
+    res.json({ ok: true, files: items.map(x => x.path), items });
+  } catch (e) {
+    res.status(500).json({ error: e?.message || String(e) });
+  }
+});
+
+// Límites vigentes (para mostrarlos en el panel)
+app.get('/api/upload/limits', requireRole('viewer'), (req, res) => {
+  res.json({ limitsMb: MEDIA_LIMITS_MB, documentMimes: DOCUMENT_MIMES });
+});
+
+// ------------------------------- Endpoints: Envío Now ---------------------------------
+// Responde enseguida con batchId (id de la ejecución); el avance llega por /api/events
+// (send.progress y run) y el resultado completo en GET /api/send/:batchId.
+// Con dryRun: true responde el plan (ver planSend) sin enviar ni exigir sesión lista.
+waRouter.post('/send', requireRole('operator'), withSession, async (req, res) => {
+  try {
+    const { ids, audienceId, text, media = [], mediaDelayMs = 2000, groupDelayMs = 2000, vars } = req.body || {};
+    const dryRun = Boolean(req.body?.dryRun);
+    if (!req.wa.ready && !dryRun) return res.status(409).json({ error: 'WhatsApp no está listo.' });
+
+    const badTargets = targetsError({ ids, audienceId });
+    if (badTargets) return res.status(400).json({ error: badTargets });
+
+    const badMedia = mediaError(media);
+    if (badMedia) return res.status(400).json({ error: badMedia });
+
+    const sessionId = req.wa.id;
+    const blocked = !dryRun && governor.budget(sessionId).blocked;
+    if (blocked) {
+      return res.status(429).json({ error: `Límite de envío alcanzado; reintente después de ${blocked.retryAt}.`, retryAt: blocked.retryAt });
+    }
+    let targets;
+    try {
+      targets = await runTargets({ ids, audienceId, sessionId });
+    } catch (e) {
+      return res.status(400).json({ error: e?.message || String(e) });
+    }
+    if (dryRun) {
+      const plan = await planSend(
+        targets.ids, text, normalizeMedia(media), Number(mediaDelayMs), Number(groupDelayMs),
+        { run: { number: 1, id: null }, vars: normalizeVars(vars), sessionId }
+      );
+      return res.json({ ok: true, ...plan, audience: targets.audience });
+    }
+
+    const run = startRun('send', sessionId, 'manual', actor(req));
+    run.audience = targets.audience;
+    setImmediate(() => { // primero sale la respuesta con el batchId
+      sendToMany(
+        targets.ids, text, normalizeMedia(media), Number(mediaDelayMs), Number(groupDelayMs),
+        { run: { number: 1, id: run.id }, vars: normalizeVars(vars), sessionId }
+      )
+        .then(results => finishRun(run, results))
+        .catch(e => {
+          console.error(`❌ Envío ${run.id} falló:`, e?.message || e);
+          finishRun(run, [], e);
+        });
+    });
+    // destinos en los que ya no podemos escribir (caché de grupos): se omitirán
+    const skipped = targets.ids.map(id => ({ id, error: targetBlock(sessionId, id) })).filter(x => x.error);
+    res.status(202).json({ ok: true, batchId: run.id, total: targets.ids.length, audience: targets.audience, skipped });
+  } catch (e) {
+    res.status(500).json({ error: e?.message || String(e) });
+  }
+});
+
+// Estado/resultados de un envío inmediato
+app.get('/api/send/:batchId', requireRole('viewer'), (req, res) => {
+  const run = db.runs.get(req.params.batchId);
+  if (!run || run.kind !== 'send') return res.status(404).json({ error: 'Envío no encontrado.' });
+  res.json({ item: withControl(run) });
+});
+
+// ------------------------------ Endpoints: Envíos en curso ----------------------------
+// Lotes vivos (envíos inmediatos, programaciones y campañas que están enviando)
+app.get('/api/runs/active', requireRole('viewer'), (req, res) => {
+  res.json({ items: [...BATCHES.values()].map(batchInfo) });
+});
+
+app.get('/api/runs/:id', requireRole('viewer'), (req, res) => {
+  const run = db.runs.get(req.params.id);
+  if (!run) return res.status(404).json({ error: 'Ejecución no encontrada.' });
+  res.json({ item: withControl(run) });
+});
+
+app.post('/api/runs/:id/pause', requireRole('operator'), (req, res) => {
+  const batch = BATCHES.get(req.params.id);
+  if (!batch) return res.status(409).json({ error: 'La ejecución no está enviando.' });
+  try {
+    res.json({ ok: true, item: controlBatch(batch, 'pause', actor(req)) });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e?.message || String(e) });
+  }
+});
+
+// Cancela un lote vivo o, si ya terminó, los destinos que esperaban en la cola
+app.post('/api/runs/:id/cancel', requireRole('operator'), (req, res) => {
+  try {
+    const batch = BATCHES.get(req.params.id);
+    if (batch) return res.json({ ok: true, item: controlBatch(batch, 'cancel', actor(req)) });
+
+    const run = db.runs.get(req.params.id);
+    if (!run) return res.status(404).json({ error: 'Ejecución no encontrada.' });
+    const jobs = db.queue.find('origin.runId', run.id).filter(j => j.status === 'pending');
+    if (!jobs.length) return res.status(409).json({ error: 'La ejecución no tiene envíos pendientes.' });
+    cancelRunJobs(run.id);
+    const { text, media, mediaDelayMs, tpl, origin, sessionId } = jobs[0];
+    const updated = db.runs.update(run.id, r => {
+      r.results = markNotSent(r.results, jobs);
+      runStatus(r);
+      // runs anteriores a `delays`: la pausa por defecto entre destinos
+      r.resumable = { text, media, mediaDelayMs, groupDelayMs: 2000, ...r.delays, tpl, origin, sessionId };
+      r.canceledBy = actor(req);
+      return r;
+    });
+    console.log(`⏹️  Ejecución ${run.id}: ${jobs.length} envíos en cola cancelados por ${actor(req)}`);
+    broadcast('run', runSummary(updated));
+    res.json({ ok: true, canceledJobs: jobs.length, item: runSummary(updated) });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e?.message || String(e) });
+  }
+});
+
+// Reanuda un lote en pausa o, si se canceló, envía los destinos que quedaron sin enviar
+// en una ejecución nueva (trigger 'resume', resumedFrom → original).
+app.post('/api/runs/:id/resume', requireRole('operator'), (req, res) => {
+  try {
+    const batch = BATCHES.get(req.params.id);
+    if (batch) return res.json({ ok: true, item: controlBatch(batch, 'resume', actor(req)) });
+
+    const original = db.runs.get(req.params.id);
+    if (!original) return res.status(404).json({ error: 'Ejecución no encontrada.' });
+    const ids = original.results.filter(r => r.notSent).map(r => r.id);
+    if (!original.resumable || !ids.length) return res.status(409).json({ error: 'La ejecución no tiene destinos sin enviar.' });
+    if (original.resumedBy) return res.status(409).json({ error: 'La ejecución ya se reanudó.', runId: original.resumedBy });
+    const spec = original.resumable;
+    if (!isSessionReady(spec.sessionId)) return res.status(409).json({ error: 'WhatsApp no está listo.' });
+
+    const run = startRun(original.kind, original.refId, 'resume', actor(req));
+    db.runs.update(run.id, { resumedFrom: original.id });
+    db.runs.update(original.id, { resumedBy: run.id });
+    broadcast('run', runSummary(db.runs.get(original.id)));
+    setImmediate(() => {
+      sendToMany(ids, spec.text, spec.media, spec.mediaDelayMs, spec.groupDelayMs, {
+        ...spec.tpl,
+        run: { ...(spec.tpl?.run || {}), id: run.id },
+        origin: spec.origin,
+        sessionId: spec.sessionId
+      })
+        .then(results => {
+          finishRun(run, results);
+          const s = run.kind === 'schedule' && db.schedules.get(run.refId);
+          // una one-shot cancelada a mitad vuelve a reflejar su envío
+          if (s && !s.recurrence && s.lastRunId === original.id) patchSchedule(s.id, oneShotOutcome(run, hasOpenJobs(run.id)));
+        })
+        .catch(e => {
+          console.error(`❌ Reanudación ${run.id} falló:`, e?.message || e);
+          finishRun(run, [], e);
+        });
+    });
+    res.status(202).json({ ok: true, runId: run.id, resumedFrom: original.id, total: ids.length });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e?.message || String(e) });
+  }
+});
+
+// Cupo del regulador de envíos por cuenta (?session= para una sola)
+app.get('/api/limits', requireRole('viewer'), (req, res) => {
+  const ids = req.query.session ? [String(req.query.session)] : [...SESSIONS.keys()];
+  res.json({ ...governor.config(), items: ids.map(id => governor.budget(id)) });
+});
+
+app.use('/api', waRouter);
+app.use('/api/sessions/:sessionId', waRouter);
+
+// ---------------------------------- Endpoints: Cola -----------------------------------
+const JOB_STATUSES = ['pending', 'sending', 'sent', 'dead', 'canceled'];
+
+// Listar jobs (?status=pending|sending|sent|dead|canceled, ?session=, ?limit=)
+app.get('/api/queue', requireRole('viewer'), (req, res) => {
+  const session = req.query.session ? String(req.query.session) : null;
+  const all = db.queue.all().filter(j => !session || (j.sessionId || DEFAULT_SESSION) === session);
+  const counts = Object.fromEntries(JOB_STATUSES.map(st => [st, 0]));
+  all.forEach(j => { counts[j.status] = (counts[j.status] || 0) + 1; });
+  const status = req.query.status ? String(req.query.status) : null;
+  const limit = Math.max(1, Number(req.query.limit) || 200);
+  const items = all
+    .filter(j => !status || j.status === status)
+    .reverse()
+    .slice(0, limit);
+  res.json({ counts, items });
+});
+
+app.get('/api/queue/:id', requireRole('viewer'), (req, res) => {
+  const job = db.queue.get(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Job no encontrado.' });
+  res.json({ item: job });
+});
+
+// Reintentar un job (dead, canceled o pending con backoff): vuelve a pending con intentos a 0
+app.post('/api/queue/:id/retry', requireRole('operator'), (req, res) => {
+  const job = db.queue.get(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Job no encontrado.' });
+  if (['sent', 'sending'].includes(job.status)) {
+    return res.status(409).json({ error: `El job está en estado ${job.status}.` });
+  }
+  const item = updateJob(job.id, { status: 'pending', attempts: 0, nextAttemptAt: new Date().toISOString() });
+  processQueue();
+  res.json({ ok: true, item });
+});
+
+// Reintentar todos los jobs muertos
+app.post('/api/queue/retry-dead', requireRole('operator'), (req, res) => {
+  const dead = db.queue.find('status', 'dead');
+  const now = new Date().toISOString();
+  store.transaction(() => {
+    dead.forEach(j => updateJob(j.id, { status: 'pending', attempts: 0, nextAttemptAt: now }));
+  });
+  processQueue();
+  res.json({ ok: true, retried: dead.length });
+});
+
+// Purgar jobs por estado (por defecto: sent, dead y canceled)
+app.post('/api/queue/purge', requireRole('admin'), (req, res) => {
+  const statuses = Array.isArray(req.body?.status) ? req.body.status
+    : req.body?.status ? [req.body.status] : ['sent', 'dead', 'canceled'];
+  if (statuses.some(st => !JOB_STATUSES.includes(st) || st === 'sending')) {
+    return res.status(400).json({ error: `Estados válidos: ${JOB_STATUSES.filter(x => x !== 'sending').join(', ')}` });
+  }
+  const purged = db.queue.removeWhere(j => statuses.includes(j.status));
+  res.json({ ok: true, purged });
+});
+
+app.delete('/api/queue/:id', requireRole('operator'), (req, res) => {
+  const job = db.queue.get(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Job no encontrado.' });
+  if (job.status === 'sending') return res.status(409).json({ error: 'El job se está enviando.' });
+  db.queue.remove(job.id);
+  res.json({ ok: true });
+});
+
+/** Cancela los jobs pendientes de un origen (programación o campaña). */
+function cancelJobsFor(kind, refId) {
+  const jobs = db.queue.find('status', 'pending')
+    .filter(j => j.origin?.kind === kind && j.origin?.refId === refId);
+  store.transaction(() => {
+    jobs.forEach(j => updateJob(j.id, { status: 'canceled', nextAttemptAt: null }));
+  });
+  return jobs.length;
+}
+
+// ------------------------------- Programaciones one-shot -------------------------------
+// Persistidas en la colección schedules (ver lib/storage). Con `recurrence` se repiten:
+// tras cada disparo vuelven a 'pending' con `when` en la siguiente ocurrencia.
+const SCHEDULES = new Map(); // id -> timeout
+
+/** Actualiza una programación por id (atómico: los envíos pueden tardar minutos). */
+function patchSchedule(id, patch) {
+  const item = db.schedules.update(id, patch);
+  if (item) broadcast('schedule', { id, item });
+  return item;
+}
+/** Tras disparar una programación recurrente: la deja lista para la siguiente ocurrencia. */
+function rescheduleRecurring(s, patch) {
+  const cur = db.schedules.get(s.id);
+  if (!cur || cur.status === 'canceled') return patchSchedule(s.id, patch); // cancelada mientras enviaba
+  const next = recurrence.nextOccurrence(s.recurrence, s.tz, Date.now());
+  return patchSchedule(s.id, {
+    ...patch,
+    status: next ? 'pending' : 'sent',
+    when: next ? next.toISOString() : s.when,
+    runCount: (Number(s.runCount) || 0) + 1
+  });
+}
+
+/** Estado de una one-shot tras su envío: canceled (con destinos sin enviar), queued o sent. */
+function oneShotOutcome(run, queued) {
+  if (run.status === 'canceled') return { status: 'canceled', sentAt: null, lastRunId: run.id };
+  return { status: queued ? 'queued' : 'sent', sentAt: queued ? null : new Date().toISOString(), lastRunId: run.id };
+}
+
+function rearmSchedules() {
+  for (const [, t] of SCHEDULES) clearTimeout(t);
+  SCHEDULES.clear();
+
+  const now = Date.now();
+
+  db.schedules.all().forEach(s => {
+    if (s.status !== 'pending') return;
+    const whenMs = new Date(s.when).getTime();
+    const delay = Math.max(0, whenMs - now);
+    if (delay > MAX_TIMER_MS) {
+      // demasiado lejos para un solo setTimeout: vuelve a mirar más adelante
+      SCHEDULES.set(s.id, setTimeout(rearmSchedules, MAX_TIMER_MS));
+      return;
+    }
+
+    const t = setTimeout(async () => {
+      SCHEDULES.delete(s.id);
+      const run = startRun('schedule', s.id, s.recurrence ? 'recurrence' : 'one-shot');
+      // evita re-armarla mientras envía; lastRunId permite recuperarla tras una caída
+      patchSchedule(s.id, { status: 'sending', lastRunId: run.id });
+      try {
+        // La audiencia se resuelve ahora; si WhatsApp no está listo los envíos quedan
+        // en cola hasta el evento ready
+        const targets = await runTargets(s);
+        run.audience = targets.audience;
+        const results = await sendToMany(
+          targets.ids, s.message, s.media, s.mediaDelayMs, s.groupDelayMs,
+          {
+            run: { number: (Number(s.runCount) || 0) + 1, id: run.id },
+            campaign: { name: s.name },
+            vars: s.vars,
+            sessionId: s.sessionId,
+            origin: { kind: 'schedule', refId: s.id }
+          }
+        );
+        finishRun(run, results);
+        const queued = hasOpenJobs(run.id);
+        // las recurrentes no esperan a la cola: sus envíos pendientes siguen su curso
+        const item = s.recurrence
+          ? rescheduleRecurring(s, { sentAt: new Date().toISOString(), lastRunId: run.id, error: null })
+          : patchSchedule(s.id, oneShotOutcome(run, queued));
+        emitWebhook('schedule.fired', { scheduleId: s.id, name: s.name, status: item?.status, run: runSummary(run) });
+      } catch (e) {
+        finishRun(run, [], e);
+        const error = e?.message || String(e);
+        if (s.recurrence) rescheduleRecurring(s, { error, lastRunId: run.id });
+        else patchSchedule(s.id, { status: 'failed', error, lastRunId: run.id });
+        emitWebhook('schedule.fired', { scheduleId: s.id, name: s.name, status: 'failed', run: runSummary(run) });
+      }
+      if (s.recurrence) rearmSchedules();
+    }, delay);
+
+    SCHEDULES.set(s.id, t);
+  });
+}
+
+// Programaciones que quedaron en "sending" por una caída: sin run vuelven a pending (no
+// llegaron a enviar nada). Con run interrumpido (ya cerrado por recoverRuns) quedan en
+// queued si tienen envíos en cola o en failed; las recurrentes pasan a su siguiente
+// ocurrencia. Si el run llegó a terminar, el resultado es el de siempre.
+(function recoverSchedules() {
+  const error = 'Interrumpida por reinicio.';
+  db.schedules.all()
+    .filter(s => s.status === 'sending')
+    .forEach(s => {
+      const run = s.lastRunId ? db.runs.get(s.lastRunId) : null;
+      if (!run) return patchSchedule(s.id, { status: 'pending' });
+      const queued = hasOpenJobs(run.id);
+      if (s.recurrence) return rescheduleRecurring(s, { error: run.interrupted ? error : run.error });
+      if (!run.interrupted) return patchSchedule(s.id, oneShotOutcome(run, queued));
+      patchSchedule(s.id, { status: queued ? 'queued' : 'failed', error });
+    });
+})();
+rearmSchedules();
+
+// Listar programaciones
+app.get('/api/schedules', requireRole('viewer'), (req, res) => {
+  res.json({ items: db.schedules.all() });
+});
+
+// Historial de ejecuciones de una programación
+app.get('/api/schedules/:id/runs', requireRole('viewer'), (req, res) => {
+  const id = req.params.id;
+  if (!db.schedules.get(id)) {
+    return res.status(404).json({ error: 'Programación no encontrada.' });
+  }
+  res.json({ items: listRuns('schedule', id, req.query.limit) });
+});
+
+/**
+ * Valida y arma una programación como la guarda POST /api/schedules (también la usa la
+ * importación). Lanza con status 400 si no es válida. opts: { mediaExists, audienceExists }.
+ */
+function buildSchedule(payload, by, opts = {}) {
+  const fail = msg => Object.assign(new Error(msg), { status: 400 });
+  const sessionId = payload.sessionId || DEFAULT_SESSION;
+  const badSession = sessionError(sessionId);
+  if (badSession) throw fail(badSession);
+
+  const badTargets = targetsError(payload, opts.audienceExists);
+  if (badTargets) throw fail(badTargets);
+
+  const badMedia = mediaError(payload.media, opts.mediaExists);
+  if (badMedia) throw fail(badMedia);
+
+  // Repetición opcional: when pasa a ser el inicio (la primera ocurrencia no anterior)
+  let rec = null;
+  const tz = payload.tz || DEFAULT_TZ;
+  if (payload.recurrence) {
+    if (!validateTimeZone(tz)) throw fail('Zona horaria inválida.');
+    const parsed = recurrence.parseRecurrence(payload.recurrence);
+    if (parsed.error) throw fail(parsed.error);
+    rec = parsed.value;
+  } else if (!payload.when) {
+    throw fail('El campo when (ISO) es obligatorio.');
+  }
+  // con repetición, un when sin offset se interpreta en su zona horaria (como las campañas)
+  let whenTs = payload.when ? Date.parse(rec ? lifecycle.parseDateInTz(payload.when, tz) : payload.when) : Date.now();
+  if (Number.isNaN(whenTs)) throw fail('Fecha/hora inválida.');
+  if (rec) {
+    const first = recurrence.nextOccurrence(rec, tz, new Date(whenTs - 1));
+    if (!first) throw fail('La recurrencia no tiene próximas ocurrencias.');
+    whenTs = first.getTime();
+  }
+
+  const id = payload.id || nanoid(10);
+  const item = {
+    id,
+    name: payload.name || `pub-${id}`,
+    ids: Array.isArray(payload.ids) ? payload.ids : [],
+    audienceId: payload.audienceId || null,
+    message: payload.message || '',
+    media: normalizeMedia(payload.media),
+    vars: normalizeVars(payload.vars),
+    sessionId,
+    when: new Date(whenTs).toISOString(),
+    recurrence: rec,
+    recurrenceText: rec ? recurrence.describe(rec) : null,
+    tz: rec ? tz : null,
+    runCount: 0,
+    mediaDelayMs: Math.max(0, Number(payload.mediaDelayMs || 2000)),
+    groupDelayMs: Math.max(1500, Number(payload.groupDelayMs || 2000)),
+    status: 'pending',
+    createdAt: new Date().toISOString(),
+    createdBy: by,
+    updatedAt: new Date().toISOString(),
+    updatedBy: by
+  };
+  const prev = db.schedules.get(id);
+  if (prev) {
+    // edición: conserva el alta original y el número de disparos
+    item.runCount = Number(prev.runCount) || 0;
+    item.createdAt = prev.createdAt || item.createdAt;
+    item.createdBy = prev.createdBy || null;
+  }
+  return item;
+}
+
+// Crear/actualizar programación one-shot. Con dryRun: true valida y devuelve el plan de su
+// (primer) disparo sin guardarla; la audiencia se resuelve ahora y al disparar puede cambiar.
+app.post('/api/schedules', requireRole('operator'), async (req, res) => {
+  try {
+    const payload = req.body || {};
+    const dryRun = Boolean(payload.dryRun);
+    const sessionId = payload.sessionId || DEFAULT_SESSION;
+    const badSession = sessionError(sessionId);
+    if (badSession) return res.status(400).json({ error: badSession });
+    if (!isSessionReady(sessionId) && !dryRun) return res.status(409).json({ error: 'WhatsApp no está listo.' });
+
+    const item = buildSchedule(payload, actor(req));
+    if (dryRun) {
+      let targets;
+      try {
+        targets = await runTargets(item);
+      } catch (e) {
+        return res.status(400).json({ error: e?.message || String(e) });
+      }
+      const plan = await planSend(
+        targets.ids, item.message, item.media, item.mediaDelayMs, item.groupDelayMs,
+        {
+          run: { number: item.runCount + 1, id: null },
+          campaign: { name: item.name },
+          vars: item.vars,
+          sessionId,
+          origin: { kind: 'schedule', refId: item.id },
+          startAt: item.when
+        }
+      );
+      return res.json({ ok: true, ...plan, audience: targets.audience, item });
+    }
+    db.schedules.put(item);
+    broadcast('schedule', { id: item.id, item });
+    rearmSchedules();
+
+    res.json({ ok: true, item });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e?.message || String(e) });
+  }
+});
+
+// Cancelar programación
+app.post('/api/schedules/:id/cancel', requireRole('operator'), (req, res) => {
+  const id = req.params.id;
+  if (!patchSchedule(id, { status: 'canceled', updatedAt: new Date().toISOString(), updatedBy: actor(req) })) {
+    return res.status(404).json({ error: 'Programación no encontrada.' });
+  }
+  const t = SCHEDULES.get(id);
+  if (t) clearTimeout(t);
+  SCHEDULES.delete(id);
+  const canceledBatches = cancelBatchesFor('schedule', id, actor(req)); // si estaba enviando, para entre destinos
+  const canceledJobs = cancelJobsFor('schedule', id); // envíos que esperaban en cola
+  res.json({ ok: true, canceledJobs, canceledBatches });
+});
+
+// Borrar programación
+app.delete('/api/schedules/:id', requireRole('operator'), (req, res) => {
+  const id = req.params.id;
+  if (!db.schedules.remove(id)) return res.status(404).json({ error: 'No existe.' });
+  clearTimeout(SCHEDULES.get(id));
+  SCHEDULES.delete(id);
+  const canceledBatches = cancelBatchesFor('schedule', id, actor(req));
+  const canceledJobs = cancelJobsFor('schedule', id); // sin esto saldrían los que esperaban en cola
+  console.log(`🗑️  Programación ${id} borrada por ${actor(req)}`);
+  broadcast('schedule', { id, deleted: true });
+  res.json({ ok: true, canceledJobs, canceledBatches });
+});
+
+// --------------------------------- Campañas CRON --------------------------------------
+// Persistencia de campañas (colección campaigns) y motor de cron
+const CAMPAIGNS = new Map(); // id -> { jobs, endTimer }
+const CAMPAIGN_RUNNING = new Map(); // id -> run en curso (cron o run-now): no se solapan
+function validateTimeZone(tz) {
+  try {
+    // Validación ligera: Intl lanzará si el tz es inválido
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+/** Incrementa y persiste el contador de ejecuciones de la campaña ({{run.number}}). */
+function nextRunNumber(id) {
+  const c = patchCampaign(id, x => ({ ...x, runCount: (Number(x.runCount) || 0) + 1 }));
+  return c ? c.runCount : 1;
+}
+/** Actualiza una campaña por id y avisa al panel. */
+function patchCampaign(id, patch) {
+  const item = db.campaigns.update(id, patch);
+  if (item) broadcast('campaign', { id, item });
+  return item;
+}
+
+// Variantes de contenido: cada ejecución publica una sola variante elegida según
+// rotation; variantCursor cuenta las variantes ya usadas y el run guarda cuál salió.
+const ROTATIONS = ['round-robin', 'random', 'weighted', 'sequential'];
+
+/** Variantes de la campaña o, si no tiene, una implícita con su message/media. */
+function campaignVariants(c) {
+  if (Array.isArray(c.variants) && c.variants.length) return c.variants;
+  return [{ id: 'default', name: 'Principal', message: c.message || '', media: c.media || [], weight: 1 }];
+}
+
+/** Valida y normaliza variants[]; devuelve { variants } o { error }. */
+function parseVariants(list, mediaExists) {
+  if (list == null) return { variants: [] };
+  if (!Array.isArray(list)) return { error: 'variants debe ser una lista.' };
+  const variants = [];
+  for (const [i, v] of list.entries()) {
+    const label = `Variante ${i + 1}`;
+    const badMedia = mediaError(v?.media, mediaExists);
+    if (badMedia) return { error: `${label}: ${badMedia}` };
+    const message = String(v?.message || '');
+    const media = normalizeMedia(v?.media);
+    if (!message.trim() && !media.length) return { error: `${label}: necesita mensaje o archivos.` };
+    const weight = v?.weight == null || v.weight === '' ? 1 : Number(v.weight);
+    if (!(weight > 0)) return { error: `${label}: weight debe ser mayor que 0.` };
+    variants.push({ id: String(v.id || nanoid(6)), name: String(v.name || '').trim() || label, message, media, weight });
+  }
+  if (new Set(variants.map(v => v.id)).size !== variants.length) return { error: 'Hay variantes con el mismo id.' };
+  return { variants };
+}
+
+/** sequential ya publicó todas sus variantes. */
+function variantsExhausted(c) {
+  return c.rotation === 'sequential' && (Number(c.variantCursor) || 0) >= campaignVariants(c).length;
+}
+
+/** Variante que tocaría ahora, sin avanzar el cursor (random/weighted: un sorteo). */
+function chooseVariant(c) {
+  const variants = campaignVariants(c);
+  const cursor = Number(c.variantCursor) || 0;
+  let index;
+  if (c.rotation === 'random') {
+    index = Math.floor(Math.random() * variants.length);
+  } else if (c.rotation === 'weighted') {
+    let r = Math.random() * variants.reduce((n, v) => n + (Number(v.weight) || 1), 0);
+    index = variants.findIndex(v => (r -= Number(v.weight) || 1) < 0);
+    if (index < 0) index = variants.length - 1;
+  } else {
+    index = cursor % variants.length; // round-robin; sequential no llega aquí agotada
+  }
+  return { ...variants[index], index };
+}
+
+/** Archivos de la variante que no se pueden enviar (mensaje de error o null). */
+function variantMediaError(variant) {
+  const badMedia = mediaError(variant.media);
+  return badMedia && `${variant.name}: ${badMedia}`;
+}
+
+/**
+ * Elige la variante de esta ejecución (lee la campaña al momento) y avanza el cursor. Si
+ * le falta algún archivo lanza con status 400 sin avanzarlo.
+ */
+function pickVariant(id) {
+  const c = db.campaigns.get(id);
+  const variant = chooseVariant(c);
+  const badMedia = variantMediaError(variant);
+  if (badMedia) throw Object.assign(new Error(badMedia), { status: 400 });
+  patchCampaign(id, { variantCursor: (Number(c.variantCursor) || 0) + 1 });
+  return variant;
+}
+
+// Ciclo de vida: startAt/endAt, maxRuns y bloqueos (ver lib/lifecycle). Al llegar al
+// final la campaña se deshabilita sola y guarda completedAt + completedReason.
+const COMPLETED_REASONS = {
+  variants: 'ya publicó todas sus variantes',
+  maxRuns: 'alcanzó su máximo de ejecuciones',
+  endAt: 'pasó su fecha de fin'
+};
+
+/** Motivo por el que la campaña ya no debe ejecutarse más (variants | maxRuns | endAt) o null. */
+function completionReason(c) {
+  if (variantsExhausted(c)) return 'variants';
+  const g = lifecycle.gate(c);
+  return g.action === 'complete' ? g.reason : null;
+}
+function markCompleted(id, reason) {
+  console.log(`🏁 Campaña ${id} completada: ${COMPLETED_REASONS[reason] || reason}.`);
+  return patchCampaign(id, { enabled: false, completedAt: new Date().toISOString(), completedReason: reason });
+}
+/** Deshabilita la campaña completada y rearma el motor. */
+function completeCampaign(id, reason) {
+  markCompleted(id, reason);
+  scheduleCampaignEngine();
+}
+/** Completa la campaña tras una ejecución si ya no le quedan más. */
+function completeIfDone(c) {
+  const reason = c && completionReason(c);
+  if (reason) completeCampaign(c.id, reason);
+}
+
+function scheduleCampaignEngine() {
+  // Limpia jobs actuales
+  for (const [id, j] of CAMPAIGNS) { j.jobs.forEach(job => { try { job.stop(); } catch {} }); clearTimeout(j.endTimer); }
+  CAMPAIGNS.clear();
+
+  for (const c of db.campaigns.all()) {
+    if (!c.enabled) continue;
+    // una recurrencia puede necesitar varias expresiones (una por minuto distinto)
+    const crons = recurrence.cronsOf(c);
+    if (!crons.every(expr => expr && cron.validate(expr))) {
+      console.warn(`⚠️ Campaña ${c.id} tiene CRON inválido; queda deshabilitada.`);
+      patchCampaign(c.id, { enabled: false });
+      continue;
+    }
+    const done = completionReason(c);
+    if (done) {
+      markCompleted(c.id, done);
+      continue;
+    }
+    const tz = c.tz && validateTimeZone(c.tz) ? c.tz : undefined;
+    const fire = async () => {
+      if (CAMPAIGN_RUNNING.has(c.id)) {
+        console.log(`⏭️  Campaña ${c.id} omitida: ya hay una ejecución en curso.`);
+        METRICS.campaignSkips.inc({ campaign: c.id, reason: 'overlap' });
+        return;
+      }
+      const cur = db.campaigns.get(c.id) || c;
+      const reason = completionReason(cur);
+      if (reason) return completeCampaign(c.id, reason);
+      const g = lifecycle.gate(cur);
+      if (g.action === 'skip') {
+        console.log(`⏸️  Campaña ${c.id} omitida: ${g.reason}.`);
+        METRICS.campaignSkips.inc({ campaign: c.id, reason: 'blackout' });
+        patchCampaign(c.id, { lastSkip: { at: new Date().toISOString(), reason: g.reason } });
+        return;
+      }
+      const run = startRun('campaign', c.id, 'cron');
+      CAMPAIGN_RUNNING.set(c.id, run.id);
+      try {
+        if (!isSessionReady(c.sessionId)) throw new Error(`WhatsApp (${c.sessionId || DEFAULT_SESSION}) no está listo.`);
+        const targets = await runTargets(c);
+        run.audience = targets.audience;
+        const variant = pickVariant(c.id);
+        run.variant = { id: variant.id, name: variant.name, index: variant.index };
+
+        console.log(`🚀 Ejecutando campaña ${c.id} (${variant.name}) @ ${new Date().toISOString()}`);
+        const runNumber = nextRunNumber(c.id);
+        const results = await sendToMany(
+          targets.ids,
+          variant.message || '',
+          normalizeMedia(variant.media),
+          Math.max(0, Number(c.mediaDelayMs || 2000)),
+          Math.max(1500, Number(c.groupDelayMs || 2000)),
+          {
+            run: { number: runNumber, id: run.id },
+            campaign: { name: c.name },
+            vars: c.vars,
+            tz,
+            sessionId: c.sessionId,
+            origin: { kind: 'campaign', refId: c.id }
+          }
+        );
+        finishRun(run, results);
+        // actualizar metadata
+        completeIfDone(patchCampaign(c.id, { lastRunAt: new Date().toISOString(), lastRunId: run.id }));
+      } catch (e) {
+        console.error(`❌ Campaña ${c.id} falló:`, e?.message || e);
+        finishRun(run, [], e);
+        patchCampaign(c.id, {
+          lastError: e?.message || String(e),
+          lastRunAt: new Date().toISOString(),
+          lastRunId: run.id
+        });
+      } finally {
+        CAMPAIGN_RUNNING.delete(c.id);
+      }
+    };
+    const jobs = crons.map(expr => cron.schedule(expr, fire, { timezone: tz }));
+    // endAt no espera al siguiente disparo del cron (que puede tardar semanas)
+    const endMs = c.endAt ? Date.parse(c.endAt) - Date.now() : null;
+    const endTimer = endMs != null && endMs < MAX_TIMER_MS
+      ? setTimeout(() => completeCampaign(c.id, 'endAt'), endMs + 1000)
+      : null;
+    endTimer?.unref();
+    CAMPAIGNS.set(c.id, { jobs, endTimer });
+  }
+}
+scheduleCampaignEngine();
+
+// Listar campañas
+app.get('/api/campaigns', requireRole('viewer'), (req, res) => {
+  res.json({ items: db.campaigns.all() });
+});
+
+// Historial de ejecuciones de una campaña (más recientes primero)
+app.get('/api/campaigns/:id/runs', requireRole('viewer'), (req, res) => {
+  const id = req.params.id;
+  if (!db.campaigns.get(id)) return res.status(404).json({ error: 'No existe' });
+  res.json({ items: listRuns('campaign', id, req.query.limit) });
+});
+
+// Próximos disparos teniendo en cuenta startAt/endAt, maxRuns, variantes sequential y bloqueos
+app.get('/api/campaigns/:id/next-runs', requireRole('viewer'), (req, res) => {
+  try {
+    const c = db.campaigns.get(req.params.id);
+    if (!c) return res.status(404).json({ error: 'No existe' });
+    const count = Math.min(50, Math.max(1, Number(req.query.count) || 5));
+    const remaining = c.rotation === 'sequential'
+      ? Math.max(0, campaignVariants(c).length - (Number(c.variantCursor) || 0))
+      : Infinity;
+    const next = lifecycle.upcomingRuns(c, count, { remaining });
+    const tz = c.tz || 'UTC';
+    res.json({
+      enabled: Boolean(c.enabled),
+      tz,
+      items: next.items.map(at => ({ at: at.toISOString(), local: dayjs(at).tz(tz).format('YYYY-MM-DD HH:mm') })),
+      skipped: next.skipped,
+      ends: next.ends,
+      truncated: next.truncated
+    });
+  } catch (e) {
+    res.status(500).json({ error: e?.message || String(e) });
+  }
+});
+
+// Vista previa de una recurrencia: descripción, expresiones CRON y próximas ocurrencias
+app.post('/api/recurrence/preview', requireRole('viewer'), (req, res) => {
+  try {
+    const payload = req.body || {};
+    const tz = payload.tz || DEFAULT_TZ;
+    if (!validateTimeZone(tz)) return res.status(400).json({ error: 'Zona horaria inválida.' });
+    const { value: rec, error } = recurrence.parseRecurrence(payload.recurrence);
+    if (error) return res.status(400).json({ error });
+    const count = Math.min(20, Math.max(1, Number(payload.count) || 5));
+    const after = payload.startAt ? lifecycle.parseDateInTz(payload.startAt, tz) : null;
+    const crons = recurrence.toCrons(rec);
+    // a partir del inicio elegido (puede quedar más allá de las primeras ocurrencias)
+    const items = recurrence.nextRuns(crons, tz, count, after && new Date(Date.parse(after) - 1));
+    res.json({
+      recurrence: rec,
+      text: recurrence.describe(rec),
+      crons,
+      tz,
+      items: items.map(at => ({ at: at.toISOString(), local: dayjs(at).tz(tz).format('YYYY-MM-DD HH:mm') }))
+    });
+  } catch (e) {
+    res.status(500).json({ error: e?.message || String(e) });
+  }
+});
+
+// Comparar variantes: ejecuciones y resultados por variante (según el historial retenido)
+app.get('/api/campaigns/:id/variants', requireRole('viewer'), (req, res) => {
+  const c = db.campaigns.get(req.params.id);
+  if (!c) return res.status(404).json({ error: 'No existe' });
+  const stats = new Map(campaignVariants(c).map(v => [v.id, {
+    id: v.id, name: v.name, weight: v.weight, current: true,
+    runs: 0, targets: 0, okCount: 0, failCount: 0, lastRunAt: null
+  }]));
+  db.runs.all()
+    .filter(r => r.kind === 'campaign' && r.refId === c.id && r.variant && r.finishedAt)
+    .forEach(r => {
+      if (!stats.has(r.variant.id)) {
+        // variante que ya no está en la campaña (se editó)
+        stats.set(r.variant.id, {
+          id: r.variant.id, name: r.variant.name, weight: null, current: false,
+          runs: 0, targets: 0, okCount: 0, failCount: 0, lastRunAt: null
+        });
+      }
+      const st = stats.get(r.variant.id);
+      st.runs++;
+      st.targets += r.total;
+      st.okCount += r.okCount;
+      st.failCount += r.failCount;
+      st.lastRunAt = r.startedAt;
+    });
+  const items = [...stats.values()].map(st => ({
+    ...st,
+    okRate: st.targets ? Math.round((st.okCount / st.targets) * 1000) / 10 : null
+  }));
+  res.json({ rotation: c.rotation || 'round-robin', variantCursor: Number(c.variantCursor) || 0, items });
+});
+
+/**
+ * Valida y arma una campaña como la guarda POST /api/campaigns (también la usa la
+ * importación). Lanza con status 400 si no es válida. opts: { mediaExists, audienceExists }.
+ */
+function buildCampaign(payload, by, opts = {}) {
+  const fail = msg => Object.assign(new Error(msg), { status: 400 });
+  const id = payload.id || nanoid(10);
+  const name = payload.name || `camp-${id}`;
+  const ids = Array.isArray(payload.ids) ? payload.ids : [];
+  const badTargets = targetsError(payload, opts.audienceExists);
+  if (badTargets) throw fail(badTargets);
+
+  // Recurrencia guiada (diaria, semanal, mensual, cada N horas) o CRON escrito a mano
+  let rec = null;
+  if (payload.recurrence) {
+    const parsed = recurrence.parseRecurrence(payload.recurrence);
+    if (parsed.error) throw fail(parsed.error);
+    rec = parsed.value;
+  } else if (!payload.cron || !cron.validate(payload.cron)) {
+    throw fail('CRON inválido. Ej.: */20 * * * * (cada 20 min)');
+  }
+  // Validación zona horaria (opcional pero recomendado)
+  const tz = payload.tz || 'America/New_York';
+  if (!validateTimeZone(tz)) throw fail('Zona horaria inválida.');
+
+  // Validación de medios
+  const badMedia = mediaError(payload.media, opts.mediaExists);
+  if (badMedia) throw fail(badMedia);
+  const media = normalizeMedia(payload.media);
+
+  // Ciclo de vida: fechas (en la zona de la campaña si no traen offset), límite y bloqueos
+  const { value: life, error: badLife } = lifecycle.parseLifecycle(payload, tz);
+  if (badLife) throw fail(badLife);
+
+  // Variantes de contenido y estrategia de rotación
+  const { variants, error: badVariants } = parseVariants(payload.variants, opts.mediaExists);
+  if (badVariants) throw fail(badVariants);
+  const rotation = payload.rotation || 'round-robin';
+  if (!ROTATIONS.includes(rotation)) throw fail(`rotation debe ser ${ROTATIONS.join(' | ')}.`);
+
+  // Cuenta de WhatsApp que envía
+  const sessionId = payload.sessionId || DEFAULT_SESSION;
+  const badSession = sessionError(sessionId);
+  if (badSession) throw fail(badSession);
+
+  const item = {
+    id,
+    name,
+    ids,
+    audienceId: payload.audienceId || null,
+    message: payload.message || '',
+    media,
+    variants,
+    rotation,
+    variantCursor: 0,
+    vars: normalizeVars(payload.vars),
+    sessionId,
+    mediaDelayMs: Math.max(0, Number(payload.mediaDelayMs || 2000)),
+    groupDelayMs: Math.max(1500, Number(payload.groupDelayMs || 2000)),
+    cron: rec ? null : String(payload.cron),
+    recurrence: rec,
+    recurrenceText: rec ? recurrence.describe(rec) : null,
+    tz,
+    ...life,
+    enabled: Boolean(payload.enabled ?? true),
+    lastRunAt: null,
+    lastError: null,
+    runCount: 0,
+    createdAt: new Date().toISOString(),
+    createdBy: by,
+    updatedAt: new Date().toISOString(),
+    updatedBy: by
+  };
+
+  const prev = db.campaigns.get(id);
+  if (prev) {
+    // conserva lastRunAt/lastError/runCount y el alta original si existen
+    item.lastRunAt = prev.lastRunAt || null;
+    item.lastError = prev.lastError || null;
+    item.runCount = Number(prev.runCount) || 0;
+    item.variantCursor = Number(prev.variantCursor) || 0;
+    item.createdAt = prev.createdAt || item.createdAt;
+    item.createdBy = prev.createdBy || null;
+  }
+  return item;
+}
+
+// Crear/actualizar campaña
+app.post('/api/campaigns', requireRole('admin'), (req, res) => {
+  try {
+    const item = buildCampaign(req.body || {}, actor(req));
+    db.campaigns.put(item);
+    broadcast('campaign', { id: item.id, item });
+    scheduleCampaignEngine();
+
+    // el motor puede haberla completado ya (endAt pasado, maxRuns alcanzado)
+    res.json({ ok: true, item: db.campaigns.get(item.id) });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e?.message || String(e) });
+  }
+});
+
+// Habilitar / Deshabilitar campaña
+app.post('/api/campaigns/:id/enable', requireRole('admin'), (req, res) => {
+  const c = db.campaigns.get(req.params.id);
+  if (!c) return res.status(404).json({ error: 'No existe' });
+  // una campaña sequential completada vuelve a empezar por la primera variante;
+  // maxRuns y endAt hay que cambiarlos editando la campaña
+  const reset = variantsExhausted(c) ? { variantCursor: 0 } : {};
+  const done = completionReason({ ...c, ...reset });
+  if (done) {
+    return res.status(409).json({ error: `La campaña ${COMPLETED_REASONS[done]}; edítela para reactivarla.`, completedReason: done });
+  }
+  const item = patchCampaign(c.id, {
+    ...reset,
+    enabled: true,
+    completedAt: null,
+    completedReason: null,
+    updatedAt: new Date().toISOString(),
+    updatedBy: actor(req)
+  });
+  scheduleCampaignEngine();
+  res.json({ ok: true, item });
+});
+
+app.post('/api/campaigns/:id/disable', requireRole('admin'), (req, res) => {
+  const item = patchCampaign(req.params.id, {
+    enabled: false, updatedAt: new Date().toISOString(), updatedBy: actor(req)
+  });
+  if (!item) return res.status(404).json({ error: 'No existe' });
+  scheduleCampaignEngine();
+  const canceledBatches = cancelBatchesFor('campaign', item.id, actor(req));
+  res.json({ ok: true, item, canceledBatches });
+});
+
+// Ejecutar ahora (manual). Responde 202 con el runId y envía en segundo plano, como /send;
+// { dryRun: true } devuelve el plan sin enviar ni avanzar la rotación.
+app.post('/api/campaigns/:id/run-now', requireRole('admin'), async (req, res) => {
+  try {
+    const id = req.params.id;
+    const c = db.campaigns.get(id);
+    if (!c) return res.status(404).json({ error: 'No existe' });
+
+    const dryRun = Boolean(req.body?.dryRun);
+    if (!isSessionReady(c.sessionId) && !dryRun) return res.status(409).json({ error: 'WhatsApp no está listo.' });
+    // run-now ignora startAt y los bloqueos, pero no el final de la campaña
+    const done = completionReason(c);
+    if (done) {
+      return res.status(409).json({ error: `La campaña ${COMPLETED_REASONS[done]}.`, completedReason: done });
+    }
+
+    let targets;
+    try {
+      targets = await runTargets(c);
+    } catch (e) {
+      return res.status(400).json({ error: e?.message || String(e) });
+    }
+    if (dryRun) {
+      const variant = chooseVariant(c);
+      const badMedia = variantMediaError(variant);
+      if (badMedia) return res.status(400).json({ error: badMedia });
+      const plan = await planSend(
+        targets.ids,
+        variant.message || '',
+        normalizeMedia(variant.media),
+        Math.max(0, Number(c.mediaDelayMs || 2000)),
+        Math.max(1500, Number(c.groupDelayMs || 2000)),
+        {
+          run: { number: (Number(c.runCount) || 0) + 1, id: null },
+          campaign: { name: c.name },
+          vars: c.vars,
+          tz: c.tz,
+          sessionId: c.sessionId,
+          origin: { kind: 'campaign', refId: c.id }
+        }
+      );
+      return res.json({
+        ok: true,
+        ...plan,
+        audience: targets.audience,
+        // con random/weighted la variante real se sortea al ejecutar
+        variant: { id: variant.id, name: variant.name, index: variant.index, random: ['random', 'weighted'].includes(c.rotation) }
+      });
+    }
+
+    // misma guarda que el cron: una sola ejecución a la vez por campaña
+    if (CAMPAIGN_RUNNING.has(id)) {
+      return res.status(409).json({ error: 'La campaña ya tiene una ejecución en curso.', runId: CAMPAIGN_RUNNING.get(id) });
+    }
+    const variant = pickVariant(c.id); // antes del run: sin archivos no se ejecuta
+    const run = startRun('campaign', c.id, 'run-now', actor(req));
+    CAMPAIGN_RUNNING.set(id, run.id);
+    run.audience = targets.audience;
+    run.variant = { id: variant.id, name: variant.name, index: variant.index };
+    setImmediate(() => { // primero sale la respuesta con el runId
+      sendToMany(
+        targets.ids,
+        variant.message || '',
+        normalizeMedia(variant.media),
+        Math.max(0, Number(c.mediaDelayMs || 2000)),
+        Math.max(1500, Number(c.groupDelayMs || 2000)),
+        {
+          run: { number: nextRunNumber(c.id), id: run.id },
+          campaign: { name: c.name },
+          vars: c.vars,
+          tz: c.tz,
+          sessionId: c.sessionId,
+          origin: { kind: 'campaign', refId: c.id }
+        }
+      )
+        .then(results => {
+          finishRun(run, results);
+          completeIfDone(patchCampaign(id, { lastRunAt: new Date().toISOString(), lastRunId: run.id, lastError: null }));
+        })
+        .catch(e => {
+          console.error(`❌ Campaña ${id} falló:`, e?.message || e);
+          finishRun(run, [], e);
+          patchCampaign(id, { lastError: e?.message || String(e), lastRunAt: new Date().toISOString(), lastRunId: run.id });
+        })
+        .finally(() => CAMPAIGN_RUNNING.delete(id));
+    });
+    const skipped = targets.ids.map(x => ({ id: x, error: targetBlock(c.sessionId || DEFAULT_SESSION, x) })).filter(x => x.error);
+    res.status(202).json({ ok: true, runId: run.id, variant: run.variant, total: targets.ids.length, audience: targets.audience, skipped });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e?.message || String(e) });
+  }
+});
+
+// Eliminar campaña
+app.delete('/api/campaigns/:id', requireRole('admin'), (req, res) => {
+  if (!db.campaigns.remove(req.params.id)) return res.status(404).json({ error: 'No existe' });
+  console.log(`🗑️  Campaña ${req.params.id} borrada por ${actor(req)}`);
+  broadcast('campaign', { id: req.params.id, deleted: true });
+  scheduleCampaignEngine();
+  cancelBatchesFor('campaign', req.params.id, actor(req));
+  res.json({ ok: true });
+});
+
+// ------------------------------ Importar / exportar -----------------------------------
+// Paquete JSON con campañas, programaciones pendientes, audiencias y los medios que usan
+// (en base64) para mover la configuración entre servidores. Cada elemento se valida con
+// las mismas reglas que su POST; dryRun devuelve el plan (y las diferencias) sin guardar.
+const BUNDLE_FORMAT = 'wa-panel-bundle';
+const IMPORT_MODES = ['skip', 'overwrite', 'rename']; // qué hacer si el id ya existe
+const BUNDLE_MAX_MB = Math.max(1, Number(process.env.BUNDLE_MAX_MB || 100));
+const DIFF_IGNORED = ['createdAt', 'createdBy', 'updatedAt', 'updatedBy'];
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+
+/** Rutas de medios de una campaña (mensaje y variantes) o programación. */
+function itemMediaPaths(x) {
+  return [...normalizeMedia(x.media), ...(x.variants || []).flatMap(v => normalizeMedia(v.media))].map(m => m.path);
+}
+
+/** Campos que cambian entre lo guardado y lo importado. */
+function diffFields(prev, next) {
+  const keys = new Set([...Object.keys(prev), ...Object.keys(next)]);
+  return [...keys]
+    .filter(k => !DIFF_IGNORED.includes(k))
+    .filter(k => JSON.stringify(prev[k] ?? null) !== JSON.stringify(next[k] ?? null));
+}
+
+/**
+ * Planifica (y si no es dryRun aplica) un paquete. Devuelve { ok, summary, items } con un
+ * item por elemento: action = create | overwrite | rename | skip | invalid (+ error,
+ * newId, changes). Los medios con el mismo contenido que uno existente se reutilizan.
+ */
+async function importBundle(bundle, { mode, dryRun, sessionId, by }) {
+  const items = [];
+  const writes = [];
+  const now = new Date().toISOString();
+
+  // Medios: primero, para que las rutas de campañas y programaciones apunten a los locales
+  const pathMap = new Map(); // ruta en el paquete -> ruta local
+  const incoming = new Set(); // rutas que se crearían (solo en simulación)
+  for (const m of Array.isArray(bundle.media) ? bundle.media : []) {
+    const data = m.data ? Buffer.from(m.data, 'base64') : null;
+    const existing = findMediaByHash(data ? sha256(data) : m.hash);
+    if (existing) {
+      pathMap.set(m.path, existing.path);
+      items.push({ kind: 'media', id: m.path, name: m.name, action: 'reuse', path: existing.path });
+    } else if (!data) {
+      const here = fs.existsSync(mediaAbsPath(m.path));
+      items.push({ kind: 'media', id: m.path, name: m.name, action: here ? 'reuse' : 'missing' });
+    } else if (dryRun) {
+      incoming.add(m.path);
+      items.push({ kind: 'media', id: m.path, name: m.name, action: 'create' });
+    } else {
+      const file = path.join(UPLOAD_DIR, `${Date.now()}_${path.basename(m.path).replace(/^\d+_/, '')}`);
+      fs.writeFileSync(file, data);
+      const rec = await registerMedia(file, { name: m.name, mime: m.mime, source: 'import' });
+      pathMap.set(m.path, rec.path);
+      items.push({ kind: 'media', id: m.path, name: m.name, action: 'create', path: rec.path });
+    }
+  }
+  const remapMedia = list => normalizeMedia(list).map(x => ({ ...x, path: pathMap.get(x.path) || x.path }));
+  const mediaExists = p => incoming.has(p) || fs.existsSync(mediaAbsPath(p));
+
+  const audienceMap = new Map(); // id en el paquete -> id local (rename)
+  const importedAudiences = new Set();
+  const audienceExists = id => importedAudiences.has(id) || Boolean(db.audiences.get(id));
+
+  function plan(kind, collection, raw, build) {
+    const prev = raw.id ? collection.get(raw.id) : null;
+    const action = prev ? mode : 'create';
+    if (action === 'skip') return { kind, id: raw.id, name: raw.name, action: 'skip', reason: 'ya existe' };
+    const id = action === 'rename' || !raw.id ? nanoid(10) : raw.id;
+    try {
+      const item = build({ ...raw, id });
+      const entry = { kind, id: raw.id || id, name: item.name, action };
+      if (id !== raw.id) entry.newId = id;
+      if (action === 'overwrite') entry.changes = diffFields(prev, item);
+      writes.push(() => collection.put(item));
+      return entry;
+    } catch (e) {
+      if (!e.status) throw e;
+      return { kind, id: raw.id, name: raw.name, action: 'invalid', error: e.message };
+    }
+  }
+
+  for (const raw of Array.isArray(bundle.audiences) ? bundle.audiences : []) {
+    const entry = plan('audience', db.audiences, raw, x => {
+      const prev = db.audiences.get(x.id);
+      return {
+        ...parseAudience(x, { id: x.id, createdAt: prev?.createdAt || now, createdBy: prev ? prev.createdBy || null : by }),
+        updatedAt: now,
+        updatedBy: by
+      };
+    });
+    if (entry.action !== 'invalid' && entry.action !== 'skip') importedAudiences.add(entry.newId || entry.id);
+    if (entry.newId && raw.id) audienceMap.set(raw.id, entry.newId);
+    items.push(entry);
+  }
+
+  // lo que comparten campañas y programaciones: audiencia renombrada, medios locales, cuenta
+  const localize = raw => ({
+    ...raw,
+    audienceId: audienceMap.get(raw.audienceId) || raw.audienceId || null,
+    media: remapMedia(raw.media),
+    sessionId: sessionId || raw.sessionId
+  });
+  const opts = { mediaExists, audienceExists };
+
+  for (const raw of Array.isArray(bundle.campaigns) ? bundle.campaigns : []) {
+    items.push(plan('campaign', db.campaigns, raw, x => buildCampaign({
+      ...localize(x),
+      variants: Array.isArray(x.variants) ? x.variants.map(v => ({ ...v, media: remapMedia(v.media) })) : x.variants
+    }, by, opts)));
+  }
+
+  for (const raw of Array.isArray(bundle.schedules) ? bundle.schedules : []) {
+    if (raw.status && raw.status !== 'pending') {
+      items.push({ kind: 'schedule', id: raw.id, name: raw.name, action: 'skip', reason: `estado ${raw.status}` });
+      continue;
+    }
+    items.push(plan('schedule', db.schedules, raw, x => {
+      const item = buildSchedule(localize(x), by, opts);
+      if (!item.recurrence && Date.parse(item.when) <= Date.now()) {
+        throw Object.assign(new Error(`La fecha ${item.when} ya pasó.`), { status: 400 });
+      }
+      return item;
+    }));
+  }
+
+  if (!dryRun && writes.length) {
+    store.transaction(() => writes.forEach(w => w()));
+    scheduleCampaignEngine();
+    rearmSchedules();
+    broadcast('campaign', { imported: true });
+    broadcast('schedule', { imported: true });
+  }
+
+  const summary = {};
+  items.forEach(x => {
+    summary[x.kind] = summary[x.kind] || {};
+    summary[x.kind][x.action] = (summary[x.kind][x.action] || 0) + 1;
+  });
+  return { ok: !items.some(x => x.action === 'invalid'), summary, items };
+}
+
+// Exportar: ?media=0 sin el contenido de los archivos, ?schedules=all también las ya enviadas
+app.get('/api/export', requireRole('admin'), (req, res) => {
+  try {
+    const withData = req.query.media !== '0';
+    const campaigns = db.campaigns.all();
+    const schedules = db.schedules.all().filter(x => req.query.schedules === 'all' || x.status === 'pending');
+    const library = db.media.all();
+    const media = [...new Set([...campaigns, ...schedules].flatMap(itemMediaPaths))].map(p => {
+      const abs = mediaAbsPath(p);
+      const info = library.find(m => mediaAbsPath(m.path) === abs);
+      const entry = { path: p, name: info?.name || path.basename(p), mime: info?.mime || null, hash: info?.hash || null };
+      if (!fs.existsSync(abs)) return { ...entry, missing: true };
+      const data = fs.readFileSync(abs);
+      return { ...entry, hash: entry.hash || sha256(data), size: data.length, ...(withData ? { data: data.toString('base64') } : {}) };
+    });
+    const bundle = {
+      format: BUNDLE_FORMAT,
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      exportedBy: actor(req),
+      campaigns,
+      schedules,
+      audiences: db.audiences.all(),
+      media
+    };
+    res.setHeader('Content-Disposition', `attachment; filename="wa-panel-${dayjs().format('YYYYMMDD-HHmm')}.json"`);
+    res.json(bundle);
+  } catch (e) {
+    res.status(500).json({ error: e?.message || String(e) });
+  }
+});
+
+// Importar: { bundle, mode: skip|overwrite|rename, dryRun?, sessionId? (cuenta para todo) }
+app.post('/api/import', requireRole('admin'), express.json({ limit: `${BUNDLE_MAX_MB}mb` }), async (req, res) => {
+  try {
+    const { bundle, mode = 'skip', dryRun = false, sessionId = null } = req.body || {};
+    if (bundle?.format !== BUNDLE_FORMAT) return res.status(400).json({ error: `bundle no es un paquete ${BUNDLE_FORMAT}.` });
+    if (!IMPORT_MODES.includes(mode)) return res.status(400).json({ error: `mode debe ser ${IMPORT_MODES.join(' | ')}.` });
+    if (sessionId) {
+      const badSession = sessionError(sessionId);
+      if (badSession) return res.status(400).json({ error: badSession });
+    }
+    // todo o nada: primero se simula y solo si todo es válido se aplica
+    const opts = { mode, sessionId, by: actor(req) };
+    const planned = await importBundle(bundle, { ...opts, dryRun: true });
+    if (dryRun) return res.json({ ...planned, dryRun: true, mode });
+    if (!planned.ok) {
+      return res.status(400).json({ error: 'Hay elementos inválidos; no se importó nada.', ...planned, dryRun: false, mode });
+    }
+    const result = await importBundle(bundle, { ...opts, dryRun: false });
+    console.log(`📦 Importación (${mode}) por ${actor(req)}: ${JSON.stringify(result.summary)}`);
+    res.json({ ...result, dryRun: false, mode });
+  } catch (e) {
+    res.status(500).json({ error: e?.message || String(e) });
+  }
+});
+
+// Programaciones desde CSV (una fila por publicación): when, groups, message, media, name?
+// groups y media admiten varios valores separados por | (o por la coma/punto y coma que
+// no sea el separador del archivo); groups acepta ids o nombres y media nombres de la
+// biblioteca. Todo o nada: si una fila falla no se crea ninguna.
+app.post('/api/import/schedules-csv', requireRole('operator'),
+  express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }), async (req, res) => {
+    try {
+      const raw = typeof req.body === 'string';
+      const opts = raw ? req.query : { ...req.query, ...req.body };
+      const text = raw ? req.body : opts.csv;
+      if (!text) return res.status(400).json({ error: 'Envíe el CSV (text/csv o { csv }).' });
+      const dryRun = [true, 'true', '1'].includes(opts.dryRun);
+      const sessionId = opts.sessionId || DEFAULT_SESSION;
+      const badSession = sessionError(sessionId);
+      if (badSession) return res.status(400).json({ error: badSession });
+      const tz = opts.tz || DEFAULT_TZ;
+      if (!validateTimeZone(tz)) return res.status(400).json({ error: 'Zona horaria inválida.' });
+
+      const { delimiter, columns, records } = csv.parseRecords(text);
+      const missing = ['when', 'groups'].filter(c => !columns.includes(c));
+      if (missing.length) return res.status(400).json({ error: `Faltan columnas: ${missing.join(', ')}` });
+      if (!records.length) return res.status(400).json({ error: 'El CSV no tiene filas.' });
+
+      const fail = msg => Object.assign(new Error(msg), { status: 400 });
+      const split = v => String(v || '').split(delimiter === ',' ? /[|;\n]/ : /[|,\n]/).map(x => x.trim()).filter(Boolean);
+      const candidates = await audienceCandidates(sessionId);
+      const library = db.media.all().filter(m => fs.existsSync(mediaAbsPath(m.path))).reverse(); // recientes primero
+      const resolveCsvTarget = v => {
+        if (isValidTarget(v)) return v;
+        const hits = candidates.filter(t => foldText(t.name) === foldText(v));
+        if (hits.length > 1) throw fail(`Hay ${hits.length} destinos llamados «${v}»; use su id.`);
+        if (!hits.length) throw fail(`Destino desconocido: ${v}`);
+        return hits[0].id;
+      };
+      const resolveMedia = v => {
+        const name = v.toLowerCase();
+        const hit = library.find(m => m.name?.toLowerCase() === name || path.basename(m.path).toLowerCase() === name);
+        if (!hit) throw fail(`Archivo no encontrado en la biblioteca: ${v}`);
+        return hit.path;
+      };
+
+      const by = actor(req);
+      const rows = records.map(({ line, record }) => {
+        try {
+          const when = lifecycle.parseDateInTz(record.when, tz);
+          if (!when) throw fail(`Fecha inválida: ${record.when}`);
+          if (Date.parse(when) <= Date.now()) throw fail(`La fecha ${record.when} ya pasó.`);
+          const item = buildSchedule({
+            name: record.name || undefined,
+            ids: [...new Set(split(record.groups).map(resolveCsvTarget))],
+            message: record.message || '',
+            media: split(record.media).map(resolveMedia),
+            when,
+            sessionId
+          }, by);
+          return { line, ok: true, item };
+        } catch (e) {
+          if (!e.status) throw e;
+          return { line, ok: false, error: e.message };
+        }
+      });
+
+      const ok = rows.every(r => r.ok);
+      if (ok && !dryRun) {
+        store.transaction(() => rows.forEach(r => db.schedules.put(r.item)));
+        rows.forEach(r => broadcast('schedule', { id: r.item.id, item: r.item }));
+        rearmSchedules();
+        console.log(`📥 ${rows.length} programaciones importadas desde CSV por ${by}`);
+      }
+      const out = { ok, dryRun, created: ok && !dryRun ? rows.length : 0, rows };
+      if (!ok && !dryRun) return res.status(400).json({ error: 'Hay filas con errores; no se importó ninguna.', ...out });
+      res.json(out);
+    } catch (e) {
+      res.status(500).json({ error: e?.message || String(e) });
+    }
+  });
+
+// ---------------------------- Respuestas automáticas ----------------------------------
+// Reglas sobre los mensajes entrantes (client.on('message')): palabra clave exact/contains/
+// regex, ámbito por grupo/contacto/sesión, horario activo y cooldown por chat. La primera
+// regla que coincide (por prioridad) responde con texto y/o medios; cada coincidencia queda
+// en rule_matches. La lógica de coincidencia está en lib/rules.
+const RULE_LOG_MAX = 2000;
+const RULE_COOLDOWNS = new Map(); // ruleId|chatId -> ms del último disparo
+
+function trimRuleLog() {
+  const extra = db.ruleMatches.count() - RULE_LOG_MAX;
+  if (extra <= 0) return;
+  const drop = new Set(db.ruleMatches.all().slice(0, extra).map(m => m.id));
+  db.ruleMatches.removeWhere(m => drop.has(m.id));
+}
+
+/** Mensaje entrante: busca regla, respeta cooldown, responde y registra. */
+async function handleIncoming(wa, msg) {
+  if (msg.fromMe || msg.isStatus || msg.from === 'status@broadcast') return;
+  const chatId = msg.from;
+  const isGroup = chatId.endsWith('@g.us');
+  const text = msg.body || '';
+  const hit = rulesEngine.findMatch(db.rules.all(), { text, chatId, isGroup, sessionId: wa.id });
+  if (!hit) return;
+
+  const { rule, keyword } = hit;
+  const key = `${rule.id}|${chatId}`;
+  const last = RULE_COOLDOWNS.get(key) || 0;
+  const cooling = Date.now() - last < (Number(rule.cooldownSec) || 0) * 1000;
+
+  const entry = {
+    id: nanoid(12),
+    ruleId: rule.id,
+    ruleName: rule.name,
+    sessionId: wa.id,
+    chatId,
+    author: msg.author || chatId, // en grupos, quién escribió
+    body: text.slice(0, 500),
+    keyword,
+    at: new Date().toISOString(),
+    replied: false,
+    skipped: cooling ? 'cooldown' : null,
+    error: null
+  };
+  if (!cooling) {
+    RULE_COOLDOWNS.set(key, Date.now());
+    try {
+      let reply = rule.reply?.text || '';
+      if (hasPlaceholders(reply)) reply = renderTemplate(reply, await templateContext(chatId, {}, wa.id)).text;
+      const sendOpts = rule.reply?.quote ? { quotedMessageId: msg.id?._serialized } : {};
+      await withSendTurn(wa.id, 'reply', () => sendToOneGroup(chatId, reply, rule.reply?.media || [], 1500, wa.id, sendOpts));
+      entry.replied = true;
+    } catch (e) {
+      entry.error = e?.message || String(e);
+    }
+  }
+  db.ruleMatches.put(entry);
+  trimRuleLog();
+  db.rules.update(rule.id, r => ({ ...r, matchCount: (Number(r.matchCount) || 0) + 1, lastMatchAt: entry.at }));
+  broadcast('rule.match', entry);
+}
+
+/** Valida y normaliza una regla del body; devuelve { item } o { error }. */
+function parseRule(payload, prev) {
+  const match = payload.match || 'contains';
+  if (!rulesEngine.MATCH_TYPES.includes(match)) return { error: `match inválido (${rulesEngine.MATCH_TYPES.join(', ')}).` };
+  const keywords = (Array.isArray(payload.keywords) ? payload.keywords : [])
+    .map(k => String(k).trim())
+    .filter(Boolean);
+  if (!keywords.length) return { error: 'keywords[] es obligatorio.' };
+  if (match === 'regex') {
+    for (const k of keywords) {
+      try { new RegExp(k); } catch (e) { return { error: `Regex inválida "${k}": ${e.message}` }; }
+    }
+  }
+
+  const scopeType = payload.scope?.type || 'all';
+  if (!['all', 'groups', 'contacts'].includes(scopeType)) return { error: 'scope.type inválido (all, groups, contacts).' };
+  const chats = Array.isArray(payload.scope?.chats) ? payload.scope.chats : [];
+  const badChats = chats.filter(c => !CHAT_ID_RE.test(String(c)));
+  if (badChats.length) return { error: `Chats inválidos: ${badChats.join(', ')}` };
+
+  let hours = null;
+  if (payload.hours) {
+    const { tz = DEFAULT_TZ, from = '00:00', to = '23:59', days } = payload.hours;
+    if (!validateTimeZone(tz)) return { error: 'Zona horaria inválida.' };
+    if (!HHMM_RE.test(from) || !HHMM_RE.test(to)) return { error: 'Horario inválido (HH:mm).' };
+    const d = Array.isArray(days) ? days.map(Number) : [];
+    if (d.some(x => !Number.isInteger(x) || x < 0 || x > 6)) return { error: 'days[] debe ser 0-6 (0 = domingo).' };
+    hours = { tz, from, to, days: d };
+  }
+
+  const replyText = String(payload.reply?.text || '');
+  const badMedia = mediaError(payload.reply?.media);
+  if (badMedia) return { error: badMedia };
+  const media = normalizeMedia(payload.reply?.media);
+  if (!replyText && !media.length) return { error: 'La respuesta necesita texto o medios.' };
+
+  if (payload.sessionId && !db.sessions.get(payload.sessionId)) return { error: `La sesión ${payload.sessionId} no existe.` };
+
+  return {
+    item: {
+      id: prev?.id || payload.id || nanoid(10),
+      name: payload.name || prev?.name || keywords[0],
+      enabled: Boolean(payload.enabled ?? prev?.enabled ?? true),
+      priority: Number(payload.priority) || 0,
+      match,
+      keywords,
+      caseSensitive: Boolean(payload.caseSensitive),
+      scope: { type: scopeType, chats },
+      sessionId: payload.sessionId || null, // null = todas las cuentas
+      hours,
+      cooldownSec: Math.max(0, Number(payload.cooldownSec ?? 300)),
+      reply: { text: replyText, media, quote: Boolean(payload.reply?.quote ?? true) },
+      matchCount: Number(prev?.matchCount) || 0,
+      lastMatchAt: prev?.lastMatchAt || null
+    }
+  };
+}
+
+// Listar reglas
+app.get('/api/rules', requireRole('viewer'), (req, res) => {
+  const items = db.rules.all().sort((a, b) => (Number(a.priority) || 0) - (Number(b.priority) || 0));
+  res.json({ items });
+});
+
+// Log de coincidencias (?ruleId=, ?chatId=, ?limit=), más recientes primero
+app.get('/api/rules/matches', requireRole('viewer'), (req, res) => {
+  const { ruleId, chatId } = req.query;
+  const items = db.ruleMatches.all()
+    .filter(m => (!ruleId || m.ruleId === ruleId) && (!chatId || m.chatId === chatId))
+    .reverse()
+    .slice(0, Math.max(1, Number(req.query.limit) || 100));
+  res.json({ items });
+});
+
+// Probar sin enviar: { text, chatId?, sessionId? } -> regla que respondería
+app.post('/api/rules/test', requireRole('viewer'), (req, res) => {
+  const { text = '', chatId = 'ejemplo@g.us', sessionId = DEFAULT_SESSION } = req.body || {};
+  const hit = rulesEngine.findMatch(db.rules.all(), {
+    text, chatId, isGroup: String(chatId).endsWith('@g.us'), sessionId
+  });
+  res.json({ match: hit ? { ruleId: hit.rule.id, name: hit.rule.name, keyword: hit.keyword, reply: hit.rule.reply } : null });
+});
+
+// Crear/actualizar regla
+app.post('/api/rules', requireRole('admin'), (req, res) => {
+  try {
+    const payload = req.body || {};
+    const prev = payload.id ? db.rules.get(payload.id) : null;
+    const { item, error } = parseRule(payload, prev);
+    if (error) return res.status(400).json({ error });
+    const now = new Date().toISOString();
+    item.createdAt = prev?.createdAt || now;
+    item.createdBy = prev ? prev.createdBy : actor(req);
+    item.updatedAt = now;
+    item.updatedBy = actor(req);
+    db.rules.put(item);
+    res.json({ ok: true, item });
+  } catch (e) {
+    res.status(500).json({ error: e?.message || String(e) });
+  }
+});
+
+app.post('/api/rules/:id/enable', requireRole('admin'), (req, res) => {
+  const item = db.rules.update(req.params.id, { enabled: true, updatedAt: new Date().toISOString(), updatedBy: actor(req) });
+  if (!item) return res.status(404).json({ error: 'Regla no encontrada.' });
+  res.json({ ok: true, item });
+});
+
+app.post('/api/rules/:id/disable', requireRole('admin'), (req, res) => {
+  const item = db.rules.update(req.params.id, { enabled: false, updatedAt: new Date().toISOString(), updatedBy: actor(req) });
+  if (!item) return res.status(404).json({ error: 'Regla no encontrada.' });
+  res.json({ ok: true, item });
+});
+
+app.delete('/api/rules/:id', requireRole('admin'), (req, res) => {
+  if (!db.rules.remove(req.params.id)) return res.status(404).json({ error: 'Regla no encontrada.' });
+  for (const key of RULE_COOLDOWNS.keys()) if (key.startsWith(`${req.params.id}|`)) RULE_COOLDOWNS.delete(key);
   res.json({ ok: true });
 });
 
+// ------------------------------- Bandeja de entrada ------------------------------------
+// Mensajes por chat (entrantes y, con INBOX_OUTGOING, también los nuestros). Cada chat es un
+// documento de la colección inbox (id <sesión>|<chat>, mensajes en orden de llegada) para que
+// listar una conversación no recorra todo el historial; inbox_chats es el índice con último
+// mensaje y no leídos.
+const INBOX_OUTGOING = !/^(0|false|no)$/i.test(process.env.INBOX_OUTGOING || '1');
+const INBOX_DOWNLOAD_MEDIA = !/^(0|false|no)$/i.test(process.env.INBOX_DOWNLOAD_MEDIA || '1');
+const INBOX_MAX_PER_CHAT = Math.max(100, Number(process.env.INBOX_MAX_PER_CHAT || 5000));
+
+function inboxKey(sessionId, chatId) {
+  return `${sessionId}|${chatId}`;
+}
+function chatMessages(sessionId, chatId) {
+  return db.inbox.get(inboxKey(sessionId, chatId))?.messages || [];
+}
+
+/** Anota que un mensaje guardado usa un medio de la biblioteca (lo lee mediaRefs). */
+function putMessageMedia(sessionId, chatId, msg) {
+  if (!msg.media?.path) return;
+  db.messageMedia.put({ id: `${inboxKey(sessionId, chatId)}|${msg.id}`, sessionId, chatId, messageId: msg.id, path: msg.media.path });
+}
+
+// Chats guardados con una colección por chat (inbox.<sesión>.<chat>): se pasan una sola vez
+// a la colección inbox y se borra la antigua
+(function mergeInboxCollections() {
+  db.inboxChats.all()
+    .filter(c => CHAT_ID_RE.test(c.chatId) && !db.inbox.get(c.id))
+    .forEach(c => {
+      const legacy = `inbox.${c.sessionId}.${c.chatId}`;
+      const messages = store.collection(legacy).all();
+      if (!messages.length) return;
+      db.inbox.put({ id: c.id, sessionId: c.sessionId, chatId: c.chatId, messages });
+      store.drop(legacy);
+    });
+})();
+
+// Chats guardados antes de message_media: se anotan sus medios una sola vez
+(function indexInboxMedia() {
+  db.inboxChats.all()
+    .filter(c => !c.mediaIndexed)
+    .forEach(c => store.transaction(() => {
+      chatMessages(c.sessionId, c.chatId).forEach(m => putMessageMedia(c.sessionId, c.chatId, m));
+      db.inboxChats.update(c.id, { mediaIndexed: true });
+    }));
+})();
+
+/** Descarga el medio de un mensaje a la biblioteca (deduplicado); null si no aplica. */
+async function downloadMessageMedia(msg) {
+  const media = await msg.downloadMedia();
+  if (!media?.data) return null;
+  const kind = mediaKind(media.mimetype);
+  const buf = Buffer.from(media.data, 'base64');
+  const meta = { mime: media.mimetype, name: media.filename || null, size: buf.length };
+  if (!kind || buf.length > MEDIA_LIMITS_MB[kind] * 1024 * 1024) return meta; // solo metadatos
+  const ext = (media.filename && path.extname(media.filename)) ||
+    `.${String(media.mimetype).split('/')[1]?.split(';')[0] || 'bin'}`;
+  const file = path.join(UPLOAD_DIR, `${Date.now()}_${nanoid(8)}${ext}`);
+  fs.writeFileSync(file, buf);
+  const m = await registerMedia(file, { name: media.filename || path.basename(file), mime: media.mimetype, source: 'inbox' });
+  return { ...meta, path: m.path, mediaId: m.id, kind };
+}
+
+/** Persiste un mensaje y actualiza el índice del chat. */
+async function storeMessage(wa, msg) {
+  if (msg.isStatus || msg.from === 'status@broadcast') return;
+  if (msg.fromMe && !INBOX_OUTGOING) return;
+  const chatId = msg.fromMe ? msg.to : msg.from;
+  if (!CHAT_ID_RE.test(chatId)) return; // newsletters, broadcast, etc.
+
+  const doc = {
+    id: msg.id._serialized,
+    sessionId: wa.id,
+    chatId,
+    fromMe: Boolean(msg.fromMe),
+    author: msg.fromMe ? null : (msg.author || msg.from),
+    authorName: msg.fromMe ? null : (msg._data?.notifyName || null),
+    type: msg.type,
+    body: msg.body || '',
+    timestamp: new Date((msg.timestamp || Date.now() / 1000) * 1000).toISOString(),
+    quotedId: msg.hasQuotedMsg ? (msg._data?.quotedStanzaID || null) : null,
+    hasMedia: Boolean(msg.hasMedia),
+    media: null
+  };
+  if (msg.hasMedia && INBOX_DOWNLOAD_MEDIA) {
+    try { doc.media = await downloadMessageMedia(msg); }
+    catch (e) { doc.media = { error: e?.message || String(e) }; }
+  }
+
+  const key = inboxKey(wa.id, chatId);
+  store.transaction(() => {
+    const messages = chatMessages(wa.id, chatId);
+    const at = messages.findIndex(m => m.id === doc.id); // reenvío del mismo mensaje: mismo sitio
+    if (at >= 0) messages[at] = doc;
+    else messages.push(doc);
+    const dropped = messages.splice(0, Math.max(0, messages.length - INBOX_MAX_PER_CHAT));
+    db.inbox.put({ id: key, sessionId: wa.id, chatId, messages });
+    putMessageMedia(wa.id, chatId, doc);
+    dropped.forEach(m => db.messageMedia.remove(`${key}|${m.id}`));
+  });
+
+  const prev = db.inboxChats.get(key);
+  let name = prev?.name;
+  if (!name) {
+    try { name = (await msg.getChat())?.name; } catch {}
+  }
+  const preview = doc.body || (doc.hasMedia ? `[${doc.type}]` : '');
+  db.inboxChats.put({
+    id: key,
+    sessionId: wa.id,
+    chatId,
+    name: name || chatId,
+    isGroup: chatId.endsWith('@g.us'),
+    lastMessageAt: doc.timestamp,
+    lastBody: preview.slice(0, 200),
+    lastFromMe: doc.fromMe,
+    unread: doc.fromMe ? 0 : (Number(prev?.unread) || 0) + 1,
+    mediaIndexed: true // sus medios están en message_media
+  });
+  broadcast('message', doc);
+}
+
+// Chats con mensajes guardados (más recientes primero)
+waRouter.get('/inbox/chats', requireRole('viewer'), withSession, (req, res) => {
+  const items = db.inboxChats.all()
+    .filter(c => c.sessionId === req.wa.id)
+    .sort((a, b) => String(b.lastMessageAt).localeCompare(String(a.lastMessageAt)));
+  res.json({ items });
+});
+
+// Mensajes de un chat, paginados hacia atrás: ?before=<ISO>&limit=&q=<búsqueda>
+// Devuelve en orden cronológico y nextBefore para pedir la página anterior.
+waRouter.get('/chats/:chatId/messages', requireRole('viewer'), withSession, (req, res) => {
+  const chatId = req.params.chatId;
+  if (!CHAT_ID_RE.test(chatId)) return res.status(400).json({ error: 'ID de chat inválido.' });
+  const limit = Math.min(200, Math.max(1, Number(req.query.limit) || 50));
+  const before = req.query.before ? String(req.query.before) : null;
+  const q = req.query.q ? foldText(req.query.q) : '';
+
+  const all = chatMessages(req.wa.id, chatId)
+    .filter(m => !before || m.timestamp < before)
+    .filter(m => !q || foldText(`${m.body} ${m.authorName || ''} ${m.media?.name || ''}`).includes(q))
+    .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  const items = all.slice(-limit);
+  const hasMore = all.length > items.length;
+  res.json({ items, hasMore, nextBefore: hasMore ? items[0].timestamp : null });
+});
+
+// Marcar como leído
+waRouter.post('/chats/:chatId/read', requireRole('viewer'), withSession, (req, res) => {
+  const item = db.inboxChats.update(inboxKey(req.wa.id, req.params.chatId), { unread: 0 });
+  res.json({ ok: true, item });
+});
+
+// Responder: { text, media?, quotedMessageId? } (cita el mensaje indicado)
+waRouter.post('/chats/:chatId/reply', requireRole('operator'), withSession, async (req, res) => {
+  try {
+    const chatId = req.params.chatId;
+    if (!CHAT_ID_RE.test(chatId)) return res.status(400).json({ error: 'ID de chat inválido.' });
+    if (!req.wa.ready) return res.status(409).json({ error: 'WhatsApp no está listo.' });
+    const { text = '', media = [], quotedMessageId } = req.body || {};
+    if (!String(text).trim() && !(media || []).length) {
+      return res.status(400).json({ error: 'El mensaje está vacío.' });
+    }
+    const badMedia = mediaError(media);
+    if (badMedia) return res.status(400).json({ error: badMedia });
+
+    const sendOpts = quotedMessageId ? { quotedMessageId: String(quotedMessageId) } : {};
+    await withSendTurn(req.wa.id, 'manual', () => (
+      sendToOneGroup(chatId, String(text), normalizeMedia(media), 1500, req.wa.id, sendOpts)
+    ));
+    db.inboxChats.update(inboxKey(req.wa.id, chatId), { unread: 0 });
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e?.message || String(e), retryAt: e.retryAt });
+  }
+});
+
 // --------------------------------- Arranque servidor ----------------------------------
 app.listen(PORT, () => {
   console.log(`HTTP server en :${PORT}`);
@@ -0,0 +1,58 @@
+// test/audience.test.js
+// --------------------------------------------------------------------------------------
+// lib/audience: gramática de las reglas, errores con posición y evaluación.
+// --------------------------------------------------------------------------------------
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const audience = require('../lib/audience');
+
+const targets = [
+  { id: '1@g.us', name: 'Ventas Habana', type: 'group', tags: ['ventas', 'Cuba'] },
+  { id: '2@g.us', name: 'Soporte Matanzas', type: 'group', tags: ['soporte'] },
+  { id: '5355500001@c.us', name: 'José Pérez', type: 'contact', tags: ['ventas'] }
+];
+const ids = rule => targets.filter(audience.compile(rule)).map(t => t.id);
+
+test('parse construye el AST con la precedencia NOT > AND > OR', () => {
+  assert.deepEqual(audience.parse('tag = a OR tag = b AND NOT type = contact'), {
+    op: 'or',
+    a: { op: 'cond', field: 'tag', cmp: '=', value: 'a' },
+    b: {
+      op: 'and',
+      a: { op: 'cond', field: 'tag', cmp: '=', value: 'b' },
+      b: { op: 'not', a: { op: 'cond', field: 'type', cmp: '=', value: 'contact' } }
+    }
+  });
+});
+
+test('tag = significa "tiene la etiqueta"; texto sin mayúsculas ni tildes', () => {
+  assert.deepEqual(ids('tag = ventas'), ['1@g.us', '5355500001@c.us']);
+  assert.deepEqual(ids('tag = cuba'), ['1@g.us']);
+  assert.deepEqual(ids('tag != ventas'), ['2@g.us']);
+  assert.deepEqual(ids("name contains 'jose perez'"), ['5355500001@c.us']);
+  assert.deepEqual(ids('name startswith soporte'), ['2@g.us']);
+  assert.deepEqual(ids('id endswith @c.us'), ['5355500001@c.us']);
+});
+
+test('paréntesis, NOT y palabras clave en minúsculas', () => {
+  assert.deepEqual(ids('(tag = ventas or tag = soporte) and not type = contact'), ['1@g.us', '2@g.us']);
+  assert.deepEqual(ids('tag contains ven AND name = "Ventas Habana"'), ['1@g.us']);
+});
+
+test('errores de sintaxis con la posición', () => {
+  assert.throws(() => audience.parse(''), /vacía/);
+  assert.throws(() => audience.parse('color = rojo'), /Se esperaba un campo \(tag, name, id, type\) \(posición 1\)/);
+  assert.throws(() => audience.parse('tag like x'), /operador.*posición 5/);
+  assert.throws(() => audience.parse('tag ='), /valor \(fin de la regla\)/);
+  assert.throws(() => audience.parse('(tag = a'), /Falta "\)"/);
+  assert.throws(() => audience.parse('tag = a tag = b'), /Sobra texto \(posición 9\)/);
+  assert.throws(() => audience.parse('tag = a & b'), SyntaxError);
+});
+
+test('todas las etiquetas se comparan sin mayúsculas, no solo la primera', () => {
+  const match = audience.compile('tag = ventas');
+  assert.equal(match({ tags: ['Cuba', 'Ventas'] }), true);
+  assert.equal(match({ tags: ['soporte', 'habana', 'VENTAS'] }), true);
+  assert.equal(audience.compile('tag != ventas')({ tags: ['Cuba', 'Ventas'] }), false);
+});
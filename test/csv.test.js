@@ -0,0 +1,35 @@
+// test/csv.test.js
+// --------------------------------------------------------------------------------------
+// lib/csv: separador, comillas, saltos de línea dentro de celdas y registros con cabecera.
+// --------------------------------------------------------------------------------------
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const csv = require('../lib/csv');
+
+test('detectDelimiter mira solo la cabecera y fuera de comillas', () => {
+  assert.equal(csv.detectDelimiter('a;b;c\n1,2,3,4,5'), ';');
+  assert.equal(csv.detectDelimiter('"x;y",b,c\n'), ',');
+  assert.equal(csv.detectDelimiter('a\tb\n'), '\t');
+  assert.equal(csv.detectDelimiter('solo'), ',');
+});
+
+test('parse: comillas escapadas, saltos de línea en celdas, CRLF y BOM', () => {
+  const { delimiter, rows } = csv.parse('﻿nombre;nota\r\n"Ana ""la jefa""";"línea 1\nlínea 2"\r\n\r\nLuis;ok');
+  assert.equal(delimiter, ';');
+  assert.deepEqual(rows, [
+    { line: 1, cells: ['nombre', 'nota'] },
+    { line: 2, cells: ['Ana "la jefa"', 'línea 1\nlínea 2'] },
+    { line: 5, cells: ['Luis', 'ok'] }
+  ]);
+});
+
+test('parseRecords usa la cabecera en minúsculas y rellena las celdas que faltan', () => {
+  const { columns, records } = csv.parseRecords(' Numero , Nombre ,Tags\n+53 5550 0001, Ana \n5355500002,Luis,"a,b"\n');
+  assert.deepEqual(columns, ['numero', 'nombre', 'tags']);
+  assert.deepEqual(records, [
+    { line: 2, record: { numero: '+53 5550 0001', nombre: 'Ana', tags: '' } },
+    { line: 3, record: { numero: '5355500002', nombre: 'Luis', tags: 'a,b' } }
+  ]);
+  assert.deepEqual(csv.parseRecords(''), { delimiter: ',', columns: [], records: [] });
+});
@@ -0,0 +1,168 @@
+// test/e2e.test.js
+// --------------------------------------------------------------------------------------
+// API de punta a punta contra el cliente simulado (WA_DRIVER=fake): envío inmediato y su
+// ensayo, programaciones, run-now de campañas, inbox, alta del primer admin y
+// pause/resume/cancel de un lote.
+// --------------------------------------------------------------------------------------
+
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { GROUPS, startServer, waitFor } = require('./helpers/fake-server');
+
+const [A, B, C] = GROUPS;
+
+describe('API con WA_DRIVER=fake', () => {
+  let server;
+  let api;
+
+  before(async () => {
+    server = await startServer();
+    api = server.api;
+  });
+  after(() => server?.stop());
+  beforeEach(async () => {
+    await api('PUT', '/api/fake/config', { latencyMs: 0, failIds: [] });
+    await api('DELETE', '/api/fake/sent');
+  });
+
+  const sent = async () => (await api('GET', '/api/fake/sent')).body.items;
+  const finished = id => waitFor(async () => {
+    const { item } = (await api('GET', `/api/runs/${id}`)).body;
+    return item.finishedAt && item;
+  }, `el fin del run ${id}`);
+
+  test('dryRun devuelve el plan renderizado sin enviar', async () => {
+    const { status, body } = await api('POST', '/api/send', { ids: [A, B], text: 'Hola {{group.name}}', dryRun: true });
+    assert.equal(status, 200);
+    assert.equal(body.dryRun, true);
+    assert.equal(body.total, 2);
+    assert.deepEqual(body.items.map(x => x.to), [A, B]);
+    assert.equal(body.items[0].messages[0].body, 'Hola Grupo de prueba 1');
+    assert.deepEqual(await sent(), []);
+  });
+
+  test('send responde 202 y el run recoge el resultado por destino', async () => {
+    const { status, body } = await api('POST', '/api/send', { ids: [A, B], text: 'Hola {{group.name}}' });
+    assert.equal(status, 202);
+    assert.equal(body.total, 2);
+    const run = await finished(body.batchId);
+    assert.equal(run.status, 'ok');
+    assert.equal(run.okCount, 2);
+    const items = await sent();
+    assert.deepEqual(items.map(m => m.to).sort(), [A, B]);
+    assert.ok(items.some(m => m.body === 'Hola Grupo de prueba 2'));
+  });
+
+  test('un destino que falla queda en cola y el run en pending', async () => {
+    await api('PUT', '/api/fake/config', { failIds: [B] });
+    const { body } = await api('POST', '/api/send', { ids: [A, B], text: 'x' });
+    const run = await finished(body.batchId);
+    assert.equal(run.status, 'pending');
+    assert.equal(run.queuedCount, 1);
+    assert.deepEqual((await sent()).map(m => m.to), [A]);
+  });
+
+  test('una programación one-shot se envía a su hora', async () => {
+    const when = new Date(Date.now() + 1000).toISOString();
+    const { status, body } = await api('POST', '/api/schedules', { name: 'Aviso', ids: [A], message: 'Aviso {{campaign.name}}', when });
+    assert.equal(status, 200);
+    assert.equal(body.item.status, 'pending');
+    const item = await waitFor(async () => {
+      const s = (await api('GET', '/api/schedules')).body.items.find(x => x.id === body.item.id);
+      return s.status === 'sent' && s;
+    }, 'el envío de la programación');
+    const runs = (await api('GET', `/api/schedules/${item.id}/runs`)).body.items;
+    assert.equal(runs.length, 1);
+    assert.equal(runs[0].id, item.lastRunId);
+    assert.equal(runs[0].status, 'ok');
+    assert.deepEqual((await sent()).map(m => m.body), ['Aviso Aviso']);
+  });
+
+  test('borrar una programación cancela sus envíos en cola', async () => {
+    await api('PUT', '/api/fake/config', { failIds: [A] });
+    const when = new Date(Date.now() + 1000).toISOString();
+    const { body } = await api('POST', '/api/schedules', { name: 'Borrada', ids: [A], message: 'x', when });
+    const id = body.item.id;
+    await waitFor(async () => {
+      const s = (await api('GET', '/api/schedules')).body.items.find(x => x.id === id);
+      return s.status === 'queued';
+    }, 'que la programación quede en cola');
+    const removed = await api('DELETE', `/api/schedules/${id}`);
+    assert.equal(removed.status, 200);
+    assert.equal(removed.body.canceledJobs, 1);
+    const jobs = (await api('GET', '/api/queue')).body.items.filter(j => j.origin?.refId === id);
+    assert.deepEqual(jobs.map(j => j.status), ['canceled']);
+  });
+
+  test('run-now responde 202 y no se solapa con otra ejecución', async () => {
+    await api('POST', '/api/campaigns', { id: 'e2e', name: 'E2E', ids: [A, B], cron: '0 0 1 1 *', message: 'Run {{run.number}}' });
+    const first = await api('POST', '/api/campaigns/e2e/run-now', {});
+    assert.equal(first.status, 202);
+    assert.ok(first.body.runId);
+    const second = await api('POST', '/api/campaigns/e2e/run-now', {});
+    assert.equal(second.status, 409);
+    assert.equal(second.body.runId, first.body.runId);
+    const run = await finished(first.body.runId);
+    assert.equal(run.status, 'ok');
+    assert.equal(run.trigger, 'run-now');
+    assert.deepEqual((await sent()).map(m => m.body), ['Run 1', 'Run 1']);
+    const campaign = (await api('GET', '/api/campaigns')).body.items.find(c => c.id === 'e2e');
+    assert.equal(campaign.lastRunId, run.id);
+  });
+
+  test('el inbox guarda los mensajes por chat y rechaza ids de chat con rutas', async () => {
+    const from = '5355500001@c.us';
+    for (const body of ['Hola', 'Otra']) await api('POST', '/api/fake/simulate', { event: 'message', from, body });
+    const { status, body } = await waitFor(async () => {
+      const r = await api('GET', `/api/chats/${from}/messages`);
+      return r.body.items?.length === 2 && r;
+    }, 'los mensajes del inbox');
+    assert.equal(status, 200);
+    assert.deepEqual(body.items.map(m => m.body), ['Hola', 'Otra']);
+    assert.equal((await api('GET', `/api/chats/${encodeURIComponent('../../x@c.us')}/messages`)).status, 400);
+  });
+
+  test('el primer admin exige la API key salvo desde el propio servidor', async () => {
+    const admin = { username: 'admin', password: 'clave-de-prueba' };
+    const proxied = { 'x-forwarded-for': '203.0.113.7' };
+    const anon = await api('POST', '/api/auth/setup', admin, { ...proxied, 'x-api-key': null });
+    assert.equal(anon.status, 403);
+    assert.equal((await api('GET', '/api/auth/me', undefined, { 'x-api-key': null })).body.setupRequired, true);
+    const withKey = await api('POST', '/api/auth/setup', admin, proxied);
+    assert.equal(withKey.status, 200);
+    assert.equal(withKey.body.user.role, 'admin');
+    assert.equal((await api('POST', '/api/auth/setup', admin)).status, 409);
+  });
+
+  test('pause, resume y cancel de un lote; los destinos sin enviar se reanudan aparte', async () => {
+    await api('PUT', '/api/fake/config', { latencyMs: 300 });
+    const { body } = await api('POST', '/api/send', { ids: [A, B, C], text: 'Lote' });
+    const id = body.batchId;
+
+    const paused = await api('POST', `/api/runs/${id}/pause`);
+    assert.equal(paused.status, 200);
+    assert.equal(paused.body.item.state, 'paused');
+    assert.equal((await api('POST', `/api/runs/${id}/pause`)).status, 409);
+    await new Promise(r => setTimeout(r, 2500)); // más que la pausa entre destinos
+    const during = (await api('GET', `/api/runs/${id}`)).body.item;
+    assert.equal(during.control.state, 'paused');
+    assert.equal((await sent()).length, 1); // solo el que estaba en curso
+
+    assert.equal((await api('POST', `/api/runs/${id}/resume`)).body.item.state, 'running');
+    assert.equal((await api('POST', `/api/runs/${id}/cancel`)).body.item.state, 'canceled');
+    const run = await finished(id);
+    assert.equal(run.status, 'canceled');
+    assert.ok(run.notSentCount >= 1);
+    assert.ok(run.resumable);
+
+    const resumed = await api('POST', `/api/runs/${id}/resume`);
+    assert.equal(resumed.status, 202);
+    assert.equal(resumed.body.resumedFrom, id);
+    const next = await finished(resumed.body.runId);
+    assert.equal(next.status, 'ok');
+    assert.equal(next.trigger, 'resume');
+    assert.deepEqual((await sent()).map(m => m.to).sort(), [A, B, C]);
+    assert.equal((await api('GET', `/api/runs/${id}`)).body.item.resumedBy, next.id);
+    assert.equal((await api('POST', `/api/runs/${id}/resume`)).status, 409);
+  });
+});
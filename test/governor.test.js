@@ -0,0 +1,75 @@
+// test/governor.test.js
+// --------------------------------------------------------------------------------------
+// lib/governor: turnos por prioridad, pausa mínima, cupos por ventana y previsión.
+// --------------------------------------------------------------------------------------
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createGovernor } = require('../lib/governor');
+
+test('un turno a la vez y por prioridad (manual antes que campaign)', async () => {
+  const gov = createGovernor({ minGapMs: 0, jitterMs: 0 });
+  const first = await gov.acquire('s1', 'campaign');
+  const order = [];
+  const later = ['campaign', 'schedule', 'manual'].map(kind => gov.acquire('s1', kind).then(t => {
+    order.push(kind);
+    t.release();
+  }));
+  assert.equal(gov.budget('s1').waiting, 3);
+  first.release();
+  await Promise.all(later);
+  assert.deepEqual(order, ['manual', 'schedule', 'campaign']);
+});
+
+test('respeta la pausa mínima entre envíos', async () => {
+  const gov = createGovernor({ minGapMs: 80, jitterMs: 0 });
+  (await gov.acquire('s1')).release();
+  const t0 = Date.now();
+  (await gov.acquire('s1')).release();
+  assert.ok(Date.now() - t0 >= 70);
+});
+
+test('release es idempotente', async () => {
+  const gov = createGovernor({ minGapMs: 0, jitterMs: 0 });
+  const t = await gov.acquire('s1');
+  t.release();
+  t.release();
+  assert.equal(gov.budget('s1').busy, false);
+});
+
+test('sin cupo más allá de maxWaitMs rechaza con retryAt', async () => {
+  const gov = createGovernor({ limits: { minute: 1 }, minGapMs: 1000, jitterMs: 0, maxWaitMs: 10 });
+  const t = await gov.acquire('s1');
+  t.release();
+  const r = await gov.acquire('s1', 'manual');
+  assert.equal(r.ok, false);
+  assert.match(r.reason, /minuto/);
+  assert.ok(Date.parse(r.retryAt) > Date.now());
+  const b = gov.budget('s1');
+  assert.equal(b.busy, false);
+  assert.equal(b.windows.minute.remaining, 0);
+  assert.equal(b.blocked.window, 'minute');
+  assert.equal(b.windows.minute.used, 1); // el turno rechazado no cuenta como envío
+});
+
+test('load/save persisten los envíos de las últimas 24 h', async () => {
+  const saved = {};
+  const old = Date.now() - 25 * 3600 * 1000;
+  const gov = createGovernor({
+    limits: { day: 5 },
+    minGapMs: 0,
+    jitterMs: 0,
+    load: () => [old, Date.now() - 1000],
+    save: (id, stamps) => { saved[id] = stamps; }
+  });
+  assert.equal(gov.budget('s1').windows.day.used, 1); // el de hace 25 h ya no cuenta
+  (await gov.acquire('s1')).release();
+  assert.equal(saved.s1.length, 2);
+});
+
+test('forecast reparte los envíos según la pausa y el cupo', () => {
+  const gov = createGovernor({ limits: { minute: 2 }, minGapMs: 1000, jitterMs: 0 });
+  const from = Date.parse('2030-01-01T00:00:00Z');
+  const times = gov.forecast('s1', 3, { from, gapMs: 2000, durationMs: 500 });
+  assert.deepEqual(times.map(t => t - from), [0, 2500, 60000]);
+});
@@ -0,0 +1,93 @@
+// test/helpers/fake-server.js
+// --------------------------------------------------------------------------------------
+// Arranca server.js con el cliente simulado (WA_DRIVER=fake) en un puerto libre y con sus
+// datos, subidas y sesiones en una carpeta temporal que se borra al pararlo.
+// --------------------------------------------------------------------------------------
+
+const { spawn } = require('node:child_process');
+const { once } = require('node:events');
+const fs = require('node:fs');
+const net = require('node:net');
+const os = require('node:os');
+const path = require('node:path');
+
+const API_KEY = 'test-admin-key';
+const GROUPS = ['120363000000000001@g.us', '120363000000000002@g.us', '120363000000000003@g.us'];
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+    srv.on('error', reject);
+  });
+}
+
+/** Reintenta fn hasta que devuelva algo truthy; lanza con `what` si se agota el tiempo. */
+async function waitFor(fn, what = 'la condición', { timeoutMs = 20000, everyMs = 100 } = {}) {
+  const until = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await fn().catch(() => null);
+    if (value) return value;
+    if (Date.now() > until) throw new Error(`Tiempo agotado esperando ${what}.`);
+    await sleep(everyMs);
+  }
+}
+
+/** Servidor listo (sesión default conectada). env añade o pisa variables del entorno. */
+async function startServer(env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wa-panel-test-'));
+  const port = await freePort();
+  const child = spawn(process.execPath, [path.join(__dirname, '..', '..', 'server.js')], {
+    cwd: dir, // sin el .env del proyecto
+    env: {
+      ...process.env,
+      PORT: String(port),
+      WA_DRIVER: 'fake',
+      ADMIN_API_KEY: API_KEY,
+      DATA_DIR: dir,
+      UPLOAD_DIR: path.join(dir, 'uploads'),
+      WA_SESSION_PATH: path.join(dir, 'session'),
+      WA_FAKE_READY_MS: '0',
+      SEND_MIN_GAP_MS: '0',
+      SEND_JITTER_MS: '0',
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  let log = '';
+  child.stdout.on('data', d => { log += d; });
+  child.stderr.on('data', d => { log += d; });
+
+  /** headers añade o pisa cabeceras; con valor null se quita (p. ej. { 'x-api-key': null }). */
+  async function api(method, url, body, headers = {}) {
+    const all = { 'x-api-key': API_KEY, 'content-type': 'application/json', ...headers };
+    const res = await fetch(`http://127.0.0.1:${port}${url}`, {
+      method,
+      headers: Object.fromEntries(Object.entries(all).filter(([, v]) => v != null)),
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  }
+
+  async function stop() {
+    if (child.exitCode == null) {
+      child.kill();
+      await once(child, 'exit');
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  try {
+    await waitFor(async () => (await api('GET', '/api/status')).body.ready, 'a que la sesión esté lista');
+  } catch (e) {
+    await stop();
+    throw new Error(`${e.message}\n${log}`);
+  }
+  return { api, stop, log: () => log };
+}
+
+module.exports = { GROUPS, startServer, waitFor };
@@ -0,0 +1,71 @@
+// test/lifecycle.test.js
+// --------------------------------------------------------------------------------------
+// lib/lifecycle: fechas en la zona de la campaña, bloqueos, gate y próximos disparos.
+// --------------------------------------------------------------------------------------
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const lifecycle = require('../lib/lifecycle');
+
+test('parseDateInTz interpreta en tz las fechas sin offset', () => {
+  assert.equal(lifecycle.parseDateInTz('2030-06-01T09:00', 'Europe/Madrid'), '2030-06-01T07:00:00.000Z');
+  assert.equal(lifecycle.parseDateInTz('2030-06-01T09:00:00Z', 'Europe/Madrid'), '2030-06-01T09:00:00.000Z');
+  assert.equal(lifecycle.parseDateInTz('', 'UTC'), null);
+  assert.equal(lifecycle.parseDateInTz('mañana', 'UTC'), null);
+});
+
+test('parseLifecycle valida fechas, maxRuns y bloqueos', () => {
+  const { value } = lifecycle.parseLifecycle({
+    startAt: '2030-01-01T00:00',
+    maxRuns: '3',
+    blackout: { quietHours: { from: '22:00', to: '07:00' }, days: [0, '0'], dates: ['12-25'] }
+  }, 'UTC');
+  assert.deepEqual(value, {
+    startAt: '2030-01-01T00:00:00.000Z',
+    endAt: null,
+    maxRuns: 3,
+    blackout: { quietHours: [{ from: '22:00', to: '07:00' }], days: [0], dates: ['12-25'] }
+  });
+  assert.match(lifecycle.parseLifecycle({ startAt: '2030-02-01', endAt: '2030-01-01' }, 'UTC').error, /posterior/);
+  assert.match(lifecycle.parseLifecycle({ maxRuns: 0 }, 'UTC').error, /maxRuns/);
+  assert.match(lifecycle.parseLifecycle({ blackout: { days: [0, 1, 2, 3, 4, 5, 6] } }, 'UTC').error, /todos los días/);
+  assert.match(lifecycle.parseLifecycle({ blackout: { dates: ['2030-13-01'] } }, 'UTC').error, /Fechas inválidas/);
+  assert.equal(lifecycle.parseLifecycle({ blackout: {} }, 'UTC').value.blackout, null);
+});
+
+test('blackoutReason: festivos, días y horas de silencio que cruzan la medianoche', () => {
+  const blackout = { quietHours: [{ from: '22:00', to: '07:00' }], days: [0], dates: ['12-25'] };
+  assert.match(lifecycle.blackoutReason(blackout, '2030-12-25T12:00:00Z', 'UTC'), /festivo/);
+  assert.match(lifecycle.blackoutReason(blackout, '2030-01-06T12:00:00Z', 'UTC'), /día excluido/); // domingo
+  assert.match(lifecycle.blackoutReason(blackout, '2030-01-07T23:30:00Z', 'UTC'), /silencio/);
+  assert.match(lifecycle.blackoutReason(blackout, '2030-01-08T06:59:00Z', 'UTC'), /silencio/);
+  assert.equal(lifecycle.blackoutReason(blackout, '2030-01-08T07:00:00Z', 'UTC'), null); // el fin no bloquea
+  assert.equal(lifecycle.blackoutReason(null, new Date(), 'UTC'), null);
+});
+
+test('gate: complete por endAt o maxRuns, skip antes de startAt o en un bloqueo', () => {
+  const at = '2030-01-07T12:00:00Z';
+  assert.deepEqual(lifecycle.gate({ endAt: '2030-01-01T00:00:00.000Z' }, at), { action: 'complete', reason: 'endAt' });
+  assert.deepEqual(lifecycle.gate({ maxRuns: 2, runCount: 2 }, at), { action: 'complete', reason: 'maxRuns' });
+  assert.equal(lifecycle.gate({ startAt: '2030-02-01T00:00:00.000Z' }, at).action, 'skip');
+  assert.equal(lifecycle.gate({ blackout: { days: [1] }, tz: 'UTC' }, at).action, 'skip');
+  assert.deepEqual(lifecycle.gate({ tz: 'UTC' }, at), { action: 'run', reason: null });
+});
+
+test('upcomingRuns salta los bloqueos y se detiene en maxRuns', () => {
+  const c = { cron: '0 9 * * *', tz: 'UTC', startAt: '2030-01-05T00:00:00.000Z', blackout: { days: [0, 6] }, maxRuns: 3, runCount: 0 };
+  const { items, ends, skipped } = lifecycle.upcomingRuns(c, 10);
+  assert.deepEqual(items.map(d => d.toISOString()), [
+    '2030-01-07T09:00:00.000Z',
+    '2030-01-08T09:00:00.000Z',
+    '2030-01-09T09:00:00.000Z'
+  ]);
+  assert.equal(ends, 'maxRuns');
+  assert.ok(skipped > 0);
+});
+
+test('upcomingRuns con remaining (variantes sequential)', () => {
+  const { items, ends } = lifecycle.upcomingRuns({ cron: '0 9 * * *', tz: 'UTC' }, 5, { remaining: 2 });
+  assert.equal(items.length, 2);
+  assert.equal(ends, 'variants');
+});
@@ -0,0 +1,68 @@
+// test/recurrence.test.js
+// --------------------------------------------------------------------------------------
+// lib/recurrence: validación, expresiones CRON equivalentes y próximas ocurrencias.
+// --------------------------------------------------------------------------------------
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const recurrence = require('../lib/recurrence');
+
+test('parseRecurrence normaliza horas y días', () => {
+  const { value } = recurrence.parseRecurrence({ type: 'weekly', days: [5, '1', 1], times: '14:30, 09:00' });
+  assert.deepEqual(value, { type: 'weekly', days: [1, 5], times: ['09:00', '14:30'] });
+});
+
+test('parseRecurrence rechaza valores inválidos', () => {
+  assert.match(recurrence.parseRecurrence(null).error, /objeto/);
+  assert.match(recurrence.parseRecurrence({ type: 'yearly' }).error, /recurrence.type/);
+  assert.match(recurrence.parseRecurrence({ type: 'daily', times: ['25:00'] }).error, /Horas inválidas/);
+  assert.match(recurrence.parseRecurrence({ type: 'weekly', times: ['09:00'] }).error, /al menos un día/);
+  assert.match(recurrence.parseRecurrence({ type: 'monthly', day: 32, times: ['09:00'] }).error, /day/);
+  assert.match(recurrence.parseRecurrence({ type: 'hourly', every: 2, from: '20:00', to: '08:00' }).error, /posterior/);
+});
+
+test('toCrons agrupa las horas que comparten minuto', () => {
+  assert.deepEqual(recurrence.toCrons({ type: 'daily', times: ['09:00', '14:30', '18:00'] }), ['0 9,18 * * *', '30 14 * * *']);
+  assert.deepEqual(recurrence.toCrons({ type: 'weekly', days: [1, 3], times: ['09:00'] }), ['0 9 * * 1,3']);
+  assert.deepEqual(recurrence.toCrons({ type: 'monthly', day: 15, times: ['10:00'] }), ['0 10 15 * *']);
+  assert.deepEqual(recurrence.toCrons({ type: 'hourly', every: 4, from: '08:00', to: '20:00', days: [] }), ['0 8,12,16,20 * * *']);
+});
+
+test('cronsOf usa la recurrencia o el CRON escrito a mano', () => {
+  assert.deepEqual(recurrence.cronsOf({ cron: '*/5 * * * *' }), ['*/5 * * * *']);
+  assert.deepEqual(recurrence.cronsOf({ recurrence: { type: 'daily', times: ['07:15'] } }), ['15 7 * * *']);
+});
+
+test('describe en castellano', () => {
+  assert.equal(typeof recurrence.describe({ type: 'daily', times: ['09:00'] }), 'string');
+  assert.match(recurrence.describe({ type: 'weekly', days: [1], times: ['09:00'] }), /lunes/);
+});
+
+test('nextRuns ordena y combina varias expresiones a partir de after', () => {
+  const after = '2030-01-01T00:00:00Z'; // martes
+  const runs = recurrence.nextRuns(['0 9 * * *', '30 14 * * *'], 'UTC', 4, after).map(d => d.toISOString());
+  assert.deepEqual(runs, [
+    '2030-01-01T09:00:00.000Z',
+    '2030-01-01T14:30:00.000Z',
+    '2030-01-02T09:00:00.000Z',
+    '2030-01-02T14:30:00.000Z'
+  ]);
+});
+
+test('nextRuns aplica la zona horaria', () => {
+  const [first] = recurrence.nextRuns(['0 9 * * *'], 'America/Havana', 1, '2030-01-01T00:00:00Z');
+  assert.equal(first.toISOString(), '2030-01-01T14:00:00.000Z'); // 09:00 en La Habana (UTC-5)
+});
+
+test('nextRuns nunca devuelve ocurrencias pasadas', () => {
+  const runs = recurrence.nextRuns(['* * * * *'], 'UTC', 3, '2000-01-01T00:00:00Z');
+  assert.equal(runs.length, 3);
+  assert.ok(runs.every(d => d.getTime() > Date.now() - 1000));
+});
+
+test('nextOccurrence es estrictamente posterior a after', () => {
+  const r = { type: 'monthly', day: 31, times: ['10:00'] };
+  const first = recurrence.nextOccurrence(r, 'UTC', '2030-02-01T00:00:00Z');
+  assert.equal(first.toISOString(), '2030-03-31T10:00:00.000Z'); // febrero no tiene día 31
+  assert.equal(recurrence.nextOccurrence(r, 'UTC', first).toISOString(), '2030-05-31T10:00:00.000Z');
+});
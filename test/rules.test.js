@@ -0,0 +1,58 @@
+// test/rules.test.js
+// --------------------------------------------------------------------------------------
+// lib/rules: palabras clave (exact | contains | regex), ámbito, horario y prioridad.
+// --------------------------------------------------------------------------------------
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const rules = require('../lib/rules');
+
+test('matchKeyword: exact ignora los signos alrededor', () => {
+  const rule = { match: 'exact', keywords: ['precio'] };
+  assert.equal(rules.matchKeyword(rule, '¿Precio?'), 'precio');
+  assert.equal(rules.matchKeyword(rule, 'el precio'), null);
+});
+
+test('matchKeyword: contains por palabra completa', () => {
+  const rule = { match: 'contains', keywords: ['precio', 'horario de atención'] };
+  assert.equal(rules.matchKeyword(rule, '¿Cuál es el PRECIO?'), 'precio');
+  assert.equal(rules.matchKeyword(rule, 'qué preciosa'), null);
+  assert.equal(rules.matchKeyword(rule, 'Horario de atencion, por favor'), 'horario de atención');
+});
+
+test('matchKeyword: regex y caseSensitive; una regex inválida no rompe', () => {
+  assert.equal(rules.matchKeyword({ match: 'regex', keywords: ['(', '^pedido \\d+$'] }, 'Pedido 42'), '^pedido \\d+$');
+  assert.equal(rules.matchKeyword({ match: 'regex', caseSensitive: true, keywords: ['^pedido'] }, 'Pedido 42'), null);
+  assert.equal(rules.matchKeyword({ match: 'contains', keywords: ['hola'] }, ''), null);
+});
+
+test('inActiveHours con rangos normales y nocturnos', () => {
+  const day = { tz: 'UTC', from: '09:00', to: '18:00', days: [1, 2, 3, 4, 5] };
+  assert.equal(rules.inActiveHours(day, new Date('2030-01-07T10:00:00Z')), true); // lunes
+  assert.equal(rules.inActiveHours(day, new Date('2030-01-06T10:00:00Z')), false); // domingo
+  const night = { tz: 'UTC', from: '22:00', to: '06:00', days: [5] }; // noche del viernes
+  assert.equal(rules.inActiveHours(night, new Date('2030-01-11T23:00:00Z')), true); // viernes
+  assert.equal(rules.inActiveHours(night, new Date('2030-01-12T05:00:00Z')), true); // madrugada del sábado
+  assert.equal(rules.inActiveHours(night, new Date('2030-01-11T05:00:00Z')), false); // madrugada del viernes
+  assert.equal(rules.inActiveHours(null), true);
+});
+
+test('inScope por sesión, tipo de chat y lista de chats', () => {
+  const msg = { chatId: '1@g.us', isGroup: true, sessionId: 'default' };
+  assert.equal(rules.inScope({ scope: { type: 'contacts' } }, msg), false);
+  assert.equal(rules.inScope({ scope: { type: 'groups', chats: ['2@g.us'] } }, msg), false);
+  assert.equal(rules.inScope({ sessionId: 'otra' }, msg), false);
+  assert.equal(rules.inScope({ scope: { type: 'all', chats: ['1@g.us'] } }, msg), true);
+});
+
+test('findMatch: la primera regla activa por prioridad', () => {
+  const list = [
+    { id: 'b', enabled: true, priority: 2, match: 'contains', keywords: ['hola'] },
+    { id: 'a', enabled: true, priority: 1, match: 'contains', keywords: ['hola'], scope: { type: 'contacts' } },
+    { id: 'c', enabled: false, priority: 0, match: 'contains', keywords: ['hola'] }
+  ];
+  const hit = rules.findMatch(list, { text: 'Hola!', chatId: '1@g.us', isGroup: true, sessionId: 'default' });
+  assert.equal(hit.rule.id, 'b');
+  assert.equal(hit.keyword, 'hola');
+  assert.equal(rules.findMatch(list, { text: 'adiós', chatId: '1@g.us', isGroup: true }), null);
+});
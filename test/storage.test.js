@@ -0,0 +1,31 @@
+// test/storage.test.js
+// --------------------------------------------------------------------------------------
+// lib/storage: find por campo (también con ruta) en los dos backends.
+// --------------------------------------------------------------------------------------
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { createStorage } = require('../lib/storage');
+
+for (const backend of ['sqlite', 'json']) {
+  test(`${backend}: find filtra por campo y conserva el orden de inserción`, t => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wa-panel-storage-'));
+    const store = createStorage({ backend, dataDir });
+    t.after(() => {
+      store.close();
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+    const queue = store.collection('queue');
+    queue.put({ id: 'a', status: 'sent', origin: { runId: 'r1' } });
+    queue.put({ id: 'b', status: 'pending', origin: { runId: 'r1' } });
+    queue.put({ id: 'c', status: 'sent', origin: { runId: 'r2' } });
+    queue.update('a', { status: 'pending' });
+
+    assert.deepEqual(queue.find('status', 'pending').map(j => j.id), ['a', 'b']);
+    assert.deepEqual(queue.find('origin.runId', 'r2').map(j => j.id), ['c']);
+    assert.deepEqual(queue.find('status', 'dead'), []);
+  });
+}
@@ -0,0 +1,14 @@
+// test/text.test.js
+// --------------------------------------------------------------------------------------
+// lib/text: normalización para comparar sin mayúsculas ni tildes.
+// --------------------------------------------------------------------------------------
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { foldText } = require('../lib/text');
+
+test('foldText quita tildes, mayúsculas y espacios de más', () => {
+  assert.equal(foldText('  ¿Cuánto   CUESTA? '), '¿cuanto cuesta?');
+  assert.equal(foldText('Ñandú', true), 'Nandu');
+  assert.equal(foldText(null), '');
+});